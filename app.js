@@ -1,881 +1,11418 @@
 /**
- * VoxFree Text-to-Speech Application
- * Enterprise-grade text-to-speech web application with advanced features
- * @class VoxFreeApp
- * @version 2.0.0
+ * Error raised for malformed or unsupported SSML markup
+ * @class SSMLError
+ * @extends Error
  */
-class VoxFreeApp {
+class SSMLError extends Error {
     /**
-     * Application configuration constants
+     * @param {string} message - Human readable description of the problem
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'SSMLError';
+    }
+}
+
+/**
+ * Error raised when the user cancels a running export
+ * @class ExportCancelledError
+ * @extends Error
+ */
+class ExportCancelledError extends Error {
+    constructor() {
+        super('Export cancelled');
+        this.name = 'ExportCancelledError';
+    }
+}
+
+/**
+ * Error raised when an export needs the internet and the browser is offline
+ * @class ExportOfflineError
+ * @extends Error
+ */
+class ExportOfflineError extends Error {
+    constructor() {
+        super('You are offline');
+        this.name = 'ExportOfflineError';
+    }
+}
+
+/**
+ * Error raised when another tab holds an older version of the database open
+ * @class DatabaseBlockedError
+ * @extends Error
+ */
+class DatabaseBlockedError extends Error {
+    constructor() {
+        super('VoxFree is open in another tab. Close other VoxFree tabs and reload to use the document library.');
+        this.name = 'DatabaseBlockedError';
+    }
+}
+
+/**
+ * Base class for audio export backends. A backend turns one chunk of text
+ * into an audio Blob; chunking, retries and downloads stay in the app.
+ * @class ExportBackend
+ * @abstract
+ */
+class ExportBackend {
+    /**
+     * Request timeout in milliseconds
      * @static
      * @readonly
      */
-    static CONFIG = {
-        MAX_TEXT_LENGTH: 5000,
-        CHUNK_SIZE: 200,
-        DEBOUNCE_DELAY: 300,
-        RETRY_ATTEMPTS: 2,
-        RETRY_DELAY: 1000,
-        // Reliable CORS proxies (tested and working)
-        PROXY_URLS: [
-            'https://api.allorigins.win/raw?url=',
-            'https://corsproxy.io/?',
-            'https://api.codetabs.com/v1/proxy?quest='
-        ],
-        TTS_BASE_URL: 'https://translate.google.com/translate_tts',
-        STORAGE_KEY: 'voxfree_preferences'
-    };
+    static REQUEST_TIMEOUT = 10000;
 
     /**
-     * Initialize VoxFree application
-     * @constructor
+     * @param {Object} settings - Backend specific settings
      */
-    constructor() {
-        // Validate browser compatibility
-        if (!this.checkBrowserCompatibility()) {
-            this.showError('Your browser does not support the Web Speech API. Please use a modern browser.');
-            return;
+    constructor(settings = {}) {
+        this.settings = settings;
+    }
+
+    /**
+     * Human readable backend name
+     * @returns {string}
+     */
+    get label() {
+        return 'Export backend';
+    }
+
+    /**
+     * Synthesize one chunk of text
+     * @param {string} text - Text to convert
+     * @param {string} lang - Language code (e.g. "en")
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<Blob>} Audio blob
+     * @throws {Error} When the audio could not be generated
+     * @throws {ExportCancelledError} When the signal aborts
+     * @abstract
+     */
+    async synthesize(text, lang, signal) {
+        throw new Error(`${this.constructor.name} does not implement synthesize()`);
+    }
+
+    /**
+     * Identify the voice this backend would use for a language, so cached
+     * audio is only reused for identical output
+     * @param {string} lang - Language code
+     * @returns {string} Cache identity
+     */
+    getCacheId(lang) {
+        return this.constructor.name;
+    }
+
+    /**
+     * Voice id used for a language, for voice-scoped lexicon entries
+     * @param {string} lang - Language code
+     * @returns {string|null} Voice id, or null when the backend has no voice choice
+     */
+    getVoiceId(lang) {
+        return null;
+    }
+
+    /**
+     * URL the user can open manually when automatic download fails
+     * @param {string} text - Text to convert
+     * @param {string} lang - Language code
+     * @returns {string|null} Fallback URL, or null when there is none
+     */
+    getFallbackUrl(text, lang) {
+        return null;
+    }
+
+    /**
+     * Fail fast instead of trying requests that cannot reach the internet
+     * @throws {ExportOfflineError} When the browser is offline
+     * @protected
+     */
+    assertOnline() {
+        if (navigator.onLine === false) throw new ExportOfflineError();
+    }
+
+    /**
+     * Fetch an audio URL with a timeout and validate the response
+     * @param {string} url - URL to fetch
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<Blob>} Audio blob
+     * @throws {Error} On HTTP errors, timeouts or empty responses
+     * @throws {ExportCancelledError} When the signal aborts
+     * @protected
+     */
+    async fetchAudio(url, signal) {
+        if (signal?.aborted) throw new ExportCancelledError();
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), ExportBackend.REQUEST_TIMEOUT);
+        const cancel = () => controller.abort();
+        signal?.addEventListener('abort', cancel);
+
+        try {
+            const response = await fetch(url, {
+                method: 'GET',
+                headers: {
+                    'Accept': 'audio/mpeg, audio/*, */*'
+                },
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const blob = await response.blob();
+
+            // Verify blob is valid audio
+            if (blob.size === 0) {
+                throw new Error('Empty audio file received');
+            }
+
+            return blob;
+        } catch (error) {
+            if (signal?.aborted) throw new ExportCancelledError();
+            throw error.name === 'AbortError' ? new Error('Request timeout') : error;
+        } finally {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', cancel);
         }
+    }
+}
 
-        this.synth = window.speechSynthesis;
-        this.voices = [];
-        this.currentUtterance = null;
-        this.isProcessing = false;
-        this.debounceTimer = null;
+/**
+ * Health of the CORS proxies used for Google exports. Tracks latency and
+ * success rate per proxy, orders proxies so healthy ones are tried first,
+ * and opens a circuit that skips a proxy for a while after repeated failures.
+ * @class ProxyPool
+ */
+class ProxyPool {
+    /**
+     * Consecutive failures after which a proxy is skipped
+     * @static
+     * @readonly
+     */
+    static FAILURE_THRESHOLD = 2;
 
-        // Cache DOM elements for performance
-        this.ui = this.cacheUIElements();
-        
-        // Validate all required DOM elements exist
-        if (!this.validateUIElements()) {
-            console.error('Critical UI elements missing. Application cannot initialize.');
-            return;
+    /**
+     * How long a failing proxy is skipped; doubles with each further failure
+     * @static
+     * @readonly
+     */
+    static COOLDOWN_MS = 60000;
+
+    /**
+     * Longest a failing proxy is skipped
+     * @static
+     * @readonly
+     */
+    static MAX_COOLDOWN_MS = 600000;
+
+    /**
+     * Latency samples kept per proxy for the average
+     * @static
+     * @readonly
+     */
+    static LATENCY_SAMPLES = 10;
+
+    /**
+     * @param {string[]} urls - Proxy URL prefixes in the user's order
+     */
+    constructor(urls = []) {
+        this.stats = new Map();
+        this.setUrls(urls);
+    }
+
+    /**
+     * Read a proxy list with one URL per line, ignoring blank lines and # comments
+     * @param {string} text - Proxy list
+     * @returns {{urls: string[], invalid: string[]}} Usable URLs and rejected lines
+     * @static
+     */
+    static parseList(text) {
+        const urls = [];
+        const invalid = [];
+
+        for (const line of text.split('\n')) {
+            const url = line.trim();
+            if (!url || url.startsWith('#')) continue;
+
+            try {
+                if (!/^https?:$/.test(new URL(url).protocol)) throw new Error('not http');
+                if (!urls.includes(url)) urls.push(url);
+            } catch (error) {
+                invalid.push(url);
+            }
         }
 
-        this.init();
+        return { urls, invalid };
     }
 
     /**
-     * Check if browser supports required APIs
-     * @returns {boolean} Browser compatibility status
+     * Replace the proxy list, keeping the health of proxies still listed
+     * @param {string[]} urls - Proxy URL prefixes
      */
-    checkBrowserCompatibility() {
-        return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+    setUrls(urls) {
+        this.urls = [...urls];
+        for (const url of [...this.stats.keys()]) {
+            if (!this.urls.includes(url)) this.stats.delete(url);
+        }
     }
 
     /**
-     * Cache all UI elements for performance optimization
-     * @returns {Object} Cached DOM elements
+     * Get the health record of a proxy
+     * @param {string} url - Proxy URL prefix
+     * @returns {{attempts: number, successes: number, consecutiveFailures: number, latencies: number[], openUntil: number, lastError: string}}
      */
-    cacheUIElements() {
-        return {
-            textInput: document.getElementById('textInput'),
-            charCount: document.getElementById('charCount'),
-            voiceSelect: document.getElementById('voiceSelect'),
-            voiceSearch: document.getElementById('voiceSearch'),
-            rate: document.getElementById('rate'),
-            rateValue: document.getElementById('rateValue'),
-            pitch: document.getElementById('pitch'),
-            pitchValue: document.getElementById('pitchValue'),
-            volume: document.getElementById('volume'),
-            volumeValue: document.getElementById('volumeValue'),
-            speakBtn: document.getElementById('speakBtn'),
-            stopBtn: document.getElementById('stopBtn'),
-            downloadBtn: document.getElementById('downloadBtn'),
-            themeToggle: document.getElementById('themeToggle'),
-            osTag: document.getElementById('osTag'),
-            visualizer: document.getElementById('visualizer'),
-            statusText: document.getElementById('statusText')
+    getStats(url) {
+        if (!this.stats.has(url)) {
+            this.stats.set(url, { attempts: 0, successes: 0, consecutiveFailures: 0, latencies: [], openUntil: 0, lastError: '' });
+        }
+        return this.stats.get(url);
+    }
+
+    /**
+     * Check whether a proxy is being skipped after recent failures
+     * @param {string} url - Proxy URL prefix
+     * @param {number} [now] - Current time
+     * @returns {boolean}
+     */
+    isOpen(url, now = Date.now()) {
+        return this.getStats(url).openUntil > now;
+    }
+
+    /**
+     * Share of requests that returned audio
+     * @param {string} url - Proxy URL prefix
+     * @returns {number|null} Rate from 0 to 1, or null before the first request
+     */
+    getSuccessRate(url) {
+        const stats = this.getStats(url);
+        return stats.attempts > 0 ? stats.successes / stats.attempts : null;
+    }
+
+    /**
+     * Average latency of recent successful requests
+     * @param {string} url - Proxy URL prefix
+     * @returns {number|null} Latency in ms, or null when none succeeded
+     */
+    getLatency(url) {
+        const { latencies } = this.getStats(url);
+        return latencies.length > 0 ? latencies.reduce((total, ms) => total + ms, 0) / latencies.length : null;
+    }
+
+    /**
+     * Proxies in the order to try them: those not skipped, most reliable and
+     * then fastest first. When every proxy is skipped, all are tried again,
+     * starting with the one whose pause ends first.
+     * @param {number} [now] - Current time
+     * @returns {string[]} Proxy URL prefixes
+     */
+    order(now = Date.now()) {
+        const closed = this.urls.filter(url => !this.isOpen(url, now));
+        if (closed.length === 0) {
+            return [...this.urls].sort((a, b) => this.getStats(a).openUntil - this.getStats(b).openUntil);
+        }
+
+        // Untried proxies count as half reliable, so they get a chance
+        const score = (url) => {
+            const stats = this.getStats(url);
+            return (stats.successes + 1) / (stats.attempts + 2);
         };
+        return closed
+            .map((url, index) => ({ url, index, score: score(url), latency: this.getLatency(url) ?? Infinity }))
+            .sort((a, b) => b.score - a.score || a.latency - b.latency || a.index - b.index)
+            .map(item => item.url);
     }
 
     /**
-     * Validate that all required UI elements exist
-     * @returns {boolean} Validation status
+     * Record a request that returned audio, closing the proxy's circuit
+     * @param {string} url - Proxy URL prefix
+     * @param {number} latencyMs - Time to the complete response
      */
-    validateUIElements() {
-        const requiredElements = ['textInput', 'speakBtn', 'stopBtn', 'voiceSelect'];
-        return requiredElements.every(key => this.ui[key] !== null);
+    recordSuccess(url, latencyMs) {
+        const stats = this.getStats(url);
+        stats.attempts++;
+        stats.successes++;
+        stats.consecutiveFailures = 0;
+        stats.openUntil = 0;
+        stats.lastError = '';
+        stats.latencies = [...stats.latencies, Math.round(latencyMs)].slice(-ProxyPool.LATENCY_SAMPLES);
     }
 
     /**
-     * Initialize application components
+     * Record a failed request, skipping the proxy once it keeps failing
+     * @param {string} url - Proxy URL prefix
+     * @param {Error} error - Failure
+     * @param {number} [now] - Current time
+     */
+    recordFailure(url, error, now = Date.now()) {
+        const stats = this.getStats(url);
+        stats.attempts++;
+        stats.consecutiveFailures++;
+        stats.lastError = error.message;
+
+        const strikes = stats.consecutiveFailures - ProxyPool.FAILURE_THRESHOLD;
+        if (strikes >= 0) {
+            stats.openUntil = now + Math.min(ProxyPool.COOLDOWN_MS * 2 ** strikes, ProxyPool.MAX_COOLDOWN_MS);
+        }
+    }
+}
+
+/**
+ * Google Translate TTS reached through public CORS proxies
+ * @class GoogleTranslateBackend
+ * @extends ExportBackend
+ */
+class GoogleTranslateBackend extends ExportBackend {
+    get label() {
+        return 'Google Translate';
+    }
+
+    /**
+     * Build the translate_tts URL for a chunk
+     * @param {string} text - Text to convert
+     * @param {string} lang - Language code
+     * @returns {string} Google TTS URL
      * @private
      */
-    init() {
+    buildUrl(text, lang) {
+        return `${this.settings.baseUrl}?ie=UTF-8&tl=${encodeURIComponent(lang)}&client=tw-ob&q=${encodeURIComponent(text)}`;
+    }
+
+    /**
+     * Fetch a Google TTS URL through one proxy, recording the proxy's health
+     * @param {string} proxy - Proxy URL prefix
+     * @param {string} googleUrl - Google TTS URL
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<Blob>} Audio blob
+     * @private
+     */
+    async fetchThroughProxy(proxy, googleUrl, signal) {
+        const startedAt = Date.now();
+
         try {
-            // Load user preferences
-            this.loadPreferences();
+            const blob = await this.fetchAudio(`${proxy}${encodeURIComponent(googleUrl)}`, signal);
+            this.settings.pool.recordSuccess(proxy, Date.now() - startedAt);
+            return blob;
+        } catch (error) {
+            if (!(error instanceof ExportCancelledError)) {
+                this.settings.pool.recordFailure(proxy, error);
+            }
+            throw error;
+        }
+    }
 
-            // Platform Detection
-            this.detectPlatform();
+    /**
+     * Try the proxies, healthiest first, until one returns audio. Proxies
+     * that failed repeatedly are skipped until their pause ends.
+     * @param {string} text - Text to convert
+     * @param {string} lang - Language code
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<Blob>} Audio blob
+     * @throws {Error} When every proxy failed
+     * @throws {ExportOfflineError} When the browser is offline
+     */
+    async synthesize(text, lang, signal) {
+        this.assertOnline();
 
-            // Voice Loading with retry mechanism
-            this.populateVoices();
-            if (speechSynthesis.onvoiceschanged !== undefined) {
-                speechSynthesis.onvoiceschanged = () => this.populateVoices();
+        const googleUrl = this.buildUrl(text, lang);
+        const proxies = this.settings.pool.order();
+        let lastError = null;
+
+        for (let i = 0; i < proxies.length; i++) {
+            console.log(`Attempting download with proxy ${i + 1}/${proxies.length}`);
+
+            try {
+                const blob = await this.fetchThroughProxy(proxies[i], googleUrl, signal);
+                console.log(`Download successful with proxy ${i + 1}`);
+                return blob;
+            } catch (error) {
+                if (error instanceof ExportCancelledError) throw error;
+                console.warn(`Proxy ${i + 1} failed: ${error.message}`);
+                lastError = error;
             }
+        }
 
-            // Event Listeners
-            this.addEventListeners();
+        throw new Error(`All proxies failed (${lastError?.message || 'no proxies configured'})`);
+    }
 
-            // Initial UI State
-            this.updateCharCount();
+    /**
+     * Health-check a proxy with a one-word request
+     * @param {string} proxy - Proxy URL prefix
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<{ok: boolean, latencyMs: number, error: string}>} Result
+     * @throws {ExportCancelledError} When the signal aborts
+     * @throws {ExportOfflineError} When the browser is offline
+     */
+    async checkProxy(proxy, signal) {
+        this.assertOnline();
+        const startedAt = Date.now();
 
-            // Set initial theme
-            this.initializeTheme();
+        try {
+            await this.fetchThroughProxy(proxy, this.buildUrl('Test', 'en'), signal);
+            return { ok: true, latencyMs: Date.now() - startedAt, error: '' };
+        } catch (error) {
+            if (error instanceof ExportCancelledError) throw error;
+            return { ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+        }
+    }
+
+    getFallbackUrl(text, lang) {
+        return this.buildUrl(text, lang);
+    }
+}
+
+/**
+ * Self-hosted TTS server speaking the OpenTTS/MaryTTS-style
+ * GET /api/tts?text=&voice= API. Text never leaves your network.
+ * @class HttpTtsBackend
+ * @extends ExportBackend
+ */
+class HttpTtsBackend extends ExportBackend {
+    get label() {
+        return 'Self-hosted TTS server';
+    }
+
+    /**
+     * Resolve an API path against the configured server URL
+     * @param {string} path - API path without leading slash
+     * @returns {URL} Absolute URL
+     * @throws {Error} When no server URL is configured
+     * @private
+     */
+    resolveUrl(path) {
+        const baseUrl = (this.settings.baseUrl || '').trim();
+        if (!baseUrl) {
+            throw new Error('No TTS server URL configured. Set it in Settings.');
+        }
+        return new URL(path, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`);
+    }
+
+    /**
+     * Pick the configured voice for a language, falling back to the first voice
+     * @param {string} lang - Language code
+     * @returns {string|null} Voice id
+     * @private
+     */
+    pickVoice(lang) {
+        const voices = this.settings.voices || [];
+        const prefix = (lang || '').toLowerCase().split(/[-_]/)[0];
+        const match = voices.find(voice => voice.lang && voice.lang.toLowerCase().split(/[-_]/)[0] === prefix);
+        return (match || voices[0])?.id || null;
+    }
+
+    getCacheId(lang) {
+        return `http|${(this.settings.baseUrl || '').trim()}|${this.pickVoice(lang) || ''}`;
+    }
+
+    getVoiceId(lang) {
+        return this.pickVoice(lang);
+    }
+
+    /**
+     * Synthesize a chunk on the configured server
+     * @param {string} text - Text to convert
+     * @param {string} lang - Language code
+     * @param {AbortSignal} [signal] - Cancels the request
+     * @returns {Promise<Blob>} Audio blob
+     */
+    async synthesize(text, lang, signal) {
+        const url = this.resolveUrl('api/tts');
+        url.searchParams.set('text', text);
+
+        const voice = this.pickVoice(lang);
+        if (voice) {
+            url.searchParams.set('voice', voice);
+        }
+
+        return this.fetchAudio(url.toString(), signal);
+    }
+
+    /**
+     * Ask the server for its voices (OpenTTS /api/voices format)
+     * @returns {Promise<{id: string, lang: string}[]>} Server voices
+     * @throws {Error} When the server cannot be reached
+     */
+    async loadVoices() {
+        const response = await fetch(this.resolveUrl('api/voices').toString());
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        // OpenTTS returns an object keyed by voice id; accept plain arrays too
+        const data = await response.json();
+        const entries = Array.isArray(data) ? data : Object.entries(data).map(([id, voice]) => ({ ...voice, id }));
+
+        return entries
+            .map(voice => typeof voice === 'string'
+                ? { id: voice, lang: '' }
+                : { id: voice.id || voice.name, lang: voice.language || voice.lang || voice.locale || '' })
+            .filter(voice => voice.id);
+    }
+
+    /**
+     * Parse the "voice-id = lang" lines used in settings
+     * @param {string} text - One voice per line
+     * @returns {{id: string, lang: string}[]} Voices
+     * @static
+     */
+    static parseVoiceList(text) {
+        return text.split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const [id, lang = ''] = line.split('=').map(part => part.trim());
+                return { id, lang };
+            })
+            .filter(voice => voice.id);
+    }
+
+    /**
+     * Format voices as "voice-id = lang" lines
+     * @param {{id: string, lang: string}[]} voices - Voices
+     * @returns {string} One voice per line
+     * @static
+     */
+    static formatVoiceList(voices) {
+        return voices.map(voice => voice.lang ? `${voice.id} = ${voice.lang}` : voice.id).join('\n');
+    }
+}
+
+/**
+ * Audio container helpers: frame-aware MP3 concatenation, WAV encoding,
+ * decoding through OfflineAudioContext and Opus recording via MediaRecorder
+ * @class AudioCodec
+ */
+class AudioCodec {
+    /**
+     * MPEG audio bitrates in kbps, indexed by [version][layer][bitrate index]
+     * @static
+     * @readonly
+     */
+    static MP3_BITRATES = {
+        1: {
+            1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+            2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+            3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+        },
+        2: {
+            1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+            2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+            3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+        }
+    };
+
+    /**
+     * MPEG sample rates, indexed by [version id][sample rate index]
+     * @static
+     * @readonly
+     */
+    static MP3_SAMPLE_RATES = {
+        0: [11025, 12000, 8000],  // MPEG 2.5
+        2: [22050, 24000, 16000], // MPEG 2
+        3: [44100, 48000, 32000]  // MPEG 1
+    };
+
+    /**
+     * translate_tts stream format (MPEG-2 Layer III, 24 kHz, 32 kbps, mono)
+     * used for silence when there is no MP3 frame to copy the format from
+     * @static
+     * @readonly
+     */
+    static DEFAULT_MP3_HEADER = [0xFF, 0xF3, 0x44, 0xC4];
+
+    /**
+     * Check whether bytes look like MPEG audio
+     * @param {Uint8Array} bytes - File contents
+     * @returns {boolean} Whether the data starts with an ID3 tag or MPEG frame sync
+     * @static
+     */
+    static isMp3(bytes) {
+        if (bytes.length < 4) return false;
+        const hasId3 = bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33;
+        return hasId3 || AudioCodec.parseMp3Header(bytes, 0) !== null;
+    }
+
+    /**
+     * Parse an MPEG audio frame header
+     * @param {Uint8Array} bytes - Data
+     * @param {number} offset - Header offset
+     * @returns {Object|null} Frame info (length, samples, sampleRate, sideInfoSize) or null when invalid
+     * @static
+     */
+    static parseMp3Header(bytes, offset) {
+        if (offset + 4 > bytes.length) return null;
+        if (bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) return null;
+
+        const versionId = (bytes[offset + 1] >> 3) & 0x03;
+        const layerId = (bytes[offset + 1] >> 1) & 0x03;
+        const bitrateIndex = bytes[offset + 2] >> 4;
+        const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+
+        if (versionId === 1 || layerId === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+            return null;
+        }
+
+        const layer = 4 - layerId;
+        const isMpeg1 = versionId === 3;
+        const bitrate = AudioCodec.MP3_BITRATES[isMpeg1 ? 1 : 2][layer][bitrateIndex] * 1000;
+        const sampleRate = AudioCodec.MP3_SAMPLE_RATES[versionId][sampleRateIndex];
+        const padding = (bytes[offset + 2] >> 1) & 0x01;
+        const isMono = (bytes[offset + 3] >> 6) === 3;
+        const hasCrc = (bytes[offset + 1] & 0x01) === 0;
+
+        let samples;
+        let length;
+        if (layer === 1) {
+            samples = 384;
+            length = (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+        } else {
+            samples = layer === 3 && !isMpeg1 ? 576 : 1152;
+            length = Math.floor(samples / 8 * bitrate / sampleRate) + padding;
+        }
+
+        const sideInfoSize = layer !== 3 ? 0 : isMpeg1 ? (isMono ? 17 : 32) : (isMono ? 9 : 17);
+
+        return { length, samples, sampleRate, sideInfoSize: sideInfoSize + (hasCrc ? 2 : 0) };
+    }
+
+    /**
+     * Extract the audio frames of an MP3 file, dropping ID3 tags and
+     * Xing/Info/VBRI header frames that would describe only one chunk
+     * @param {Uint8Array} bytes - MP3 file
+     * @returns {Uint8Array[]} Audio frames
+     * @static
+     */
+    static parseMp3Frames(bytes) {
+        const frames = [];
+        let offset = 0;
+
+        // Skip ID3v2 tags (there may be several)
+        while (offset + 10 <= bytes.length && bytes[offset] === 0x49 && bytes[offset + 1] === 0x44 && bytes[offset + 2] === 0x33) {
+            const size = (bytes[offset + 6] << 21) | (bytes[offset + 7] << 14) | (bytes[offset + 8] << 7) | bytes[offset + 9];
+            const hasFooter = (bytes[offset + 5] & 0x10) !== 0;
+            offset += 10 + size + (hasFooter ? 10 : 0);
+        }
+
+        while (offset + 4 <= bytes.length) {
+            // Stop at a trailing ID3v1 tag
+            if (bytes[offset] === 0x54 && bytes[offset + 1] === 0x41 && bytes[offset + 2] === 0x47 && bytes.length - offset <= 128) {
+                break;
+            }
+
+            const header = AudioCodec.parseMp3Header(bytes, offset);
+            if (!header || offset + header.length > bytes.length) {
+                // Resynchronize on the next frame sync
+                offset++;
+                continue;
+            }
+
+            const frame = bytes.subarray(offset, offset + header.length);
+            if (!AudioCodec.isVbrHeaderFrame(frame, header)) {
+                frames.push(frame);
+            }
+            offset += header.length;
+        }
+
+        return frames;
+    }
+
+    /**
+     * Check whether a frame carries a Xing, Info or VBRI header instead of audio
+     * @param {Uint8Array} frame - Frame bytes
+     * @param {Object} header - Parsed frame header
+     * @returns {boolean} Whether the frame is a VBR header frame
+     * @static
+     */
+    static isVbrHeaderFrame(frame, header) {
+        const tagAt = (position) => String.fromCharCode(...frame.subarray(position, position + 4));
+        const xingOffset = 4 + header.sideInfoSize;
+        return ['Xing', 'Info'].includes(tagAt(xingOffset)) || tagAt(36) === 'VBRI';
+    }
+
+    /**
+     * Create silent MP3 frames in the format of a template frame
+     * (zeroed side info decodes as silence)
+     * @param {number} ms - Duration in milliseconds
+     * @param {Uint8Array|number[]} template - Header bytes of a frame to copy the format from
+     * @returns {Uint8Array} Silent frames
+     * @static
+     */
+    static createSilentMp3(ms, template = AudioCodec.DEFAULT_MP3_HEADER) {
+        // Use the template's format without CRC and padding so every frame has the same length
+        const header = Uint8Array.from([template[0], template[1] | 0x01, template[2] & ~0x02, template[3]]);
+        const info = AudioCodec.parseMp3Header(header, 0);
+        const frameCount = Math.max(0, Math.round(ms / 1000 * info.sampleRate / info.samples));
+        const data = new Uint8Array(info.length * frameCount);
+
+        for (let i = 0; i < frameCount; i++) {
+            data.set(header, i * info.length);
+        }
+
+        return data;
+    }
+
+    /**
+     * Encode mono samples as a 16-bit PCM WAV file
+     * @param {Float32Array} samples - Samples in the range [-1, 1]
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Blob} WAV file
+     * @static
+     */
+    static encodeWav(samples, sampleRate) {
+        const buffer = new ArrayBuffer(44 + samples.length * 2);
+        const view = new DataView(buffer);
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + samples.length * 2, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);          // fmt chunk size
+        view.setUint16(20, 1, true);           // PCM
+        view.setUint16(22, 1, true);           // mono
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * 2, true);
+        view.setUint16(32, 2, true);           // block align
+        view.setUint16(34, 16, true);          // bits per sample
+        writeString(36, 'data');
+        view.setUint32(40, samples.length * 2, true);
+
+        for (let i = 0; i < samples.length; i++) {
+            const sample = Math.max(-1, Math.min(1, samples[i]));
+            view.setInt16(44 + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+        }
+
+        return new Blob([buffer], { type: 'audio/wav' });
+    }
+
+    /**
+     * Decode an audio blob to mono samples at a given sample rate
+     * @param {Blob} blob - Encoded audio
+     * @param {number} sampleRate - Target sample rate
+     * @returns {Promise<Float32Array>} Mono samples
+     * @static
+     */
+    static async decode(blob, sampleRate) {
+        // decodeAudioData resamples to the context's rate, so every chunk matches
+        const context = new OfflineAudioContext(1, 1, sampleRate);
+        const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+
+        if (buffer.numberOfChannels === 1) {
+            return buffer.getChannelData(0);
+        }
+
+        const mono = new Float32Array(buffer.length);
+        for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                mono[i] += data[i] / buffer.numberOfChannels;
+            }
+        }
+        return mono;
+    }
+
+    /**
+     * Get the MediaRecorder MIME type used for OGG/Opus export
+     * @returns {string|null} Supported MIME type, or null when unavailable
+     * @static
+     */
+    static getOpusMimeType() {
+        if (typeof MediaRecorder === 'undefined' || typeof MediaRecorder.isTypeSupported !== 'function') {
+            return null;
+        }
+        return MediaRecorder.isTypeSupported('audio/ogg;codecs=opus') ? 'audio/ogg;codecs=opus' : null;
+    }
+
+    /**
+     * Encode mono samples with MediaRecorder. Recording runs in real time.
+     * @param {Float32Array} samples - Samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {string} mimeType - MediaRecorder MIME type
+     * @returns {Promise<Blob>} Encoded audio
+     * @static
+     */
+    static async record(samples, sampleRate, mimeType) {
+        const context = new AudioContext();
+
+        try {
+            // Contexts created outside a user gesture start suspended, and a suspended source never ends
+            if (context.state === 'suspended') await context.resume();
+
+            const buffer = context.createBuffer(1, samples.length, sampleRate);
+            buffer.copyToChannel(samples, 0);
+
+            const source = context.createBufferSource();
+            const destination = context.createMediaStreamDestination();
+            source.buffer = buffer;
+            source.connect(destination);
+
+            const recorder = new MediaRecorder(destination.stream, { mimeType });
+            const chunks = [];
+
+            return await new Promise((resolve, reject) => {
+                recorder.ondataavailable = (event) => {
+                    if (event.data.size > 0) chunks.push(event.data);
+                };
+                recorder.onstop = () => resolve(new Blob(chunks, { type: mimeType.split(';')[0] }));
+                recorder.onerror = (event) => reject(event.error || new Error('Recording failed'));
+                source.onended = () => recorder.stop();
+
+                recorder.start();
+                source.start();
+            });
+        } finally {
+            context.close();
+        }
+    }
+}
+
+/**
+ * Web Audio player for previewing exported audio before it is saved:
+ * plays a decoded buffer through an AnalyserNode, seeks and loops a region.
+ * Long files stream through an audio element instead of being decoded whole.
+ * @class PreviewPlayer
+ */
+class PreviewPlayer {
+    /**
+     * AnalyserNode FFT size (half as many frequency bins)
+     * @static
+     * @readonly
+     */
+    static FFT_SIZE = 256;
+
+    /**
+     * Largest encoded file decoded into memory (decoded audio is tens of times bigger)
+     * @static
+     * @readonly
+     */
+    static DECODE_LIMIT = 4 * 1024 * 1024;
+
+    constructor() {
+        this.context = null;
+        this.analyser = null;
+        this.buffer = null;
+        this.source = null;
+        this.media = null;
+        this.mediaSource = null;
+        this.mediaUrl = null;
+        this.offset = 0;
+        this.startedAt = 0;
+        this.region = null;
+        this.looping = false;
+        this.onended = null;
+    }
+
+    /**
+     * Load audio for playback, replacing the current audio. Files above
+     * DECODE_LIMIT are streamed and have no decoded buffer.
+     * @param {Blob} blob - Encoded audio
+     * @returns {Promise<AudioBuffer|null>} Decoded audio, or null when streamed
+     */
+    async load(blob) {
+        this.unload();
+
+        if (!this.context) {
+            this.context = new AudioContext();
+            this.analyser = this.context.createAnalyser();
+            this.analyser.fftSize = PreviewPlayer.FFT_SIZE;
+            this.analyser.connect(this.context.destination);
+        }
+
+        if (blob.size > PreviewPlayer.DECODE_LIMIT) {
+            await this.loadMedia(blob);
+            return null;
+        }
+
+        this.buffer = await this.context.decodeAudioData(await blob.arrayBuffer());
+        return this.buffer;
+    }
+
+    /**
+     * Play audio through an audio element over an object URL, routed
+     * through the analyser so the spectrum still works
+     * @param {Blob} blob - Encoded audio
+     * @returns {Promise<void>} Resolves once the duration is known
+     * @throws {Error} When the browser cannot play the audio
+     * @private
+     */
+    async loadMedia(blob) {
+        const media = new Audio();
+        this.media = media;
+        this.mediaUrl = URL.createObjectURL(blob);
+        media.src = this.mediaUrl;
+
+        try {
+            await new Promise((resolve, reject) => {
+                media.onloadedmetadata = resolve;
+                media.onerror = () => reject(media.error || new Error('Audio could not be loaded'));
+            });
+        } catch (error) {
+            // Errors from audio replaced in the meantime don't matter
+            if (this.media === media) throw error;
+        }
+        if (this.media !== media) return;
+
+        media.ontimeupdate = () => {
+            const loop = this.getLoopBounds();
+            if (loop && media.currentTime >= loop.end) media.currentTime = loop.start;
+        };
+        media.onended = () => {
+            const loop = this.getLoopBounds();
+            if (loop) {
+                media.currentTime = loop.start;
+                this.play();
+                return;
+            }
+            this.onended?.();
+        };
+
+        this.mediaSource = this.context.createMediaElementSource(media);
+        this.mediaSource.connect(this.analyser);
+    }
+
+    /**
+     * Whether audio is loaded, decoded or streamed
+     * @returns {boolean} Loaded state
+     */
+    get loaded() {
+        return this.buffer !== null || this.media !== null;
+    }
+
+    /**
+     * Length of the loaded audio
+     * @returns {number} Seconds
+     */
+    get duration() {
+        if (this.media) return Number.isFinite(this.media.duration) ? this.media.duration : 0;
+        return this.buffer ? this.buffer.duration : 0;
+    }
+
+    /**
+     * Whether audio is playing
+     * @returns {boolean} Playing state
+     */
+    get playing() {
+        if (this.media) return !this.media.paused;
+        return this.source !== null;
+    }
+
+    /**
+     * Playback position, following the loop region while looping
+     * @returns {number} Seconds
+     */
+    get currentTime() {
+        if (this.media) return this.media.currentTime;
+        if (!this.playing) return this.offset;
+
+        const position = this.offset + this.context.currentTime - this.startedAt;
+        const loop = this.getLoopBounds();
+        if (loop && position >= loop.end) {
+            return loop.start + (position - loop.start) % (loop.end - loop.start);
+        }
+        return Math.min(position, this.duration);
+    }
+
+    /**
+     * Part of the audio that repeats while looping
+     * @returns {{start: number, end: number}|null} Selected region, the whole audio, or null when not looping
+     * @private
+     */
+    getLoopBounds() {
+        if (!this.looping || !this.loaded) return null;
+        return this.region || { start: 0, end: this.duration };
+    }
+
+    /**
+     * Start or continue playback from the current position
+     */
+    play() {
+        if (!this.loaded || this.playing) return;
+
+        // Browsers suspend contexts created before a user gesture
+        if (this.context.state === 'suspended') this.context.resume();
+
+        const loop = this.getLoopBounds();
+        if (this.media) {
+            if (loop && (this.media.currentTime < loop.start || this.media.currentTime >= loop.end)) {
+                this.media.currentTime = loop.start;
+            }
+            this.media.play().catch(error => console.warn('Preview playback failed:', error));
+            return;
+        }
+
+        if (loop && (this.offset < loop.start || this.offset >= loop.end)) {
+            this.offset = loop.start;
+        } else if (this.offset >= this.duration) {
+            this.offset = 0;
+        }
+
+        const source = this.context.createBufferSource();
+        source.buffer = this.buffer;
+        source.connect(this.analyser);
+        if (loop) {
+            source.loop = true;
+            source.loopStart = loop.start;
+            source.loopEnd = loop.end;
+        }
+        source.onended = () => {
+            // Ignore sources replaced by pause, seek or a loop change
+            if (this.source !== source) return;
+            this.source = null;
+            this.offset = 0;
+            this.onended?.();
+        };
+
+        source.start(0, this.offset);
+        this.source = source;
+        this.startedAt = this.context.currentTime;
+    }
+
+    /**
+     * Pause playback, keeping the position
+     */
+    pause() {
+        if (!this.playing) return;
+        if (this.media) {
+            this.media.pause();
+            return;
+        }
+        this.offset = this.currentTime;
+        this.stop();
+    }
+
+    /**
+     * Stop the playing source without firing onended
+     * @private
+     */
+    stop() {
+        const source = this.source;
+        this.source = null;
+        if (source) {
+            try {
+                source.stop();
+            } catch (error) {
+                // Already stopped
+            }
+            source.disconnect();
+        }
+    }
+
+    /**
+     * Stop playback and drop the loaded audio
+     */
+    unload() {
+        this.stop();
+        this.buffer = null;
+        this.region = null;
+        this.offset = 0;
+
+        if (this.media) {
+            const media = this.media;
+            this.media = null;
+            media.pause();
+            media.removeAttribute('src');
+            media.load();
+            this.mediaSource?.disconnect();
+            this.mediaSource = null;
+            URL.revokeObjectURL(this.mediaUrl);
+            this.mediaUrl = null;
+        }
+    }
+
+    /**
+     * Move the playback position
+     * @param {number} time - Position in seconds
+     */
+    seek(time) {
+        if (this.media) {
+            this.media.currentTime = Math.max(0, Math.min(time, this.duration));
+            return;
+        }
+
+        const wasPlaying = this.playing;
+        this.stop();
+        this.offset = Math.max(0, Math.min(time, this.duration));
+        if (wasPlaying) this.play();
+    }
+
+    /**
+     * Select the region to loop, or clear it to loop the whole audio
+     * @param {{start: number, end: number}|null} region - Region in seconds
+     */
+    setRegion(region) {
+        this.region = region && region.end > region.start
+            ? { start: Math.max(0, region.start), end: Math.min(region.end, this.duration) }
+            : null;
+        this.restart();
+    }
+
+    /**
+     * Turn looping on or off
+     * @param {boolean} looping - Whether to repeat the region (or the whole audio)
+     */
+    setLooping(looping) {
+        this.looping = looping;
+        this.restart();
+    }
+
+    /**
+     * Restart a playing source so loop changes take effect
+     * @private
+     */
+    restart() {
+        // Streamed audio checks the loop as it plays
+        if (this.playing && !this.media) this.seek(this.currentTime);
+    }
+
+    /**
+     * Read the current frequency spectrum
+     * @param {Uint8Array} data - Array of analyser.frequencyBinCount bytes to fill
+     * @returns {Uint8Array} Levels from 0 to 255
+     */
+    getFrequencyData(data) {
+        if (this.analyser) this.analyser.getByteFrequencyData(data);
+        return data;
+    }
+
+    /**
+     * Release the audio context
+     */
+    close() {
+        this.unload();
+        if (this.context) {
+            this.context.close();
+            this.context = null;
+            this.analyser = null;
+        }
+    }
+
+    /**
+     * Reduce audio to per-column minimum and maximum levels for a waveform overview
+     * @param {AudioBuffer} buffer - Decoded audio
+     * @param {number} columns - Number of columns
+     * @returns {{min: number, max: number}[]} Levels in the range [-1, 1]
+     * @static
+     */
+    static computePeaks(buffer, columns) {
+        const channels = Array.from({ length: buffer.numberOfChannels }, (_, channel) => buffer.getChannelData(channel));
+        const step = buffer.length / columns;
+        const peaks = [];
+
+        for (let column = 0; column < columns; column++) {
+            const from = Math.floor(column * step);
+            const to = Math.max(from + 1, Math.floor((column + 1) * step));
+            let min = 0;
+            let max = 0;
+            for (const data of channels) {
+                for (let i = from; i < to && i < data.length; i++) {
+                    if (data[i] < min) min = data[i];
+                    if (data[i] > max) max = data[i];
+                }
+            }
+            peaks.push({ min, max });
+        }
+
+        return peaks;
+    }
+}
+
+/**
+ * ID3v2.4 tag writer for exported audio: text frames, cover art and
+ * CHAP/CTOC chapter frames (ID3v2 Chapter Frame Addendum)
+ * @class Id3Writer
+ */
+class Id3Writer {
+    /**
+     * Most chapters one table of contents frame can list
+     * @static
+     * @readonly
+     */
+    static MAX_CHAPTERS = 255;
+
+    /**
+     * Encode a 28-bit number as four 7-bit bytes
+     * @param {number} value - Number
+     * @returns {number[]} Synchsafe bytes
+     * @static
+     */
+    static synchsafe(value) {
+        return [(value >> 21) & 0x7F, (value >> 14) & 0x7F, (value >> 7) & 0x7F, value & 0x7F];
+    }
+
+    /**
+     * Encode a 32-bit big-endian number
+     * @param {number} value - Number
+     * @returns {number[]} Bytes
+     * @static
+     */
+    static uint32(value) {
+        return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+    }
+
+    /**
+     * Join byte arrays
+     * @param {(Uint8Array|number[])[]} parts - Byte arrays
+     * @returns {Uint8Array} Joined bytes
+     * @static
+     */
+    static concat(parts) {
+        const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            bytes.set(part, offset);
+            offset += part.length;
+        }
+        return bytes;
+    }
+
+    /**
+     * Build a frame
+     * @param {string} id - Four-character frame id
+     * @param {Uint8Array} data - Frame contents
+     * @returns {Uint8Array} Frame with header
+     * @static
+     */
+    static frame(id, data) {
+        return Id3Writer.concat([
+            Array.from(id, char => char.charCodeAt(0)),
+            Id3Writer.synchsafe(data.length),
+            [0, 0],
+            data
+        ]);
+    }
+
+    /**
+     * Build a UTF-8 text frame
+     * @param {string} id - Frame id, e.g. TIT2
+     * @param {string} text - Text
+     * @returns {Uint8Array} Frame
+     * @static
+     */
+    static textFrame(id, text) {
+        return Id3Writer.frame(id, Id3Writer.concat([[0x03], new TextEncoder().encode(text)]));
+    }
+
+    /**
+     * Build a front cover picture frame
+     * @param {{mime: string, bytes: Uint8Array}} cover - Image
+     * @returns {Uint8Array} APIC frame
+     * @static
+     */
+    static pictureFrame(cover) {
+        return Id3Writer.frame('APIC', Id3Writer.concat([
+            [0x03],
+            Array.from(cover.mime, char => char.charCodeAt(0) & 0x7F),
+            [0x00],
+            [0x03],    // front cover
+            [0x00],    // empty description
+            cover.bytes
+        ]));
+    }
+
+    /**
+     * Build chapter frames and the top-level table of contents listing them
+     * @param {{title: string, start: number, end: number}[]} chapters - Chapters with times in ms
+     * @returns {Uint8Array[]} CTOC frame followed by one CHAP frame per chapter
+     * @static
+     */
+    static chapterFrames(chapters) {
+        const listed = chapters.slice(0, Id3Writer.MAX_CHAPTERS);
+        const ids = listed.map((_, index) => new TextEncoder().encode(`chp${index}`));
+        const unknownOffset = [0xFF, 0xFF, 0xFF, 0xFF];
+
+        const chapterFrames = listed.map((chapter, index) => Id3Writer.frame('CHAP', Id3Writer.concat([
+            ids[index], [0x00],
+            Id3Writer.uint32(Math.round(chapter.start)),
+            Id3Writer.uint32(Math.round(chapter.end)),
+            unknownOffset,
+            unknownOffset,
+            Id3Writer.textFrame('TIT2', chapter.title)
+        ])));
+
+        const toc = Id3Writer.frame('CTOC', Id3Writer.concat([
+            new TextEncoder().encode('toc'), [0x00],
+            [0x03],    // top-level, ordered
+            [listed.length],
+            ...ids.flatMap(id => [id, [0x00]])
+        ]));
+
+        return [toc, ...chapterFrames];
+    }
+
+    /**
+     * Build an ID3v2.4 tag
+     * @param {Object} metadata - Tag contents
+     * @param {string} [metadata.title] - Title (TIT2)
+     * @param {string} [metadata.artist] - Artist or author (TPE1)
+     * @param {string} [metadata.album] - Album (TALB)
+     * @param {string} [metadata.track] - Track number, e.g. "3/12" (TRCK)
+     * @param {{mime: string, bytes: Uint8Array}} [metadata.cover] - Front cover (APIC)
+     * @param {{title: string, start: number, end: number}[]} [metadata.chapters] - Chapters (CTOC/CHAP)
+     * @returns {Uint8Array} Tag
+     * @static
+     */
+    static build({ title, artist, album, track, cover, chapters = [] }) {
+        const frames = [];
+        if (title) frames.push(Id3Writer.textFrame('TIT2', title));
+        if (artist) frames.push(Id3Writer.textFrame('TPE1', artist));
+        if (album) frames.push(Id3Writer.textFrame('TALB', album));
+        if (track) frames.push(Id3Writer.textFrame('TRCK', track));
+        frames.push(Id3Writer.textFrame('TDRC', new Date().toISOString().slice(0, 10)));
+        frames.push(Id3Writer.textFrame('TSSE', 'VoxFree'));
+        if (cover) frames.push(Id3Writer.pictureFrame(cover));
+        if (chapters.length > 0) frames.push(...Id3Writer.chapterFrames(chapters));
+
+        const body = Id3Writer.concat(frames);
+        return Id3Writer.concat([[0x49, 0x44, 0x33, 0x04, 0x00, 0x00], Id3Writer.synchsafe(body.length), body]);
+    }
+
+    /**
+     * Add a tag to a WAV file as an "id3 " RIFF chunk
+     * @param {Uint8Array} wav - WAV file
+     * @param {Uint8Array} tag - ID3 tag
+     * @returns {Uint8Array} Tagged WAV file
+     * @static
+     */
+    static addToWav(wav, tag) {
+        const padding = tag.length % 2;
+        const chunk = Id3Writer.concat([new TextEncoder().encode('id3 '), [0, 0, 0, 0], tag, new Array(padding).fill(0)]);
+        new DataView(chunk.buffer).setUint32(4, tag.length, true);
+
+        const tagged = Id3Writer.concat([wav, chunk]);
+        new DataView(tagged.buffer).setUint32(4, tagged.length - 8, true);
+        return tagged;
+    }
+}
+
+/**
+ * Post-processing of decoded export audio: loudness normalization with
+ * ITU-R BS.1770 K-weighting rendered through OfflineAudioContext, silence
+ * trimming, and pitch-preserving time-stretch (WSOLA)
+ * @class AudioProcessor
+ */
+class AudioProcessor {
+    /**
+     * Level below which a 10 ms window counts as silence, in dBFS
+     * @static
+     * @readonly
+     */
+    static SILENCE_THRESHOLD_DB = -45;
+
+    /**
+     * Fade at trimmed edges so cuts don't click, in ms
+     * @static
+     * @readonly
+     */
+    static FADE_MS = 5;
+
+    /**
+     * Highest sample peak after normalization, in dBFS
+     * @static
+     * @readonly
+     */
+    static PEAK_CEILING_DB = -1;
+
+    /**
+     * Largest gain normalization applies, in dB, so near-silent chunks are not blown up
+     * @static
+     * @readonly
+     */
+    static MAX_GAIN_DB = 20;
+
+    /**
+     * Apply the BS.1770 K-weighting filter (head-related high shelf, then high-pass)
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Promise<Float32Array>} Filtered samples
+     * @static
+     */
+    static async kWeight(samples, sampleRate) {
+        const context = new OfflineAudioContext(1, samples.length, sampleRate);
+        const buffer = context.createBuffer(1, samples.length, sampleRate);
+        buffer.copyToChannel(samples, 0);
+
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+
+        const shelf = context.createBiquadFilter();
+        shelf.type = 'highshelf';
+        shelf.frequency.value = 1681;
+        shelf.gain.value = 4;
+
+        const highpass = context.createBiquadFilter();
+        highpass.type = 'highpass';
+        highpass.frequency.value = 38;
+        highpass.Q.value = 0.5;
+
+        source.connect(shelf);
+        shelf.connect(highpass);
+        highpass.connect(context.destination);
+        source.start();
+
+        return (await context.startRendering()).getChannelData(0);
+    }
+
+    /**
+     * Measure gated integrated loudness of part of a K-weighted signal.
+     * Uses 400 ms blocks with 75% overlap, an absolute gate at -70 LUFS and
+     * a relative gate 10 LU below the ungated level.
+     * @param {Float32Array} weighted - K-weighted samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} start - First sample
+     * @param {number} end - Sample after the last
+     * @returns {number|null} Loudness in LUFS, or null for silence
+     * @static
+     */
+    static measureLoudness(weighted, sampleRate, start, end) {
+        if (end <= start) return null;
+
+        const step = Math.round(sampleRate * 0.1);
+        const toLufs = (power) => -0.691 + 10 * Math.log10(power);
+
+        // Sum squares per 100 ms step; a block is four consecutive steps
+        const steps = [];
+        for (let from = start; from < end; from += step) {
+            let sum = 0;
+            for (let i = from; i < Math.min(from + step, end); i++) sum += weighted[i] * weighted[i];
+            steps.push({ sum, length: Math.min(step, end - from) });
+        }
+
+        const powers = [];
+        for (let i = 0; i < Math.max(1, steps.length - 3); i++) {
+            const block = steps.slice(i, i + 4);
+            const length = block.reduce((total, item) => total + item.length, 0);
+            powers.push(block.reduce((total, item) => total + item.sum, 0) / length);
+        }
+
+        const average = (values) => values.reduce((total, value) => total + value, 0) / values.length;
+        const audible = powers.filter(power => power > 0 && toLufs(power) > -70);
+        if (audible.length === 0) return null;
+
+        const relativeGate = toLufs(average(audible)) - 10;
+        const gated = audible.filter(power => toLufs(power) > relativeGate);
+        return toLufs(average(gated));
+    }
+
+    /**
+     * Bring each range of a signal to a target loudness, in place. Gain is
+     * limited so no sample peaks above the ceiling.
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {{start: number, end: number}[]} ranges - Sample ranges to normalize independently
+     * @param {number} targetLufs - Target loudness in LUFS
+     * @returns {Promise<void>}
+     * @static
+     */
+    static async normalize(samples, sampleRate, ranges, targetLufs) {
+        if (samples.length === 0) return;
+
+        const weighted = await AudioProcessor.kWeight(samples, sampleRate);
+        const ceiling = 10 ** (AudioProcessor.PEAK_CEILING_DB / 20);
+        const maxGain = 10 ** (AudioProcessor.MAX_GAIN_DB / 20);
+
+        for (const { start, end } of ranges) {
+            const loudness = AudioProcessor.measureLoudness(weighted, sampleRate, start, end);
+            if (loudness === null) continue;
+
+            let peak = 0;
+            for (let i = start; i < end; i++) peak = Math.max(peak, Math.abs(samples[i]));
+
+            const gain = Math.min(10 ** ((targetLufs - loudness) / 20), maxGain, peak > 0 ? ceiling / peak : maxGain);
+            for (let i = start; i < end; i++) samples[i] *= gain;
+        }
+    }
+
+    /**
+     * Replace leading and trailing silence with exactly the given amount
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} edgeMs - Silence to keep before and after the sound
+     * @returns {Float32Array} Trimmed samples (just the edges when there is no sound)
+     * @static
+     */
+    static trimSilence(samples, sampleRate, edgeMs) {
+        const window = Math.max(1, Math.round(sampleRate / 100));
+        const threshold = (10 ** (AudioProcessor.SILENCE_THRESHOLD_DB / 20)) ** 2;
+        const edge = Math.round(sampleRate * edgeMs / 1000);
+
+        let first = -1;
+        let last = -1;
+        for (let from = 0; from < samples.length; from += window) {
+            const to = Math.min(from + window, samples.length);
+            let sum = 0;
+            for (let i = from; i < to; i++) sum += samples[i] * samples[i];
+            if (sum / (to - from) > threshold) {
+                if (first === -1) first = from;
+                last = to;
+            }
+        }
+
+        if (first === -1) return new Float32Array(edge * 2);
+
+        const output = new Float32Array(edge + (last - first) + edge);
+        output.set(samples.subarray(first, last), edge);
+
+        const fade = Math.min(Math.round(sampleRate * AudioProcessor.FADE_MS / 1000), Math.floor((last - first) / 2));
+        for (let i = 0; i < fade; i++) {
+            output[edge + i] *= i / fade;
+            output[edge + (last - first) - 1 - i] *= i / fade;
+        }
+        return output;
+    }
+
+    /**
+     * Change speed without changing pitch by overlap-adding 40 ms frames,
+     * each shifted by up to 10 ms to line up with the previous one (WSOLA)
+     * @param {Float32Array} samples - Mono samples
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} rate - Speed factor (2 = twice as fast)
+     * @returns {Float32Array} Stretched samples
+     * @static
+     */
+    static timeStretch(samples, sampleRate, rate) {
+        if (!(rate > 0) || Math.abs(rate - 1) < 0.01 || samples.length === 0) return samples;
+
+        const frame = Math.round(sampleRate * 0.04);
+        const hop = Math.floor(frame / 2);
+        const tolerance = Math.round(sampleRate * 0.01);
+        const window = Float32Array.from({ length: frame }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / frame));
+
+        const length = Math.round(samples.length / rate);
+        const output = new Float32Array(length + frame);
+        const weights = new Float32Array(length + frame);
+        const at = (index) => (index >= 0 && index < samples.length ? samples[index] : 0);
+        let previous = 0;
+
+        for (let k = 0; k * hop < length; k++) {
+            const nominal = Math.round(k * hop * rate);
+            let best = nominal;
+
+            if (k > 0) {
+                // Pick the shift that best continues the previous frame's waveform
+                const natural = previous + hop;
+                let bestScore = -Infinity;
+                for (let shift = -tolerance; shift <= tolerance; shift += 2) {
+                    let score = 0;
+                    for (let i = 0; i < hop; i += 4) score += at(natural + i) * at(nominal + shift + i);
+                    if (score > bestScore) {
+                        bestScore = score;
+                        best = nominal + shift;
+                    }
+                }
+            }
+
+            const position = k * hop;
+            for (let i = 0; i < frame; i++) {
+                output[position + i] += at(best + i) * window[i];
+                weights[position + i] += window[i];
+            }
+            previous = best;
+        }
+
+        for (let i = 0; i < length; i++) {
+            if (weights[i] > 1e-3) output[i] /= weights[i];
+        }
+        return output.subarray(0, length);
+    }
+}
+
+/**
+ * SubRip and WebVTT caption writers
+ * @class SubtitleWriter
+ */
+class SubtitleWriter {
+    /**
+     * Format milliseconds as a caption timestamp (HH:MM:SS,mmm)
+     * @param {number} ms - Time in milliseconds
+     * @param {string} separator - Separator before milliseconds ("," for SRT, "." for WebVTT)
+     * @returns {string} Timestamp
+     * @static
+     */
+    static formatTime(ms, separator) {
+        const total = Math.max(0, Math.round(ms));
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const hours = Math.floor(total / 3600000);
+        const minutes = Math.floor(total / 60000) % 60;
+        const seconds = Math.floor(total / 1000) % 60;
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+    }
+
+    /**
+     * Wrap cue text at word boundaries
+     * @param {string} text - Cue text
+     * @param {number} maxWidth - Maximum characters per line, or 0 for no wrapping
+     * @returns {string} Wrapped text
+     * @static
+     */
+    static wrap(text, maxWidth) {
+        const words = text.replace(/\s+/g, ' ').trim().split(' ');
+        if (!maxWidth) return words.join(' ');
+
+        const lines = [];
+        let line = '';
+        for (const word of words) {
+            if (line && line.length + 1 + word.length > maxWidth) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        }
+        if (line) lines.push(line);
+        return lines.join('\n');
+    }
+
+    /**
+     * Write cues as SubRip
+     * @param {{start: number, end: number, text: string}[]} cues - Cues in milliseconds
+     * @param {number} maxWidth - Maximum characters per line, or 0 for no wrapping
+     * @returns {string} SRT file contents
+     * @static
+     */
+    static toSrt(cues, maxWidth) {
+        return cues.map((cue, index) => [
+            index + 1,
+            `${SubtitleWriter.formatTime(cue.start, ',')} --> ${SubtitleWriter.formatTime(cue.end, ',')}`,
+            SubtitleWriter.wrap(cue.text, maxWidth)
+        ].join('\n')).join('\n\n') + '\n';
+    }
+
+    /**
+     * Write cues as WebVTT
+     * @param {{start: number, end: number, text: string}[]} cues - Cues in milliseconds
+     * @param {number} maxWidth - Maximum characters per line, or 0 for no wrapping
+     * @returns {string} VTT file contents
+     * @static
+     */
+    static toVtt(cues, maxWidth) {
+        const body = cues.map(cue => [
+            `${SubtitleWriter.formatTime(cue.start, '.')} --> ${SubtitleWriter.formatTime(cue.end, '.')}`,
+            // "-->" would end the cue timing line early
+            SubtitleWriter.wrap(cue.text.replace(/-->/g, '->'), maxWidth)
+        ].join('\n'));
+        return ['WEBVTT', ...body].join('\n\n') + '\n';
+    }
+}
+
+/**
+ * Text on its way to a voice, remembering for every character which offset
+ * of the original text it came from so boundary events still map back
+ * @class SpokenText
+ */
+class SpokenText {
+    /**
+     * @param {string} text - Text
+     * @param {number[]} [offsets] - Original offset of each character plus the end; identity by default
+     */
+    constructor(text, offsets = null) {
+        this.text = text;
+        this.offsets = offsets || Array.from({ length: text.length + 1 }, (_, i) => i);
+    }
+
+    /**
+     * Replace every match of a pattern, keeping offsets
+     * @param {RegExp} pattern - Global pattern
+     * @param {function(RegExpMatchArray): (string|null)} replacer - Replacement, or null to keep the match
+     * @returns {SpokenText} Rewritten text (this instance when nothing changed)
+     */
+    replace(pattern, replacer) {
+        let text = '';
+        const offsets = [];
+        let last = 0;
+        let changed = false;
+
+        for (const match of this.text.matchAll(pattern)) {
+            const replacement = replacer(match);
+            if (replacement === null || replacement === match[0]) continue;
+
+            for (let i = last; i < match.index; i++) offsets.push(this.offsets[i]);
+            text += this.text.slice(last, match.index) + replacement;
+
+            // Replaced characters all point at the start of what they replaced
+            for (let i = 0; i < replacement.length; i++) offsets.push(this.offsets[match.index]);
+            last = match.index + match[0].length;
+            changed = true;
+        }
+
+        if (!changed) return this;
+
+        for (let i = last; i <= this.text.length; i++) offsets.push(this.offsets[i]);
+        return new SpokenText(text + this.text.slice(last), offsets);
+    }
+}
+
+/**
+ * Spoken-form rules for one language. Subclasses supply the words; the
+ * patterns shared by every language live here.
+ * @class NormalizationRules
+ * @abstract
+ */
+class NormalizationRules {
+    /**
+     * @param {string} region - Region subtag of the language (e.g. "US"), may be empty
+     */
+    constructor(region = '') {
+        this.region = region.toUpperCase();
+    }
+
+    /**
+     * Separators used when writing numbers
+     * @returns {{group: string, decimal: string}}
+     */
+    get separators() {
+        return { group: ',', decimal: '.' };
+    }
+
+    /**
+     * Words for symbols in URLs and email addresses
+     * @returns {Object<string, string>}
+     * @abstract
+     */
+    get symbols() {
+        return {};
+    }
+
+    /**
+     * Abbreviations as [written form, expansion]
+     * @returns {string[][]}
+     * @abstract
+     */
+    get abbreviations() {
+        return [];
+    }
+
+    /**
+     * Units keyed by symbol, as [singular, plural, feminine]
+     * @returns {Object<string, Array>}
+     * @abstract
+     */
+    get units() {
+        return {};
+    }
+
+    /**
+     * Currencies keyed by symbol or ISO code
+     * @returns {Object<string, {one: string, many: string, centOne: string, centMany: string, feminine?: boolean}>}
+     * @abstract
+     */
+    get currencies() {
+        return {};
+    }
+
+    /**
+     * Scale words and suffixes that may follow an amount of money
+     * ("$2.5 million", "£3bn"), as [singular, plural] spoken forms
+     * @returns {Object<string, string[]>}
+     * @abstract
+     */
+    get scales() {
+        return {};
+    }
+
+    /**
+     * Read an amount of money given with a scale word
+     * @param {string} amount - Spoken number
+     * @param {string} scale - Spoken scale word
+     * @param {{many: string}} currency - Currency words
+     * @returns {string} Words
+     */
+    scaledCurrency(amount, scale, currency) {
+        return `${amount} ${scale} ${currency.many}`;
+    }
+
+    /**
+     * Read a whole number
+     * @param {number} n - Non-negative integer
+     * @param {{feminine?: boolean, beforeNoun?: boolean}} [options] - Agreement for languages that need it
+     * @returns {string} Words
+     * @abstract
+     */
+    cardinal(n, options = {}) {
+        return String(n);
+    }
+
+    /**
+     * Read an ordinal number
+     * @param {number} n - Positive integer
+     * @param {boolean} [feminine] - Feminine form where the language has one
+     * @returns {string} Words
+     * @abstract
+     */
+    ordinal(n, feminine = false) {
+        return String(n);
+    }
+
+    /**
+     * Read a date
+     * @param {number} day - Day of month
+     * @param {number} month - Month (1-12)
+     * @param {number|null} year - Year, or null when not given
+     * @returns {string} Words
+     * @abstract
+     */
+    date(day, month, year) {
+        return `${day}/${month}${year ? `/${year}` : ''}`;
+    }
+
+    /**
+     * Read a clock time
+     * @param {number} hours - Hours (0-23)
+     * @param {number} minutes - Minutes
+     * @param {string} meridiem - "a", "p" or "" when not given
+     * @returns {string} Words
+     * @abstract
+     */
+    time(hours, minutes, meridiem) {
+        return `${hours}:${minutes}`;
+    }
+
+    /**
+     * Whether numeric dates are written month first
+     * @returns {boolean}
+     */
+    get monthFirst() {
+        return false;
+    }
+
+    /**
+     * Pattern source for a written number with grouping and decimals
+     * @returns {string} Regular expression source
+     * @protected
+     */
+    get numberSource() {
+        const group = this.separators.group === '.' ? '\\.' : this.separators.group;
+        const decimal = this.separators.decimal === '.' ? '\\.' : this.separators.decimal;
+        return `\\d{1,3}(?:${group}\\d{3})+(?:${decimal}\\d+)?|\\d+(?:${decimal}\\d+)?`;
+    }
+
+    /**
+     * Parse a written number
+     * @param {string} written - Number as written
+     * @returns {{integer: number, fraction: string}} Integer part and fraction digits
+     * @protected
+     */
+    parseNumber(written) {
+        const [integer, fraction = ''] = written.split(this.separators.decimal);
+        return { integer: parseInt(integer.split(this.separators.group).join(''), 10), fraction };
+    }
+
+    /**
+     * Read a written number, digit by digit after the decimal separator
+     * @param {string} written - Number as written
+     * @param {Object} [options] - Agreement options passed to cardinal()
+     * @returns {string} Words
+     */
+    number(written, options = {}) {
+        const { integer, fraction } = this.parseNumber(written);
+        if (!Number.isSafeInteger(integer)) return written;
+
+        const whole = this.cardinal(integer, fraction ? {} : options);
+        if (!fraction) return whole;
+
+        const digits = [...fraction].map(digit => this.cardinal(Number(digit))).join(' ');
+        return `${whole} ${this.symbols.decimal} ${digits}`;
+    }
+
+    /**
+     * Spell out a URL or email part, naming its separators
+     * @param {string} text - Address text
+     * @returns {string} Words
+     * @protected
+     */
+    spellAddress(text) {
+        return text
+            .split(/([./:\-_?=&#@+~])/)
+            .filter(Boolean)
+            .map(piece => this.symbols[piece] ?? piece)
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Build the rules of every category, in the order they are applied
+     * @returns {Object<string, Array<[RegExp, function(RegExpMatchArray): (string|null)]>>} Rules by category
+     */
+    buildRules() {
+        const before = '(?<![\\p{L}\\p{N}_])';
+        const after = '(?![\\p{L}\\p{N}_])';
+        // Also refuses to stop inside a number, so "10.5k" is never read as "10" and ".5k"
+        const complete = '(?![\\p{L}\\p{N}_]|[.,]\\d)';
+        const number = this.numberSource;
+        const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const alternatives = (keys) => keys.sort((a, b) => b.length - a.length).map(escape).join('|');
+
+        const units = this.units;
+        const currencies = this.currencies;
+        const currencySymbols = alternatives(Object.keys(currencies));
+        const scales = this.scales;
+        const scaleWords = alternatives(Object.keys(scales));
+
+        const readCurrency = (written, code, scale) => {
+            const currency = currencies[code.toUpperCase()] || currencies[code];
+            const { integer, fraction } = this.parseNumber(written);
+            const agreement = { feminine: currency.feminine, beforeNoun: true };
+
+            if (scale) {
+                const [one, many] = scales[scale];
+                return this.scaledCurrency(this.number(written, { beforeNoun: true }), integer === 1 && !fraction ? one : many, currency);
+            }
+
+            if (fraction && fraction.length !== 2) {
+                return `${this.number(written)} ${currency.many}`;
+            }
+
+            const whole = `${this.cardinal(integer, agreement)} ${integer === 1 ? currency.one : currency.many}`;
+            const cents = parseInt(fraction || '0', 10);
+            if (!cents) return whole;
+
+            const centWords = `${this.cardinal(cents, { beforeNoun: true })} ${cents === 1 ? currency.centOne : currency.centMany}`;
+            return integer === 0 ? centWords : `${whole} ${this.symbols.and} ${centWords}`;
+        };
+
+        return {
+            emails: [[
+                /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/gu,
+                (m) => this.spellAddress(m[0])
+            ]],
+            urls: [[
+                /\b(?:https?:\/\/|www\.)[^\s<>"]*[^\s<>".,;:!?)\]]|\b[\w-]+(?:\.[\w-]+)*\.(?:com|org|net|io|dev|app|edu|gov|info|es|mx|ar|co|uk|de|fr)\b(?:\/[^\s<>"]*[^\s<>".,;:!?)\]])?/giu,
+                (m) => this.spellAddress(m[0].replace(/^https?:\/\//i, ''))
+            ]],
+            currencies: [
+                [
+                    new RegExp(`(${currencySymbols})\\s?(${number})(?:\\s?(${scaleWords}))?${complete}`, 'gu'),
+                    (m) => readCurrency(m[2], m[1], m[3])
+                ],
+                [
+                    new RegExp(`${before}(${number})(?:\\s?(${scaleWords}))?\\s?(${currencySymbols})(?![\\p{L}])`, 'gu'),
+                    (m) => readCurrency(m[1], m[3], m[2])
+                ]
+            ],
+            times: [[
+                /(?<![\d:])([01]?\d|2[0-3]):([0-5]\d)(?:\s?([ap])(?:\.\s?m\.|m\b))?(?![\d:])/giu,
+                (m) => this.time(parseInt(m[1], 10), parseInt(m[2], 10), (m[3] || '').toLowerCase())
+            ]],
+            dates: [
+                [
+                    /(?<!\d)(\d{4})-(\d{2})-(\d{2})(?!\d)/gu,
+                    (m) => this.readDate(m[3], m[2], m[1])
+                ],
+                [
+                    /(?<![\d/])(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})(?![\d/])/gu,
+                    (m) => this.monthFirst ? this.readDate(m[2], m[1], m[3]) : this.readDate(m[1], m[2], m[3])
+                ],
+                ...this.buildDateRules()
+            ],
+            units: [[
+                new RegExp(`${before}(${number})\\s?(${alternatives(Object.keys(units))})(?![\\p{L}\\p{N}])`, 'gu'),
+                (m) => {
+                    const [one, many, feminine] = units[m[2]];
+                    const { integer, fraction } = this.parseNumber(m[1]);
+                    const isOne = integer === 1 && !fraction;
+                    return `${this.number(m[1], { feminine, beforeNoun: true })} ${isOne ? one : many}`;
+                }
+            ]],
+            ordinals: this.buildOrdinalRules(),
+            abbreviations: this.abbreviations.map(([written, spoken]) => [
+                new RegExp(`(?<![\\p{L}.])${escape(written)}${/\p{L}$/u.test(written) ? after : ''}`, 'gu'),
+                () => spoken
+            ]),
+            numbers: [[
+                // Not after "." or "," so version numbers like 1.2.3 stay intact
+                new RegExp(`(?<![\\p{L}\\p{N}_.,])((?<=^|[\\s(])-)?(${number})${complete}`, 'gu'),
+                (m) => {
+                    const rest = m.input.slice(m.index + m[0].length);
+                    const beforeWord = /^\s+\p{L}/u.test(rest);
+                    // Phone numbers (555-1234) and ranges (2000-2010)
+                    const joined = /\d-$/.test(m.input.slice(0, m.index)) || /^-\d/.test(rest);
+                    return `${m[1] ? `${this.symbols.minus} ` : ''}${this.readPlainNumber(m[2], beforeWord, joined)}`;
+                }
+            ]]
+        };
+    }
+
+    /**
+     * Read a standalone number; languages may treat some as years
+     * @param {string} written - Number as written
+     * @param {boolean} beforeWord - Whether a word follows (for agreement)
+     * @param {boolean} joined - Whether a hyphen joins it to other digits
+     * @returns {string} Words
+     * @protected
+     */
+    readPlainNumber(written, beforeWord, joined) {
+        return this.number(written);
+    }
+
+    /**
+     * Read a numeric date, leaving impossible dates alone
+     * @param {string} day - Day as written
+     * @param {string} month - Month as written
+     * @param {string|null} year - Year as written (2 or 4 digits), or null
+     * @returns {string|null} Words, or null to keep the text
+     * @protected
+     */
+    readDate(day, month, year) {
+        const d = parseInt(day, 10);
+        const m = parseInt(month, 10);
+        if (d < 1 || d > 31 || m < 1 || m > 12) return null;
+
+        let y = year ? parseInt(year, 10) : null;
+        // Two-digit years up to 29 are this century, the rest the last one
+        if (year && year.length === 2) y += y < 30 ? 2000 : 1900;
+        return this.date(d, m, y);
+    }
+
+    /**
+     * Language specific date rules (such as written month names)
+     * @returns {Array} Rules
+     * @protected
+     */
+    buildDateRules() {
+        return [];
+    }
+
+    /**
+     * Language specific ordinal rules
+     * @returns {Array} Rules
+     * @protected
+     */
+    buildOrdinalRules() {
+        return [];
+    }
+}
+
+/**
+ * English spoken forms
+ * @class EnglishRules
+ * @extends NormalizationRules
+ */
+class EnglishRules extends NormalizationRules {
+    static ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+        'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+    static TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+    static SCALES = [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+    static MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+        'September', 'October', 'November', 'December'];
+    static ORDINAL_WORDS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+
+    get monthFirst() {
+        // US style M/D/Y unless a region that writes D/M/Y was chosen
+        return !this.region || ['US', 'PH'].includes(this.region);
+    }
+
+    get symbols() {
+        return {
+            '.': 'dot', '/': 'slash', ':': 'colon', '-': 'dash', '_': 'underscore', '?': 'question mark',
+            '=': 'equals', '&': 'and', '#': 'hash', '@': 'at', '+': 'plus', '~': 'tilde',
+            decimal: 'point', minus: 'minus', and: 'and'
+        };
+    }
+
+    get abbreviations() {
+        return [
+            ['Dr.', 'Doctor'], ['Mr.', 'Mister'], ['Mrs.', 'Missus'], ['Ms.', 'Miz'], ['Prof.', 'Professor'],
+            ['Jr.', 'Junior'], ['Sr.', 'Senior'], ['Inc.', 'Incorporated'], ['Ltd.', 'Limited'],
+            ['e.g.', 'for example'], ['i.e.', 'that is'], ['etc.', 'et cetera'], ['vs.', 'versus'],
+            ['approx.', 'approximately']
+        ];
+    }
+
+    get units() {
+        return {
+            'km/h': ['kilometer per hour', 'kilometers per hour'], 'mph': ['mile per hour', 'miles per hour'],
+            'km': ['kilometer', 'kilometers'], 'm': ['meter', 'meters'], 'cm': ['centimeter', 'centimeters'],
+            'mm': ['millimeter', 'millimeters'], 'kg': ['kilogram', 'kilograms'], 'g': ['gram', 'grams'],
+            'mg': ['milligram', 'milligrams'], 'lb': ['pound', 'pounds'], 'lbs': ['pound', 'pounds'],
+            'oz': ['ounce', 'ounces'], 'ft': ['foot', 'feet'], 'l': ['liter', 'liters'], 'L': ['liter', 'liters'],
+            'ml': ['milliliter', 'milliliters'], 'mL': ['milliliter', 'milliliters'],
+            '°C': ['degree Celsius', 'degrees Celsius'], '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+            '%': ['percent', 'percent'], 'KB': ['kilobyte', 'kilobytes'], 'MB': ['megabyte', 'megabytes'],
+            'GB': ['gigabyte', 'gigabytes'], 'TB': ['terabyte', 'terabytes'], 'Hz': ['hertz', 'hertz'],
+            'kHz': ['kilohertz', 'kilohertz'], 'MHz': ['megahertz', 'megahertz'], 'GHz': ['gigahertz', 'gigahertz'],
+            'min': ['minute', 'minutes'], 'ms': ['millisecond', 'milliseconds'], 'h': ['hour', 'hours']
+        };
+    }
+
+    get currencies() {
+        const dollar = { one: 'dollar', many: 'dollars', centOne: 'cent', centMany: 'cents' };
+        const euro = { one: 'euro', many: 'euros', centOne: 'cent', centMany: 'cents' };
+        const pound = { one: 'pound', many: 'pounds', centOne: 'penny', centMany: 'pence' };
+        const yen = { one: 'yen', many: 'yen', centOne: 'sen', centMany: 'sen' };
+        return { '$': dollar, 'USD': dollar, '€': euro, 'EUR': euro, '£': pound, 'GBP': pound, '¥': yen, 'JPY': yen };
+    }
+
+    get scales() {
+        const thousand = ['thousand', 'thousand'];
+        const million = ['million', 'million'];
+        const billion = ['billion', 'billion'];
+        const trillion = ['trillion', 'trillion'];
+        return {
+            'thousand': thousand, 'k': thousand, 'K': thousand,
+            'million': million, 'm': million, 'M': million, 'mn': million,
+            'billion': billion, 'bn': billion, 'B': billion,
+            'trillion': trillion, 'tn': trillion, 'T': trillion
+        };
+    }
+
+    cardinal(n) {
+        if (n < 20) return EnglishRules.ONES[n];
+        if (n < 100) {
+            const tens = EnglishRules.TENS[Math.floor(n / 10)];
+            return n % 10 ? `${tens}-${EnglishRules.ONES[n % 10]}` : tens;
+        }
+        if (n < 1000) {
+            const rest = n % 100;
+            return `${EnglishRules.ONES[Math.floor(n / 100)]} hundred${rest ? ` ${this.cardinal(rest)}` : ''}`;
+        }
+
+        for (const [scale, name] of EnglishRules.SCALES) {
+            if (n >= scale) {
+                const rest = n % scale;
+                return `${this.cardinal(Math.floor(n / scale))} ${name}${rest ? ` ${this.cardinal(rest)}` : ''}`;
+            }
+        }
+        return String(n);
+    }
+
+    ordinal(n) {
+        const words = this.cardinal(n);
+        return words.replace(/(\w+)$/, (last) => EnglishRules.ORDINAL_WORDS[last]
+            || (last.endsWith('y') ? `${last.slice(0, -1)}ieth` : `${last}th`));
+    }
+
+    /**
+     * Read a year the way English speakers say it ("nineteen oh five")
+     * @param {number} year - Year
+     * @returns {string} Words
+     */
+    year(year) {
+        if (year < 1000 || year > 2099 || (year >= 2000 && year < 2010)) return this.cardinal(year);
+
+        const century = Math.floor(year / 100);
+        const rest = year % 100;
+        if (rest === 0) return `${this.cardinal(century)} hundred`;
+        return `${this.cardinal(century)} ${rest < 10 ? `oh ${this.cardinal(rest)}` : this.cardinal(rest)}`;
+    }
+
+    date(day, month, year) {
+        const name = EnglishRules.MONTHS[month - 1];
+        const spokenDay = this.ordinal(day);
+        const base = this.monthFirst ? `${name} ${spokenDay}` : `the ${spokenDay} of ${name}`;
+        return year ? `${base}, ${this.year(year)}` : base;
+    }
+
+    time(hours, minutes, meridiem) {
+        const suffix = meridiem ? ` ${meridiem} m` : '';
+        const hour = this.cardinal(meridiem && hours === 0 ? 12 : hours);
+
+        if (minutes === 0) return meridiem ? `${hour}${suffix}` : `${hour} o'clock`;
+        const spokenMinutes = minutes < 10 ? `oh ${this.cardinal(minutes)}` : this.cardinal(minutes);
+        return `${hour} ${spokenMinutes}${suffix}`;
+    }
+
+    readPlainNumber(written, beforeWord, joined) {
+        // Four digit numbers without separators are usually years, unless part of a phone number or range
+        return !joined && /^1[1-9]\d\d$|^20\d\d$/.test(written) ? this.year(parseInt(written, 10)) : this.number(written);
+    }
+
+    buildDateRules() {
+        const months = EnglishRules.MONTHS;
+        const names = months.map(month => `${month}|${month.slice(0, 3)}\\.?`).join('|');
+        const monthIndex = (name) => months.findIndex(month => month.slice(0, 3).toLowerCase() === name.slice(0, 3).toLowerCase()) + 1;
+
+        return [
+            [
+                // March 15, 2024 / Mar. 15th
+                new RegExp(`\\b(${names})\\s(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s(\\d{4}))?(?!\\d)`, 'gu'),
+                (m) => {
+                    const day = parseInt(m[2], 10);
+                    if (day < 1 || day > 31) return null;
+                    const base = `${months[monthIndex(m[1]) - 1]} ${this.ordinal(day)}`;
+                    return m[3] ? `${base}, ${this.year(parseInt(m[3], 10))}` : base;
+                }
+            ],
+            [
+                // 15 March 2024 / the 15th of March
+                new RegExp(`(?:\\b([Tt]he)\\s)?(?<!\\d)(\\d{1,2})(?:st|nd|rd|th)?\\s(?:of\\s)?(${names})(?:,?\\s(\\d{4}))?(?!\\d)`, 'gu'),
+                (m) => {
+                    const day = parseInt(m[2], 10);
+                    if (day < 1 || day > 31) return null;
+                    const base = `${m[1] || 'the'} ${this.ordinal(day)} of ${months[monthIndex(m[3]) - 1]}`;
+                    return m[4] ? `${base}, ${this.year(parseInt(m[4], 10))}` : base;
+                }
+            ]
+        ];
+    }
+
+    buildOrdinalRules() {
+        return [[
+            /(?<![\p{L}\p{N}_])(\d+)(st|nd|rd|th)(?![\p{L}\p{N}_])/giu,
+            (m) => this.ordinal(parseInt(m[1], 10))
+        ]];
+    }
+}
+
+/**
+ * Spanish spoken forms
+ * @class SpanishRules
+ * @extends NormalizationRules
+ */
+class SpanishRules extends NormalizationRules {
+    static UNDER_30 = ['cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez',
+        'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve',
+        'veinte', 'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis',
+        'veintisiete', 'veintiocho', 'veintinueve'];
+    static TENS = ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+    static HUNDREDS = ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos', 'seiscientos',
+        'setecientos', 'ochocientos', 'novecientos'];
+    static MONTHS = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto',
+        'septiembre', 'octubre', 'noviembre', 'diciembre'];
+    static ORDINAL_UNITS = ['', 'primer', 'segund', 'tercer', 'cuart', 'quint', 'sext', 'séptim', 'octav', 'noven'];
+    static ORDINAL_TENS = ['', 'décim', 'vigésim', 'trigésim', 'cuadragésim', 'quincuagésim', 'sexagésim',
+        'septuagésim', 'octogésim', 'nonagésim'];
+
+    get separators() {
+        return { group: '.', decimal: ',' };
+    }
+
+    get symbols() {
+        return {
+            '.': 'punto', '/': 'barra', ':': 'dos puntos', '-': 'guion', '_': 'guion bajo', '?': 'interrogación',
+            '=': 'igual', '&': 'y', '#': 'almohadilla', '@': 'arroba', '+': 'más', '~': 'virgulilla',
+            decimal: 'coma', minus: 'menos', and: 'con'
+        };
+    }
+
+    get abbreviations() {
+        return [
+            ['Sr.', 'señor'], ['Sra.', 'señora'], ['Srta.', 'señorita'], ['Dr.', 'doctor'], ['Dra.', 'doctora'],
+            ['Ud.', 'usted'], ['Uds.', 'ustedes'], ['p. ej.', 'por ejemplo'], ['etc.', 'etcétera'],
+            ['EE. UU.', 'Estados Unidos'], ['aprox.', 'aproximadamente'], ['n.º', 'número'], ['núm.', 'número'],
+            ['pág.', 'página'], ['Av.', 'avenida']
+        ];
+    }
+
+    get units() {
+        return {
+            'km/h': ['kilómetro por hora', 'kilómetros por hora'], 'km': ['kilómetro', 'kilómetros'],
+            'm': ['metro', 'metros'], 'cm': ['centímetro', 'centímetros'], 'mm': ['milímetro', 'milímetros'],
+            'kg': ['kilogramo', 'kilogramos'], 'g': ['gramo', 'gramos'], 'mg': ['miligramo', 'miligramos'],
+            'lb': ['libra', 'libras', true], 'oz': ['onza', 'onzas', true], 'l': ['litro', 'litros'],
+            'L': ['litro', 'litros'], 'ml': ['mililitro', 'mililitros'], 'mL': ['mililitro', 'mililitros'],
+            '°C': ['grado Celsius', 'grados Celsius'], '°F': ['grado Fahrenheit', 'grados Fahrenheit'],
+            '%': ['por ciento', 'por ciento'], 'KB': ['kilobyte', 'kilobytes'], 'MB': ['megabyte', 'megabytes'],
+            'GB': ['gigabyte', 'gigabytes'], 'TB': ['terabyte', 'terabytes'], 'Hz': ['hercio', 'hercios'],
+            'min': ['minuto', 'minutos'], 'ms': ['milisegundo', 'milisegundos'], 'h': ['hora', 'horas', true]
+        };
+    }
+
+    get currencies() {
+        const dollar = { one: 'dólar', many: 'dólares', centOne: 'centavo', centMany: 'centavos' };
+        const euro = { one: 'euro', many: 'euros', centOne: 'céntimo', centMany: 'céntimos' };
+        const pound = { one: 'libra', many: 'libras', centOne: 'penique', centMany: 'peniques', feminine: true };
+        const yen = { one: 'yen', many: 'yenes', centOne: 'sen', centMany: 'sen' };
+        return { '$': dollar, 'USD': dollar, '€': euro, 'EUR': euro, '£': pound, 'GBP': pound, '¥': yen, 'JPY': yen };
+    }
+
+    get scales() {
+        const thousand = ['mil', 'mil'];
+        const million = ['millón', 'millones'];
+        return {
+            'mil': thousand, 'k': thousand, 'K': thousand,
+            'millón': million, 'millones': million, 'M': million
+        };
+    }
+
+    scaledCurrency(amount, scale, currency) {
+        // "dos millones de dólares", but "cinco mil dólares"
+        return /^mil$/.test(scale) ? `${amount} ${scale} ${currency.many}` : `${amount} ${scale} de ${currency.many}`;
+    }
+
+    /**
+     * @param {number} n - Non-negative integer
+     * @param {{feminine?: boolean, beforeNoun?: boolean}} [options] - "una" for feminine nouns, "un" before nouns
+     * @returns {string} Words
+     */
+    cardinal(n, options = {}) {
+        const words = this.cardinalWords(n);
+        if (!/(^|\s|veinti)uno$/.test(words)) return words;
+
+        // Agreement of a final "uno": un libro, una casa, veintiún euros
+        if (options.feminine) return words.replace(/uno$/, 'una');
+        if (options.beforeNoun) return words.replace(/veintiuno$/, 'veintiún').replace(/uno$/, 'un');
+        return words;
+    }
+
+    /**
+     * Read a whole number without agreement
+     * @param {number} n - Non-negative integer
+     * @returns {string} Words
+     * @private
+     */
+    cardinalWords(n) {
+        if (n < 30) return SpanishRules.UNDER_30[n];
+        if (n < 100) {
+            const tens = SpanishRules.TENS[Math.floor(n / 10)];
+            return n % 10 ? `${tens} y ${SpanishRules.UNDER_30[n % 10]}` : tens;
+        }
+        if (n === 100) return 'cien';
+        if (n < 1000) {
+            const rest = n % 100;
+            return `${SpanishRules.HUNDREDS[Math.floor(n / 100)]}${rest ? ` ${this.cardinalWords(rest)}` : ''}`;
+        }
+        if (n < 1e6) {
+            const thousands = Math.floor(n / 1000);
+            const rest = n % 1000;
+            const prefix = thousands === 1 ? 'mil' : `${this.cardinal(thousands, { beforeNoun: true })} mil`;
+            return `${prefix}${rest ? ` ${this.cardinalWords(rest)}` : ''}`;
+        }
+        if (n < 1e12) {
+            const millions = Math.floor(n / 1e6);
+            const rest = n % 1e6;
+            const prefix = millions === 1 ? 'un millón' : `${this.cardinal(millions, { beforeNoun: true })} millones`;
+            return `${prefix}${rest ? ` ${this.cardinalWords(rest)}` : ''}`;
+        }
+        return String(n);
+    }
+
+    ordinal(n, feminine = false) {
+        if (n < 1 || n > 99) return this.cardinal(n);
+
+        const ending = feminine ? 'a' : 'o';
+        const tens = Math.floor(n / 10);
+        const units = n % 10;
+        return [SpanishRules.ORDINAL_TENS[tens], SpanishRules.ORDINAL_UNITS[units]]
+            .filter(Boolean)
+            .map(stem => `${stem}${ending}`)
+            .join(' ');
+    }
+
+    date(day, month, year) {
+        const base = `${this.cardinal(day)} de ${SpanishRules.MONTHS[month - 1]}`;
+        return year ? `${base} de ${this.cardinal(year)}` : base;
+    }
+
+    time(hours, minutes, meridiem) {
+        const hour12 = meridiem ? (hours % 12 || 12) : hours;
+        const hour = this.cardinal(hour12, { feminine: true });
+        const suffix = meridiem === 'a' ? ' de la mañana' : meridiem === 'p' ? ' de la tarde' : '';
+
+        if (minutes === 0) return `${hour} en punto${suffix}`;
+        if (minutes === 15) return `${hour} y cuarto${suffix}`;
+        if (minutes === 30) return `${hour} y media${suffix}`;
+        return `${hour} y ${this.cardinal(minutes)}${suffix}`;
+    }
+
+    readPlainNumber(written, beforeWord) {
+        // "veintiún años": a following noun takes the short form (masculine by default)
+        return this.number(written, { beforeNoun: beforeWord });
+    }
+
+    buildOrdinalRules() {
+        return [[
+            /(?<![\p{L}\p{N}_])(\d{1,2})\.?([ºª])/gu,
+            (m) => this.ordinal(parseInt(m[1], 10), m[2] === 'ª')
+        ]];
+    }
+}
+
+/**
+ * Expands numbers, dates, currencies, units, times, ordinals, abbreviations,
+ * URLs and email addresses into spoken words
+ * @class TextNormalizer
+ */
+class TextNormalizer {
+    /**
+     * Categories with their labels, in the order they are applied
+     * @static
+     * @readonly
+     */
+    static CATEGORIES = {
+        emails: 'Email addresses',
+        urls: 'URLs',
+        currencies: 'Currencies',
+        times: 'Times',
+        dates: 'Dates',
+        units: 'Units',
+        ordinals: 'Ordinals',
+        abbreviations: 'Abbreviations',
+        numbers: 'Numbers'
+    };
+
+    /**
+     * Rule sets by primary language subtag
+     * @static
+     * @readonly
+     */
+    static LANGUAGES = {
+        en: EnglishRules,
+        es: SpanishRules
+    };
+
+    /**
+     * @param {Object<string, boolean>} categories - Enabled state per category; missing means enabled
+     */
+    constructor(categories = {}) {
+        this.categories = categories;
+        this.rules = new Map();
+    }
+
+    /**
+     * Check whether a language has normalization rules
+     * @param {string} lang - Language code (e.g. "en-US")
+     * @returns {boolean}
+     * @static
+     */
+    static supports(lang) {
+        return Boolean(TextNormalizer.LANGUAGES[(lang || '').toLowerCase().split(/[-_]/)[0]]);
+    }
+
+    /**
+     * Get the (cached) rules for a language
+     * @param {string} lang - Language code
+     * @returns {Object|null} Rules by category, or null for unsupported languages
+     * @private
+     */
+    getRules(lang) {
+        const [primary, region = ''] = (lang || '').split(/[-_]/);
+        const Rules = TextNormalizer.LANGUAGES[primary.toLowerCase()];
+        if (!Rules) return null;
+
+        const key = `${primary}-${region}`.toLowerCase();
+        if (!this.rules.has(key)) {
+            this.rules.set(key, new Rules(region).buildRules());
+        }
+        return this.rules.get(key);
+    }
+
+    /**
+     * Expand text into spoken words
+     * @param {string|SpokenText} input - Text to normalize
+     * @param {string} lang - Language code
+     * @returns {SpokenText} Normalized text with offsets into the original
+     */
+    normalize(input, lang) {
+        let spoken = input instanceof SpokenText ? input : new SpokenText(input);
+        const rules = this.getRules(lang);
+        if (!rules) return spoken;
+
+        for (const category of Object.keys(TextNormalizer.CATEGORIES)) {
+            if (this.categories[category] === false) continue;
+
+            for (const [pattern, replacer] of rules[category]) {
+                spoken = spoken.replace(pattern, replacer);
+            }
+        }
+        return spoken;
+    }
+}
+
+/**
+ * Offline language identification. Non-Latin scripts identify their
+ * language directly; Latin-script text is scored against character trigram
+ * profiles built from the short sample texts below.
+ * @class LanguageDetector
+ */
+class LanguageDetector {
+    /**
+     * Languages recognized by their script, checked in order. Text with any
+     * kana is Japanese; kanji alone is Chinese. Cyrillic is Russian unless it
+     * has Ukrainian letters.
+     * @static
+     * @readonly
+     */
+    static SCRIPTS = [
+        { lang: 'ja', pattern: /[\u3040-\u30FF\u4E00-\u9FFF]/g, requires: /[\u3040-\u30FF]/ },
+        { lang: 'ko', pattern: /[\u1100-\u11FF\uAC00-\uD7AF]/g },
+        { lang: 'zh', pattern: /[\u4E00-\u9FFF]/g },
+        { lang: 'th', pattern: /[\u0E00-\u0E7F]/g },
+        { lang: 'hi', pattern: /[\u0900-\u097F]/g },
+        { lang: 'ar', pattern: /[\u0600-\u06FF]/g },
+        { lang: 'he', pattern: /[\u0590-\u05FF]/g },
+        { lang: 'el', pattern: /[\u0370-\u03FF]/g },
+        { lang: 'ru', pattern: /[\u0400-\u04FF]/g }
+    ];
+
+    /**
+     * Sample texts the Latin-script trigram profiles are built from
+     * @static
+     * @readonly
+     */
+    static SAMPLES = {
+        en: 'The house at the end of the street has been empty for years, and nobody in the town seems to know who owns it. ' +
+            'When the weather is good, children ride their bikes past the gate and wonder what is inside. ' +
+            'My grandmother always said that the family who lived there moved away after the war, but she could never remember their name. ' +
+            'Last week a truck stopped in front of the house, and two men carried boxes through the door while the neighbors watched from their windows. ' +
+            'It would be nice to have new people in the neighborhood, although everyone is a little worried about what they will do with the garden. ' +
+            'This is the kind of thing that should have been discussed with the council, which would have been the right way to handle it.',
+        de: 'Das Haus am Ende der Straße steht seit Jahren leer, und niemand in der Stadt scheint zu wissen, wem es gehört. ' +
+            'Wenn das Wetter schön ist, fahren die Kinder mit ihren Fahrrädern am Tor vorbei und fragen sich, was wohl drinnen ist. ' +
+            'Meine Großmutter hat immer gesagt, dass die Familie, die dort gewohnt hat, nach dem Krieg weggezogen ist, aber sie konnte sich nie an den Namen erinnern. ' +
+            'Letzte Woche hielt ein Lastwagen vor dem Haus, und zwei Männer trugen Kisten durch die Tür, während die Nachbarn aus ihren Fenstern zuschauten. ' +
+            'Es wäre schön, neue Leute in der Nachbarschaft zu haben, obwohl sich alle ein wenig Sorgen machen, was sie mit dem Garten vorhaben. ' +
+            'Solche Dinge sollte man zuerst mit der Gemeinde besprechen, und das wäre auch der richtige Weg gewesen.',
+        es: 'La casa al final de la calle lleva años vacía, y nadie en el pueblo parece saber quién es el dueño. ' +
+            'Cuando hace buen tiempo, los niños pasan en bicicleta delante de la puerta y se preguntan qué habrá dentro. ' +
+            'Mi abuela siempre decía que la familia que vivía allí se marchó después de la guerra, pero nunca pudo recordar su apellido. ' +
+            'La semana pasada un camión se detuvo delante de la casa, y dos hombres llevaron cajas por la puerta mientras los vecinos miraban desde sus ventanas. ' +
+            'Sería bonito tener gente nueva en el barrio, aunque todos están un poco preocupados por lo que harán con el jardín. ' +
+            'Este tipo de cosas se debería hablar primero con el ayuntamiento, que habría sido la manera correcta de hacerlo.',
+        fr: 'La maison au bout de la rue est vide depuis des années, et personne dans la ville ne semble savoir à qui elle appartient. ' +
+            'Quand il fait beau, les enfants passent à vélo devant le portail et se demandent ce qu\'il y a à l\'intérieur. ' +
+            'Ma grand-mère disait toujours que la famille qui habitait là est partie après la guerre, mais elle ne se souvenait jamais de leur nom. ' +
+            'La semaine dernière, un camion s\'est arrêté devant la maison, et deux hommes ont porté des cartons par la porte pendant que les voisins regardaient depuis leurs fenêtres. ' +
+            'Ce serait bien d\'avoir de nouvelles personnes dans le quartier, même si tout le monde s\'inquiète un peu de ce qu\'ils feront du jardin. ' +
+            'Ce genre de chose devrait d\'abord être discuté avec la mairie, ce qui aurait été la bonne façon de faire.',
+        it: 'La casa in fondo alla strada è vuota da anni, e nessuno in paese sembra sapere a chi appartenga. ' +
+            'Quando il tempo è bello, i bambini passano in bicicletta davanti al cancello e si chiedono che cosa ci sia dentro. ' +
+            'Mia nonna diceva sempre che la famiglia che abitava lì se ne andò dopo la guerra, ma non riusciva mai a ricordare il loro cognome. ' +
+            'La settimana scorsa un camion si è fermato davanti alla casa, e due uomini hanno portato delle scatole attraverso la porta mentre i vicini guardavano dalle finestre. ' +
+            'Sarebbe bello avere gente nuova nel quartiere, anche se tutti sono un po\' preoccupati per quello che faranno con il giardino. ' +
+            'Questo genere di cose andrebbe discusso prima con il comune, che sarebbe stato il modo giusto di procedere.',
+        pt: 'A casa no fim da rua está vazia há anos, e ninguém na cidade parece saber quem é o dono. ' +
+            'Quando o tempo está bom, as crianças passam de bicicleta em frente ao portão e perguntam-se o que haverá lá dentro. ' +
+            'A minha avó dizia sempre que a família que morava ali se mudou depois da guerra, mas nunca conseguia lembrar-se do nome deles. ' +
+            'Na semana passada um caminhão parou em frente da casa, e dois homens levaram caixas pela porta enquanto os vizinhos olhavam das janelas. ' +
+            'Seria bom ter gente nova no bairro, embora todos estejam um pouco preocupados com o que vão fazer com o jardim. ' +
+            'Este tipo de coisa devia ser discutido primeiro com a câmara, que teria sido a maneira certa de fazer as coisas.',
+        nl: 'Het huis aan het einde van de straat staat al jaren leeg, en niemand in de stad lijkt te weten van wie het is. ' +
+            'Als het mooi weer is, fietsen de kinderen langs het hek en vragen zich af wat er binnen is. ' +
+            'Mijn grootmoeder zei altijd dat de familie die daar woonde na de oorlog is vertrokken, maar ze kon zich hun naam nooit herinneren. ' +
+            'Vorige week stopte er een vrachtwagen voor het huis, en twee mannen droegen dozen door de deur terwijl de buren vanuit hun ramen toekeken. ' +
+            'Het zou leuk zijn om nieuwe mensen in de buurt te hebben, hoewel iedereen zich een beetje zorgen maakt over wat ze met de tuin gaan doen. ' +
+            'Zulke dingen zou je eerst met de gemeente moeten bespreken, en dat was ook de juiste manier geweest.',
+        pl: 'Dom na końcu ulicy od lat stoi pusty i nikt w mieście nie wie, do kogo należy. ' +
+            'Kiedy jest ładna pogoda, dzieci przejeżdżają rowerami obok bramy i zastanawiają się, co jest w środku. ' +
+            'Moja babcia zawsze mówiła, że rodzina, która tam mieszkała, wyprowadziła się po wojnie, ale nigdy nie mogła sobie przypomnieć ich nazwiska. ' +
+            'W zeszłym tygodniu przed domem zatrzymała się ciężarówka i dwóch mężczyzn wnosiło kartony przez drzwi, a sąsiedzi patrzyli ze swoich okien. ' +
+            'Byłoby miło mieć nowych ludzi w okolicy, chociaż wszyscy trochę się martwią, co zrobią z ogrodem. ' +
+            'Takie sprawy należy najpierw omówić z gminą, i to byłby właściwy sposób postępowania.',
+        sv: 'Huset i slutet av gatan har stått tomt i flera år, och ingen i staden verkar veta vem som äger det. ' +
+            'När vädret är fint cyklar barnen förbi grinden och undrar vad som finns där inne. ' +
+            'Min mormor sa alltid att familjen som bodde där flyttade efter kriget, men hon kunde aldrig komma ihåg vad de hette. ' +
+            'Förra veckan stannade en lastbil framför huset, och två män bar in lådor genom dörren medan grannarna tittade från sina fönster. ' +
+            'Det vore trevligt med nya människor i grannskapet, även om alla är lite oroliga för vad de ska göra med trädgården. ' +
+            'Sådana saker borde man först diskutera med kommunen, och det hade varit det rätta sättet att göra det.',
+        tr: 'Sokağın sonundaki ev yıllardır boş duruyor ve kasabada kimse evin kime ait olduğunu bilmiyor gibi. ' +
+            'Hava güzel olduğunda çocuklar bisikletleriyle kapının önünden geçiyor ve içeride ne olduğunu merak ediyorlar. ' +
+            'Büyükannem her zaman orada yaşayan ailenin savaştan sonra taşındığını söylerdi, ama onların soyadını hiç hatırlayamazdı. ' +
+            'Geçen hafta evin önünde bir kamyon durdu ve komşular pencerelerinden izlerken iki adam kutuları kapıdan içeri taşıdı. ' +
+            'Mahallede yeni insanların olması güzel olurdu, gerçi herkes bahçeyle ne yapacakları konusunda biraz endişeli. ' +
+            'Bu tür şeylerin önce belediyeyle konuşulması gerekirdi ve doğru yol da bu olurdu.'
+    };
+
+    /**
+     * Fewest trigrams a Latin-script text needs before guessing its language
+     * @static
+     * @readonly
+     */
+    static MIN_TRIGRAMS = 20;
+
+    /**
+     * Smallest average per-trigram score lead over the runner-up for a confident guess
+     * @static
+     * @readonly
+     */
+    static MIN_MARGIN = 0.05;
+
+    constructor() {
+        this.profiles = null;
+    }
+
+    /**
+     * Split text into the padded character trigrams of its words
+     * @param {string} text - Text
+     * @returns {string[]} Trigrams
+     * @static
+     * @private
+     */
+    static trigrams(text) {
+        const words = text.toLowerCase().replace(/[^\p{L}]+/gu, ' ').trim();
+        if (!words) return [];
+
+        const padded = ` ${words} `;
+        const trigrams = [];
+        for (let i = 0; i + 3 <= padded.length; i++) {
+            trigrams.push(padded.slice(i, i + 3));
+        }
+        return trigrams;
+    }
+
+    /**
+     * Build log-probability tables from the sample texts, once
+     * @returns {Map<string, {scores: Map<string, number>, unseen: number}>} Profiles by language
+     * @private
+     */
+    getProfiles() {
+        if (this.profiles) return this.profiles;
+
+        this.profiles = new Map();
+        for (const [lang, sample] of Object.entries(LanguageDetector.SAMPLES)) {
+            const counts = new Map();
+            const trigrams = LanguageDetector.trigrams(sample);
+            trigrams.forEach(trigram => counts.set(trigram, (counts.get(trigram) || 0) + 1));
+
+            // Add-one smoothing, so trigrams missing from a sample count against it without ruling it out
+            const total = trigrams.length + counts.size + 1;
+            const scores = new Map();
+            counts.forEach((count, trigram) => scores.set(trigram, Math.log((count + 1) / total)));
+            this.profiles.set(lang, { scores, unseen: Math.log(1 / total) });
+        }
+        return this.profiles;
+    }
+
+    /**
+     * Guess the language of a text
+     * @param {string} text - Text (only the first 2,000 characters are read)
+     * @returns {string|null} Primary language subtag, or null when unsure
+     */
+    detect(text) {
+        const sample = text.slice(0, 2000);
+
+        // A non-Latin script names its language when it makes up most of the letters
+        const letters = (sample.match(/\p{L}/gu) || []).length;
+        for (const { lang, pattern, requires } of LanguageDetector.SCRIPTS) {
+            if (requires && !requires.test(sample)) continue;
+            const count = (sample.match(pattern) || []).length;
+            if (count > 0 && count * 2 >= letters) {
+                return lang === 'ru' && /[\u0456\u0457\u0454\u0491]/i.test(sample) ? 'uk' : lang;
+            }
+        }
+
+        const trigrams = LanguageDetector.trigrams(sample);
+        if (trigrams.length < LanguageDetector.MIN_TRIGRAMS) return null;
+
+        let best = null;
+        let bestScore = -Infinity;
+        let secondScore = -Infinity;
+        for (const [lang, profile] of this.getProfiles()) {
+            let score = 0;
+            for (const trigram of trigrams) {
+                score += profile.scores.get(trigram) ?? profile.unseen;
+            }
+            if (score > bestScore) {
+                secondScore = bestScore;
+                bestScore = score;
+                best = lang;
+            } else if (score > secondScore) {
+                secondScore = score;
+            }
+        }
+
+        return (bestScore - secondScore) / trigrams.length >= LanguageDetector.MIN_MARGIN ? best : null;
+    }
+
+    /**
+     * Detect the language of each paragraph (line) of a text. Lines too short
+     * to tell, such as headings, join the paragraph before them (or after them
+     * at the start), and neighbouring lines in the same language are merged.
+     * @param {string} text - Text
+     * @returns {{start: number, end: number, lang: (string|null)}[]} Segments covering the whole text
+     */
+    segment(text) {
+        const segments = [];
+        let pending = null;
+        let position = 0;
+
+        for (const line of text.split('\n')) {
+            const end = position + line.length + 1;
+            const lang = line.trim() ? this.detect(line) : null;
+            const last = segments[segments.length - 1];
+
+            if (lang === null) {
+                if (last) last.end = Math.min(end, text.length);
+                else pending = pending ?? position;
+            } else if (last && last.lang === lang) {
+                last.end = Math.min(end, text.length);
+            } else {
+                segments.push({ start: last ? last.end : pending ?? position, end: Math.min(end, text.length), lang });
+            }
+            position = end;
+        }
+
+        if (segments.length === 0) {
+            return text ? [{ start: 0, end: text.length, lang: null }] : [];
+        }
+        segments[0].start = 0;
+        return segments;
+    }
+}
+
+/**
+ * User pronunciation dictionary. Entries map a literal or regex pattern to
+ * a replacement, optionally scoped to a language and/or voice.
+ * @class Lexicon
+ */
+class Lexicon {
+    /**
+     * @param {Object[]} entries - Lexicon entries
+     */
+    constructor(entries = []) {
+        this.entries = entries.map(Lexicon.normalizeEntry).filter(Boolean);
+    }
+
+    /**
+     * Validate and fill in defaults for a stored or imported entry
+     * @param {Object} raw - Entry data
+     * @returns {{pattern: string, replacement: string, regex: boolean, caseSensitive: boolean, lang: string, voice: string}|null}
+     *     Entry, or null when it has no pattern
+     * @static
+     */
+    static normalizeEntry(raw) {
+        if (!raw || typeof raw.pattern !== 'string') return null;
+
+        return {
+            pattern: raw.pattern,
+            replacement: typeof raw.replacement === 'string' ? raw.replacement : '',
+            regex: raw.regex === true,
+            caseSensitive: raw.caseSensitive === true,
+            lang: typeof raw.lang === 'string' ? raw.lang.trim() : '',
+            voice: typeof raw.voice === 'string' ? raw.voice.trim() : ''
+        };
+    }
+
+    /**
+     * Build the regular expression for an entry
+     * @param {Object} entry - Lexicon entry
+     * @returns {RegExp|null} Global pattern, or null when the entry is empty
+     * @throws {SyntaxError} When a regex entry is invalid
+     * @static
+     */
+    static compile(entry) {
+        if (!entry.pattern) return null;
+
+        const flags = entry.caseSensitive ? 'gu' : 'giu';
+        if (entry.regex) {
+            return new RegExp(entry.pattern, flags);
+        }
+
+        // Literals that start or end with a letter only match whole words, so "AI" leaves "PAID" alone
+        const escaped = entry.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const before = /^[\p{L}\p{N}_]/u.test(entry.pattern) ? '(?<![\\p{L}\\p{N}_])' : '';
+        const after = /[\p{L}\p{N}_]$/u.test(entry.pattern) ? '(?![\\p{L}\\p{N}_])' : '';
+        return new RegExp(before + escaped + after, flags);
+    }
+
+    /**
+     * Check an entry for problems
+     * @param {Object} entry - Lexicon entry
+     * @returns {string|null} Problem description, or null when the entry is usable
+     * @static
+     */
+    static validate(entry) {
+        try {
+            const pattern = Lexicon.compile(entry);
+            if (!pattern) return 'Pattern is empty';
+            if (pattern.test('')) return 'Pattern matches empty text';
+            return null;
+        } catch (error) {
+            return error.message;
+        }
+    }
+
+    /**
+     * Check whether an entry applies to a language and voice
+     * @param {Object} entry - Lexicon entry
+     * @param {{lang?: string, voice?: string}} scope - Language code and voice name or id
+     * @returns {boolean} Whether the entry applies
+     * @static
+     */
+    static matchesScope(entry, scope) {
+        if (entry.lang) {
+            const wanted = entry.lang.toLowerCase().replace('_', '-');
+            const actual = (scope.lang || '').toLowerCase().replace('_', '-');
+            // "en" entries cover "en-GB"; exports only know the primary language, so "en-GB" entries cover "en" there
+            const matches = actual === wanted
+                || actual.startsWith(`${wanted}-`)
+                || (!actual.includes('-') && wanted.split('-')[0] === actual);
+            if (!matches) return false;
+        }
+        if (entry.voice) {
+            if ((scope.voice || '').toLowerCase() !== entry.voice.toLowerCase()) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Expand $&, $1 and $<name> references in a regex replacement
+     * @param {string} template - Replacement template
+     * @param {RegExpMatchArray} match - Match
+     * @returns {string} Replacement text
+     * @static
+     * @private
+     */
+    static expandReplacement(template, match) {
+        return template.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, ref, name) => {
+            if (ref === '$') return '$';
+            if (ref === '&') return match[0];
+            if (name !== undefined) return match.groups?.[name] ?? '';
+            return match[parseInt(ref, 10)] ?? '';
+        });
+    }
+
+    /**
+     * Identify an entry by its pattern and scope, e.g. to leave it out of one document
+     * @param {Object} entry - Lexicon entry
+     * @returns {string} Key
+     * @static
+     */
+    static key(entry) {
+        return [entry.pattern, entry.lang, entry.voice].join('\u0000');
+    }
+
+    /**
+     * Apply every entry in scope to a text, in order
+     * @param {string|SpokenText} text - Text to speak
+     * @param {{lang?: string, voice?: string, exclude?: string[]}} scope - Language code, voice name or id,
+     *     and keys of entries to skip
+     * @returns {SpokenText} Replaced text with offsets into the original
+     */
+    apply(text, scope = {}) {
+        let spoken = text instanceof SpokenText ? text : new SpokenText(text);
+        const excluded = new Set(scope.exclude || []);
+
+        for (const entry of this.entries) {
+            if (!Lexicon.matchesScope(entry, scope) || Lexicon.validate(entry)) continue;
+            if (excluded.has(Lexicon.key(entry))) continue;
+
+            spoken = spoken.replace(Lexicon.compile(entry), match => (
+                entry.regex ? Lexicon.expandReplacement(entry.replacement, match) : entry.replacement
+            ));
+        }
+
+        return spoken;
+    }
+
+    /**
+     * Serialize entries for sharing
+     * @returns {{version: number, entries: Object[]}} Shareable lexicon
+     */
+    toJSON() {
+        return { version: 1, entries: this.entries };
+    }
+
+    /**
+     * Read entries from exported lexicon JSON (or a bare array of entries)
+     * @param {string} json - File contents
+     * @returns {Object[]} Entries
+     * @throws {Error} When the file is not a lexicon
+     * @static
+     */
+    static parse(json) {
+        const data = JSON.parse(json);
+        const entries = Array.isArray(data) ? data : data?.entries;
+        if (!Array.isArray(entries)) {
+            throw new Error('File does not contain lexicon entries');
+        }
+        return entries.map(Lexicon.normalizeEntry).filter(Boolean);
+    }
+}
+
+/**
+ * Minimal ZIP reader for EPUB files. Entries are inflated with the
+ * browser's DecompressionStream, so only stored and deflated entries
+ * (which is all EPUB uses) are supported.
+ * @class ZipReader
+ */
+class ZipReader {
+    /**
+     * @param {ArrayBuffer} buffer - ZIP file contents
+     * @throws {Error} When the data is not a ZIP file
+     */
+    constructor(buffer) {
+        this.bytes = new Uint8Array(buffer);
+        this.view = new DataView(buffer);
+        this.entries = this.readCentralDirectory();
+    }
+
+    /**
+     * Read the central directory into a map of entries by path
+     * @returns {Map<string, {method: number, size: number, offset: number}>} Entries
+     * @throws {Error} When the end of central directory record is missing
+     * @private
+     */
+    readCentralDirectory() {
+        // The end record sits at the very end, followed by an optional comment of up to 64 KiB
+        let end = -1;
+        for (let i = this.bytes.length - 22; i >= Math.max(0, this.bytes.length - 22 - 0xFFFF); i--) {
+            if (this.view.getUint32(i, true) === 0x06054B50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('Not a ZIP archive');
+        }
+
+        const count = this.view.getUint16(end + 10, true);
+        let pos = this.view.getUint32(end + 16, true);
+        const decoder = new TextDecoder();
+        const entries = new Map();
+
+        for (let i = 0; i < count; i++) {
+            if (this.view.getUint32(pos, true) !== 0x02014B50) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+            const nameLength = this.view.getUint16(pos + 28, true);
+            const extraLength = this.view.getUint16(pos + 30, true);
+            const commentLength = this.view.getUint16(pos + 32, true);
+            const name = decoder.decode(this.bytes.subarray(pos + 46, pos + 46 + nameLength));
+
+            entries.set(name, {
+                method: this.view.getUint16(pos + 10, true),
+                size: this.view.getUint32(pos + 20, true),
+                offset: this.view.getUint32(pos + 42, true)
+            });
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Check whether the archive contains a path
+     * @param {string} path - Entry path
+     * @returns {boolean}
+     */
+    has(path) {
+        return this.entries.has(path);
+    }
+
+    /**
+     * Read an entry's bytes
+     * @param {string} path - Entry path
+     * @returns {Promise<Uint8Array>} Uncompressed contents
+     * @throws {Error} When the entry is missing or uses an unsupported compression method
+     */
+    async read(path) {
+        const entry = this.entries.get(path);
+        if (!entry) {
+            throw new Error(`Missing file in archive: ${path}`);
+        }
+
+        // The local header repeats the name and may carry a different extra field
+        const header = entry.offset;
+        const start = header + 30 + this.view.getUint16(header + 26, true) + this.view.getUint16(header + 28, true);
+        const data = this.bytes.subarray(start, start + entry.size);
+
+        if (entry.method === 0) return data;
+        if (entry.method !== 8) {
+            throw new Error(`Unsupported compression in ${path}`);
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Read an entry as UTF-8 text
+     * @param {string} path - Entry path
+     * @returns {Promise<string>} Text contents
+     */
+    async readText(path) {
+        return new TextDecoder().decode(await this.read(path));
+    }
+}
+
+/**
+ * Minimal ZIP writer for bundling exports. Entries are stored without
+ * compression, since audio is already compressed and the text files are small.
+ * @class ZipWriter
+ */
+class ZipWriter {
+    /**
+     * CRC-32 lookup table, built on first use
+     * @static
+     */
+    static crcTable = null;
+
+    constructor() {
+        this.chunks = [];
+        this.entries = [];
+        this.offset = 0;
+    }
+
+    /**
+     * Compute the CRC-32 of some bytes
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Unsigned checksum
+     * @static
+     */
+    static crc32(bytes) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} path - Path inside the archive
+     * @param {Uint8Array|string} data - Contents (strings are stored as UTF-8)
+     */
+    add(path, data) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        const name = new TextEncoder().encode(path);
+        const now = new Date();
+        const entry = {
+            name,
+            crc: ZipWriter.crc32(bytes),
+            size: bytes.length,
+            offset: this.offset,
+            time: (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1),
+            date: ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+        };
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034B50, true);
+        header.setUint16(4, 20, true);             // version needed
+        header.setUint16(6, 0x0800, true);         // UTF-8 names
+        header.setUint16(8, 0, true);              // stored
+        header.setUint16(10, entry.time, true);
+        header.setUint16(12, entry.date, true);
+        header.setUint32(14, entry.crc, true);
+        header.setUint32(18, entry.size, true);
+        header.setUint32(22, entry.size, true);
+        header.setUint16(26, name.length, true);
+
+        this.chunks.push(header, name, bytes);
+        this.entries.push(entry);
+        this.offset += 30 + name.length + bytes.length;
+    }
+
+    /**
+     * Finish the archive with its central directory
+     * @returns {Blob} ZIP file
+     */
+    toBlob() {
+        const directory = [];
+        let directorySize = 0;
+
+        for (const entry of this.entries) {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014B50, true);
+            header.setUint16(4, 20, true);         // version made by
+            header.setUint16(6, 20, true);         // version needed
+            header.setUint16(8, 0x0800, true);
+            header.setUint16(10, 0, true);
+            header.setUint16(12, entry.time, true);
+            header.setUint16(14, entry.date, true);
+            header.setUint32(16, entry.crc, true);
+            header.setUint32(20, entry.size, true);
+            header.setUint32(24, entry.size, true);
+            header.setUint16(28, entry.name.length, true);
+            header.setUint32(42, entry.offset, true);
+
+            directory.push(header, entry.name);
+            directorySize += 46 + entry.name.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, this.offset, true);
+
+        return new Blob([...this.chunks, ...directory, end], { type: 'application/zip' });
+    }
+}
+
+/**
+ * Converts files into plain text for the editor. Document structure is
+ * kept as Markdown-style "# Heading" lines, which the editor turns into
+ * sections that can be played or exported on their own.
+ * @class DocumentImporter
+ */
+class DocumentImporter {
+    /**
+     * Importer method by file extension
+     * @static
+     * @readonly
+     */
+    static FORMATS = {
+        txt: 'importText',
+        text: 'importText',
+        md: 'importMarkdown',
+        markdown: 'importMarkdown',
+        html: 'importHtml',
+        htm: 'importHtml',
+        xhtml: 'importHtml',
+        srt: 'importCaptions',
+        vtt: 'importCaptions',
+        epub: 'importEpub'
+    };
+
+    /**
+     * Elements that start a new paragraph when extracting text from HTML
+     * @static
+     * @readonly
+     */
+    static BLOCK_ELEMENTS = new Set([
+        'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+        'footer', 'header', 'hr', 'li', 'main', 'ol', 'p', 'pre', 'section', 'table', 'td', 'th', 'tr', 'ul'
+    ]);
+
+    /**
+     * Check whether a file can be imported
+     * @param {File} file - File
+     * @returns {boolean}
+     * @static
+     */
+    static supports(file) {
+        return Boolean(DocumentImporter.FORMATS[DocumentImporter.getExtension(file.name)]);
+    }
+
+    /**
+     * Get the lower-case extension of a file name
+     * @param {string} name - File name
+     * @returns {string} Extension without the dot
+     * @static
+     */
+    static getExtension(name) {
+        const match = /\.([^./\\]+)$/.exec(name || '');
+        return match ? match[1].toLowerCase() : '';
+    }
+
+    /**
+     * Convert a file into a titled document
+     * @param {File} file - File to import
+     * @returns {Promise<{title: string, text: string}>} Document text with "# Heading" section lines
+     * @throws {Error} When the file type is unsupported or the file cannot be read
+     */
+    async import(file) {
+        const method = DocumentImporter.FORMATS[DocumentImporter.getExtension(file.name)];
+        if (!method) {
+            throw new Error('Unsupported file type');
+        }
+
+        const fallbackTitle = file.name.replace(/\.[^.]+$/, '');
+        const result = method === 'importEpub'
+            ? await this.importEpub(await file.arrayBuffer())
+            : this[method](await file.text());
+
+        return {
+            title: result.title || fallbackTitle,
+            text: result.text.replace(/\n{3,}/g, '\n\n').trim()
+        };
+    }
+
+    /**
+     * Import plain text as is
+     * @param {string} source - File contents
+     * @returns {{title: string, text: string}} Document
+     */
+    importText(source) {
+        return { title: '', text: source.replace(/\r\n?/g, '\n') };
+    }
+
+    /**
+     * Strip Markdown markup, keeping headings as section lines
+     * @param {string} source - Markdown
+     * @returns {{title: string, text: string}} Document
+     */
+    importMarkdown(source) {
+        const lines = source.replace(/\r\n?/g, '\n').split('\n');
+        const output = [];
+        let inFence = false;
+
+        for (let i = 0; i < lines.length; i++) {
+            let line = lines[i];
+
+            if (/^\s*(```|~~~)/.test(line)) {
+                inFence = !inFence;
+                continue;
+            }
+            if (inFence) {
+                output.push(line);
+                continue;
+            }
+
+            // Setext headings underline their text with === or ---
+            const next = lines[i + 1];
+            if (line.trim() && next !== undefined && /^\s*(=+|-+)\s*$/.test(next) && !/^\s*([-*+]|\d+\.)\s/.test(line)) {
+                output.push('', `${next.trim()[0] === '=' ? '#' : '##'} ${DocumentImporter.stripInlineMarkdown(line.trim())}`, '');
+                i++;
+                continue;
+            }
+
+            const heading = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+            if (heading) {
+                output.push('', `${heading[1]} ${DocumentImporter.stripInlineMarkdown(heading[2])}`, '');
+                continue;
+            }
+
+            // Drop rules, link definitions and table separators; unwrap quotes, lists and table rows
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line) || /^\s*\[[^\]]+\]:\s*\S/.test(line) || /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(line)) {
+                continue;
+            }
+            line = line
+                .replace(/^\s*(>\s?)+/, '')
+                .replace(/^\s*([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/, '')
+                .replace(/^\s*\|(.*)\|\s*$/, '$1')
+                .replace(/\s*\|\s*/g, ', ');
+
+            output.push(DocumentImporter.stripInlineMarkdown(line.trim()));
+        }
+
+        const title = output.find(line => /^#\s/.test(line))?.slice(2) || '';
+        return { title, text: output.join('\n') };
+    }
+
+    /**
+     * Remove inline Markdown (links, images, emphasis, code, HTML tags)
+     * @param {string} text - Markdown text
+     * @returns {string} Plain text
+     * @static
+     */
+    static stripInlineMarkdown(text) {
+        return text
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]+)\](\([^)]*\)|\[[^\]]*\])/g, '$1')
+            .replace(/<(https?:\/\/[^>]+)>/g, '$1')
+            .replace(/<\/?[A-Za-z][^>]*>/g, '')
+            .replace(/`([^`]+)`/g, '$1')
+            .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+            .replace(/(\*|_)(?=\S)(.+?)(?<=\S)\1(?![\p{L}\p{N}])/gu, '$2')
+            .replace(/~~(.+?)~~/g, '$1');
+    }
+
+    /**
+     * Extract the readable text of an HTML page
+     * @param {string} source - HTML
+     * @returns {{title: string, text: string}} Document
+     */
+    importHtml(source) {
+        const doc = new DOMParser().parseFromString(source, 'text/html');
+        const pageTitle = doc.querySelector('title')?.textContent.trim();
+        const text = DocumentImporter.htmlToText(doc);
+        return { title: pageTitle || /^#\s(.+)$/m.exec(text)?.[1] || '', text };
+    }
+
+    /**
+     * Convert a parsed HTML document to paragraphs, with headings as "#" lines
+     * @param {Document} doc - Parsed document
+     * @returns {string} Text
+     * @static
+     */
+    static htmlToText(doc) {
+        doc.querySelectorAll('script, style, noscript, template, head, [hidden], [aria-hidden="true"]').forEach(node => node.remove());
+
+        const blocks = [];
+        let current = '';
+        const flush = () => {
+            const text = current.replace(/\s+/g, ' ').trim();
+            if (text) blocks.push(text);
+            current = '';
+        };
+
+        const walk = (node) => {
+            for (const child of node.childNodes) {
+                if (child.nodeType === Node.TEXT_NODE) {
+                    current += child.textContent;
+                    continue;
+                }
+                if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+                const tag = child.localName;
+                const heading = /^h([1-6])$/.exec(tag);
+                if (heading) {
+                    flush();
+                    const text = child.textContent.replace(/\s+/g, ' ').trim();
+                    if (text) blocks.push(`${'#'.repeat(parseInt(heading[1], 10))} ${text}`);
+                    continue;
+                }
+                if (tag === 'br') {
+                    flush();
+                    continue;
+                }
+
+                const block = DocumentImporter.BLOCK_ELEMENTS.has(tag);
+                if (block) flush();
+                walk(child);
+                if (block) flush();
+            }
+        };
+
+        walk(doc.body || doc.documentElement);
+        flush();
+        return blocks.join('\n\n');
+    }
+
+    /**
+     * Read the cue text of an SRT or WebVTT file. Cues follow on from each
+     * other; a pause of two seconds or more starts a new paragraph.
+     * @param {string} source - Caption file
+     * @returns {{title: string, text: string}} Document
+     */
+    importCaptions(source) {
+        const blocks = source.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+        const paragraphs = [];
+        let paragraph = [];
+        let lastEnd = null;
+
+        for (const block of blocks) {
+            const lines = block.split('\n');
+            const timing = lines.findIndex(line => line.includes('-->'));
+            if (timing < 0) continue;
+
+            const [start, end] = lines[timing].split('-->').map(time => DocumentImporter.parseCueTime(time));
+            const text = lines.slice(timing + 1).join(' ')
+                .replace(/<[^>]*>/g, '')
+                .replace(/\{\\[^}]*\}/g, '')
+                .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+            if (!text) continue;
+
+            if (paragraph.length && lastEnd !== null && start - lastEnd >= 2000) {
+                paragraphs.push(paragraph.join(' '));
+                paragraph = [];
+            }
+            paragraph.push(text);
+            lastEnd = end;
+        }
+        if (paragraph.length) paragraphs.push(paragraph.join(' '));
+
+        return { title: '', text: paragraphs.join('\n\n') };
+    }
+
+    /**
+     * Parse an SRT or WebVTT timestamp
+     * @param {string} time - Timestamp such as "00:01:02,500" or "01:02.500"
+     * @returns {number} Milliseconds, or NaN
+     * @static
+     */
+    static parseCueTime(time) {
+        const match = /(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})/.exec(time);
+        if (!match) return NaN;
+        const [, hours = '0', minutes, seconds, millis] = match;
+        return ((parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60 + parseInt(seconds, 10)) * 1000
+            + parseInt(millis.padEnd(3, '0'), 10);
+    }
+
+    /**
+     * Read an EPUB's chapters in spine order. Chapters without a heading of
+     * their own get one from the table of contents.
+     * @param {ArrayBuffer} buffer - EPUB file contents
+     * @returns {Promise<{title: string, text: string}>} Document
+     * @throws {Error} When the file is not a readable EPUB
+     */
+    async importEpub(buffer) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot unpack EPUB files');
+        }
+
+        const zip = new ZipReader(buffer);
+        if (!zip.has('META-INF/container.xml')) {
+            throw new Error('Not an EPUB file');
+        }
+
+        const container = DocumentImporter.parseXml(await zip.readText('META-INF/container.xml'));
+        const opfPath = container.querySelector('rootfile')?.getAttribute('full-path');
+        if (!opfPath || !zip.has(opfPath)) {
+            throw new Error('EPUB package document not found');
+        }
+
+        const opf = DocumentImporter.parseXml(await zip.readText(opfPath));
+        const resolve = (href) => DocumentImporter.resolvePath(opfPath, href);
+
+        const manifest = new Map();
+        for (const item of opf.querySelectorAll('manifest > item')) {
+            manifest.set(item.getAttribute('id'), {
+                path: resolve(item.getAttribute('href') || ''),
+                type: item.getAttribute('media-type') || '',
+                properties: item.getAttribute('properties') || ''
+            });
+        }
+
+        const tocTitles = await this.readEpubToc(zip, opf, manifest);
+        const chapters = [];
+
+        for (const itemref of opf.querySelectorAll('spine > itemref')) {
+            if (itemref.getAttribute('linear') === 'no') continue;
+
+            const item = manifest.get(itemref.getAttribute('idref'));
+            if (!item || !/html/.test(item.type) || !zip.has(item.path)) continue;
+
+            const doc = new DOMParser().parseFromString(await zip.readText(item.path), 'text/html');
+            let text = DocumentImporter.htmlToText(doc);
+            if (!text) continue;
+
+            if (!/^#/.test(text)) {
+                text = `# ${tocTitles.get(item.path) || `Chapter ${chapters.length + 1}`}\n\n${text}`;
+            }
+            chapters.push(text);
+        }
+
+        if (chapters.length === 0) {
+            throw new Error('EPUB has no readable chapters');
+        }
+
+        const title = opf.getElementsByTagNameNS('*', 'title')[0]?.textContent.trim() || '';
+        return { title, text: chapters.join('\n\n') };
+    }
+
+    /**
+     * Map chapter paths to their table-of-contents titles, from the EPUB 3
+     * navigation document or the EPUB 2 NCX
+     * @param {ZipReader} zip - Archive
+     * @param {Document} opf - Package document
+     * @param {Map<string, Object>} manifest - Manifest items by id
+     * @returns {Promise<Map<string, string>>} Titles by chapter path
+     * @private
+     */
+    async readEpubToc(zip, opf, manifest) {
+        const titles = new Map();
+        const add = (basePath, href, label) => {
+            const path = DocumentImporter.resolvePath(basePath, (href || '').split('#')[0]);
+            const text = (label || '').replace(/\s+/g, ' ').trim();
+            if (path && text && !titles.has(path)) titles.set(path, text);
+        };
+
+        try {
+            const nav = [...manifest.values()].find(item => item.properties.split(/\s+/).includes('nav'));
+            if (nav && zip.has(nav.path)) {
+                const doc = new DOMParser().parseFromString(await zip.readText(nav.path), 'text/html');
+                doc.querySelectorAll('nav a[href]').forEach(a => add(nav.path, a.getAttribute('href'), a.textContent));
+                return titles;
+            }
+
+            const ncx = manifest.get(opf.querySelector('spine')?.getAttribute('toc'))
+                || [...manifest.values()].find(item => item.type === 'application/x-dtbncx+xml');
+            if (ncx && zip.has(ncx.path)) {
+                const doc = DocumentImporter.parseXml(await zip.readText(ncx.path));
+                for (const point of doc.getElementsByTagNameNS('*', 'navPoint')) {
+                    const label = point.getElementsByTagNameNS('*', 'text')[0]?.textContent;
+                    const src = point.getElementsByTagNameNS('*', 'content')[0]?.getAttribute('src');
+                    add(ncx.path, src, label);
+                }
+            }
+        } catch (error) {
+            // Chapters still import without titles from the table of contents
+            console.warn('Failed to read EPUB table of contents:', error);
+        }
+
+        return titles;
+    }
+
+    /**
+     * Parse XML, failing on malformed documents
+     * @param {string} source - XML
+     * @returns {Document} Parsed document
+     * @throws {Error} When the XML is malformed
+     * @static
+     */
+    static parseXml(source) {
+        const doc = new DOMParser().parseFromString(source, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length) {
+            throw new Error('Malformed EPUB metadata');
+        }
+        return doc;
+    }
+
+    /**
+     * Resolve a relative href against the archive path of the file containing it
+     * @param {string} basePath - Path of the referring file
+     * @param {string} href - Relative, URL-encoded reference
+     * @returns {string} Archive path
+     * @static
+     */
+    static resolvePath(basePath, href) {
+        if (!href) return '';
+
+        const parts = basePath.split('/').slice(0, -1);
+        for (const part of decodeURIComponent(href).split('/')) {
+            if (part === '..') parts.pop();
+            else if (part && part !== '.') parts.push(part);
+        }
+        return parts.join('/');
+    }
+}
+
+/**
+ * Shared IndexedDB database. Stores are created in upgrade() by version so
+ * features can add stores by bumping VERSION.
+ * @class VoxFreeDB
+ */
+class VoxFreeDB {
+    static NAME = 'voxfree';
+    static VERSION = 3;
+
+    /**
+     * Pending or open connection
+     * @static
+     * @private
+     */
+    static connection = null;
+
+    /**
+     * Open the database, creating or upgrading stores as needed
+     * @returns {Promise<IDBDatabase>} Database connection
+     * @throws {DatabaseBlockedError} When another tab keeps an older version open
+     * @static
+     */
+    static open() {
+        if (!VoxFreeDB.connection) {
+            VoxFreeDB.connection = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                let blocked = false;
+                const request = indexedDB.open(VoxFreeDB.NAME, VoxFreeDB.VERSION);
+                request.onupgradeneeded = (event) => VoxFreeDB.upgrade(request.result, event.oldVersion);
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Gave up while another tab held the old version open
+                    if (blocked) {
+                        db.close();
+                        return;
+                    }
+                    // Step aside so a newer version in another tab can upgrade
+                    db.onversionchange = () => {
+                        db.close();
+                        VoxFreeDB.connection = null;
+                    };
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => {
+                    blocked = true;
+                    reject(new DatabaseBlockedError());
+                };
+            }).catch((error) => {
+                VoxFreeDB.connection = null;
+                throw error;
+            });
+        }
+        return VoxFreeDB.connection;
+    }
+
+    /**
+     * Create the stores added since oldVersion
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {number} oldVersion - Version before the upgrade (0 when new)
+     * @static
+     * @private
+     */
+    static upgrade(db, oldVersion) {
+        if (oldVersion < 1) {
+            const audio = db.createObjectStore('audio', { keyPath: 'key' });
+            audio.createIndex('lastUsed', 'lastUsed');
+        }
+        if (oldVersion < 2) {
+            const documents = db.createObjectStore('documents', { keyPath: 'id' });
+            documents.createIndex('updated', 'updated');
+            db.createObjectStore('documentTexts', { keyPath: 'id' });
+        }
+        if (oldVersion < 3) {
+            db.createObjectStore('batchItems', { keyPath: 'position' });
+        }
+    }
+
+    /**
+     * Run work against one or more stores inside a transaction
+     * @param {string|string[]} storeName - Object store, or several to change together
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+     * @param {function(...IDBObjectStore): (IDBRequest|*)} work - Issues requests on the stores, in the order named
+     * @returns {Promise<*>} The request's result (or work's return value) once the transaction completes
+     * @static
+     */
+    static async transaction(storeName, mode, work) {
+        const db = await VoxFreeDB.open();
+
+        return new Promise((resolve, reject) => {
+            const names = [].concat(storeName);
+            const tx = db.transaction(names, mode);
+            const result = work(...names.map(name => tx.objectStore(name)));
+
+            tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+}
+
+/**
+ * Least-recently-used cache of synthesized chunk audio in IndexedDB.
+ * Caching is best effort: failures are logged and treated as misses.
+ * @class AudioCache
+ */
+class AudioCache {
+    /**
+     * @param {number} maxBytes - Size cap; least recently used entries are evicted beyond it
+     */
+    constructor(maxBytes) {
+        this.maxBytes = maxBytes;
+    }
+
+    /**
+     * Build the cache key for a chunk
+     * @param {string} backendId - Backend cache identity
+     * @param {string} lang - Language code
+     * @param {string} text - Chunk text
+     * @returns {string} Cache key
+     * @static
+     */
+    static makeKey(backendId, lang, text) {
+        // Whitespace and Unicode form changes don't change the audio
+        const normalized = text.normalize('NFC').replace(/\s+/g, ' ').trim();
+        return `${backendId}\u0000${lang}\u0000${normalized}`;
+    }
+
+    /**
+     * Look up cached audio and mark it as recently used
+     * @param {string} key - Cache key
+     * @returns {Promise<Blob|null>} Cached audio, or null on a miss
+     */
+    async get(key) {
+        try {
+            const entry = await VoxFreeDB.transaction('audio', 'readwrite', (store) => {
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    if (request.result) {
+                        store.put({ ...request.result, lastUsed: Date.now() });
+                    }
+                };
+                return request;
+            });
+            return entry ? entry.blob : null;
+        } catch (error) {
+            console.warn('Audio cache lookup failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store audio and evict old entries beyond the size cap
+     * @param {string} key - Cache key
+     * @param {Blob} blob - Audio
+     */
+    async put(key, blob) {
+        if (blob.size > this.maxBytes) return;
+
+        try {
+            await VoxFreeDB.transaction('audio', 'readwrite', (store) => store.put({
+                key,
+                blob,
+                size: blob.size,
+                lastUsed: Date.now()
+            }));
+            await this.evict();
+        } catch (error) {
+            console.warn('Audio cache write failed:', error);
+        }
+    }
+
+    /**
+     * List entries from least to most recently used
+     * @returns {Promise<{key: string, size: number}[]>} Entries
+     * @static
+     * @private
+     */
+    static async listEntries() {
+        const entries = [];
+
+        await VoxFreeDB.transaction('audio', 'readonly', (store) => {
+            const request = store.index('lastUsed').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    entries.push({ key: cursor.value.key, size: cursor.value.size });
+                    cursor.continue();
+                }
+            };
+        });
+        return entries;
+    }
+
+    /**
+     * Delete least recently used entries until the cache fits its cap
+     */
+    async evict() {
+        const entries = await AudioCache.listEntries();
+        let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+        const doomed = [];
+
+        for (const entry of entries) {
+            if (total <= this.maxBytes) break;
+            doomed.push(entry.key);
+            total -= entry.size;
+        }
+
+        if (doomed.length > 0) {
+            await VoxFreeDB.transaction('audio', 'readwrite', (store) => {
+                doomed.forEach(key => store.delete(key));
+            });
+        }
+    }
+
+    /**
+     * Measure the cache
+     * @returns {Promise<{count: number, bytes: number}>} Entry count and total size
+     * @static
+     */
+    static async getUsage() {
+        const entries = await AudioCache.listEntries();
+        return {
+            count: entries.length,
+            bytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+        };
+    }
+
+    /**
+     * Remove every cached chunk
+     * @static
+     */
+    static async clear() {
+        await VoxFreeDB.transaction('audio', 'readwrite', (store) => store.clear());
+    }
+}
+
+/**
+ * Saved documents in IndexedDB. Titles, settings and reading positions
+ * live in the "documents" store and the (possibly book-length) text in
+ * "documentTexts", so the library can be listed without loading every text.
+ * @class DocumentLibrary
+ */
+class DocumentLibrary {
+    /**
+     * Backup file format version
+     * @static
+     * @readonly
+     */
+    static BACKUP_VERSION = 1;
+
+    /**
+     * Create a unique document id
+     * @returns {string} Id
+     * @static
+     */
+    static createId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    /**
+     * Fill in defaults for a stored or restored document record
+     * @param {Object} raw - Document data
+     * @returns {Object|null} Document without its text, or null when the record is unusable
+     * @static
+     */
+    static normalize(raw) {
+        if (!raw || typeof raw.id !== 'string' || !raw.id) return null;
+
+        const settings = raw.settings || {};
+        const number = (value) => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+        return {
+            id: raw.id,
+            title: typeof raw.title === 'string' && raw.title.trim() ? raw.title.trim() : 'Untitled',
+            autoTitle: raw.autoTitle === true,
+            created: number(raw.created) ?? Date.now(),
+            updated: number(raw.updated) ?? Date.now(),
+            length: number(raw.length) ?? 0,
+            settings: {
+                voice: settings.voice && typeof settings.voice.name === 'string' ? settings.voice : null,
+                rate: number(settings.rate),
+                pitch: number(settings.pitch),
+                volume: number(settings.volume),
+                lexiconExcluded: Array.isArray(settings.lexiconExcluded) ? settings.lexiconExcluded.filter(key => typeof key === 'string') : []
+            },
+            position: raw.position && number(raw.position.offset) !== null ? raw.position : null
+        };
+    }
+
+    /**
+     * List documents, most recently changed first
+     * @returns {Promise<Object[]>} Documents without their text
+     */
+    async list() {
+        const documents = await VoxFreeDB.transaction('documents', 'readonly', store => store.getAll());
+        return documents.map(DocumentLibrary.normalize).filter(Boolean).sort((a, b) => b.updated - a.updated);
+    }
+
+    /**
+     * Read a document's text
+     * @param {string} id - Document id
+     * @returns {Promise<string>} Text (empty when missing)
+     */
+    async getText(id) {
+        const record = await VoxFreeDB.transaction('documentTexts', 'readonly', store => store.get(id));
+        return record?.text || '';
+    }
+
+    /**
+     * Store a document, and its text when given
+     * @param {Object} doc - Document without its text
+     * @param {string} [text] - New text; the stored text is kept when omitted
+     * @returns {Promise<void>}
+     */
+    async save(doc, text) {
+        const record = { ...doc };
+        if (text !== undefined) record.length = text.length;
+
+        await VoxFreeDB.transaction(['documents', 'documentTexts'], 'readwrite', (documents, texts) => {
+            documents.put(record);
+            if (text !== undefined) texts.put({ id: doc.id, text });
+        });
+    }
+
+    /**
+     * Delete a document and its text
+     * @param {string} id - Document id
+     * @returns {Promise<void>}
+     */
+    async delete(id) {
+        await VoxFreeDB.transaction(['documents', 'documentTexts'], 'readwrite', (documents, texts) => {
+            documents.delete(id);
+            texts.delete(id);
+        });
+    }
+
+    /**
+     * Find documents whose text contains a query (titles are matched by the caller)
+     * @param {string} query - Case-insensitive search text
+     * @returns {Promise<Set<string>>} Ids of matching documents
+     */
+    async searchText(query) {
+        const needle = query.toLowerCase();
+        const matches = new Set();
+
+        // Walk texts one at a time rather than loading every book at once
+        await VoxFreeDB.transaction('documentTexts', 'readonly', store => {
+            store.openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor) return;
+                if (cursor.value.text.toLowerCase().includes(needle)) matches.add(cursor.value.id);
+                cursor.continue();
+            };
+        });
+        return matches;
+    }
+
+    /**
+     * Build a backup of every document with its text
+     * @returns {Promise<{app: string, version: number, exported: string, documents: Object[]}>} Backup
+     */
+    async exportAll() {
+        const documents = await this.list();
+        const withText = [];
+        for (const doc of documents) {
+            withText.push({ ...doc, text: await this.getText(doc.id) });
+        }
+        return {
+            app: 'voxfree',
+            version: DocumentLibrary.BACKUP_VERSION,
+            exported: new Date().toISOString(),
+            documents: withText
+        };
+    }
+
+    /**
+     * Restore documents from a backup. Documents with the same id are
+     * replaced; the rest of the library is left alone.
+     * @param {string} json - Backup file contents
+     * @returns {Promise<number>} Number of documents restored
+     * @throws {Error} When the file is not a library backup
+     */
+    async importAll(json) {
+        const data = JSON.parse(json);
+        if (data?.app !== 'voxfree' || !Array.isArray(data.documents)) {
+            throw new Error('File is not a VoxFree library backup');
+        }
+
+        let count = 0;
+        for (const raw of data.documents) {
+            const doc = DocumentLibrary.normalize(raw);
+            if (!doc || typeof raw.text !== 'string') continue;
+
+            await this.save(doc, raw.text);
+            count++;
+        }
+        return count;
+    }
+}
+
+/**
+ * Batch export queue: parses CSV, TSV and JSONL files of prompts and keeps
+ * each row's status and finished audio in IndexedDB, so a batch survives
+ * reloads and can be paused, resumed and retried
+ * @class BatchQueue
+ */
+class BatchQueue {
+    /**
+     * Column names accepted for each field in CSV and TSV headers
+     * @static
+     * @readonly
+     */
+    static COLUMNS = {
+        id: ['id', 'key', 'name'],
+        text: ['text', 'prompt', 'source', 'string'],
+        lang: ['language', 'lang', 'locale'],
+        voice: ['voice']
+    };
+
+    /**
+     * Check whether a value looks like a language tag such as "de" or "pt-BR"
+     * @param {string} value - Value to check
+     * @returns {boolean}
+     * @static
+     */
+    static isLanguageTag(value) {
+        return /^[a-z]{2,3}(?:[-_][a-z0-9]{2,8})*$/i.test(value);
+    }
+
+    /**
+     * Split delimited text into records, honouring quoted fields with
+     * doubled quotes and line breaks (RFC 4180)
+     * @param {string} content - File contents
+     * @param {string} delimiter - Field separator
+     * @returns {{fields: string[], line: number}[]} Records with their first line number
+     * @static
+     */
+    static parseDelimited(content, delimiter) {
+        const records = [];
+        let fields = [];
+        let field = '';
+        let quoted = false;
+        let line = 1;
+        let recordLine = 1;
+
+        const endRecord = () => {
+            fields.push(field);
+            if (fields.some(value => value.trim())) records.push({ fields, line: recordLine });
+            fields = [];
+            field = '';
+        };
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                    if (char === '\n') line++;
+                }
+            } else if (char === '"' && !field.trim()) {
+                quoted = true;
+                field = '';
+            } else if (char === delimiter) {
+                fields.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                endRecord();
+                line++;
+                recordLine = line;
+            } else {
+                field += char;
+            }
+        }
+        endRecord();
+
+        return records;
+    }
+
+    /**
+     * Read rows from a CSV, TSV or JSONL file. CSV and TSV files may start
+     * with a header naming the columns; otherwise the columns are id, text
+     * and a language or voice. Rows that cannot be exported are returned
+     * as invalid with the reason.
+     * @param {string} content - File contents
+     * @param {string} [fileName] - File name, used to tell the format
+     * @returns {Object[]} Queue items in file order
+     * @static
+     */
+    static parse(content, fileName = '') {
+        content = content.replace(/^\uFEFF/, '');
+        const ext = fileName.toLowerCase().split('.').pop();
+        const firstLine = content.trimStart().split('\n')[0];
+        const rows = [];
+
+        if (ext === 'jsonl' || ext === 'ndjson' || (ext !== 'csv' && ext !== 'tsv' && firstLine.startsWith('{'))) {
+            content.split('\n').forEach((text, index) => {
+                if (!text.trim()) return;
+                try {
+                    const data = JSON.parse(text);
+                    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                        throw new Error('not an object');
+                    }
+                    const pick = (names) => names.map(name => data[name]).find(value => value !== undefined && value !== null);
+                    const value = (names) => String(pick(names) ?? '').trim();
+                    rows.push({
+                        line: index + 1,
+                        id: value(BatchQueue.COLUMNS.id),
+                        text: String(pick(BatchQueue.COLUMNS.text) ?? ''),
+                        lang: value(BatchQueue.COLUMNS.lang),
+                        voice: value(BatchQueue.COLUMNS.voice)
+                    });
+                } catch (error) {
+                    rows.push({ line: index + 1, id: '', text: '', lang: '', voice: '', error: `Invalid JSON on line ${index + 1}` });
+                }
+            });
+        } else {
+            const delimiter = ext === 'tsv' || (ext !== 'csv' && firstLine.includes('\t')) ? '\t' : ',';
+            const records = BatchQueue.parseDelimited(content, delimiter);
+
+            // A header names the columns; without one they are id, text, language or voice
+            const header = records[0]?.fields.map(name => name.trim().toLowerCase()) || [];
+            const columnOf = (names) => header.findIndex(name => names.includes(name));
+            let columns = { id: 0, text: 1, lang: -1, voice: 3, extra: 2 };
+            if (columnOf(BatchQueue.COLUMNS.text) !== -1) {
+                records.shift();
+                columns = {
+                    id: columnOf(BatchQueue.COLUMNS.id),
+                    text: columnOf(BatchQueue.COLUMNS.text),
+                    lang: columnOf(BatchQueue.COLUMNS.lang),
+                    voice: columnOf(BatchQueue.COLUMNS.voice),
+                    extra: -1
+                };
+            }
+
+            for (const { fields, line } of records) {
+                const at = (column) => (column >= 0 ? (fields[column] ?? '').trim() : '');
+                const extra = at(columns.extra);
+                rows.push({
+                    line,
+                    id: at(columns.id),
+                    text: columns.text >= 0 ? fields[columns.text] ?? '' : '',
+                    lang: at(columns.lang) || (BatchQueue.isLanguageTag(extra) ? extra : ''),
+                    voice: at(columns.voice) || (extra && !BatchQueue.isLanguageTag(extra) ? extra : '')
+                });
+            }
+        }
+
+        const seen = new Set();
+        return rows.map((row, position) => {
+            const id = row.id || `row-${position + 1}`;
+            let error = row.error || '';
+            if (!error && !row.text.trim()) error = `No text on line ${row.line}`;
+            if (!error && seen.has(id)) error = `Duplicate id on line ${row.line}`;
+            seen.add(id);
+
+            return {
+                position,
+                id,
+                text: row.text.trim(),
+                lang: row.lang,
+                voice: row.voice,
+                status: error ? 'invalid' : 'pending',
+                error,
+                blob: null,
+                ext: '',
+                durationMs: 0
+            };
+        });
+    }
+
+    /**
+     * Read the queue in file order
+     * @returns {Promise<Object[]>} Items
+     */
+    async load() {
+        const items = await VoxFreeDB.transaction('batchItems', 'readonly', store => store.getAll());
+        return items.sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Replace the queue with new items
+     * @param {Object[]} items - Items from parse()
+     * @returns {Promise<void>}
+     */
+    async replace(items) {
+        await VoxFreeDB.transaction('batchItems', 'readwrite', (store) => {
+            store.clear();
+            items.forEach(item => store.put(item));
+        });
+    }
+
+    /**
+     * Store one item's status and audio
+     * @param {Object} item - Queue item
+     * @returns {Promise<void>}
+     */
+    async save(item) {
+        await VoxFreeDB.transaction('batchItems', 'readwrite', store => store.put(item));
+    }
+
+    /**
+     * Store several items at once
+     * @param {Object[]} items - Queue items
+     * @returns {Promise<void>}
+     */
+    async saveAll(items) {
+        await VoxFreeDB.transaction('batchItems', 'readwrite', (store) => {
+            items.forEach(item => store.put(item));
+        });
+    }
+}
+
+/**
+ * VoxFree Text-to-Speech Application
+ * Enterprise-grade text-to-speech web application with advanced features
+ * @class VoxFreeApp
+ * @version 2.0.0
+ */
+class VoxFreeApp {
+    /**
+     * Application configuration constants
+     * @static
+     * @readonly
+     */
+    static CONFIG = {
+        MAX_TEXT_LENGTH: 2000000,
+        // Sentences per lazily rendered block of the reading view
+        READING_BLOCK_SENTENCES: 40,
+        DOCUMENT_STORAGE_KEY: 'voxfree_document',
+        POSITIONS_STORAGE_KEY: 'voxfree_positions',
+        // Reading positions are kept for the most recent documents of at least this many characters
+        POSITIONS_MAX: 50,
+        POSITION_MIN_LENGTH: 2000,
+        // Reading positions are written at most this often while speaking
+        POSITION_SAVE_DELAY: 5000,
+        LIBRARY_CURRENT_KEY: 'voxfree_library_current',
+        LIBRARY_SAVE_DELAY: 1000,
+        PRESETS_STORAGE_KEY: 'voxfree_presets',
+        VOICE_FILTERS_STORAGE_KEY: 'voxfree_voice_filters',
+        LANGUAGE_STORAGE_KEY: 'voxfree_language_detection',
+        FAVORITE_VOICES_STORAGE_KEY: 'voxfree_favorite_voices',
+        // Voice preview sentences by primary language subtag
+        VOICE_SAMPLES: {
+            ar: 'مرحبا، هكذا يبدو صوتي عند قراءة نصك.',
+            cs: 'Dobrý den, takhle zním, když čtu váš text.',
+            da: 'Hej, sådan lyder jeg, når jeg læser din tekst op.',
+            de: 'Hallo, so klinge ich, wenn ich Ihren Text vorlese.',
+            el: 'Γεια σας, έτσι ακούγομαι όταν διαβάζω το κείμενό σας.',
+            en: 'Hello, this is how I sound when I read your text aloud.',
+            es: 'Hola, así sueno cuando leo tu texto en voz alta.',
+            fi: 'Hei, tältä kuulostan, kun luen tekstisi ääneen.',
+            fr: 'Bonjour, voici ma voix quand je lis votre texte à voix haute.',
+            he: 'שלום, כך אני נשמע כשאני מקריא את הטקסט שלך.',
+            hi: 'नमस्ते, जब मैं आपका पाठ पढ़ता हूँ तो मेरी आवाज़ ऐसी सुनाई देती है।',
+            hu: 'Helló, így hangzom, amikor felolvasom a szövegét.',
+            id: 'Halo, beginilah suara saya saat membacakan teks Anda.',
+            it: 'Ciao, questa è la mia voce quando leggo il tuo testo ad alta voce.',
+            ja: 'こんにちは。あなたの文章を読み上げると、このような声になります。',
+            ko: '안녕하세요, 제가 글을 읽어 드리면 이런 목소리로 들립니다.',
+            nb: 'Hei, slik høres jeg ut når jeg leser teksten din høyt.',
+            nl: 'Hallo, zo klink ik wanneer ik je tekst voorlees.',
+            pl: 'Cześć, tak brzmię, kiedy czytam twój tekst na głos.',
+            pt: 'Olá, é assim que eu soo quando leio o seu texto em voz alta.',
+            ro: 'Bună, așa sun când îți citesc textul cu voce tare.',
+            ru: 'Здравствуйте, вот так звучит мой голос, когда я читаю ваш текст.',
+            sk: 'Dobrý deň, takto znie môj hlas, keď čítam váš text.',
+            sv: 'Hej, så här låter jag när jag läser upp din text.',
+            th: 'สวัสดี นี่คือเสียงของฉันเมื่ออ่านข้อความของคุณ',
+            tr: 'Merhaba, metninizi sesli okurken böyle duyuluyorum.',
+            uk: 'Привіт, ось так звучить мій голос, коли я читаю ваш текст.',
+            vi: 'Xin chào, đây là giọng của tôi khi đọc văn bản của bạn.',
+            zh: '你好，这就是我朗读你的文字时的声音。'
+        },
+        CHUNK_SIZE: 200,
+        DEBOUNCE_DELAY: 300,
+        RETRY_ATTEMPTS: 2,
+        RETRY_DELAY: 1000,
+        UPDATE_CHECK_INTERVAL: 60 * 60 * 1000,
+        // Default CORS proxies; the list can be edited in Settings
+        PROXY_URLS: [
+            'https://api.allorigins.win/raw?url=',
+            'https://corsproxy.io/?',
+            'https://api.codetabs.com/v1/proxy?quest='
+        ],
+        TTS_BASE_URL: 'https://translate.google.com/translate_tts',
+        STORAGE_KEY: 'voxfree_preferences',
+        SPEAKERS_STORAGE_KEY: 'voxfree_speakers',
+        EXPORT_STORAGE_KEY: 'voxfree_export',
+        CACHE_STORAGE_KEY: 'voxfree_cache',
+        CACHE_DEFAULT_MAX_MB: 100,
+        SUBTITLE_STORAGE_KEY: 'voxfree_subtitles',
+        AUDIO_PROCESSING_STORAGE_KEY: 'voxfree_audio_processing',
+        EXPORT_METADATA_STORAGE_KEY: 'voxfree_export_metadata',
+        BATCH_STORAGE_KEY: 'voxfree_batch',
+        // Default export file name; see getExportBaseName() for the tokens
+        EXPORT_FILE_NAME_TEMPLATE: 'voxfree-{document}-{section}-{timestamp}',
+        EXPORT_COVER_MAX_MB: 5,
+        LEXICON_STORAGE_KEY: 'voxfree_lexicon',
+        NORMALIZATION_STORAGE_KEY: 'voxfree_normalization',
+        // "NAME: line" speaker labels in script mode
+        SCRIPT_LINE_PATTERN: /^[ \t]*(\p{L}[\p{L}\p{N}._'-]*(?: [\p{L}\p{N}._'-]+){0,3})[ \t]*:[ \t]+(\S.*)$/u,
+        // SSML break strengths in milliseconds
+        SSML_BREAK_STRENGTHS: {
+            'none': 0,
+            'x-weak': 100,
+            'weak': 250,
+            'medium': 400,
+            'strong': 700,
+            'x-strong': 1200
+        },
+        SSML_MAX_BREAK: 10000,
+        // Chunks fetched in parallel during long exports
+        EXPORT_CONCURRENCY: 3,
+        // Sample rate exported audio is decoded and encoded at
+        EXPORT_SAMPLE_RATE: 24000,
+        EXPORT_FORMATS: {
+            mp3: { label: 'MP3', ext: 'mp3' },
+            wav: { label: 'WAV', ext: 'wav' },
+            ogg: { label: 'OGG/Opus', ext: 'ogg' }
+        },
+        // Seconds the arrow keys move the preview playhead
+        PREVIEW_SEEK_STEP: 5,
+        PREVIEW_COLORS: {
+            wave: '#475569',
+            played: '#6366f1',
+            region: 'rgba(99, 102, 241, 0.2)',
+            playhead: '#ffffff',
+            spectrum: '#8b5cf6'
+        }
+    };
+
+    /**
+     * Initialize VoxFree application
+     * @constructor
+     */
+    constructor() {
+        // Validate browser compatibility
+        if (!this.checkBrowserCompatibility()) {
+            this.showError('Your browser does not support the Web Speech API. Please use a modern browser.');
+            return;
+        }
+
+        this.synth = window.speechSynthesis;
+        this.voices = [];
+        // Chosen voice as {voiceURI, name, lang}, kept while the voice list is rebuilt
+        this.selectedVoice = null;
+        this.presets = [];
+        // Voice dropdown and browser filters, kept between sessions
+        this.voiceFilters = { query: '', service: 'all', favoritesOnly: false };
+        this.favoriteVoices = [];
+        this.currentUtterance = null;
+        this.isProcessing = false;
+        this.debounceTimer = null;
+        this.voiceSearchTimer = null;
+
+        // Sentence queue used for playback
+        this.speechQueue = [];
+        this.queueIndex = 0;
+        this.queueText = '';
+        this.queueDisplayText = '';
+        this.speechSession = 0;
+        this.isPaused = false;
+        this.currentCharOffset = 0;
+        this.readingViewActive = false;
+        this.activeSentenceEl = null;
+        this.activeWordEl = null;
+        this.pendingBreakResume = null;
+        this.readingBlocks = [];
+        this.readingObserver = null;
+
+        // Document library (IndexedDB); null when unavailable
+        this.library = null;
+        this.libraryDocuments = [];
+        this.libraryQuery = '';
+        this.libraryRenderToken = 0;
+        this.currentDocument = null;
+        this.librarySaveTimer = null;
+        this.pendingDocumentText = false;
+
+        // Multi-speaker script mode
+        this.scriptMode = false;
+        this.speakerMap = {};
+
+        // Audio export backend
+        this.exportSettings = {
+            backend: 'google',
+            google: { proxies: [...VoxFreeApp.CONFIG.PROXY_URLS], openFallback: true },
+            http: { baseUrl: '', voices: [] }
+        };
+        this.exportBackend = null;
+        // Proxy health lasts for the session, so a reload gives every proxy a fresh chance
+        this.proxyPool = new ProxyPool(VoxFreeApp.CONFIG.PROXY_URLS);
+
+        // Long export in progress or waiting to be resumed
+        this.exportJob = null;
+
+        // Installed app: the deferred install prompt and a new version waiting to take over
+        this.installPrompt = null;
+        this.waitingWorker = null;
+
+        // Exported audio waiting in the preview player to be downloaded
+        this.previewPlayer = new PreviewPlayer();
+        this.pendingExport = null;
+        this.previewPeaks = null;
+        this.previewDrag = null;
+        this.previewFrame = null;
+        this.previewSpectrumData = null;
+
+        // Batch export of many prompts; rows and their audio live in IndexedDB
+        this.batchQueue = new BatchQueue();
+        this.batchItems = [];
+        this.batchLoaded = false;
+        this.batchSettings = { fileName: '', format: 'mp3' };
+        this.batchController = null;
+        this.batchActive = new Set();
+
+        // Tags and file name for exports; the cover image is kept for the session only
+        this.exportMetadata = {
+            artist: '',
+            album: '',
+            fileNameTemplate: VoxFreeApp.CONFIG.EXPORT_FILE_NAME_TEMPLATE,
+            chapters: true
+        };
+        this.exportCover = null;
+
+        // IndexedDB cache of exported chunk audio
+        this.cacheSettings = { enabled: true, maxMB: VoxFreeApp.CONFIG.CACHE_DEFAULT_MAX_MB };
+        this.audioCache = null;
+
+        // Pronunciation lexicon applied to spoken and exported text
+        this.lexicon = new Lexicon();
+
+        // Title of the imported document, used to name exports
+        this.documentTitle = '';
+        // Content id of the editor text, cached until the text changes
+        this.documentId = null;
+        // Reading position waiting to be written, and its timer
+        this.pendingPosition = null;
+        this.positionSaveTimer = null;
+
+        // Spoken forms for numbers, dates, units and the like; categories missing from the map are on
+        this.normalizationSettings = { enabled: true, categories: {} };
+        this.normalizer = new TextNormalizer();
+
+        // Language detection: 'off', 'suggest' a voice, or 'auto' per paragraph
+        this.languageSettings = { mode: 'auto' };
+        this.languageDetector = new LanguageDetector();
+        this.languageSegments = [];
+        this.languageSegmentsText = null;
+        this.suggestedVoice = null;
+        this.suggestedLanguage = null;
+        this.dismissedLanguage = null;
+
+        // Caption files downloaded alongside exported audio
+        this.subtitleSettings = { srt: false, vtt: false, marks: false, cueMode: 'sentence', maxLineWidth: 42 };
+
+        // Processing of exported audio and pauses added between its chunks
+        this.audioProcessing = {
+            normalize: false,
+            targetLufs: -16,
+            trimSilence: false,
+            edgeMs: 100,
+            sentencePauseMs: 0,
+            paragraphPauseMs: 0,
+            sectionPauseMs: 0,
+            matchRate: false
+        };
+
+        // Cache DOM elements for performance
+        this.ui = this.cacheUIElements();
+        
+        // Validate all required DOM elements exist
+        if (!this.validateUIElements()) {
+            console.error('Critical UI elements missing. Application cannot initialize.');
+            return;
+        }
+
+        this.init();
+    }
+
+    /**
+     * Check if browser supports required APIs
+     * @returns {boolean} Browser compatibility status
+     */
+    checkBrowserCompatibility() {
+        return 'speechSynthesis' in window && 'SpeechSynthesisUtterance' in window;
+    }
+
+    /**
+     * Cache all UI elements for performance optimization
+     * @returns {Object} Cached DOM elements
+     */
+    cacheUIElements() {
+        return {
+            textInput: document.getElementById('textInput'),
+            importBtn: document.getElementById('importBtn'),
+            libraryBtn: document.getElementById('libraryBtn'),
+            librarySidebar: document.getElementById('librarySidebar'),
+            libraryClose: document.getElementById('libraryClose'),
+            libraryNew: document.getElementById('libraryNew'),
+            libraryBackup: document.getElementById('libraryBackup'),
+            libraryRestore: document.getElementById('libraryRestore'),
+            libraryImportFile: document.getElementById('libraryImportFile'),
+            librarySearch: document.getElementById('librarySearch'),
+            libraryList: document.getElementById('libraryList'),
+            importFile: document.getElementById('importFile'),
+            sectionBar: document.getElementById('sectionBar'),
+            sectionSelect: document.getElementById('sectionSelect'),
+            resumeBar: document.getElementById('resumeBar'),
+            resumeText: document.getElementById('resumeText'),
+            resumeBtn: document.getElementById('resumeBtn'),
+            resumeDismiss: document.getElementById('resumeDismiss'),
+            charCount: document.getElementById('charCount'),
+            voiceSelect: document.getElementById('voiceSelect'),
+            presetSelect: document.getElementById('presetSelect'),
+            presetSave: document.getElementById('presetSave'),
+            presetDelete: document.getElementById('presetDelete'),
+            voiceSearch: document.getElementById('voiceSearch'),
+            voiceBrowserBtn: document.getElementById('voiceBrowserBtn'),
+            voiceBrowserDialog: document.getElementById('voiceBrowserDialog'),
+            voiceBrowserClose: document.getElementById('voiceBrowserClose'),
+            voiceBrowserSearch: document.getElementById('voiceBrowserSearch'),
+            voiceServiceFilter: document.getElementById('voiceServiceFilter'),
+            voiceFavoritesOnly: document.getElementById('voiceFavoritesOnly'),
+            voiceBrowserCount: document.getElementById('voiceBrowserCount'),
+            voiceBrowserList: document.getElementById('voiceBrowserList'),
+            scriptModeToggle: document.getElementById('scriptModeToggle'),
+            speakerPanel: document.getElementById('speakerPanel'),
+            speakerList: document.getElementById('speakerList'),
+            rate: document.getElementById('rate'),
+            rateValue: document.getElementById('rateValue'),
+            pitch: document.getElementById('pitch'),
+            pitchValue: document.getElementById('pitchValue'),
+            volume: document.getElementById('volume'),
+            volumeValue: document.getElementById('volumeValue'),
+            speakBtn: document.getElementById('speakBtn'),
+            stopBtn: document.getElementById('stopBtn'),
+            pauseBtn: document.getElementById('pauseBtn'),
+            prevBtn: document.getElementById('prevBtn'),
+            nextBtn: document.getElementById('nextBtn'),
+            downloadBtn: document.getElementById('downloadBtn'),
+            formatSelect: document.getElementById('formatSelect'),
+            splitChapters: document.getElementById('splitChapters'),
+            exportProgress: document.getElementById('exportProgress'),
+            exportProgressBar: document.getElementById('exportProgressBar'),
+            exportProgressText: document.getElementById('exportProgressText'),
+            exportCancelBtn: document.getElementById('exportCancelBtn'),
+            themeToggle: document.getElementById('themeToggle'),
+            settingsBtn: document.getElementById('settingsBtn'),
+            offlineBadge: document.getElementById('offlineBadge'),
+            installBtn: document.getElementById('installBtn'),
+            updateBar: document.getElementById('updateBar'),
+            updateBtn: document.getElementById('updateBtn'),
+            updateDismiss: document.getElementById('updateDismiss'),
+            settingsDialog: document.getElementById('settingsDialog'),
+            settingsClose: document.getElementById('settingsClose'),
+            exportBackendSelect: document.getElementById('exportBackendSelect'),
+            googleBackendSettings: document.getElementById('googleBackendSettings'),
+            proxyList: document.getElementById('proxyList'),
+            proxyOpenFallback: document.getElementById('proxyOpenFallback'),
+            proxyCheckBtn: document.getElementById('proxyCheckBtn'),
+            proxyResetBtn: document.getElementById('proxyResetBtn'),
+            proxyDiagnostics: document.getElementById('proxyDiagnostics'),
+            httpBackendSettings: document.getElementById('httpBackendSettings'),
+            httpBackendUrl: document.getElementById('httpBackendUrl'),
+            httpBackendVoices: document.getElementById('httpBackendVoices'),
+            httpBackendLoadVoices: document.getElementById('httpBackendLoadVoices'),
+            cacheEnabled: document.getElementById('cacheEnabled'),
+            cacheMaxSize: document.getElementById('cacheMaxSize'),
+            cacheUsage: document.getElementById('cacheUsage'),
+            cacheClearBtn: document.getElementById('cacheClearBtn'),
+            lexiconBtn: document.getElementById('lexiconBtn'),
+            lexiconDialog: document.getElementById('lexiconDialog'),
+            batchBtn: document.getElementById('batchBtn'),
+            batchDialog: document.getElementById('batchDialog'),
+            batchClose: document.getElementById('batchClose'),
+            batchLoadBtn: document.getElementById('batchLoadBtn'),
+            batchFile: document.getElementById('batchFile'),
+            batchSummary: document.getElementById('batchSummary'),
+            batchProgressBar: document.getElementById('batchProgressBar'),
+            batchStartBtn: document.getElementById('batchStartBtn'),
+            batchPauseBtn: document.getElementById('batchPauseBtn'),
+            batchRetryBtn: document.getElementById('batchRetryBtn'),
+            batchDownloadBtn: document.getElementById('batchDownloadBtn'),
+            batchClearBtn: document.getElementById('batchClearBtn'),
+            batchList: document.getElementById('batchList'),
+            lexiconClose: document.getElementById('lexiconClose'),
+            lexiconList: document.getElementById('lexiconList'),
+            lexiconAdd: document.getElementById('lexiconAdd'),
+            lexiconImport: document.getElementById('lexiconImport'),
+            lexiconImportFile: document.getElementById('lexiconImportFile'),
+            lexiconExport: document.getElementById('lexiconExport'),
+            subtitleSrt: document.getElementById('subtitleSrt'),
+            subtitleVtt: document.getElementById('subtitleVtt'),
+            subtitleMarks: document.getElementById('subtitleMarks'),
+            subtitleCueMode: document.getElementById('subtitleCueMode'),
+            subtitleLineWidth: document.getElementById('subtitleLineWidth'),
+            audioNormalize: document.getElementById('audioNormalize'),
+            audioTargetLufs: document.getElementById('audioTargetLufs'),
+            audioTrimSilence: document.getElementById('audioTrimSilence'),
+            audioEdgeMs: document.getElementById('audioEdgeMs'),
+            audioSentencePause: document.getElementById('audioSentencePause'),
+            audioParagraphPause: document.getElementById('audioParagraphPause'),
+            audioSectionPause: document.getElementById('audioSectionPause'),
+            audioMatchRate: document.getElementById('audioMatchRate'),
+            normalizationEnabled: document.getElementById('normalizationEnabled'),
+            languageDetectionMode: document.getElementById('languageDetectionMode'),
+            languageBar: document.getElementById('languageBar'),
+            languageText: document.getElementById('languageText'),
+            languageSwitchBtn: document.getElementById('languageSwitchBtn'),
+            languageDismiss: document.getElementById('languageDismiss'),
+            normalizationCategories: document.getElementById('normalizationCategories'),
+            normalizedBtn: document.getElementById('normalizedBtn'),
+            normalizedDialog: document.getElementById('normalizedDialog'),
+            normalizedClose: document.getElementById('normalizedClose'),
+            normalizedLanguage: document.getElementById('normalizedLanguage'),
+            normalizedOutput: document.getElementById('normalizedOutput'),
+            readingToggle: document.getElementById('readingToggle'),
+            readingView: document.getElementById('readingView'),
+            osTag: document.getElementById('osTag'),
+            visualizer: document.getElementById('visualizer'),
+            statusText: document.getElementById('statusText'),
+            previewDialog: document.getElementById('previewDialog'),
+            previewClose: document.getElementById('previewClose'),
+            previewInfo: document.getElementById('previewInfo'),
+            previewWaveform: document.getElementById('previewWaveform'),
+            previewSpectrum: document.getElementById('previewSpectrum'),
+            previewPlayBtn: document.getElementById('previewPlayBtn'),
+            previewTime: document.getElementById('previewTime'),
+            previewLoop: document.getElementById('previewLoop'),
+            previewClearRegion: document.getElementById('previewClearRegion'),
+            previewDownloadBtn: document.getElementById('previewDownloadBtn'),
+            previewDownloadLabel: document.getElementById('previewDownloadLabel'),
+            previewTrack: document.getElementById('previewTrack'),
+            exportTagFields: document.getElementById('exportTagFields'),
+            exportTagNote: document.getElementById('exportTagNote'),
+            exportTitle: document.getElementById('exportTitle'),
+            exportArtist: document.getElementById('exportArtist'),
+            exportAlbum: document.getElementById('exportAlbum'),
+            exportCoverImage: document.getElementById('exportCoverImage'),
+            exportCoverEmpty: document.getElementById('exportCoverEmpty'),
+            exportCoverBtn: document.getElementById('exportCoverBtn'),
+            exportCoverFile: document.getElementById('exportCoverFile'),
+            exportCoverRemove: document.getElementById('exportCoverRemove'),
+            exportChapters: document.getElementById('exportChapters'),
+            exportChaptersCount: document.getElementById('exportChaptersCount'),
+            exportFileName: document.getElementById('exportFileName'),
+            exportFileNamePreview: document.getElementById('exportFileNamePreview')
+        };
+    }
+
+    /**
+     * Validate that all required UI elements exist
+     * @returns {boolean} Validation status
+     */
+    validateUIElements() {
+        const requiredElements = ['textInput', 'speakBtn', 'stopBtn', 'voiceSelect'];
+        return requiredElements.every(key => this.ui[key] !== null);
+    }
+
+    /**
+     * Initialize application components
+     * @private
+     */
+    init() {
+        try {
+            // Offer only the export formats this browser can produce
+            this.initializeFormatOptions();
+
+            // Load user preferences
+            this.loadPreferences();
+            this.loadPresets();
+            this.loadVoiceFilters();
+            this.loadSpeakerMap();
+            this.loadExportSettings();
+            this.loadCacheSettings();
+            this.loadSubtitleSettings();
+            this.loadAudioProcessingSettings();
+            this.loadExportMetadata();
+            this.loadBatchSettings();
+            this.loadLexicon();
+            this.loadNormalizationSettings();
+            this.loadLanguageSettings();
+
+            // Platform Detection
+            this.detectPlatform();
+
+            // Voice Loading with retry mechanism
+            this.populateVoices();
+            if (speechSynthesis.onvoiceschanged !== undefined) {
+                speechSynthesis.onvoiceschanged = () => this.populateVoices();
+            }
+
+            // Event Listeners
+            this.addEventListeners();
+
+            // Initial UI State
+            this.restoreDocument();
+            this.updateDownloadLabel();
+            this.updateCharCount();
+            this.updateSliderLabels();
+            this.renderPresets();
+            this.renderSectionSelect();
+            this.checkResumePosition();
+            this.checkLanguageSuggestion();
+            this.initLibrary();
+
+            // Set initial theme
+            this.initializeTheme();
+
+            // Offline use, installing and updates
+            this.updateOnlineState();
+            window.addEventListener('online', () => this.updateOnlineState(true));
+            window.addEventListener('offline', () => this.updateOnlineState(true));
+            window.addEventListener('beforeinstallprompt', (event) => {
+                event.preventDefault();
+                this.installPrompt = event;
+                this.ui.installBtn?.classList.remove('hidden');
+            });
+            window.addEventListener('appinstalled', () => {
+                this.installPrompt = null;
+                this.ui.installBtn?.classList.add('hidden');
+                this.showNotification('VoxFree is installed and works offline.', 'success');
+            });
+            this.registerServiceWorker();
 
             // Cleanup on page unload
             window.addEventListener('beforeunload', () => this.cleanup());
 
-            console.info('VoxFree initialized successfully');
-        } catch (error) {
-            console.error('Initialization error:', error);
-            this.showError('Failed to initialize application. Please refresh the page.');
+            console.info('VoxFree initialized successfully');
+        } catch (error) {
+            console.error('Initialization error:', error);
+            this.showError('Failed to initialize application. Please refresh the page.');
+        }
+    }
+
+    /**
+     * Register the service worker that lets the app open offline, and offer
+     * a reload when it has installed a new version
+     * @private
+     */
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+        try {
+            const registration = await navigator.serviceWorker.register('sw.js');
+            const offerUpdate = (worker) => {
+                this.waitingWorker = worker;
+                this.ui.updateBar?.classList.remove('hidden');
+            };
+
+            // Without a controller this is the first install, which has nothing to replace
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                offerUpdate(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        offerUpdate(worker);
+                    }
+                });
+            });
+
+            // Long sessions look for new versions now and then
+            setInterval(() => registration.update().catch(() => {}), VoxFreeApp.CONFIG.UPDATE_CHECK_INTERVAL);
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+        }
+    }
+
+    /**
+     * Switch to the new version and reload, unless an export would be lost
+     * @public
+     */
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+
+        if (this.exportJob?.controller || this.batchController) {
+            this.showNotification('Finish or cancel the running export before updating.', 'info');
+            return;
+        }
+
+        this.ui.updateBtn.disabled = true;
+        navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    /**
+     * Show the browser's prompt to install VoxFree as an app
+     * @public
+     */
+    async installApp() {
+        const prompt = this.installPrompt;
+        if (!prompt) return;
+
+        this.installPrompt = null;
+        this.ui.installBtn.classList.add('hidden');
+
+        try {
+            await prompt.prompt();
+            const { outcome } = await prompt.userChoice;
+            console.info(`Install prompt ${outcome}`);
+        } catch (error) {
+            console.warn('Install prompt failed:', error);
+        }
+    }
+
+    /**
+     * Reflect the connection in the header and on the download button
+     * @param {boolean} [announce] - Tell the user about the change
+     * @private
+     */
+    updateOnlineState(announce = false) {
+        const offline = navigator.onLine === false;
+        this.ui.offlineBadge?.classList.toggle('hidden', !offline);
+        this.updateDownloadLabel();
+
+        if (!announce) return;
+        if (offline) {
+            this.showNotification('You are offline. Speaking keeps working; exports only use audio already in the cache.', 'info');
+        } else {
+            this.showNotification('Back online. Exports work again.', 'success');
+        }
+    }
+
+    /**
+     * Load user preferences from localStorage
+     * @private
+     */
+    loadPreferences() {
+        try {
+            const stored = localStorage.getItem(VoxFreeApp.CONFIG.STORAGE_KEY);
+            if (stored) {
+                const prefs = JSON.parse(stored);
+                if (prefs.rate) this.ui.rate.value = prefs.rate;
+                if (prefs.pitch) this.ui.pitch.value = prefs.pitch;
+                if (prefs.volume) this.ui.volume.value = prefs.volume;
+                if (prefs.voice && typeof prefs.voice.name === 'string') this.selectedVoice = prefs.voice;
+                if (typeof prefs.scriptMode === 'boolean') this.scriptMode = prefs.scriptMode;
+                if (prefs.format && this.ui.formatSelect) this.ui.formatSelect.value = prefs.format;
+                if (typeof prefs.splitChapters === 'boolean' && this.ui.splitChapters) this.ui.splitChapters.checked = prefs.splitChapters;
+                if (prefs.theme) {
+                    document.documentElement.classList.toggle('dark', prefs.theme === 'dark');
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to load preferences:', error);
+        }
+    }
+
+    /**
+     * Save user preferences to localStorage
+     * @private
+     */
+    savePreferences() {
+        try {
+            const prefs = {
+                rate: this.ui.rate.value,
+                pitch: this.ui.pitch.value,
+                volume: this.ui.volume.value,
+                voice: this.selectedVoice,
+                scriptMode: this.scriptMode,
+                format: this.ui.formatSelect?.value || 'mp3',
+                splitChapters: this.ui.splitChapters?.checked || false,
+                theme: document.documentElement.classList.contains('dark') ? 'dark' : 'light'
+            };
+            localStorage.setItem(VoxFreeApp.CONFIG.STORAGE_KEY, JSON.stringify(prefs));
+        } catch (error) {
+            console.warn('Failed to save preferences:', error);
+        }
+    }
+
+    /**
+     * Initialize theme based on user preference or system setting
+     * @private
+     */
+    initializeTheme() {
+        const isDark = document.documentElement.classList.contains('dark');
+        this.ui.themeToggle.innerHTML = isDark 
+            ? '<i class="fa-solid fa-moon"></i>' 
+            : '<i class="fa-solid fa-sun"></i>';
+    }
+
+    /**
+     * Detect user's operating system platform
+     * @private
+     */
+    detectPlatform() {
+        try {
+            const platform = navigator.platform.toLowerCase();
+            const userAgent = navigator.userAgent.toLowerCase();
+            
+            let osName = "Unknown OS";
+            
+            if (userAgent.includes('android')) {
+                osName = "Android";
+            } else if (userAgent.includes('iphone') || userAgent.includes('ipad')) {
+                osName = "iOS";
+            } else if (platform.includes('win')) {
+                osName = "Windows";
+            } else if (platform.includes('mac')) {
+                osName = "macOS";
+            } else if (platform.includes('linux')) {
+                osName = "Linux";
+            }
+
+            if (this.ui.osTag) {
+                this.ui.osTag.textContent = osName;
+            }
+        } catch (error) {
+            console.warn('Platform detection failed:', error);
+        }
+    }
+
+    /**
+     * Populate voice selection dropdown with available voices
+     * @private
+     */
+    populateVoices() {
+        try {
+            this.voices = this.synth.getVoices();
+
+            // Filter voices by search term, on-device/online and favorites
+            const filteredVoices = this.getFilteredVoices();
+
+            // Use DocumentFragment for better performance
+            const fragment = document.createDocumentFragment();
+
+            // The chosen voice, or its closest match when it is not installed here
+            const chosen = this.findVoice(this.selectedVoice) || this.getDefaultVoice();
+
+            // Favorites first, then one group per language and region
+            this.groupVoices(filteredVoices).forEach(group => {
+                const optgroup = document.createElement('optgroup');
+                optgroup.label = group.label;
+
+                group.voices.forEach(voice => {
+                    const option = document.createElement('option');
+                    const displayName = this.sanitizeText(`${voice.name} (${voice.lang})`);
+                    option.textContent = voice.default ? `${displayName} -- DEFAULT` : displayName;
+                    option.value = voice.voiceURI;
+
+                    if (voice === chosen) {
+                        option.selected = true;
+                    }
+
+                    option.setAttribute('data-lang', voice.lang);
+                    option.setAttribute('data-name', voice.name);
+                    optgroup.appendChild(option);
+                });
+
+                fragment.appendChild(optgroup);
+            });
+
+            // Clear and update dropdown
+            this.ui.voiceSelect.innerHTML = '';
+            
+            if (filteredVoices.length === 0) {
+                const option = document.createElement('option');
+                option.textContent = this.voices.length === 0 
+                    ? "Loading voices..." 
+                    : "No voices match your filters";
+                fragment.appendChild(option);
+            }
+
+            this.ui.voiceSelect.appendChild(fragment);
+            this.syncPresetSelect();
+            this.checkLanguageSuggestion();
+            this.renderVoiceBrowser();
+
+            // Show on the browse button that some voices are hidden
+            const filtered = this.voiceFilters.service !== 'all' || this.voiceFilters.favoritesOnly;
+            this.ui.voiceBrowserBtn?.classList.toggle('text-indigo-300', filtered);
+
+            // Speaker voice choices depend on the available voices
+            this.renderSpeakerPanel();
+        } catch (error) {
+            console.error('Error populating voices:', error);
+            this.showError('Failed to load voices. Please refresh the page.');
+        }
+    }
+
+    /**
+     * Attach event listeners to UI elements
+     * @private
+     */
+    addEventListeners() {
+        // Text Area with debouncing for performance
+        this.ui.textInput.addEventListener('input', () => {
+            this.documentId = null;
+            clearTimeout(this.debounceTimer);
+            this.debounceTimer = setTimeout(() => {
+                this.debounceTimer = null;
+                if (!this.ui.textInput.value.trim()) {
+                    this.documentTitle = '';
+                }
+                this.updateCharCount();
+                this.renderSectionSelect();
+                this.validateInput();
+                this.renderSpeakerPanel();
+                this.checkResumePosition();
+                this.checkLanguageSuggestion();
+                this.saveDocument();
+            }, VoxFreeApp.CONFIG.DEBOUNCE_DELAY);
+        });
+
+        // Document import from the file picker or by dropping a file on the editor
+        this.ui.importBtn?.addEventListener('click', () => this.ui.importFile.click());
+        this.ui.importFile?.addEventListener('change', () => this.importDocument(this.ui.importFile.files[0]));
+        ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(type => {
+            this.ui.textInput.parentElement.addEventListener(type, (e) => this.handleEditorDrag(e));
+        });
+        this.ui.sectionSelect?.addEventListener('change', () => this.handleSectionChange());
+        this.ui.resumeBtn?.addEventListener('click', () => this.resumeReading());
+        this.ui.resumeDismiss?.addEventListener('click', () => this.ui.resumeBar.classList.add('hidden'));
+        this.ui.languageSwitchBtn?.addEventListener('click', () => this.chooseVoice(this.suggestedVoice));
+        this.ui.languageDismiss?.addEventListener('click', () => {
+            this.dismissedLanguage = this.suggestedLanguage;
+            this.ui.languageBar.classList.add('hidden');
+        });
+
+        // Document library sidebar
+        this.ui.libraryBtn?.addEventListener('click', () => this.toggleLibrary(this.ui.librarySidebar.classList.contains('hidden')));
+        this.ui.libraryClose?.addEventListener('click', () => this.toggleLibrary(false));
+        this.ui.libraryNew?.addEventListener('click', () => this.createDocument());
+        this.ui.libraryBackup?.addEventListener('click', () => this.exportLibrary());
+        this.ui.libraryRestore?.addEventListener('click', () => this.ui.libraryImportFile.click());
+        this.ui.libraryImportFile?.addEventListener('change', () => this.importLibrary(this.ui.libraryImportFile.files[0]));
+        this.ui.librarySearch?.addEventListener('input', () => {
+            this.libraryQuery = this.ui.librarySearch.value;
+            this.renderLibrary();
+        });
+
+        // Script mode toggle
+        if (this.ui.scriptModeToggle) {
+            this.ui.scriptModeToggle.checked = this.scriptMode;
+            this.ui.scriptModeToggle.addEventListener('change', (e) => this.setScriptMode(e.target.checked));
+        }
+
+        // Sliders with preference saving; the open document remembers its own values
+        [this.ui.rate, this.ui.pitch, this.ui.volume].forEach(slider => {
+            slider.addEventListener('input', () => {
+                this.updateSliderLabels();
+                this.savePreferences();
+                this.updateDocumentSettings();
+                this.syncPresetSelect();
+            });
+        });
+        this.ui.voiceSelect.addEventListener('change', () => this.chooseVoice(this.getSelectedVoice()));
+
+        // Voice presets
+        this.ui.presetSelect?.addEventListener('change', () => {
+            if (this.ui.presetSelect.value) this.applyPreset(parseInt(this.ui.presetSelect.value, 10));
+            else this.syncPresetSelect();
+        });
+        this.ui.presetSave?.addEventListener('click', () => this.savePreset());
+        this.ui.presetDelete?.addEventListener('click', () => this.deletePreset());
+
+        // Voice Search with debouncing
+        this.ui.voiceSearch.addEventListener('input', () => {
+            clearTimeout(this.voiceSearchTimer);
+            this.voiceSearchTimer = setTimeout(() => this.updateVoiceFilters({ query: this.ui.voiceSearch.value }), VoxFreeApp.CONFIG.DEBOUNCE_DELAY);
+        });
+
+        // Voice browser
+        this.ui.voiceBrowserBtn?.addEventListener('click', () => this.openVoiceBrowser());
+        this.ui.voiceBrowserClose?.addEventListener('click', () => this.ui.voiceBrowserDialog.close());
+        this.ui.voiceBrowserSearch?.addEventListener('input', () => {
+            this.ui.voiceSearch.value = this.ui.voiceBrowserSearch.value;
+            this.updateVoiceFilters({ query: this.ui.voiceBrowserSearch.value });
+        });
+        this.ui.voiceServiceFilter?.addEventListener('change', () => this.updateVoiceFilters({ service: this.ui.voiceServiceFilter.value }));
+        this.ui.voiceFavoritesOnly?.addEventListener('change', () => this.updateVoiceFilters({ favoritesOnly: this.ui.voiceFavoritesOnly.checked }));
+
+        // Control buttons
+        this.ui.speakBtn.addEventListener('click', () => this.handleSpeak());
+        this.ui.stopBtn.addEventListener('click', () => this.stop());
+        this.ui.pauseBtn?.addEventListener('click', () => this.togglePause());
+        this.ui.prevBtn?.addEventListener('click', () => this.skip(-1));
+        this.ui.nextBtn?.addEventListener('click', () => this.skip(1));
+        this.ui.downloadBtn.addEventListener('click', () => this.handleExport(this.ui.formatSelect?.value || 'mp3'));
+        this.ui.exportCancelBtn?.addEventListener('click', () => this.cancelExport());
+
+        // Preview player for exported audio
+        this.previewPlayer.onended = () => this.renderPreview();
+        this.ui.previewClose?.addEventListener('click', () => this.ui.previewDialog.close());
+        this.ui.previewDialog?.addEventListener('close', () => this.closePreview());
+        this.ui.previewPlayBtn?.addEventListener('click', () => this.togglePreviewPlayback());
+        this.ui.previewLoop?.addEventListener('change', () => this.setPreviewLooping(this.ui.previewLoop.checked));
+        this.ui.previewClearRegion?.addEventListener('click', () => this.clearPreviewRegion());
+        this.ui.previewDownloadBtn?.addEventListener('click', () => this.downloadPreview());
+        this.ui.previewTrack?.addEventListener('change', () => this.selectPreviewTrack(parseInt(this.ui.previewTrack.value, 10)));
+        ['pointerdown', 'pointermove', 'pointerup'].forEach(type => {
+            this.ui.previewWaveform?.addEventListener(type, (e) => this.handlePreviewPointer(e));
+        });
+        this.ui.previewWaveform?.addEventListener('keydown', (e) => this.handlePreviewKeydown(e));
+
+        // Export details: tags, cover image and file name
+        [this.ui.exportArtist, this.ui.exportAlbum, this.ui.exportFileName, this.ui.exportChapters].forEach(input => {
+            input?.addEventListener('change', () => this.updateExportMetadataFromUI());
+        });
+        [this.ui.exportTitle, this.ui.exportArtist, this.ui.exportAlbum, this.ui.exportFileName].forEach(input => {
+            input?.addEventListener('input', () => this.renderExportFileName());
+        });
+        this.ui.exportCoverBtn?.addEventListener('click', () => this.ui.exportCoverFile.click());
+        this.ui.exportCoverFile?.addEventListener('change', () => this.setExportCover(this.ui.exportCoverFile.files[0]));
+        this.ui.exportCoverRemove?.addEventListener('click', () => this.removeExportCover());
+        [this.ui.formatSelect, this.ui.splitChapters].forEach(input => {
+            input?.addEventListener('change', () => {
+                this.updateDownloadLabel();
+                this.savePreferences();
+            });
+        });
+
+        // Theme toggle
+        this.ui.themeToggle.addEventListener('click', () => this.toggleTheme());
+
+        // Settings dialog
+        this.ui.settingsBtn?.addEventListener('click', () => this.openSettings());
+        this.ui.installBtn?.addEventListener('click', () => this.installApp());
+        this.ui.updateBtn?.addEventListener('click', () => this.applyUpdate());
+        this.ui.updateDismiss?.addEventListener('click', () => this.ui.updateBar.classList.add('hidden'));
+        this.ui.settingsClose?.addEventListener('click', () => this.ui.settingsDialog.close());
+        this.ui.exportBackendSelect?.addEventListener('change', () => this.updateExportSettingsFromUI());
+        this.ui.proxyList?.addEventListener('change', () => this.updateExportSettingsFromUI());
+        this.ui.proxyOpenFallback?.addEventListener('change', () => this.updateExportSettingsFromUI());
+        this.ui.proxyCheckBtn?.addEventListener('click', () => this.checkProxies());
+        this.ui.proxyResetBtn?.addEventListener('click', () => this.resetProxyList());
+        this.ui.httpBackendUrl?.addEventListener('change', () => this.updateExportSettingsFromUI());
+        this.ui.httpBackendVoices?.addEventListener('change', () => this.updateExportSettingsFromUI());
+        this.ui.httpBackendLoadVoices?.addEventListener('click', () => this.loadHttpBackendVoices());
+        this.ui.cacheEnabled?.addEventListener('change', () => this.updateCacheSettingsFromUI());
+        this.ui.cacheMaxSize?.addEventListener('change', () => this.updateCacheSettingsFromUI());
+        this.ui.cacheClearBtn?.addEventListener('click', () => this.clearAudioCache());
+        // Pronunciation lexicon editor
+        this.ui.lexiconBtn?.addEventListener('click', () => this.openLexicon());
+        this.ui.lexiconClose?.addEventListener('click', () => this.ui.lexiconDialog.close());
+
+        // Batch export
+        this.ui.batchBtn?.addEventListener('click', () => this.openBatchDialog());
+        this.ui.batchClose?.addEventListener('click', () => this.ui.batchDialog.close());
+        this.ui.batchLoadBtn?.addEventListener('click', () => this.ui.batchFile.click());
+        this.ui.batchFile?.addEventListener('change', () => this.importBatchFile(this.ui.batchFile.files[0]));
+        this.ui.batchStartBtn?.addEventListener('click', () => this.startBatch());
+        this.ui.batchPauseBtn?.addEventListener('click', () => this.pauseBatch());
+        this.ui.batchRetryBtn?.addEventListener('click', () => this.retryBatchFailures());
+        this.ui.batchDownloadBtn?.addEventListener('click', () => this.downloadBatchZip());
+        this.ui.batchClearBtn?.addEventListener('click', () => this.clearBatch());
+        this.ui.lexiconAdd?.addEventListener('click', () => this.addLexiconEntry());
+        this.ui.lexiconExport?.addEventListener('click', () => this.exportLexicon());
+        this.ui.lexiconImport?.addEventListener('click', () => this.ui.lexiconImportFile.click());
+        this.ui.lexiconImportFile?.addEventListener('change', () => this.importLexicon(this.ui.lexiconImportFile.files[0]));
+
+        ['subtitleSrt', 'subtitleVtt', 'subtitleMarks', 'subtitleCueMode', 'subtitleLineWidth'].forEach(id => {
+            this.ui[id]?.addEventListener('change', () => this.updateSubtitleSettingsFromUI());
+        });
+        ['audioNormalize', 'audioTargetLufs', 'audioTrimSilence', 'audioEdgeMs', 'audioSentencePause',
+            'audioParagraphPause', 'audioSectionPause', 'audioMatchRate'].forEach(id => {
+            this.ui[id]?.addEventListener('change', () => this.updateAudioProcessingSettingsFromUI());
+        });
+        this.ui.normalizationEnabled?.addEventListener('change', () => this.updateNormalizationSettingsFromUI());
+        this.ui.languageDetectionMode?.addEventListener('change', () => this.updateLanguageSettingsFromUI());
+
+        // Preview of exactly what will be spoken
+        this.ui.normalizedBtn?.addEventListener('click', () => this.showNormalizedText());
+        this.ui.normalizedClose?.addEventListener('click', () => this.ui.normalizedDialog.close());
+
+        // Reading view - clicking a word starts playback from there
+        this.ui.readingToggle?.addEventListener('click', () => this.setReadingView(!this.readingViewActive));
+        this.ui.readingView?.addEventListener('click', (e) => this.handleReadingViewClick(e));
+
+        // Keyboard shortcuts
+        document.addEventListener('keydown', (e) => this.handleKeyboardShortcuts(e));
+
+        // Prevent memory leaks - stop speech on page visibility change
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden && this.isProcessing) {
+                this.stop();
+            }
+        });
+    }
+
+    /**
+     * Handle keyboard shortcuts for accessibility
+     * @param {KeyboardEvent} e - Keyboard event
+     * @private
+     */
+    handleKeyboardShortcuts(e) {
+        // Ctrl/Cmd + Enter to speak
+        if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
+            e.preventDefault();
+            this.handleSpeak();
+        }
+        // Escape to stop
+        if (e.key === 'Escape' && this.isProcessing) {
+            e.preventDefault();
+            this.stop();
+        } else if (e.key === 'Escape' && !this.ui.librarySidebar?.classList.contains('hidden')) {
+            this.toggleLibrary(false);
+        }
+        // Alt + P to pause/resume (e.code keeps this working with macOS Option)
+        if (e.altKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyP') {
+            e.preventDefault();
+            this.togglePause();
+        }
+        // Alt + 1-9 to switch voice presets, outside text fields where macOS Option types characters
+        const typing = e.target instanceof HTMLElement && (e.target.isContentEditable || e.target.matches('input, textarea, select'));
+        if (e.altKey && !e.ctrlKey && !e.metaKey && !typing && /^Digit[1-9]$/.test(e.code)) {
+            const index = parseInt(e.code.slice(5), 10) - 1;
+            if (this.applyPreset(index)) {
+                e.preventDefault();
+                this.showNotification(`Preset: ${this.presets[index].name}`, 'info');
+            }
+        }
+        // Alt + Arrow keys to move between sentences; otherwise they stay browser back/forward
+        if (this.isProcessing && e.altKey && !e.ctrlKey && !e.metaKey && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')) {
+            e.preventDefault();
+            this.skip(e.key === 'ArrowLeft' ? -1 : 1);
+        }
+    }
+
+    /**
+     * Toggle application theme
+     * @private
+     */
+    toggleTheme() {
+        document.documentElement.classList.toggle('dark');
+        const isDark = document.documentElement.classList.contains('dark');
+        this.ui.themeToggle.innerHTML = isDark 
+            ? '<i class="fa-solid fa-moon"></i>' 
+            : '<i class="fa-solid fa-sun"></i>';
+        this.savePreferences();
+    }
+
+    /**
+     * Update character count display
+     * @private
+     */
+    updateCharCount() {
+        const length = this.ui.textInput.value.length;
+        const maxLength = VoxFreeApp.CONFIG.MAX_TEXT_LENGTH;
+        this.ui.charCount.textContent = `${length.toLocaleString()} / ${maxLength.toLocaleString()} chars`;
+        
+        // Visual feedback for character limit
+        if (length > maxLength) {
+            this.ui.charCount.classList.add('text-red-500');
+        } else {
+            this.ui.charCount.classList.remove('text-red-500');
+        }
+    }
+
+    /**
+     * Validate text input
+     * @returns {boolean} Validation status
+     * @private
+     */
+    validateInput() {
+        const text = this.getActiveText();
+        const length = text.length;
+
+        if (length === 0) {
+            return false;
+        }
+
+        if (length > VoxFreeApp.CONFIG.MAX_TEXT_LENGTH) {
+            const hint = this.parseSections(this.ui.textInput.value.trim()).length ? ' Choose a section to play it in parts.' : '';
+            this.showError(`Text exceeds maximum length of ${VoxFreeApp.CONFIG.MAX_TEXT_LENGTH.toLocaleString()} characters.${hint}`);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Sanitize text to prevent XSS attacks
+     * @param {string} text - Text to sanitize
+     * @returns {string} Sanitized text
+     * @private
+     */
+    sanitizeText(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Handle speak button click with validation
+     * @private
+     */
+    handleSpeak() {
+        if (this.isPaused) {
+            this.resume();
+            return;
+        }
+
+        if (this.isProcessing) {
+            console.warn('Already processing a request');
+            return;
+        }
+
+        if (!this.validateInput()) {
+            this.showError('Please enter valid text to speak.');
+            return;
+        }
+
+        // Pick up where a stopped playback of the same text left off
+        const text = this.getActiveText();
+        this.speak(text === this.queueText ? this.queueIndex : 0);
+    }
+
+    /**
+     * Convert text to speech using a managed queue of sentence utterances.
+     * Long input is split with the same boundaries used for export so that
+     * engines which stop after ~15 seconds per utterance keep talking.
+     * @param {number} startIndex - Queue index to start speaking from
+     * @returns {boolean} Whether playback was started
+     * @private
+     */
+    speak(startIndex = 0) {
+        try {
+            // Cancel any ongoing speech and invalidate its queue callbacks
+            this.speechSession++;
+            if (this.synth.speaking || this.synth.pending) {
+                this.synth.cancel();
+            }
+
+            const text = this.getActiveText();
+            if (!text) {
+                return false;
+            }
+
+            if (!this.syncSpeechQueue(text) || this.speechQueue.length === 0) {
+                return false;
+            }
+
+            this.queueIndex = Math.max(0, Math.min(startIndex, this.speechQueue.length - 1));
+            this.isProcessing = true;
+            this.setPaused(false);
+            this.toggleVisualizer(true);
+            this.setReadingView(true);
+            this.ui.resumeBar?.classList.add('hidden');
+            this.speakQueueItem(this.queueIndex, this.speechSession);
+            return true;
+
+        } catch (error) {
+            console.error('Error in speak method:', error);
+            this.resetSpeechState();
+            this.showError('Failed to start speech synthesis.');
+            return false;
+        }
+    }
+
+    /**
+     * Split text into speakable queue items. In script mode every line is
+     * tagged with its speaker so playback can switch voices line by line.
+     * @param {string} text - Text to split
+     * @returns {{items: Object[], displayText: string}} Queue items with offsets into displayText
+     * @throws {SSMLError} When the SSML markup is invalid
+     * @private
+     */
+    buildSpeechQueue(text) {
+        if (!this.scriptMode) {
+            return this.buildMarkupQueue(text);
+        }
+
+        const items = [];
+        let displayText = '';
+
+        for (const line of this.parseScript(text)) {
+            if (displayText) displayText += '\n';
+            if (line.speaker) displayText += `${line.label}: `;
+
+            const offset = displayText.length;
+            const lineQueue = this.buildMarkupQueue(line.text, !line.speaker);
+            displayText += lineQueue.displayText;
+
+            for (const item of lineQueue.items) {
+                items.push({ ...item, start: item.start + offset, end: item.end + offset, speaker: line.speaker });
+            }
+        }
+
+        return { items, displayText };
+    }
+
+    /**
+     * Split plain text or SSML into queue items. SSML input is parsed into
+     * items carrying their own prosody, voice and language, plus timed breaks.
+     * Plain text paragraphs in another language are tagged with it.
+     * @param {string} text - Text to split
+     * @param {boolean} detect - Whether to detect the language of plain text paragraphs
+     * @returns {{items: Object[], displayText: string}} Queue items with offsets into displayText
+     * @throws {SSMLError} When the SSML markup is invalid
+     * @private
+     */
+    buildMarkupQueue(text, detect = true) {
+        if (!this.isSSML(text)) {
+            const segments = detect ? this.getLanguageSegments(text) : [];
+            let segment = 0;
+            const items = this.splitSentences(text).map(item => {
+                while (segment < segments.length - 1 && item.start >= segments[segment].end) segment++;
+                const lang = segments[segment]?.lang;
+                return lang ? { ...item, lang } : item;
+            });
+            return { items, displayText: text };
+        }
+
+        const items = [];
+        let displayText = '';
+
+        for (const segment of this.parseSSML(text)) {
+            if (segment.type === 'break') {
+                items.push({ text: '', start: displayText.length, end: displayText.length, breakMs: segment.duration });
+                continue;
+            }
+
+            if (displayText && !/\s$/.test(displayText)) {
+                displayText += ' ';
+            }
+            const offset = displayText.length;
+            displayText += segment.text;
+
+            for (const sentence of this.splitSentences(segment.text)) {
+                items.push({
+                    text: sentence.text,
+                    start: sentence.start + offset,
+                    end: sentence.end + offset,
+                    prosody: segment.prosody,
+                    voiceName: segment.voiceName,
+                    lang: segment.lang
+                });
+            }
+        }
+
+        return { items, displayText };
+    }
+
+    /**
+     * Rebuild the speech queue and reading view when the text has changed
+     * @param {string} text - Trimmed editor text
+     * @returns {boolean} Whether the queue is usable
+     * @private
+     */
+    syncSpeechQueue(text) {
+        if (text === this.queueText) return true;
+
+        try {
+            const { items, displayText } = this.buildSpeechQueue(text);
+            this.speechQueue = items;
+            this.queueDisplayText = displayText;
+        } catch (error) {
+            if (!(error instanceof SSMLError)) throw error;
+            this.showError(error.message);
+            return false;
+        }
+
+        this.queueText = text;
+        this.queueIndex = 0;
+        this.renderReadingView();
+        return true;
+    }
+
+    /**
+     * Speak a single queue item and chain the next one when it ends
+     * @param {number} index - Queue index
+     * @param {number} session - Speech session the item belongs to
+     * @param {number} charOffset - Character offset within the item to start from
+     * @private
+     */
+    speakQueueItem(index, session, charOffset = 0) {
+        if (session !== this.speechSession) return;
+
+        const item = this.speechQueue[index];
+        if (!item) {
+            this.finishSpeechQueue();
+            return;
+        }
+
+        this.queueIndex = index;
+        this.currentCharOffset = charOffset;
+        this.highlightSentence(index);
+        this.saveReadingPosition(index);
+
+        // SSML breaks are timed silences between utterances
+        if (item.breakMs !== undefined) {
+            setTimeout(() => {
+                if (session !== this.speechSession) return;
+                if (this.isPaused) {
+                    this.pendingBreakResume = { index: index + 1, session };
+                    return;
+                }
+                this.speakQueueItem(index + 1, session);
+            }, item.breakMs);
+            return;
+        }
+
+        // Get selected (or SSML/speaker requested) voice safely
+        const voice = this.resolveItemVoice(item);
+
+        // Apply the lexicon and normalization; offsets map word boundaries back to the text shown
+        const spoken = this.prepareSpokenText(item.text.substring(charOffset), {
+            lang: item.lang || voice?.lang,
+            voice: voice?.name
+        });
+
+        const utterance = new SpeechSynthesisUtterance(spoken.text);
+        this.currentUtterance = utterance;
+
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        }
+        if (item.lang) {
+            utterance.lang = item.lang;
+        }
+
+        // Apply voice parameters with validation; speakers override rate and pitch
+        const prosody = item.prosody || { rate: 1, pitch: 1, volume: 1 };
+        const speaker = item.speaker ? this.speakerMap[item.speaker] : null;
+        const baseRate = speaker?.rate ?? parseFloat(this.ui.rate.value);
+        const basePitch = speaker?.pitch ?? parseFloat(this.ui.pitch.value);
+        utterance.rate = Math.max(0.1, Math.min(10, baseRate * prosody.rate));
+        utterance.pitch = Math.max(0, Math.min(2, basePitch * prosody.pitch));
+        utterance.volume = Math.max(0, Math.min(1, parseFloat(this.ui.volume.value) * prosody.volume));
+
+        // Event handlers - stale events from a cancelled session are ignored
+        utterance.onstart = () => {
+            if (session !== this.speechSession) return;
+            this.updateStatus(this.getQueueStatusText('Speaking'), true);
+        };
+
+        utterance.onend = () => {
+            if (session !== this.speechSession) return;
+            this.speakQueueItem(index + 1, session);
+        };
+
+        utterance.onboundary = (event) => {
+            if (session !== this.speechSession || event.name !== 'word') return;
+            this.highlightWord(index, charOffset + (spoken.offsets[event.charIndex] ?? event.charIndex));
+        };
+
+        utterance.onerror = (event) => {
+            if (session !== this.speechSession) return;
+
+            // Cancelling or interrupting is expected when the queue is stopped
+            if (event.error === 'canceled' || event.error === 'interrupted') return;
+
+            console.error('Speech synthesis error:', event);
+            this.resetSpeechState();
+            this.updateStatus('Error occurred', false);
+            this.showError(`Speech error: ${event.error || 'Unknown error'}`);
+        };
+
+        utterance.onpause = () => {
+            if (session !== this.speechSession) return;
+            this.updateStatus(this.getQueueStatusText('Paused'), false);
+        };
+
+        utterance.onresume = () => {
+            if (session !== this.speechSession) return;
+            this.updateStatus(this.getQueueStatusText('Speaking'), true);
+        };
+
+        this.synth.speak(utterance);
+    }
+
+    /**
+     * Get the voice currently chosen in the voice dropdown
+     * @returns {SpeechSynthesisVoice|null} Selected voice
+     * @private
+     */
+    getSelectedVoice() {
+        return this.voices.find(voice => voice.voiceURI === this.ui.voiceSelect.value) || null;
+    }
+
+    /**
+     * Load the voice browser filters and favorite voices
+     * @private
+     */
+    loadVoiceFilters() {
+        try {
+            const filters = JSON.parse(localStorage.getItem(VoxFreeApp.CONFIG.VOICE_FILTERS_STORAGE_KEY)) || {};
+            this.voiceFilters = {
+                query: typeof filters.query === 'string' ? filters.query : '',
+                service: ['all', 'local', 'network'].includes(filters.service) ? filters.service : 'all',
+                favoritesOnly: filters.favoritesOnly === true
+            };
+
+            const favorites = JSON.parse(localStorage.getItem(VoxFreeApp.CONFIG.FAVORITE_VOICES_STORAGE_KEY)) || [];
+            this.favoriteVoices = favorites.filter(voice => voice && typeof voice.name === 'string');
+        } catch (error) {
+            console.warn('Failed to load voice filters:', error);
+        }
+
+        if (this.ui.voiceSearch) {
+            this.ui.voiceSearch.value = this.voiceFilters.query;
+        }
+    }
+
+    /**
+     * Save the voice browser filters and favorite voices
+     * @private
+     */
+    saveVoiceFilters() {
+        try {
+            localStorage.setItem(VoxFreeApp.CONFIG.VOICE_FILTERS_STORAGE_KEY, JSON.stringify(this.voiceFilters));
+            localStorage.setItem(VoxFreeApp.CONFIG.FAVORITE_VOICES_STORAGE_KEY, JSON.stringify(this.favoriteVoices));
+        } catch (error) {
+            console.warn('Failed to save voice filters:', error);
+        }
+    }
+
+    /**
+     * Change voice filters, then refresh the voice dropdown and browser
+     * @param {Object} changes - Filter fields to change
+     * @private
+     */
+    updateVoiceFilters(changes) {
+        this.voiceFilters = { ...this.voiceFilters, ...changes };
+        this.saveVoiceFilters();
+        this.populateVoices();
+        this.renderVoiceBrowser();
+    }
+
+    /**
+     * Get the voices passing the search, on-device/online and favorites filters
+     * @returns {SpeechSynthesisVoice[]} Voices in browser order
+     * @private
+     */
+    getFilteredVoices() {
+        const { query, service, favoritesOnly } = this.voiceFilters;
+        const term = query.toLowerCase().trim();
+
+        return this.voices.filter(voice => {
+            if (service === 'local' && !voice.localService) return false;
+            if (service === 'network' && voice.localService) return false;
+            if (favoritesOnly && !this.isFavoriteVoice(voice)) return false;
+            if (!term) return true;
+
+            return voice.name.toLowerCase().includes(term) ||
+                   voice.lang.toLowerCase().includes(term) ||
+                   this.getLanguageLabel(voice.lang).toLowerCase().includes(term);
+        });
+    }
+
+    /**
+     * Name a language and region for display, e.g. "German (Germany)"
+     * @param {string} lang - BCP 47 language code
+     * @returns {string} Display name, or the code when the browser cannot name it
+     * @private
+     */
+    getLanguageLabel(lang) {
+        const code = (lang || '').replace('_', '-');
+        try {
+            this.languageNames = this.languageNames || new Intl.DisplayNames(['en'], { type: 'language' });
+            return this.languageNames.of(code) || code;
+        } catch (error) {
+            return code || 'Other';
+        }
+    }
+
+    /**
+     * Group voices by language and region, with favorites pinned first
+     * @param {SpeechSynthesisVoice[]} voices - Voices to group
+     * @returns {{label: string, voices: SpeechSynthesisVoice[]}[]} Groups in display order
+     * @private
+     */
+    groupVoices(voices) {
+        const favorites = voices.filter(voice => this.isFavoriteVoice(voice));
+        const byLanguage = new Map();
+
+        for (const voice of voices) {
+            if (favorites.includes(voice)) continue;
+
+            const lang = voice.lang.replace('_', '-');
+            if (!byLanguage.has(lang)) {
+                byLanguage.set(lang, { label: `${this.getLanguageLabel(lang)} · ${lang}`, voices: [] });
+            }
+            byLanguage.get(lang).voices.push(voice);
+        }
+
+        const groups = Array.from(byLanguage.values()).sort((a, b) => a.label.localeCompare(b.label));
+        return favorites.length ? [{ label: 'Favorites', voices: favorites }, ...groups] : groups;
+    }
+
+    /**
+     * Check whether a voice is a favorite
+     * @param {SpeechSynthesisVoice} voice - Voice
+     * @returns {boolean} Whether it is pinned
+     * @private
+     */
+    isFavoriteVoice(voice) {
+        return this.favoriteVoices.some(favorite =>
+            favorite.voiceURI === voice.voiceURI || (favorite.name === voice.name && favorite.lang === voice.lang));
+    }
+
+    /**
+     * Pin a voice to the top of the voice lists, or unpin it
+     * @param {SpeechSynthesisVoice} voice - Voice
+     * @public
+     */
+    toggleFavoriteVoice(voice) {
+        if (this.isFavoriteVoice(voice)) {
+            this.favoriteVoices = this.favoriteVoices.filter(favorite =>
+                favorite.voiceURI !== voice.voiceURI && !(favorite.name === voice.name && favorite.lang === voice.lang));
+        } else {
+            this.favoriteVoices.push(this.describeVoice(voice));
+        }
+        this.updateVoiceFilters({});
+    }
+
+    /**
+     * Make a voice the current voice, as if chosen in the voice dropdown
+     * @param {SpeechSynthesisVoice|null} voice - Voice
+     * @private
+     */
+    chooseVoice(voice) {
+        if (!voice) return;
+
+        this.selectVoice(this.describeVoice(voice));
+        this.savePreferences();
+        this.updateDocumentSettings();
+        this.syncPresetSelect();
+    }
+
+    /**
+     * Open the voice browser
+     * @public
+     */
+    openVoiceBrowser() {
+        if (!this.ui.voiceBrowserDialog) return;
+
+        this.ui.voiceBrowserSearch.value = this.voiceFilters.query;
+        this.ui.voiceServiceFilter.value = this.voiceFilters.service;
+        this.ui.voiceFavoritesOnly.checked = this.voiceFilters.favoritesOnly;
+        this.ui.voiceBrowserDialog.showModal();
+        this.renderVoiceBrowser();
+    }
+
+    /**
+     * Render the voice browser list, grouped like the voice dropdown
+     * @private
+     */
+    renderVoiceBrowser() {
+        if (!this.ui.voiceBrowserList || !this.ui.voiceBrowserDialog.open) return;
+
+        const voices = this.getFilteredVoices();
+        const selected = this.getSelectedVoice();
+        const fragment = document.createDocumentFragment();
+
+        this.ui.voiceBrowserCount.textContent = `${voices.length} of ${this.voices.length} voices`;
+
+        for (const group of this.groupVoices(voices)) {
+            const heading = document.createElement('h3');
+            heading.className = 'sticky top-0 z-10 px-2 py-1 text-xs font-semibold text-slate-400 uppercase tracking-wider voice-group-heading';
+            heading.textContent = group.label;
+            fragment.appendChild(heading);
+
+            for (const voice of group.voices) {
+                fragment.appendChild(this.createVoiceBrowserRow(voice, voice === selected));
+            }
+        }
+
+        if (voices.length === 0) {
+            const hint = document.createElement('p');
+            hint.className = 'text-xs text-slate-500 px-2 py-3';
+            hint.textContent = this.voices.length ? 'No voices match these filters.' : 'Loading voices...';
+            fragment.appendChild(hint);
+        }
+
+        this.ui.voiceBrowserList.replaceChildren(fragment);
+    }
+
+    /**
+     * Create a voice browser row with favorite, choose and preview buttons
+     * @param {SpeechSynthesisVoice} voice - Voice
+     * @param {boolean} isSelected - Whether it is the current voice
+     * @returns {HTMLElement} Row
+     * @private
+     */
+    createVoiceBrowserRow(voice, isSelected) {
+        const row = document.createElement('div');
+        row.className = `flex items-center gap-1 rounded-xl px-1 py-1 hover:bg-white/5${isSelected ? ' bg-indigo-500/15' : ''}`;
+
+        const favorite = this.isFavoriteVoice(voice);
+        const star = document.createElement('button');
+        star.className = `w-8 h-8 shrink-0 rounded-lg hover:bg-white/10 transition-colors ${favorite ? 'text-amber-300' : 'text-slate-500'}`;
+        star.setAttribute('aria-label', `${favorite ? 'Unpin' : 'Pin'} ${voice.name}`);
+        star.setAttribute('aria-pressed', String(favorite));
+        star.innerHTML = `<i class="fa-${favorite ? 'solid' : 'regular'} fa-star" aria-hidden="true"></i>`;
+        star.addEventListener('click', () => this.toggleFavoriteVoice(voice));
+
+        const choose = document.createElement('button');
+        choose.className = 'flex-1 min-w-0 text-left px-1';
+        choose.setAttribute('aria-label', `Use ${voice.name}`);
+        if (isSelected) choose.setAttribute('aria-current', 'true');
+        choose.addEventListener('click', () => {
+            this.chooseVoice(voice);
+            this.renderVoiceBrowser();
+        });
+
+        const name = document.createElement('span');
+        name.className = 'block truncate text-sm text-slate-200';
+        name.textContent = voice.name;
+
+        const details = document.createElement('span');
+        details.className = 'block text-[11px] text-slate-500';
+        details.textContent = [
+            voice.lang,
+            voice.localService ? 'on-device' : 'online',
+            voice.default ? 'default' : '',
+            isSelected ? 'selected' : ''
+        ].filter(Boolean).join(' · ');
+
+        choose.append(name, details);
+
+        const play = document.createElement('button');
+        play.className = 'w-8 h-8 shrink-0 rounded-lg hover:bg-white/10 text-slate-300 transition-colors';
+        play.setAttribute('aria-label', `Preview ${voice.name}`);
+        play.title = 'Play a sample';
+        play.innerHTML = '<i class="fa-solid fa-play" aria-hidden="true"></i>';
+        play.addEventListener('click', () => this.previewVoice(voice));
+
+        row.append(star, choose, play);
+        return row;
+    }
+
+    /**
+     * Speak a short sample sentence in the voice's language
+     * @param {SpeechSynthesisVoice} voice - Voice to preview
+     * @public
+     */
+    previewVoice(voice) {
+        if (this.isProcessing) {
+            this.stop();
+        }
+
+        const samples = VoxFreeApp.CONFIG.VOICE_SAMPLES;
+        const language = voice.lang.toLowerCase().split(/[-_]/)[0];
+        const utterance = new SpeechSynthesisUtterance(samples[language] || samples.en);
+        utterance.voice = voice;
+        utterance.lang = voice.lang;
+        utterance.rate = parseFloat(this.ui.rate.value);
+        utterance.pitch = parseFloat(this.ui.pitch.value);
+        utterance.volume = parseFloat(this.ui.volume.value);
+
+        this.synth.cancel();
+        this.synth.speak(utterance);
+    }
+
+    /**
+     * Get the browser's default voice
+     * @returns {SpeechSynthesisVoice|null} Default voice, or the first one
+     * @private
+     */
+    getDefaultVoice() {
+        return this.voices.find(voice => voice.default) || this.voices[0] || null;
+    }
+
+    /**
+     * Choose a voice in the voice dropdown. The description is kept, so the
+     * voice is picked up if it appears once the browser has loaded its voices.
+     * @param {{voiceURI: string, name: string, lang: string}} descriptor - Stored voice
+     * @private
+     */
+    selectVoice(descriptor) {
+        this.selectedVoice = descriptor;
+
+        const voice = this.findVoice(descriptor) || this.getDefaultVoice();
+        if (voice && Array.from(this.ui.voiceSelect.options).some(option => option.value === voice.voiceURI)) {
+            this.ui.voiceSelect.value = voice.voiceURI;
+        }
+
+        // Paragraphs are only switched to languages the voice does not speak
+        this.invalidateSpeechQueue();
+        this.checkLanguageSuggestion();
+    }
+
+    /**
+     * Pick the voice for a queue item, honoring SSML voice names and languages
+     * @param {Object} item - Queue item
+     * @returns {SpeechSynthesisVoice|null} Voice to use
+     * @private
+     */
+    resolveItemVoice(item) {
+        const speakerVoice = item.speaker ? this.findVoice(this.speakerMap[item.speaker]?.voice) : null;
+        const selected = speakerVoice || this.getSelectedVoice();
+
+        if (item.voiceName) {
+            const wanted = item.voiceName.toLowerCase();
+            const named = this.voices.find(voice => voice.name.toLowerCase() === wanted) ||
+                          this.voices.find(voice => voice.name.toLowerCase().includes(wanted));
+            if (named) return named;
+        }
+
+        if (item.lang) {
+            const prefix = item.lang.toLowerCase().split(/[-_]/)[0];
+            if (selected && selected.lang.toLowerCase().startsWith(prefix)) return selected;
+            return this.findVoiceForLanguage(item.lang) || selected;
+        }
+
+        return selected;
+    }
+
+    /**
+     * Find an available voice matching a stored voice description. voiceURIs
+     * differ between browsers and systems, so this falls back to the same
+     * name, then the same language and region, then the same language.
+     * @param {{voiceURI?: string, name?: string, lang?: string}|null} descriptor - Stored voice
+     * @returns {SpeechSynthesisVoice|null} Matching voice
+     * @private
+     */
+    findVoice(descriptor) {
+        if (!descriptor) return null;
+
+        // Android reports languages as "en_US"
+        const langOf = (lang) => (lang || '').toLowerCase().replace('_', '-');
+        const lang = langOf(descriptor.lang);
+
+        return (descriptor.voiceURI && this.voices.find(voice => voice.voiceURI === descriptor.voiceURI)) ||
+               (descriptor.name && this.voices.find(voice => voice.name === descriptor.name)) ||
+               (lang && this.voices.find(voice => langOf(voice.lang) === lang)) ||
+               (lang && this.voices.find(voice => langOf(voice.lang).split('-')[0] === lang.split('-')[0])) ||
+               null;
+    }
+
+    /**
+     * Describe a voice in a way that survives voice list reordering
+     * @param {SpeechSynthesisVoice} voice - Voice to describe
+     * @returns {{voiceURI: string, name: string, lang: string}} Voice description
+     * @private
+     */
+    describeVoice(voice) {
+        return { voiceURI: voice.voiceURI, name: voice.name, lang: voice.lang };
+    }
+
+    /**
+     * Build a status line describing queue progress
+     * @param {string} label - Status label
+     * @returns {string} Status text
+     * @private
+     */
+    getQueueStatusText(label) {
+        const total = this.speechQueue.length;
+        return total > 1 ? `${label} ${this.queueIndex + 1}/${total}...` : `${label}...`;
+    }
+
+    /**
+     * Complete playback after the last queue item has been spoken
+     * @private
+     */
+    finishSpeechQueue() {
+        // A document read to the end starts from the top next time
+        const range = this.getActiveRange();
+        if (range.offset + range.text.length >= this.ui.textInput.value.trim().length) {
+            this.clearReadingPosition();
+        }
+
+        this.resetSpeechState();
+        this.queueIndex = 0;
+        this.updateStatus('Ready', false);
+    }
+
+    /**
+     * Reset playback state shared by finish, stop and error paths
+     * @private
+     */
+    resetSpeechState() {
+        this.isProcessing = false;
+        this.currentUtterance = null;
+        this.setPaused(false);
+        this.toggleVisualizer(false);
+        this.highlightWord(-1, 0);
+    }
+
+    /**
+     * Stop speech synthesis, keeping the current sentence so playback can resume there
+     * @public
+     */
+    stop() {
+        try {
+            this.speechSession++;
+            this.synth.cancel();
+            this.flushReadingPosition();
+            this.resetSpeechState();
+            this.updateStatus('Stopped', false);
+        } catch (error) {
+            console.error('Error stopping speech:', error);
+        }
+    }
+
+    /**
+     * Pause speech synthesis
+     * @public
+     */
+    pause() {
+        if (!this.isProcessing || this.isPaused) return;
+
+        this.synth.pause();
+        this.setPaused(true);
+        this.toggleVisualizer(false);
+        this.updateStatus(this.getQueueStatusText('Paused'), false);
+    }
+
+    /**
+     * Resume paused speech synthesis
+     * @public
+     */
+    resume() {
+        if (!this.isPaused) return;
+
+        const pending = this.pendingBreakResume;
+        this.pendingBreakResume = null;
+
+        this.synth.resume();
+        this.setPaused(false);
+        this.toggleVisualizer(true);
+        this.updateStatus(this.getQueueStatusText('Speaking'), true);
+
+        // A break that elapsed while paused continues with the next item now
+        if (pending && pending.session === this.speechSession) {
+            this.speakQueueItem(pending.index, pending.session);
+        }
+    }
+
+    /**
+     * Toggle between paused and speaking
+     * @public
+     */
+    togglePause() {
+        if (this.isPaused) {
+            this.resume();
+        } else {
+            this.pause();
+        }
+    }
+
+    /**
+     * Move playback by a number of sentences
+     * @param {number} delta - Sentences to move (negative for backwards)
+     * @public
+     */
+    skip(delta) {
+        const text = this.getActiveText();
+        if (!text) return;
+
+        // Keep the queue in sync with the editor before navigating
+        if (!this.syncSpeechQueue(text) || this.speechQueue.length === 0) return;
+
+        // Step over SSML breaks so navigation always lands on a sentence
+        const step = delta < 0 ? -1 : 1;
+        let target = Math.max(0, Math.min(this.queueIndex + delta, this.speechQueue.length - 1));
+        while (this.speechQueue[target].breakMs !== undefined && this.speechQueue[target + step]) {
+            target += step;
+        }
+
+        if (this.isProcessing) {
+            this.playFrom(target);
+        } else {
+            this.queueIndex = target;
+            this.highlightSentence(target);
+            this.updateStatus(`Sentence ${target + 1}/${this.speechQueue.length}`, false);
+        }
+    }
+
+    /**
+     * Restart playback at a given queue index, starting it if idle
+     * @param {number} index - Queue index
+     * @param {number} charOffset - Character offset within the item
+     * @private
+     */
+    playFrom(index, charOffset = 0) {
+        this.speechSession++;
+        this.synth.cancel();
+
+        // Some engines stay paused after cancel until resume is called
+        if (this.isPaused) {
+            this.synth.resume();
+            this.setPaused(false);
+        }
+
+        this.isProcessing = true;
+        this.toggleVisualizer(true);
+        this.speakQueueItem(index, this.speechSession, charOffset);
+    }
+
+    /**
+     * Show or hide the read-along view in place of the editor
+     * @param {boolean} active - Whether the reading view should be shown
+     * @public
+     */
+    setReadingView(active) {
+        if (!this.ui.readingView) return;
+
+        if (active) {
+            const text = this.getActiveText();
+            if (!text || !this.syncSpeechQueue(text)) return;
+        }
+
+        this.readingViewActive = active;
+        this.ui.readingView.classList.toggle('hidden', !active);
+        this.ui.textInput.classList.toggle('invisible', active);
+
+        if (this.ui.readingToggle) {
+            this.ui.readingToggle.innerHTML = active
+                ? '<i class="fa-solid fa-pen" aria-hidden="true"></i>'
+                : '<i class="fa-solid fa-book-open" aria-hidden="true"></i>';
+            this.ui.readingToggle.setAttribute('aria-label', active ? 'Back to editor' : 'Open reading view');
+            this.ui.readingToggle.title = active ? 'Edit text' : 'Reading view';
+        }
+
+        if (!active) {
+            this.ui.textInput.focus();
+        }
+    }
+
+    /**
+     * Render the speech queue as blocks of sentences. Blocks are filled with
+     * clickable words only while they are near the visible area, so books of
+     * hundreds of thousands of characters stay responsive.
+     * @private
+     */
+    renderReadingView() {
+        const view = this.ui.readingView;
+        if (!view) return;
+
+        this.readingObserver?.disconnect();
+        this.readingObserver = null;
+        this.readingBlocks = this.buildReadingBlocks();
+
+        const metrics = this.getReadingMetrics();
+        const fragment = document.createDocumentFragment();
+
+        this.readingBlocks.forEach((block, blockIndex) => {
+            const element = document.createElement('div');
+            element.className = 'reading-block';
+            element.dataset.block = blockIndex;
+            element.style.height = `${this.estimateBlockHeight(block, metrics)}px`;
+            block.element = element;
+            fragment.appendChild(element);
+        });
+
+        view.innerHTML = '';
+        view.appendChild(fragment);
+        this.activeSentenceEl = null;
+        this.activeWordEl = null;
+
+        // Without IntersectionObserver every block is filled up front
+        if (typeof IntersectionObserver === 'undefined') {
+            this.readingBlocks.forEach((_, blockIndex) => this.fillReadingBlock(blockIndex));
+            return;
+        }
+
+        this.readingObserver = new IntersectionObserver((entries) => {
+            for (const entry of entries) {
+                const blockIndex = Number(entry.target.dataset.block);
+                if (entry.isIntersecting) {
+                    this.fillReadingBlock(blockIndex);
+                } else {
+                    this.emptyReadingBlock(blockIndex);
+                }
+            }
+        }, { root: view, rootMargin: '100% 0px' });
+
+        this.readingBlocks.forEach(block => this.readingObserver.observe(block.element));
+    }
+
+    /**
+     * Group queue items into blocks, preferring to break between paragraphs
+     * @returns {{first: number, last: number, start: number, end: number}[]} Item ranges and
+     *     the display text each block shows
+     * @private
+     */
+    buildReadingBlocks() {
+        const { READING_BLOCK_SENTENCES } = VoxFreeApp.CONFIG;
+        const blocks = [];
+        let block = null;
+
+        this.speechQueue.forEach((item, index) => {
+            const gapHasBreak = block && this.queueDisplayText.substring(block.end, item.start).includes('\n');
+            const size = block ? index - block.first : 0;
+
+            if (!block || (size >= READING_BLOCK_SENTENCES && gapHasBreak) || size >= READING_BLOCK_SENTENCES * 4) {
+                block = { first: index, last: index, start: block ? block.end : 0, end: item.end };
+                blocks.push(block);
+            }
+            block.last = index;
+            block.end = item.end;
+        });
+
+        if (block) {
+            block.end = this.queueDisplayText.length;
+        }
+        return blocks;
+    }
+
+    /**
+     * Measure the reading view's line height and characters per line
+     * @returns {{lineHeight: number, charsPerLine: number}} Metrics for height estimates
+     * @private
+     */
+    getReadingMetrics() {
+        const style = getComputedStyle(this.ui.readingView);
+        const fontSize = parseFloat(style.fontSize) || 20;
+        const lineHeight = parseFloat(style.lineHeight) || fontSize * 1.625;
+        const width = this.ui.readingView.clientWidth || 600;
+        return { lineHeight, charsPerLine: Math.max(20, Math.floor(width / (fontSize * 0.5))) };
+    }
+
+    /**
+     * Estimate the rendered height of a block that has not been filled yet
+     * @param {Object} block - Reading block
+     * @param {{lineHeight: number, charsPerLine: number}} metrics - Reading view metrics
+     * @returns {number} Height in pixels
+     * @private
+     */
+    estimateBlockHeight(block, metrics) {
+        const lines = this.getBlockText(block).split('\n')
+            .reduce((count, line) => count + Math.max(1, Math.ceil(line.length / metrics.charsPerLine)), 0);
+        return Math.round(lines * metrics.lineHeight);
+    }
+
+    /**
+     * Get the display text of a block. Blocks are separate elements, so one
+     * line break of the gap before a block is already implied.
+     * @param {Object} block - Reading block
+     * @returns {string} Text
+     * @private
+     */
+    getBlockText(block) {
+        const text = this.queueDisplayText.substring(block.start, block.end);
+        return block.start > 0 ? text.replace(/^[^\S\n]*\n/, '') : text;
+    }
+
+    /**
+     * Render the sentences and words of a block
+     * @param {number} blockIndex - Block index
+     * @private
+     */
+    fillReadingBlock(blockIndex) {
+        const block = this.readingBlocks?.[blockIndex];
+        if (!block || block.filled) return;
+
+        const fragment = document.createDocumentFragment();
+        let cursor = block.start;
+
+        for (let index = block.first; index <= block.last; index++) {
+            const item = this.speechQueue[index];
+
+            // Preserve the whitespace and line breaks between sentences
+            if (item.start > cursor) {
+                let gap = this.queueDisplayText.substring(cursor, item.start);
+                if (cursor === block.start && block.start > 0) gap = gap.replace(/^[^\S\n]*\n/, '');
+                fragment.appendChild(document.createTextNode(gap));
+            }
+            if (item.breakMs !== undefined) continue;
+
+            const sentence = document.createElement('span');
+            sentence.className = 'reading-sentence';
+            sentence.dataset.index = index;
+
+            const wordPattern = /\S+/g;
+            let wordCursor = 0;
+            let match;
+            while ((match = wordPattern.exec(item.text)) !== null) {
+                if (match.index > wordCursor) {
+                    sentence.appendChild(document.createTextNode(item.text.substring(wordCursor, match.index)));
+                }
+                const word = document.createElement('span');
+                word.className = 'reading-word';
+                word.dataset.offset = match.index;
+                word.textContent = match[0];
+                sentence.appendChild(word);
+                wordCursor = match.index + match[0].length;
+            }
+
+            fragment.appendChild(sentence);
+            cursor = item.end;
+        }
+        if (block.end > cursor) {
+            fragment.appendChild(document.createTextNode(this.queueDisplayText.substring(cursor, block.end)));
+        }
+
+        block.element.style.height = '';
+        block.element.replaceChildren(fragment);
+        block.filled = true;
+    }
+
+    /**
+     * Replace a far-away block with an empty box of the same height
+     * @param {number} blockIndex - Block index
+     * @private
+     */
+    emptyReadingBlock(blockIndex) {
+        const block = this.readingBlocks?.[blockIndex];
+        if (!block || !block.filled) return;
+        if (block.element.contains(this.activeSentenceEl)) return;
+
+        block.element.style.height = `${block.element.offsetHeight}px`;
+        block.element.replaceChildren();
+        block.filled = false;
+    }
+
+    /**
+     * Find the block containing a queue item
+     * @param {number} index - Queue index
+     * @returns {number} Block index, or -1
+     * @private
+     */
+    findReadingBlock(index) {
+        const blocks = this.readingBlocks || [];
+        let low = 0;
+        let high = blocks.length - 1;
+
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (index < blocks[mid].first) high = mid - 1;
+            else if (index > blocks[mid].last) low = mid + 1;
+            else return mid;
+        }
+        return -1;
+    }
+
+    /**
+     * Highlight the sentence being spoken and scroll it into view
+     * @param {number} index - Queue index
+     * @private
+     */
+    highlightSentence(index) {
+        const view = this.ui.readingView;
+        if (!view) return;
+
+        this.activeSentenceEl?.classList.remove('is-active');
+        this.highlightWord(-1, 0);
+
+        // The sentence's block may not have been rendered yet
+        const blockIndex = this.findReadingBlock(index);
+        if (blockIndex >= 0) this.fillReadingBlock(blockIndex);
+
+        const sentence = view.querySelector(`.reading-sentence[data-index="${index}"]`);
+        this.activeSentenceEl = sentence;
+        if (!sentence) return;
+
+        sentence.classList.add('is-active');
+        if (this.readingViewActive) {
+            sentence.scrollIntoView({ block: 'center', behavior: 'smooth' });
+        }
+    }
+
+    /**
+     * Highlight the word at a character offset within a sentence
+     * @param {number} index - Queue index (-1 clears the highlight)
+     * @param {number} charIndex - Character offset within the sentence
+     * @private
+     */
+    highlightWord(index, charIndex) {
+        this.activeWordEl?.classList.remove('is-active');
+        this.activeWordEl = null;
+
+        if (index < 0 || !this.activeSentenceEl) return;
+
+        // The spoken word is the last word starting at or before the boundary
+        let target = null;
+        for (const word of this.activeSentenceEl.querySelectorAll('.reading-word')) {
+            if (Number(word.dataset.offset) > charIndex) break;
+            target = word;
+        }
+
+        if (target) {
+            target.classList.add('is-active');
+            this.activeWordEl = target;
+        }
+    }
+
+    /**
+     * Start playback from the clicked word in the reading view
+     * @param {MouseEvent} e - Click event
+     * @private
+     */
+    handleReadingViewClick(e) {
+        const word = e.target.closest('.reading-word');
+        const sentence = word?.closest('.reading-sentence');
+        if (!sentence) return;
+
+        this.playFrom(Number(sentence.dataset.index), Number(word.dataset.offset));
+    }
+
+    /**
+     * Track paused state and reflect it on the pause button
+     * @param {boolean} paused - Whether playback is paused
+     * @private
+     */
+    setPaused(paused) {
+        this.isPaused = paused;
+
+        if (this.ui.pauseBtn) {
+            this.ui.pauseBtn.innerHTML = paused
+                ? '<i class="fa-solid fa-play" aria-hidden="true"></i>'
+                : '<i class="fa-solid fa-pause" aria-hidden="true"></i>';
+            this.ui.pauseBtn.setAttribute('aria-label', paused ? 'Resume speech synthesis' : 'Pause speech synthesis');
+            this.ui.pauseBtn.title = paused ? 'Resume (Alt+P)' : 'Pause (Alt+P)';
+        }
+    }
+
+    /**
+     * Update status display
+     * @param {string} text - Status text
+     * @param {boolean} isActive - Whether actively processing
+     * @private
+     */
+    updateStatus(text, isActive) {
+        if (this.ui.statusText) {
+            this.ui.statusText.textContent = text;
+            this.ui.statusText.className = isActive 
+                ? 'text-primary font-semibold animate-pulse' 
+                : 'text-slate-400 font-medium';
+        }
+
+        if (this.ui.speakBtn) {
+            this.ui.speakBtn.innerHTML = isActive
+                ? '<i class="fa-solid fa-spinner fa-spin"></i> Speaking'
+                : '<i class="fa-solid fa-play"></i> Speak';
+            this.ui.speakBtn.disabled = isActive;
+        }
+    }
+
+    /**
+     * Toggle visualizer animation
+     * @param {boolean} active - Whether to activate visualizer
+     * @private
+     */
+    toggleVisualizer(active) {
+        if (!this.ui.visualizer) return;
+
+        if (active) {
+            this.ui.visualizer.classList.remove('opacity-50');
+            this.ui.visualizer.classList.add('opacity-100');
+        } else {
+            this.ui.visualizer.classList.add('opacity-50');
+            this.ui.visualizer.classList.remove('opacity-100');
+        }
+    }
+
+    /**
+     * Display error message to user with better UX
+     * @param {string} message - Error message
+     * @private
+     */
+    showError(message) {
+        console.error(message);
+        this.updateStatus('Error', false);
+        
+        // Create a better notification instead of alert
+        if (typeof message === 'string' && message.trim()) {
+            // Try to use a toast notification if available, otherwise use alert
+            this.showNotification(message, 'error');
+        }
+    }
+
+    /**
+     * Show notification to user
+     * @param {string} message - Notification message
+     * @param {string} type - Notification type (info, error, success)
+     * @private
+     */
+    showNotification(message, type = 'info') {
+        // Create notification element
+        const notification = document.createElement('div');
+        notification.className = `fixed top-4 right-4 max-w-md p-4 rounded-lg shadow-lg z-50 animate-fade-in ${
+            type === 'error' ? 'bg-red-500/90' : 
+            type === 'success' ? 'bg-green-500/90' : 
+            'bg-blue-500/90'
+        } text-white backdrop-blur-sm`;
+        
+        notification.innerHTML = `
+            <div class="flex items-start gap-3">
+                <i class="fa-solid ${
+                    type === 'error' ? 'fa-circle-exclamation' : 
+                    type === 'success' ? 'fa-circle-check' : 
+                    'fa-circle-info'
+                } text-xl"></i>
+                <div class="flex-1">
+                    <p class="text-sm font-medium">${this.sanitizeText(message)}</p>
+                </div>
+                <button onclick="this.parentElement.parentElement.remove()" 
+                        class="text-white/80 hover:text-white transition-colors">
+                    <i class="fa-solid fa-times"></i>
+                </button>
+            </div>
+        `;
+        
+        document.body.appendChild(notification);
+        
+        // Auto-remove after 8 seconds
+        setTimeout(() => {
+            if (notification.parentElement) {
+                notification.style.opacity = '0';
+                notification.style.transform = 'translateX(100%)';
+                notification.style.transition = 'all 0.3s ease';
+                setTimeout(() => notification.remove(), 300);
+            }
+        }, 8000);
+    }
+
+    /**
+     * Handle audio export with validation and error handling
+     * @param {string} format - Export format (mp3, wav or ogg)
+     * @public
+     */
+    async handleExport(format) {
+        if (!this.validateInput()) {
+            this.showError('Please enter valid text to download.');
+            return;
+        }
+
+        const text = this.getActiveText();
+
+        // One file per chapter goes through the chunked pipeline, whatever the length
+        const chapters = this.ui.splitChapters?.checked ? this.getSplitChapters(text) : null;
+        if (chapters) {
+            return this.handleLongExport(text, format, chapters);
+        }
+
+        const segments = this.getLanguageSegments(text);
+        const { sentencePauseMs, paragraphPauseMs, sectionPauseMs } = this.audioProcessing;
+        const pauses = (sentencePauseMs || paragraphPauseMs || sectionPauseMs) > 0 && this.splitSentences(text).length > 1;
+
+        // Handle long text, scripts, SSML markup, mixed languages and pauses with chunking
+        if (text.length > VoxFreeApp.CONFIG.CHUNK_SIZE || this.scriptMode || this.isSSML(text) || segments.length > 1 || pauses) {
+            return this.handleLongExport(text, format);
+        }
+
+        this.updateStatus('Preparing download...', true);
+
+        try {
+            // Text detected in another language than the voice's is exported in that language
+            const lang = segments[0]?.lang || this.getSelectedLanguage();
+            const shortLang = lang.split('-')[0];
+
+            const spokenText = this.prepareSpokenText(text, {
+                lang,
+                voice: this.getExportBackend().getVoiceId(shortLang)
+            }).text;
+
+            // Spelled-out numbers and lexicon replacements can outgrow one request
+            if (spokenText.length > VoxFreeApp.CONFIG.CHUNK_SIZE) {
+                return this.handleLongExport(text, format);
+            }
+
+            const audioBlob = await this.fetchAudioCached(spokenText, shortLang);
+            
+            if (audioBlob) {
+                const parts = [{ blob: audioBlob, text, start: 0, rate: parseFloat(this.ui.rate.value) }];
+                const output = await this.assembleAudio(parts, format);
+                await this.openPreview({ ...output, text, parts });
+            } else {
+                throw new Error('Failed to generate audio');
+            }
+
+        } catch (error) {
+            if (error instanceof ExportOfflineError) {
+                this.updateStatus('Offline', false);
+                this.showNotification('You are offline. Export needs an internet connection unless the audio is already cached.', 'error');
+                return;
+            }
+
+            console.error("Export failed:", error);
+            this.updateStatus('Error', false);
+            this.showError('Download failed. Please try again or use shorter text.');
+        }
+    }
+
+    /**
+     * Get selected voice language
+     * @returns {string} Language code
+     * @private
+     */
+    getSelectedLanguage() {
+        const selectedOption = this.ui.voiceSelect.options[this.ui.voiceSelect.selectedIndex];
+        return selectedOption?.getAttribute('data-lang') || 'en-US';
+    }
+
+    /**
+     * Fetch audio from the active export backend with retry mechanism
+     * @param {string} text - Text to convert
+     * @param {string} lang - Language code
+     * @param {number} attempt - Current attempt number
+     * @returns {Promise<Blob|null>} Audio blob
+     * @throws {ExportOfflineError} When the browser is offline
+     * @private
+     */
+    async fetchAudioWithRetry(text, lang, attempt = 1) {
+        const backend = this.getExportBackend();
+
+        try {
+            return await backend.synthesize(text, lang);
+
+        } catch (error) {
+            // Offline there is nothing to retry and no tab to open
+            if (error instanceof ExportOfflineError) throw error;
+
+            console.warn(`Fetch attempt ${attempt} with ${backend.label} failed: ${error.message}`);
+
+            if (attempt < VoxFreeApp.CONFIG.RETRY_ATTEMPTS) {
+                console.log(`Retrying (attempt ${attempt + 1}/${VoxFreeApp.CONFIG.RETRY_ATTEMPTS})`);
+                await this.delay(VoxFreeApp.CONFIG.RETRY_DELAY);
+                return this.fetchAudioWithRetry(text, lang, attempt + 1);
+            }
+
+            // All attempts failed - use the backend's direct fallback if it has one and it is allowed
+            const fallbackUrl = this.exportSettings.google.openFallback ? backend.getFallbackUrl(text, lang) : null;
+            if (fallbackUrl) {
+                console.warn('All attempts failed, using direct fallback');
+                window.open(fallbackUrl, '_blank', 'noopener,noreferrer');
+                this.showError('Unable to download automatically due to network restrictions. The audio has been opened in a new tab where you can play and save it manually.');
+            } else {
+                this.showError(`${backend.label} failed: ${error.message}`);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Fetch audio for a short export through the audio cache
+     * @param {string} text - Text to convert
+     * @param {string} lang - Language code
+     * @returns {Promise<Blob|null>} Audio blob or null if failed
+     * @throws {ExportOfflineError} When the audio is not cached and the browser is offline
+     * @private
+     */
+    async fetchAudioCached(text, lang) {
+        const cache = this.getAudioCache();
+        const key = AudioCache.makeKey(this.getExportBackend().getCacheId(lang), lang, text);
+
+        const cached = await cache?.get(key);
+        if (cached) return cached;
+
+        const blob = await this.fetchAudioWithRetry(text, lang);
+        if (blob) await cache?.put(key, blob);
+        return blob;
+    }
+
+    /**
+     * Get the audio cache, or null when caching is disabled
+     * @returns {AudioCache|null} Audio cache
+     * @private
+     */
+    getAudioCache() {
+        if (!this.cacheSettings.enabled) return null;
+
+        const maxBytes = this.cacheSettings.maxMB * 1024 * 1024;
+        if (!this.audioCache) {
+            this.audioCache = new AudioCache(maxBytes);
+        }
+        this.audioCache.maxBytes = maxBytes;
+        return this.audioCache;
+    }
+
+    /**
+     * Load audio cache settings from localStorage
+     * @private
+     */
+    loadCacheSettings() {
+        try {
+            const stored = localStorage.getItem(VoxFreeApp.CONFIG.CACHE_STORAGE_KEY);
+            if (stored) {
+                const settings = JSON.parse(stored);
+                const maxMB = parseInt(settings.maxMB, 10);
+                this.cacheSettings = {
+                    enabled: settings.enabled !== false,
+                    maxMB: maxMB > 0 ? maxMB : VoxFreeApp.CONFIG.CACHE_DEFAULT_MAX_MB
+                };
+            }
+        } catch (error) {
+            console.warn('Failed to load cache settings:', error);
+        }
+    }
+
+    /**
+     * Save audio cache settings to localStorage
+     * @private
+     */
+    saveCacheSettings() {
+        try {
+            localStorage.setItem(VoxFreeApp.CONFIG.CACHE_STORAGE_KEY, JSON.stringify(this.cacheSettings));
+        } catch (error) {
+            console.warn('Failed to save cache settings:', error);
+        }
+    }
+
+    /**
+     * Reflect audio cache settings and usage in the settings dialog
+     * @private
+     */
+    async renderCacheSettings() {
+        if (!this.ui.cacheEnabled) return;
+
+        this.ui.cacheEnabled.checked = this.cacheSettings.enabled;
+        this.ui.cacheMaxSize.value = this.cacheSettings.maxMB;
+
+        try {
+            const usage = await AudioCache.getUsage();
+            const megabytes = (usage.bytes / 1024 / 1024).toFixed(1);
+            this.ui.cacheUsage.textContent = `${usage.count} chunk${usage.count === 1 ? '' : 's'} · ${megabytes} MB of ${this.cacheSettings.maxMB} MB`;
+        } catch (error) {
+            this.ui.cacheUsage.textContent = 'Cache unavailable in this browser';
+        }
+    }
+
+    /**
+     * Read audio cache settings from the settings dialog, evicting if the cap shrank
+     * @private
+     */
+    async updateCacheSettingsFromUI() {
+        const maxMB = parseInt(this.ui.cacheMaxSize.value, 10);
+        this.cacheSettings = {
+            enabled: this.ui.cacheEnabled.checked,
+            maxMB: maxMB > 0 ? maxMB : VoxFreeApp.CONFIG.CACHE_DEFAULT_MAX_MB
+        };
+        this.saveCacheSettings();
+
+        try {
+            await new AudioCache(this.cacheSettings.maxMB * 1024 * 1024).evict();
+        } catch (error) {
+            console.warn('Audio cache eviction failed:', error);
+        }
+        this.renderCacheSettings();
+    }
+
+    /**
+     * Delete all cached chunk audio
+     * @private
+     */
+    async clearAudioCache() {
+        try {
+            await AudioCache.clear();
+            this.showNotification('Audio cache cleared', 'success');
+        } catch (error) {
+            console.error('Failed to clear audio cache:', error);
+            this.showError('Failed to clear the audio cache.');
+        }
+        this.renderCacheSettings();
+    }
+
+    /**
+     * Get the export backend chosen in settings
+     * @returns {ExportBackend} Active backend
+     * @private
+     */
+    getExportBackend() {
+        if (!this.exportBackend) {
+            this.exportBackend = this.exportSettings.backend === 'http'
+                ? new HttpTtsBackend(this.exportSettings.http)
+                : new GoogleTranslateBackend({
+                    baseUrl: VoxFreeApp.CONFIG.TTS_BASE_URL,
+                    pool: this.proxyPool
+                });
+        }
+        return this.exportBackend;
+    }
+
+    /**
+     * Load export backend settings from localStorage
+     * @private
+     */
+    loadExportSettings() {
+        try {
+            const stored = localStorage.getItem(VoxFreeApp.CONFIG.EXPORT_STORAGE_KEY);
+            if (stored) {
+                const settings = JSON.parse(stored);
+                const proxies = Array.isArray(settings.google?.proxies)
+                    ? ProxyPool.parseList(settings.google.proxies.join('\n')).urls
+                    : [];
+                this.exportSettings = {
+                    backend: settings.backend === 'http' ? 'http' : 'google',
+                    google: {
+                        proxies: proxies.length > 0 ? proxies : [...VoxFreeApp.CONFIG.PROXY_URLS],
+                        openFallback: settings.google?.openFallback !== false
+                    },
+                    http: {
+                        baseUrl: settings.http?.baseUrl || '',
+                        voices: Array.isArray(settings.http?.voices) ? settings.http.voices : []
+                    }
+                };
+            }
+        } catch (error) {
+            console.warn('Failed to load export settings:', error);
+        }
+        this.proxyPool.setUrls(this.exportSettings.google.proxies);
+        this.exportBackend = null;
+    }
+
+    /**
+     * Save export backend settings to localStorage
+     * @private
+     */
+    saveExportSettings() {
+        try {
+            localStorage.setItem(VoxFreeApp.CONFIG.EXPORT_STORAGE_KEY, JSON.stringify(this.exportSettings));
+        } catch (error) {
+            console.warn('Failed to save export settings:', error);
+        }
+    }
+
+    /**
+     * Open the settings dialog with current values
+     * @public
+     */
+    openSettings() {
+        if (!this.ui.settingsDialog) return;
+
+        this.renderExportSettings();
+        this.renderCacheSettings();
+        this.renderSubtitleSettings();
+        this.renderAudioProcessingSettings();
+        this.renderNormalizationSettings();
+        this.renderLanguageSettings();
+        this.ui.settingsDialog.showModal();
+    }
+
+    /**
+     * Reflect export backend settings in the settings dialog
+     * @private
+     */
+    renderExportSettings() {
+        if (!this.ui.exportBackendSelect) return;
+
+        this.ui.exportBackendSelect.value = this.exportSettings.backend;
+        this.ui.proxyList.value = this.exportSettings.google.proxies.join('\n');
+        this.ui.proxyOpenFallback.checked = this.exportSettings.google.openFallback;
+        this.ui.httpBackendUrl.value = this.exportSettings.http.baseUrl;
+        this.ui.httpBackendVoices.value = HttpTtsBackend.formatVoiceList(this.exportSettings.http.voices);
+        this.ui.googleBackendSettings.classList.toggle('hidden', this.exportSettings.backend !== 'google');
+        this.ui.httpBackendSettings.classList.toggle('hidden', this.exportSettings.backend !== 'http');
+        this.renderProxyDiagnostics();
+    }
+
+    /**
+     * Read export backend settings from the settings dialog
+     * @private
+     */
+    updateExportSettingsFromUI() {
+        const { urls, invalid } = ProxyPool.parseList(this.ui.proxyList.value);
+        if (invalid.length > 0) {
+            this.showError(`Ignored proxies that are not http(s) URLs: ${invalid.join(', ')}`);
+        }
+
+        this.exportSettings = {
+            backend: this.ui.exportBackendSelect.value === 'http' ? 'http' : 'google',
+            google: {
+                proxies: urls.length > 0 ? urls : [...VoxFreeApp.CONFIG.PROXY_URLS],
+                openFallback: this.ui.proxyOpenFallback.checked
+            },
+            http: {
+                baseUrl: this.ui.httpBackendUrl.value.trim(),
+                voices: HttpTtsBackend.parseVoiceList(this.ui.httpBackendVoices.value)
+            }
+        };
+        this.proxyPool.setUrls(this.exportSettings.google.proxies);
+        this.exportBackend = null;
+        this.saveExportSettings();
+        this.updateDownloadLabel();
+        this.renderExportSettings();
+    }
+
+    /**
+     * Fill the voice list from the self-hosted server
+     * @private
+     */
+    async loadHttpBackendVoices() {
+        this.updateExportSettingsFromUI();
+
+        try {
+            const voices = await new HttpTtsBackend(this.exportSettings.http).loadVoices();
+            this.ui.httpBackendVoices.value = HttpTtsBackend.formatVoiceList(voices);
+            this.updateExportSettingsFromUI();
+            this.showNotification(`Loaded ${voices.length} voices from the server.`, 'success');
+        } catch (error) {
+            console.error('Failed to load server voices:', error);
+            this.showError(`Could not load voices: ${error.message}`);
+        }
+    }
+
+    /**
+     * Health-check every proxy at once and show the results
+     * @public
+     */
+    async checkProxies() {
+        this.updateExportSettingsFromUI();
+
+        const backend = new GoogleTranslateBackend({ baseUrl: VoxFreeApp.CONFIG.TTS_BASE_URL, pool: this.proxyPool });
+        const proxies = this.proxyPool.urls;
+        this.ui.proxyCheckBtn.disabled = true;
+
+        try {
+            const results = await Promise.all(proxies.map(async (proxy) => {
+                const result = await backend.checkProxy(proxy);
+                this.renderProxyDiagnostics();
+                return result;
+            }));
+
+            const working = results.filter(result => result.ok).length;
+            this.showNotification(`${working} of ${proxies.length} proxies returned audio.`, working > 0 ? 'success' : 'error');
+        } catch (error) {
+            console.error('Proxy check failed:', error);
+            this.showError(`Could not check the proxies: ${error.message}`);
+        } finally {
+            this.ui.proxyCheckBtn.disabled = false;
+        }
+        this.renderProxyDiagnostics();
+    }
+
+    /**
+     * Go back to the built-in proxy list
+     * @public
+     */
+    resetProxyList() {
+        this.ui.proxyList.value = VoxFreeApp.CONFIG.PROXY_URLS.join('\n');
+        this.updateExportSettingsFromUI();
+    }
+
+    /**
+     * Show each proxy's state, latency and success rate
+     * @private
+     */
+    renderProxyDiagnostics() {
+        if (!this.ui.proxyDiagnostics) return;
+
+        const now = Date.now();
+        this.ui.proxyDiagnostics.innerHTML = '';
+
+        this.proxyPool.urls.forEach((url) => {
+            const stats = this.proxyPool.getStats(url);
+            const rate = this.proxyPool.getSuccessRate(url);
+            const latency = this.proxyPool.getLatency(url);
+
+            let state = 'Not checked';
+            let color = 'text-slate-500';
+            if (this.proxyPool.isOpen(url, now)) {
+                state = `Skipped for ${Math.ceil((stats.openUntil - now) / 1000)} s`;
+                color = 'text-red-400';
+            } else if (stats.consecutiveFailures > 0) {
+                state = 'Failing';
+                color = 'text-amber-400';
+            } else if (stats.attempts > 0) {
+                state = 'OK';
+                color = 'text-emerald-400';
+            }
+
+            const row = document.createElement('li');
+            row.className = 'flex items-center gap-3 px-3 py-2 rounded-lg bg-white/5 text-xs';
+            row.title = stats.lastError ? `Last error: ${stats.lastError}` : url;
+
+            const name = document.createElement('span');
+            name.className = 'flex-1 min-w-0 truncate font-mono text-slate-300';
+            name.textContent = url;
+
+            const numbers = document.createElement('span');
+            numbers.className = 'shrink-0 text-slate-400';
+            numbers.textContent = [
+                latency === null ? '– ms' : `${Math.round(latency)} ms`,
+                rate === null ? 'no requests' : `${Math.round(rate * 100)}% of ${stats.attempts} requests`
+            ].join(' · ');
+
+            const status = document.createElement('span');
+            status.className = `shrink-0 ${color}`;
+            status.textContent = state;
+
+            row.append(name, numbers, status);
+            this.ui.proxyDiagnostics.appendChild(row);
+        });
+    }
+
+    /**
+     * Delay helper for retry mechanism
+     * @param {number} ms - Milliseconds to delay
+     * @returns {Promise<void>}
+     * @private
+     */
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Handle export for long text with intelligent chunking. Chunks are
+     * downloaded in parallel; a cancelled or partially failed export keeps
+     * its chunks so the next download of the same text only fetches the rest.
+     * @param {string} text - Text to export
+     * @param {string} format - Export format
+     * @param {{title: string, start: number, end: number}[]|null} [chapters] - Chapters to export as separate files
+     * @private
+     */
+    async handleLongExport(text, format, chapters = null) {
+        if (this.exportJob?.controller) return;
+
+        try {
+            const job = this.prepareExportJob(chapters ? this.buildChapterExportPlan(text, chapters) : this.buildExportPlan(text));
+            const resuming = job.blobs.some(Boolean);
+            this.updateStatus(resuming ? 'Resuming export...' : 'Processing long text...', true);
+
+            const { failed, total } = await this.downloadChunks(job);
+            if (failed > 0) {
+                this.updateStatus('Export incomplete', false);
+                this.showError(`${failed} of ${total} chunks failed. Download again to retry only the missing chunks.`);
+                return;
+            }
+
+            const parts = job.plan
+                .map((part, index) => part.silenceMs !== undefined
+                    ? { silenceMs: part.silenceMs }
+                    : { blob: job.blobs[index], text: part.text, start: part.start, rate: part.rate, chapter: part.chapter })
+                .filter(part => part.silenceMs !== undefined || part.blob);
+
+            // Stitch all chunks into one clean stream, or one per chapter
+            const output = chapters
+                ? await this.assembleChapterAudio(text, parts, chapters, format)
+                : await this.assembleAudio(parts, format);
+            await this.openPreview({ ...output, text, parts });
+
+        } catch (error) {
+            if (error instanceof ExportCancelledError) {
+                this.updateStatus('Export cancelled', false);
+                this.showNotification('Export cancelled. Download again to resume where it stopped.', 'info');
+                return;
+            }
+            if (error instanceof ExportOfflineError) {
+                this.updateStatus('Offline', false);
+                this.showNotification('You are offline. The chunks fetched so far are kept; download again when you are back online to finish.', 'error');
+                return;
+            }
+
+            console.error("Long export failed:", error);
+            this.updateStatus('Error', false);
+            this.showError(error instanceof SSMLError
+                ? error.message
+                : 'Failed to process long text. Try shorter text or check your connection.');
+        } finally {
+            this.hideExportProgress();
+        }
+    }
+
+    /**
+     * Get the chapters to split an export into, explaining why when it can't be split
+     * @param {string} text - Text to export
+     * @returns {{title: string, start: number, end: number}[]|null} Two or more chapters, or null for one file
+     * @private
+     */
+    getSplitChapters(text) {
+        if (this.scriptMode || this.isSSML(text)) {
+            this.showNotification('Script mode and SSML exports are not split into chapters, so the export is one file.', 'info');
+            return null;
+        }
+
+        const chapters = this.findChapterMarkers(text);
+        if (chapters.length < 2) {
+            this.showNotification('There are no headings or section breaks to split at, so the export is one file.', 'info');
+            return null;
+        }
+        return chapters;
+    }
+
+    /**
+     * Build the export plan chapter by chapter, so no chunk spans two chapters
+     * @param {string} text - Text to export
+     * @param {{start: number, end: number}[]} chapters - Chapter ranges
+     * @returns {({text: string, lang: string, start: number, chapter: number}|{silenceMs: number, chapter: number})[]} Export plan
+     * @private
+     */
+    buildChapterExportPlan(text, chapters) {
+        return chapters.flatMap((range, chapter) => this.buildExportPlan(text.slice(range.start, range.end))
+            .map(part => part.text === undefined
+                ? { ...part, chapter }
+                : { ...part, chapter, start: part.start + range.start }));
+    }
+
+    /**
+     * Reuse the previous export job when it covers the same plan and backend,
+     * otherwise start a new one
+     * @param {({text: string, lang: string, start?: number}|{silenceMs: number})[]} plan - Export plan
+     * @returns {{key: string, plan: Array, blobs: (Blob|null)[], controller: AbortController|null}} Export job
+     * @private
+     */
+    prepareExportJob(plan) {
+        const key = JSON.stringify({ plan, backend: this.exportSettings });
+
+        if (this.exportJob?.key !== key) {
+            this.exportJob = {
+                key,
+                plan,
+                blobs: new Array(plan.length).fill(null),
+                controller: null
+            };
+        }
+        return this.exportJob;
+    }
+
+    /**
+     * Download the job's missing chunks with bounded concurrency
+     * @param {Object} job - Export job from prepareExportJob()
+     * @returns {Promise<{failed: number, total: number}>} Chunks still missing and chunks overall
+     * @throws {ExportCancelledError} When the export was cancelled
+     * @throws {ExportOfflineError} When the connection was lost
+     * @private
+     */
+    async downloadChunks(job) {
+        const chunkIndexes = job.plan
+            .map((part, index) => (part.spoken ?? part.text)?.trim() ? index : -1)
+            .filter(index => index !== -1);
+        const pending = chunkIndexes.filter(index => !job.blobs[index]);
+        const total = chunkIndexes.length;
+        const alreadyDone = total - pending.length;
+
+        const backend = this.getExportBackend();
+        const controller = new AbortController();
+        const startedAt = Date.now();
+        let done = alreadyDone;
+        let failed = 0;
+        let offline = false;
+
+        job.controller = controller;
+        this.ui.downloadBtn.disabled = true;
+        this.showExportProgress(done, total, null);
+
+        const worker = async () => {
+            while (pending.length > 0 && !controller.signal.aborted) {
+                const index = pending.shift();
+
+                try {
+                    job.blobs[index] = await this.fetchChunkCached(backend, job.plan[index], controller.signal);
+                    done++;
+                } catch (error) {
+                    if (error instanceof ExportCancelledError) return;
+                    if (error instanceof ExportOfflineError) {
+                        // Stop the other workers too; the chunk stays missing for a resume
+                        offline = true;
+                        controller.abort();
+                        return;
+                    }
+                    console.warn(`Chunk ${index + 1} failed: ${error.message}`);
+                    failed++;
+                }
+
+                // Estimate the remaining time from this run's throughput
+                const fetched = done - alreadyDone;
+                const remaining = total - done - failed;
+                const eta = fetched > 0 ? (Date.now() - startedAt) / fetched * remaining : null;
+                this.showExportProgress(done, total, eta);
+            }
+        };
+
+        try {
+            const workerCount = Math.min(VoxFreeApp.CONFIG.EXPORT_CONCURRENCY, pending.length);
+            await Promise.all(Array.from({ length: workerCount }, () => worker()));
+        } finally {
+            job.controller = null;
+            this.ui.downloadBtn.disabled = false;
+        }
+
+        if (offline) {
+            throw new ExportOfflineError();
+        }
+        if (controller.signal.aborted) {
+            throw new ExportCancelledError();
+        }
+        return { failed, total };
+    }
+
+    /**
+     * Fetch one export chunk from the audio cache, or synthesize and cache it
+     * @param {ExportBackend} backend - Export backend
+     * @param {{text: string, lang: string}} part - Chunk to synthesize
+     * @param {AbortSignal} signal - Cancels the export
+     * @returns {Promise<Blob>} Audio blob
+     * @private
+     */
+    async fetchChunkCached(backend, part, signal) {
+        const cache = this.getAudioCache();
+        const key = AudioCache.makeKey(backend.getCacheId(part.lang), part.lang, part.spoken ?? part.text);
+
+        const cached = await cache?.get(key);
+        if (cached) return cached;
+
+        const blob = await this.fetchChunkWithRetry(backend, part, signal);
+        await cache?.put(key, blob);
+        return blob;
+    }
+
+    /**
+     * Fetch one export chunk, retrying with a growing delay
+     * @param {ExportBackend} backend - Export backend
+     * @param {{text: string, lang: string}} part - Chunk to synthesize
+     * @param {AbortSignal} signal - Cancels the export
+     * @returns {Promise<Blob>} Audio blob
+     * @throws {Error} When every attempt failed
+     * @throws {ExportCancelledError} When the export was cancelled
+     * @private
+     */
+    async fetchChunkWithRetry(backend, part, signal) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await backend.synthesize(part.spoken ?? part.text, part.lang, signal);
+            } catch (error) {
+                if (error instanceof ExportCancelledError || error instanceof ExportOfflineError ||
+                    attempt >= VoxFreeApp.CONFIG.RETRY_ATTEMPTS) {
+                    throw error;
+                }
+                await this.delay(VoxFreeApp.CONFIG.RETRY_DELAY * attempt);
+                if (signal.aborted) throw new ExportCancelledError();
+            }
+        }
+    }
+
+    /**
+     * Abort the running export, including requests in flight
+     * @public
+     */
+    cancelExport() {
+        this.exportJob?.controller?.abort();
+    }
+
+    /**
+     * Open the batch export dialog, loading the stored queue the first time
+     * @public
+     */
+    async openBatchDialog() {
+        if (!this.ui.batchDialog) return;
+
+        if (!this.batchLoaded) {
+            this.batchLoaded = true;
+            try {
+                this.batchItems = await this.batchQueue.load();
+            } catch (error) {
+                console.warn('Failed to load the batch queue:', error);
+            }
+        }
+        this.renderBatch();
+        this.ui.batchDialog.showModal();
+    }
+
+    /**
+     * Load the saved batch file name and format from localStorage
+     * @private
+     */
+    loadBatchSettings() {
+        try {
+            const stored = localStorage.getItem(VoxFreeApp.CONFIG.BATCH_STORAGE_KEY);
+            if (stored) {
+                const settings = JSON.parse(stored);
+                this.batchSettings = {
+                    fileName: typeof settings.fileName === 'string' ? settings.fileName : '',
+                    format: VoxFreeApp.CONFIG.EXPORT_FORMATS[settings.format] ? settings.format : 'mp3'
+                };
+            }
+        } catch (error) {
+            console.warn('Failed to load batch settings:', error);
+        }
+    }
+
+    /**
+     * Save the batch file name and format to localStorage
+     * @private
+     */
+    saveBatchSettings() {
+        try {
+            localStorage.setItem(VoxFreeApp.CONFIG.BATCH_STORAGE_KEY, JSON.stringify(this.batchSettings));
+        } catch (error) {
+            console.warn('Failed to save batch settings:', error);
+        }
+    }
+
+    /**
+     * Replace the batch queue with the rows of a CSV, TSV or JSONL file
+     * @param {File} file - Prompt file
+     * @public
+     */
+    async importBatchFile(file) {
+        if (!file) return;
+
+        try {
+            if (this.batchController) {
+                throw new Error('pause the running batch first');
+            }
+
+            const items = BatchQueue.parse(await file.text(), file.name);
+            if (items.length === 0) {
+                throw new Error('the file has no rows');
+            }
+
+            await this.batchQueue.replace(items);
+            this.batchItems = items;
+            this.batchSettings = { fileName: file.name, format: this.ui.formatSelect?.value || 'mp3' };
+            this.saveBatchSettings();
+
+            const invalid = items.filter(item => item.status === 'invalid').length;
+            this.showNotification(invalid
+                ? `Loaded ${items.length} rows; ${invalid} cannot be exported and are listed as invalid.`
+                : `Loaded ${items.length} rows.`, invalid ? 'info' : 'success');
+        } catch (error) {
+            console.error('Batch import failed:', error);
+            this.showError(`Could not load ${file.name}: ${error.message}.`);
+        } finally {
+            this.ui.batchFile.value = '';
+        }
+        this.renderBatch();
+    }
+
+    /**
+     * Export the pending rows, a few at a time, until done or paused
+     * @public
+     */
+    async startBatch() {
+        if (this.batchController || this.exportJob?.controller) return;
+
+        const pending = this.batchItems.filter(item => item.status === 'pending');
+        if (pending.length === 0) return;
+
+        const controller = new AbortController();
+        let offline = false;
+        this.batchController = controller;
+        this.renderBatch();
+
+        const worker = async () => {
+            while (pending.length > 0 && !controller.signal.aborted) {
+                const item = pending.shift();
+                this.batchActive.add(item.position);
+                this.renderBatch();
+
+                try {
+                    Object.assign(item, await this.exportBatchItem(item, controller.signal), { status: 'done', error: '' });
+                } catch (error) {
+                    if (error instanceof ExportOfflineError) {
+                        // Pause the batch; the row stays pending
+                        offline = true;
+                        controller.abort();
+                    }
+                    if (error instanceof ExportCancelledError || error instanceof ExportOfflineError) {
+                        this.batchActive.delete(item.position);
+                        return;
+                    }
+                    console.warn(`Batch row ${item.id} failed: ${error.message}`);
+                    Object.assign(item, { status: 'failed', error: error.message });
+                }
+
+                this.batchActive.delete(item.position);
+                try {
+                    await this.batchQueue.save(item);
+                } catch (error) {
+                    console.warn('Failed to save batch progress:', error);
+                }
+
+                const counts = this.countBatchItems();
+                this.updateStatus(`Batch ${this.batchItems.length - counts.pending}/${this.batchItems.length}...`, true);
+                this.renderBatch();
+            }
+        };
+
+        try {
+            const workerCount = Math.min(VoxFreeApp.CONFIG.EXPORT_CONCURRENCY, pending.length);
+            await Promise.all(Array.from({ length: workerCount }, () => worker()));
+        } finally {
+            this.batchController = null;
+            this.batchActive.clear();
+        }
+
+        const counts = this.countBatchItems();
+        if (offline) {
+            this.updateStatus('Offline', false);
+            this.showNotification('You are offline, so the batch was paused. Resume it when you are back online.', 'error');
+        } else if (controller.signal.aborted) {
+            this.updateStatus('Batch paused', false);
+        } else if (counts.failed > 0) {
+            this.updateStatus('Batch finished with errors', false);
+            this.showNotification(`${counts.failed} rows failed. They are listed in the batch and its manifest; use Retry failed to try them again.`, 'error');
+        } else {
+            this.updateStatus('Batch complete', false);
+            this.showNotification(`Exported ${counts.done} rows. Download the ZIP to save them.`, 'success');
+        }
+        this.renderBatch();
+    }
+
+    /**
+     * Pause the batch; rows in progress go back to the queue
+     * @public
+     */
+    pauseBatch() {
+        this.batchController?.abort();
+    }
+
+    /**
+     * Queue the failed rows again and resume the batch
+     * @public
+     */
+    async retryBatchFailures() {
+        const failed = this.batchItems.filter(item => item.status === 'failed');
+        if (failed.length === 0 || this.batchController) return;
+
+        failed.forEach(item => Object.assign(item, { status: 'pending', error: '' }));
+        try {
+            await this.batchQueue.saveAll(failed);
+        } catch (error) {
+            console.warn('Failed to save batch progress:', error);
+        }
+        await this.startBatch();
+    }
+
+    /**
+     * Empty the batch queue
+     * @public
+     */
+    async clearBatch() {
+        if (this.batchController) return;
+
+        try {
+            await this.batchQueue.replace([]);
+        } catch (error) {
+            console.warn('Failed to clear the batch queue:', error);
+        }
+        this.batchItems = [];
+        this.batchSettings = { fileName: '', format: 'mp3' };
+        this.saveBatchSettings();
+        this.renderBatch();
+    }
+
+    /**
+     * Work out the language and backend for a row. A voice names a voice
+     * of the self-hosted server, or a system voice whose language is used.
+     * @param {{text: string, lang: string, voice: string}} item - Queue item
+     * @returns {{lang: string, backend: ExportBackend}} Short language code and backend
+     * @throws {Error} When the voice or language is not known
+     * @private
+     */
+    resolveBatchTarget(item) {
+        let backend = this.getExportBackend();
+        let lang = item.lang;
+
+        if (item.voice) {
+            const serverVoice = this.exportSettings.backend === 'http'
+                ? this.exportSettings.http.voices.find(voice => voice.id === item.voice)
+                : null;
+            const systemVoice = this.voices.find(voice => voice.name === item.voice || voice.voiceURI === item.voice);
+
+            if (serverVoice) {
+                // A backend limited to this voice picks it for any language
+                backend = new HttpTtsBackend({ ...this.exportSettings.http, voices: [serverVoice] });
+                lang ||= serverVoice.lang;
+            } else if (systemVoice) {
+                lang ||= systemVoice.lang;
+            } else {
+                throw new Error(`Unknown voice "${item.voice}"`);
+            }
+        }
+
+        if (lang && !BatchQueue.isLanguageTag(lang)) {
+            throw new Error(`Unknown language "${lang}"`);
+        }
+        if (!lang && this.languageSettings.mode === 'auto') {
+            lang = this.languageDetector.detect(item.text);
+        }
+
+        return { lang: (lang || this.getSelectedLanguage()).toLowerCase().split(/[-_]/)[0], backend };
+    }
+
+    /**
+     * Export one row through the export pipeline: chunking, lexicon and
+     * normalization, the audio cache, audio processing and encoding
+     * @param {Object} item - Queue item
+     * @param {AbortSignal} signal - Pauses the batch
+     * @returns {Promise<{blob: Blob, ext: string, durationMs: number}>} Audio
+     * @throws {ExportCancelledError} When the batch was paused
+     * @private
+     */
+    async exportBatchItem(item, signal) {
+        const { lang, backend } = this.resolveBatchTarget(item);
+        const rate = parseFloat(this.ui.rate.value);
+        const parts = [];
+
+        const plan = this.buildMarkupExportPlan(item.text, lang, false).flatMap(part => part.text === undefined
+            ? [part]
+            : this.splitSpokenPart(part, this.prepareSpokenText(part.text, { lang: part.lang, voice: backend.getVoiceId(part.lang) })));
+
+        for (const part of plan) {
+            if (part.text === undefined) {
+                parts.push(part);
+                continue;
+            }
+
+            const blob = await this.fetchChunkCached(backend, part, signal);
+            parts.push({ blob, text: part.text, start: part.start, rate: rate * (part.rate ?? 1) });
+        }
+
+        const output = await this.assembleAudio(parts, this.batchSettings.format);
+        // A fallback to WAV is announced once and then used for the rest of the batch
+        this.batchSettings.format = output.ext;
+
+        const durationMs = (output.durations || await this.measureDurations(parts))
+            .reduce((total, duration) => total + duration, 0);
+        return { blob: output.blob, ext: output.ext, durationMs: Math.round(durationMs) };
+    }
+
+    /**
+     * Count the rows in each state
+     * @returns {{pending: number, done: number, failed: number, invalid: number}} Counts
+     * @private
+     */
+    countBatchItems() {
+        const counts = { pending: 0, done: 0, failed: 0, invalid: 0 };
+        this.batchItems.forEach(item => counts[item.status]++);
+        return counts;
+    }
+
+    /**
+     * Turn a row id into a file name, keeping it readable. Ids that clean
+     * up to a name already in the ZIP get a numeric suffix; names are
+     * compared ignoring case, as macOS and Windows file systems do.
+     * @param {string} id - Row id
+     * @param {string} ext - File extension
+     * @param {Set<string>} used - Lowercased names already taken, updated with the new name
+     * @returns {string} File name
+     * @private
+     */
+    getBatchFileName(id, ext, used) {
+        const base = id.replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_').replace(/^\.+/, '_').slice(0, 120);
+        let name = `${base}.${ext}`;
+        for (let n = 2; used.has(name.toLowerCase()); n++) {
+            name = `${base}-${n}.${ext}`;
+        }
+        used.add(name.toLowerCase());
+        return name;
+    }
+
+    /**
+     * Save the finished rows as a ZIP of audio files named by id, with a
+     * manifest giving every row's status, file and error
+     * @public
+     */
+    async downloadBatchZip() {
+        const items = this.batchItems;
+        if (items.length === 0) return;
+
+        try {
+            this.updateStatus('Creating ZIP...', true);
+            const zip = new ZipWriter();
+            const manifest = {
+                source: this.batchSettings.fileName,
+                created: new Date().toISOString(),
+                counts: this.countBatchItems(),
+                items: []
+            };
+
+            const usedNames = new Set(['manifest.json']);
+            for (const item of items) {
+                const file = item.status === 'done' && item.blob ? this.getBatchFileName(item.id, item.ext, usedNames) : null;
+                if (file) {
+                    zip.add(file, new Uint8Array(await item.blob.arrayBuffer()));
+                }
+                manifest.items.push({
+                    id: item.id,
+                    status: item.status,
+                    file,
+                    language: item.lang || null,
+                    voice: item.voice || null,
+                    durationMs: file ? item.durationMs : null,
+                    error: item.error || null
+                });
+            }
+
+            zip.add('manifest.json', `${JSON.stringify(manifest, null, 2)}\n`);
+            const baseName = this.getExportBaseName(
+                { title: this.batchSettings.fileName.replace(/\.[^.]+$/, '') },
+                new Date(),
+                'voxfree-batch-{title}-{timestamp}'
+            );
+            this.downloadBlob(zip.toBlob(), 'zip', baseName);
+            this.updateStatus('Download Complete', false);
+        } catch (error) {
+            console.error('Batch ZIP failed:', error);
+            this.updateStatus('Error', false);
+            this.showError(`Could not create the batch ZIP: ${error.message}`);
+        }
+    }
+
+    /**
+     * Show the batch rows, their states and the controls that apply
+     * @private
+     */
+    renderBatch() {
+        if (!this.ui.batchList) return;
+
+        const items = this.batchItems;
+        const counts = this.countBatchItems();
+        const running = !!this.batchController;
+
+        this.ui.batchSummary.textContent = items.length === 0
+            ? 'No batch loaded.'
+            : `${this.batchSettings.fileName || 'Batch'} · ${items.length} rows · ${counts.done} done · ` +
+              `${counts.failed} failed · ${counts.invalid} invalid · ${counts.pending} pending` +
+              (running ? ' · running' : '');
+
+        const finished = counts.done + counts.failed + counts.invalid;
+        const percent = items.length > 0 ? Math.round(finished / items.length * 100) : 0;
+        this.ui.batchProgressBar.style.width = `${percent}%`;
+        this.ui.batchProgressBar.parentElement.setAttribute('aria-valuenow', percent);
+
+        this.ui.batchStartBtn.disabled = running || counts.pending === 0;
+        this.ui.batchStartBtn.textContent = counts.done + counts.failed > 0 ? 'Resume' : 'Start';
+        this.ui.batchPauseBtn.disabled = !running;
+        this.ui.batchRetryBtn.disabled = running || counts.failed === 0;
+        this.ui.batchDownloadBtn.disabled = items.length === 0;
+        this.ui.batchClearBtn.disabled = running || items.length === 0;
+        this.ui.batchLoadBtn.disabled = running;
+
+        const labels = { pending: 'Pending', done: 'Done', failed: 'Failed', invalid: 'Invalid' };
+        const colors = { pending: 'text-slate-400', done: 'text-emerald-400', failed: 'text-red-400', invalid: 'text-amber-400' };
+
+        this.ui.batchList.innerHTML = '';
+        for (const item of items) {
+            const active = this.batchActive.has(item.position);
+            const row = document.createElement('li');
+            row.className = 'flex items-start gap-3 px-3 py-2 rounded-lg bg-white/5 text-xs';
+
+            const id = document.createElement('span');
+            id.className = 'font-mono text-slate-300 shrink-0 max-w-[8rem] truncate';
+            id.textContent = item.id;
+            id.title = item.id;
+
+            const body = document.createElement('span');
+            body.className = 'flex-1 min-w-0';
+            const text = document.createElement('span');
+            text.className = 'block truncate text-slate-400';
+            text.textContent = item.text;
+            body.appendChild(text);
+            if (item.error) {
+                const error = document.createElement('span');
+                error.className = 'block text-red-300';
+                error.textContent = item.error;
+                body.appendChild(error);
+            }
+
+            const status = document.createElement('span');
+            status.className = `shrink-0 ${active ? 'text-indigo-300' : colors[item.status]}`;
+            status.textContent = active ? 'Exporting...' : labels[item.status];
+
+            row.append(id, body, status);
+            this.ui.batchList.appendChild(row);
+        }
+    }
+
+    /**
+     * Show export progress in the action bar
+     * @param {number} done - Chunks downloaded
+     * @param {number} total - Chunks overall
+     * @param {number|null} etaMs - Estimated time remaining, or null when unknown
+     * @private
+     */
+    showExportProgress(done, total, etaMs) {
+        if (!this.ui.exportProgress) return;
+
+        const percent = total > 0 ? Math.round(done / total * 100) : 0;
+        const eta = etaMs === null ? '' : ` · ${this.formatDuration(etaMs)} left`;
+
+        this.ui.exportProgress.classList.remove('hidden');
+        this.ui.exportProgressBar.style.width = `${percent}%`;
+        this.ui.exportProgressBar.parentElement.setAttribute('aria-valuenow', percent);
+        this.ui.exportProgressText.textContent = `${done}/${total}${eta}`;
+        this.updateStatus(`Processing chunk ${done}/${total}...`, true);
+    }
+
+    /**
+     * Hide the export progress bar
+     * @private
+     */
+    hideExportProgress() {
+        this.ui.exportProgress?.classList.add('hidden');
+    }
+
+    /**
+     * Format a duration as m:ss
+     * @param {number} ms - Duration in milliseconds
+     * @returns {string} Formatted duration
+     * @private
+     */
+    formatDuration(ms) {
+        const seconds = Math.max(0, Math.round(ms / 1000));
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Split text into export parts: text chunks with their language, and SSML silences
+     * @param {string} text - Text or SSML markup to export
+     * @returns {({text: string, lang: string}|{silenceMs: number})[]} Export plan
+     * @throws {SSMLError} When the SSML markup is invalid
+     * @private
+     */
+    buildExportPlan(text) {
+        const defaultLang = this.getSelectedLanguage().split('-')[0];
+        const rate = parseFloat(this.ui.rate.value);
+        const withRate = (parts, baseRate) => parts.map(part => part.text === undefined
+            ? part
+            : { ...part, rate: baseRate * (part.rate ?? 1) });
+
+        // Each speaker line is exported in the language and speed of that speaker's voice,
+        // and pauses like a paragraph
+        const plan = !this.scriptMode
+            ? withRate(this.buildMarkupExportPlan(text, defaultLang), rate)
+            : this.parseScript(text).flatMap((line, index) => {
+                const speaker = line.speaker ? this.speakerMap[line.speaker] : null;
+                const voice = speaker ? this.findVoice(speaker.voice) : null;
+                const parts = withRate(
+                    this.buildMarkupExportPlan(line.text, voice ? voice.lang.split(/[-_]/)[0] : defaultLang, !line.speaker),
+                    speaker?.rate ?? rate
+                );
+                const pause = this.audioProcessing.paragraphPauseMs;
+                return index > 0 && pause > 0 ? [{ silenceMs: pause }, ...parts] : parts;
+            });
+
+        // The lexicon and normalization change what is synthesized; captions keep the original text.
+        // Parts in the selected voice's language keep its region (e.g. en-GB dates).
+        const backend = this.getExportBackend();
+        const selectedLang = this.getSelectedLanguage();
+        return plan.flatMap(part => part.text === undefined ? [part] : this.splitSpokenPart(part, this.prepareSpokenText(part.text, {
+            lang: selectedLang.split(/[-_]/)[0] === part.lang ? selectedLang : part.lang,
+            voice: backend.getVoiceId(part.lang)
+        })));
+    }
+
+    /**
+     * Give an export part its spoken text, splitting it again when the spoken
+     * form outgrew the chunk size. Each piece keeps the slice of the written
+     * text it was spoken from, so captions stay aligned.
+     * @param {{text: string, start?: number}} part - Export part
+     * @param {SpokenText} spoken - Spoken form of the part's text
+     * @returns {Object[]} Parts with their spoken text
+     * @private
+     */
+    splitSpokenPart(part, spoken) {
+        if (spoken.text.length <= VoxFreeApp.CONFIG.CHUNK_SIZE) {
+            return [{ ...part, spoken: spoken.text }];
+        }
+
+        const pieces = this.chunkTextWithOffsets(spoken.text, VoxFreeApp.CONFIG.CHUNK_SIZE);
+        const bounds = pieces.map((piece, index) => (index === 0 ? 0 : spoken.offsets[piece.start]));
+
+        return pieces.map((piece, index) => {
+            // A piece spoken entirely from one replacement may have no written text of its own
+            const slice = part.text.slice(bounds[index], bounds[index + 1] ?? part.text.length);
+            const lead = slice.length - slice.trimStart().length;
+            const split = { ...part, text: slice.trim(), spoken: piece.text };
+            if (part.start !== undefined) split.start = part.start + bounds[index] + lead;
+            return split;
+        });
+    }
+
+    /**
+     * Split plain text or SSML into export parts
+     * @param {string} text - Text or SSML markup to export
+     * @param {string} defaultLang - Language for text without an SSML or detected language
+     * @param {boolean} detect - Whether to detect the language of plain text paragraphs
+     * @returns {({text: string, lang: string, rate?: number}|{silenceMs: number})[]} Export plan,
+     *     with the SSML prosody rate of each chunk
+     * @throws {SSMLError} When the SSML markup is invalid
+     * @private
+     */
+    buildMarkupExportPlan(text, defaultLang, detect = true) {
+        if (!this.isSSML(text)) {
+            const segments = detect ? this.getLanguageSegments(text) : [];
+            if (segments.length === 0) {
+                segments.push({ start: 0, end: text.length, lang: null });
+            }
+
+            // Chunks never cross a language change; a sentence pause needs one chunk per sentence
+            const bySentence = this.audioProcessing.sentencePauseMs > 0;
+            const chunks = segments.flatMap(segment => {
+                const slice = text.slice(segment.start, segment.end);
+                const pieces = bySentence
+                    ? this.splitSentences(slice).map(piece => ({ ...piece, start: piece.start + segment.start }))
+                    : this.chunkTextWithOffsets(slice, VoxFreeApp.CONFIG.CHUNK_SIZE, segment.start);
+                return pieces.map(chunk => ({ text: chunk.text, lang: segment.lang || defaultLang, start: chunk.start }));
+            });
+            return this.insertExportPauses(text, chunks);
+        }
+
+        const plan = [];
+        for (const segment of this.parseSSML(text)) {
+            if (segment.type === 'break') {
+                plan.push({ silenceMs: segment.duration });
+                continue;
+            }
+
+            const voiceLang = segment.lang || (segment.voiceName ? this.resolveItemVoice(segment)?.lang : null);
+            const lang = voiceLang ? voiceLang.split(/[-_]/)[0] : defaultLang;
+
+            for (const chunk of this.chunkText(segment.text.replace(/\s+/g, ' '), VoxFreeApp.CONFIG.CHUNK_SIZE)) {
+                plan.push({ text: chunk, lang, rate: segment.prosody.rate });
+            }
+        }
+        return plan;
+    }
+
+    /**
+     * Combine fetched chunks and silences into one file in the requested format.
+     * MP3 chunks are joined frame by frame; other formats are decoded first.
+     * @param {({blob: Blob}|{silenceMs: number})[]} parts - Audio chunks and silences in order
+     * @param {string} format - Export format (mp3, wav or ogg)
+     * @returns {Promise<{blob: Blob, ext: string, durations: number[]|null}>} Encoded audio, file
+     *     extension and part durations in ms (null when they could not be measured)
+     * @private
+     */
+    async assembleAudio(parts, format) {
+        const process = this.needsAudioProcessing(parts);
+
+        if (format === 'mp3') {
+            const mp3 = process ? null : await this.concatenateMp3Parts(parts);
+            if (mp3) {
+                return { ...mp3, ext: 'mp3' };
+            }
+
+            // MP3 can't be encoded in the browser, so processed or non-MP3 backend audio becomes WAV
+            this.showNotification(process
+                ? 'Processed audio cannot be encoded as MP3 in the browser, so the export is WAV.'
+                : 'The export backend did not return MP3 audio, so the file was saved as WAV.', 'info');
+            format = 'wav';
+        }
+
+        this.updateStatus('Decoding audio...', true);
+        const sampleRate = VoxFreeApp.CONFIG.EXPORT_SAMPLE_RATE;
+        const { samples, durations } = await this.decodeAudioParts(parts, sampleRate, process);
+
+        if (format === 'ogg') {
+            const mimeType = AudioCodec.getOpusMimeType();
+            if (!mimeType) {
+                throw new Error('OGG/Opus recording is not supported in this browser');
+            }
+            this.updateStatus('Encoding OGG/Opus (real time)...', true);
+            return { blob: await AudioCodec.record(samples, sampleRate, mimeType), ext: 'ogg', durations };
+        }
+
+        return { blob: AudioCodec.encodeWav(samples, sampleRate), ext: 'wav', durations };
+    }
+
+    /**
+     * Combine fetched chunks into one file per chapter
+     * @param {string} text - Exported text
+     * @param {({blob: Blob, chapter: number}|{silenceMs: number, chapter: number})[]} parts - Audio chunks and silences
+     * @param {{title: string, start: number, end: number}[]} chapters - Chapters the parts belong to
+     * @param {string} format - Export format (mp3, wav or ogg)
+     * @returns {Promise<{blob: Blob, ext: string, durations: null, tracks: Object[]}>} The first chapter's
+     *     audio for the preview and every chapter as {title, text, parts, blob, durations}, with the
+     *     part offsets relative to the chapter text
+     * @private
+     */
+    async assembleChapterAudio(text, parts, chapters, format) {
+        const tracks = [];
+
+        for (const [index, chapter] of chapters.entries()) {
+            const trackParts = parts
+                .filter(part => part.chapter === index)
+                .map(part => part.blob ? { ...part, start: part.start - chapter.start } : part);
+            if (!trackParts.some(part => part.blob)) continue;
+
+            this.updateStatus(`Assembling chapter ${index + 1}/${chapters.length}...`, true);
+            const audio = await this.assembleAudio(trackParts, format);
+            // A fallback to WAV is announced once and then used for every chapter
+            format = audio.ext;
+
+            tracks.push({
+                title: chapter.title,
+                text: text.slice(chapter.start, chapter.end),
+                parts: trackParts,
+                blob: audio.blob,
+                durations: audio.durations
+            });
+        }
+
+        return { blob: tracks[0].blob, ext: format, durations: null, tracks };
+    }
+
+    /**
+     * Join MP3 chunks frame by frame, dropping per-chunk ID3 and VBR headers
+     * @param {({blob: Blob}|{silenceMs: number})[]} parts - Audio chunks and silences
+     * @returns {Promise<{blob: Blob, durations: number[]}|null>} Joined MP3 and each part's
+     *     duration in ms from its frame count, or null when a chunk is not MP3
+     * @private
+     */
+    async concatenateMp3Parts(parts) {
+        const framesPerPart = [];
+
+        for (const part of parts) {
+            if (!part.blob) {
+                framesPerPart.push(null);
+                continue;
+            }
+
+            const bytes = new Uint8Array(await part.blob.arrayBuffer());
+            if (!AudioCodec.isMp3(bytes)) return null;
+            framesPerPart.push(AudioCodec.parseMp3Frames(bytes));
+        }
+
+        // Silence copies the format of the first real frame so the stream stays uniform
+        const template = framesPerPart.find(frames => frames && frames.length > 0)?.[0];
+        const output = parts.map((part, index) => part.blob
+            ? framesPerPart[index]
+            : [AudioCodec.createSilentMp3(part.silenceMs, template)]);
+
+        const durations = output.map(frames => frames.reduce((total, frame) => {
+            // Silence is one block of identical frames
+            const header = AudioCodec.parseMp3Header(frame, 0);
+            return header ? total + frame.length / header.length * header.samples / header.sampleRate * 1000 : total;
+        }, 0));
+
+        return { blob: new Blob(output.flat(), { type: 'audio/mpeg' }), durations };
+    }
+
+    /**
+     * Decode chunks and silences into one mono sample buffer. With processing,
+     * each chunk's silence is trimmed, its speed matched to its rate and its
+     * loudness normalized, as set in the audio processing settings.
+     * @param {({blob: Blob, rate?: number}|{silenceMs: number})[]} parts - Audio chunks and silences
+     * @param {number} sampleRate - Sample rate to decode at
+     * @param {boolean} process - Whether to apply the audio processing settings
+     * @returns {Promise<{samples: Float32Array, durations: number[]}>} Joined samples and
+     *     the duration of each part in milliseconds
+     * @private
+     */
+    async decodeAudioParts(parts, sampleRate, process = false) {
+        const settings = this.audioProcessing;
+        const segments = [];
+
+        for (const part of parts) {
+            if (!part.blob) {
+                segments.push(new Float32Array(Math.round(part.silenceMs / 1000 * sampleRate)));
+                continue;
+            }
+
+            let samples = await AudioCodec.decode(part.blob, sampleRate);
+            if (process && settings.trimSilence) {
+                samples = AudioProcessor.trimSilence(samples, sampleRate, settings.edgeMs);
+            }
+            if (process && settings.matchRate) {
+                samples = AudioProcessor.timeStretch(samples, sampleRate, part.rate ?? 1);
+            }
+            segments.push(samples);
+        }
+
+        const samples = new Float32Array(segments.reduce((total, segment) => total + segment.length, 0));
+        const ranges = [];
+        let offset = 0;
+        segments.forEach((segment, index) => {
+            samples.set(segment, offset);
+            if (parts[index].blob) ranges.push({ start: offset, end: offset + segment.length });
+            offset += segment.length;
+        });
+
+        // Each chunk is brought to the target on its own, evening out voices and languages
+        if (process && settings.normalize) {
+            this.updateStatus('Normalizing loudness...', true);
+            await AudioProcessor.normalize(samples, sampleRate, ranges, settings.targetLufs);
+        }
+
+        const durations = segments.map(segment => segment.length / sampleRate * 1000);
+        return { samples, durations };
+    }
+
+    /**
+     * Measure each part's duration by decoding its audio
+     * @param {({blob: Blob}|{silenceMs: number})[]} parts - Audio chunks and silences
+     * @returns {Promise<number[]>} Durations in milliseconds
+     * @private
+     */
+    async measureDurations(parts) {
+        const sampleRate = VoxFreeApp.CONFIG.EXPORT_SAMPLE_RATE;
+        const durations = [];
+
+        for (const part of parts) {
+            durations.push(part.blob
+                ? (await AudioCodec.decode(part.blob, sampleRate)).length / sampleRate * 1000
+                : part.silenceMs);
+        }
+        return durations;
+    }
+
+    /**
+     * Time every spoken sentence from the decoded length of its chunk. Sentences
+     * within a chunk share its duration in proportion to their length.
+     * @param {string} sourceText - Exported text
+     * @param {({text: string, start?: number}|{silenceMs: number})[]} parts - Exported parts
+     * @param {number[]} durations - Duration of each part in milliseconds
+     * @returns {{transcript: string, chunks: Object[], sentences: Object[]}} Transcript
+     *     the offsets refer to, plus timed chunks and sentences ({start, end, time, endTime, text})
+     * @private
+     */
+    buildTimedTranscript(sourceText, parts, durations) {
+        // Plain text keeps offsets into the source; SSML and scripts use the spoken transcript
+        const useSource = parts.every(part => !part.text || part.start !== undefined);
+        const chunks = [];
+        const sentences = [];
+        let transcript = useSource ? sourceText : '';
+        let time = 0;
+
+        parts.forEach((part, index) => {
+            const duration = durations[index];
+
+            if (part.text) {
+                let chunkStart = part.start;
+                if (!useSource) {
+                    if (transcript) transcript += ' ';
+                    chunkStart = transcript.length;
+                    transcript += part.text;
+                }
+
+                chunks.push({ start: chunkStart, end: chunkStart + part.text.length, time, endTime: time + duration, text: part.text });
+
+                const pieces = this.splitSentences(part.text);
+                const weight = (piece) => Math.max(1, piece.text.replace(/\s/g, '').length);
+                const totalWeight = pieces.reduce((sum, piece) => sum + weight(piece), 0);
+                let sentenceTime = time;
+
+                for (const piece of pieces) {
+                    const length = duration * weight(piece) / totalWeight;
+                    sentences.push({
+                        start: chunkStart + piece.start,
+                        end: chunkStart + piece.end,
+                        time: sentenceTime,
+                        endTime: sentenceTime + length,
+                        text: piece.text
+                    });
+                    sentenceTime += length;
+                }
+            }
+
+            time += duration;
+        });
+
+        return { transcript, chunks, sentences };
+    }
+
+    /**
+     * Write the caption and speech mark files enabled in settings
+     * @param {string} sourceText - Exported text
+     * @param {({text: string, start?: number}|{silenceMs: number})[]} parts - Exported parts
+     * @param {number[]} durations - Part durations in ms
+     * @returns {{ext: string, type: string, data: string}[]} Files, none when subtitles are off
+     * @private
+     */
+    buildSubtitleFiles(sourceText, parts, durations) {
+        const settings = this.subtitleSettings;
+        if (!settings.srt && !settings.vtt && !settings.marks) return [];
+
+        const timed = this.buildTimedTranscript(sourceText, parts, durations);
+        const cues = (settings.cueMode === 'chunk' ? timed.chunks : timed.sentences)
+            .map(item => ({ start: item.time, end: item.endTime, text: item.text }));
+        const files = [];
+
+        if (settings.srt) {
+            files.push({ ext: 'srt', type: 'application/x-subrip', data: SubtitleWriter.toSrt(cues, settings.maxLineWidth) });
+        }
+        if (settings.vtt) {
+            files.push({ ext: 'vtt', type: 'text/vtt', data: SubtitleWriter.toVtt(cues, settings.maxLineWidth) });
+        }
+        if (settings.marks) {
+            const marks = {
+                text: timed.transcript,
+                marks: timed.sentences.map(sentence => ({
+                    type: 'sentence',
+                    start: sentence.start,
+                    end: sentence.end,
+                    time: Math.round(sentence.time),
+                    endTime: Math.round(sentence.endTime),
+                    value: sentence.text
+                }))
+            };
+            files.push({ ext: 'marks.json', type: 'application/json', data: JSON.stringify(marks, null, 2) });
+        }
+        return files;
+    }
+
+    /**
+     * Download the caption and speech mark files enabled in settings
+     * @param {string} sourceText - Exported text
+     * @param {({text: string, start?: number}|{silenceMs: number})[]} parts - Exported parts
+     * @param {number[]|null} durations - Part durations in ms, or null to decode them
+     * @param {string} baseName - File name shared with the audio
+     * @private
+     */
+    async exportSubtitles(sourceText, parts, durations, baseName) {
+        const settings = this.subtitleSettings;
+        if (!settings.srt && !settings.vtt && !settings.marks) return;
+
+        try {
+            this.updateStatus('Timing subtitles...', true);
+            const files = this.buildSubtitleFiles(sourceText, parts, durations || await this.measureDurations(parts));
+            for (const file of files) {
+                this.downloadBlob(new Blob([file.data], { type: file.type }), file.ext, baseName);
+            }
+        } catch (error) {
+            console.error('Subtitle export failed:', error);
+            this.showError('The audio was saved, but subtitles could not be created.');
+        }
+    }
+
+    /**
+     * Load the pronunciation lexicon from localStorage
+     * @private
+     */
+    loadLexicon() {
+        try {
+            const stored = localStorage.getItem(VoxFreeApp.CONFIG.LEXICON_STORAGE_KEY);
+            if (stored) {
+                this.lexicon = new Lexicon(Lexicon.parse(stored));
+            }
+        } catch (error) {
+            console.warn('Failed to load lexicon:', error);
+        }
+    }
+
+    /**
+     * Save the pronunciation lexicon to localStorage
+     * @private
+     */
+    saveLexicon() {
+        try {
+            localStorage.setItem(VoxFreeApp.CONFIG.LEXICON_STORAGE_KEY, JSON.stringify(this.lexicon));
+        } catch (error) {
+            console.warn('Failed to save lexicon:', error);
+        }
+    }
+
+    /**
+     * Open the pronunciation lexicon editor
+     * @public
+     */
+    openLexicon() {
+        if (!this.ui.lexiconDialog) return;
+
+        this.renderLexicon();
+        this.ui.lexiconDialog.showModal();
+    }
+
+    /**
+     * Render one editable row per lexicon entry
+     * @private
+     */
+    renderLexicon() {
+        if (!this.ui.lexiconList) return;
+
+        const fragment = document.createDocumentFragment();
+
+        if (this.lexicon.entries.length === 0) {
+            const hint = document.createElement('p');
+            hint.className = 'text-xs text-slate-500';
+            hint.textContent = 'No entries yet. Add one to change how a word is pronounced.';
+            fragment.appendChild(hint);
+        }
+
+        this.lexicon.entries.forEach((entry, index) => {
+            const row = document.createElement('div');
+            row.className = 'lexicon-entry space-y-2 p-3 rounded-xl bg-white/5 border border-white/5';
+
+            const words = document.createElement('div');
+            words.className = 'grid grid-cols-2 gap-2';
+            words.append(
+                this.createLexiconInput(index, 'pattern', 'Pattern', entry.regex ? '\\bSQL\\b' : 'VoxFree'),
+                this.createLexiconInput(index, 'replacement', 'Say as', entry.regex ? 'sequel' : 'vox free')
+            );
+
+            const scope = document.createElement('div');
+            scope.className = 'grid grid-cols-2 gap-2';
+            scope.append(
+                this.createLexiconInput(index, 'lang', 'Language', 'any language'),
+                this.createLexiconInput(index, 'voice', 'Voice', 'any voice')
+            );
+
+            const options = document.createElement('div');
+            options.className = 'flex items-center gap-4 text-xs text-slate-400';
+            options.append(
+                this.createLexiconCheckbox(index, 'regex', 'Regex'),
+                this.createLexiconCheckbox(index, 'caseSensitive', 'Match case')
+            );
+            if (this.currentDocument) {
+                options.append(this.createLexiconDocumentToggle(index));
+            }
+
+            const preview = document.createElement('button');
+            preview.className = 'ml-auto px-2 py-1 rounded-lg hover:bg-white/10 text-slate-300 transition-colors';
+            preview.setAttribute('aria-label', `Preview entry ${index + 1}`);
+            preview.title = 'Speak the replacement';
+            preview.innerHTML = '<i class="fa-solid fa-volume-high" aria-hidden="true"></i>';
+            preview.addEventListener('click', () => this.previewLexiconEntry(index));
+
+            const remove = document.createElement('button');
+            remove.className = 'px-2 py-1 rounded-lg hover:bg-red-500/20 text-red-400 transition-colors';
+            remove.setAttribute('aria-label', `Delete entry ${index + 1}`);
+            remove.title = 'Delete entry';
+            remove.innerHTML = '<i class="fa-solid fa-trash" aria-hidden="true"></i>';
+            remove.addEventListener('click', () => this.removeLexiconEntry(index));
+
+            options.append(preview, remove);
+
+            const problem = document.createElement('p');
+            problem.className = 'text-xs text-red-400';
+            problem.dataset.lexiconError = String(index);
+            problem.textContent = entry.pattern ? Lexicon.validate(entry) || '' : '';
+
+            row.append(words, scope, options, problem);
+            fragment.appendChild(row);
+        });
+
+        this.ui.lexiconList.innerHTML = '';
+        this.ui.lexiconList.appendChild(fragment);
+    }
+
+    /**
+     * Create a labelled text input bound to a lexicon entry field
+     * @param {number} index - Entry index
+     * @param {string} field - Entry field
+     * @param {string} label - Visible label
+     * @param {string} placeholder - Placeholder text
+     * @returns {HTMLLabelElement} Labelled input
+     * @private
+     */
+    createLexiconInput(index, field, label, placeholder) {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'block space-y-1';
+
+        const caption = document.createElement('span');
+        caption.className = 'text-xs text-slate-400';
+        caption.textContent = label;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = this.lexicon.entries[index][field];
+        input.placeholder = placeholder;
+        input.className = 'glass-input w-full rounded-lg py-1 px-2 text-sm text-slate-200 placeholder-slate-500';
+        input.addEventListener('change', () => this.updateLexiconEntry(index, { [field]: input.value }));
+
+        wrapper.append(caption, input);
+        return wrapper;
+    }
+
+    /**
+     * Create a labelled checkbox bound to a lexicon entry flag
+     * @param {number} index - Entry index
+     * @param {string} field - Entry field
+     * @param {string} label - Visible label
+     * @returns {HTMLLabelElement} Labelled checkbox
+     * @private
+     */
+    createLexiconCheckbox(index, field, label) {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'flex items-center gap-1 cursor-pointer';
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = this.lexicon.entries[index][field];
+        input.className = 'w-3.5 h-3.5 accent-indigo-500 cursor-pointer';
+        input.addEventListener('change', () => this.updateLexiconEntry(index, { [field]: input.checked }));
+
+        wrapper.append(input, document.createTextNode(label));
+        return wrapper;
+    }
+
+    /**
+     * Create a checkbox that includes an entry in the open document or leaves it out
+     * @param {number} index - Entry index
+     * @returns {HTMLLabelElement} Labelled checkbox
+     * @private
+     */
+    createLexiconDocumentToggle(index) {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'flex items-center gap-1 cursor-pointer';
+        wrapper.title = `Use this entry in "${this.currentDocument.title}"`;
+
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = !this.currentDocument.settings.lexiconExcluded.includes(Lexicon.key(this.lexicon.entries[index]));
+        input.className = 'w-3.5 h-3.5 accent-indigo-500 cursor-pointer';
+        input.addEventListener('change', () => this.setLexiconEntryForDocument(index, input.checked));
+
+        wrapper.append(input, document.createTextNode('This document'));
+        return wrapper;
+    }
+
+    /**
+     * Add an empty lexicon entry and focus it
+     * @private
+     */
+    addLexiconEntry() {
+        this.lexicon.entries.push(Lexicon.normalizeEntry({ pattern: '' }));
+        this.renderLexicon();
+        this.ui.lexiconList.querySelector('.lexicon-entry:last-child input')?.focus();
+    }
+
+    /**
+     * Change fields of a lexicon entry and save
+     * @param {number} index - Entry index
+     * @param {Object} changes - Fields to change
+     * @private
+     */
+    updateLexiconEntry(index, changes) {
+        const entry = Lexicon.normalizeEntry({ ...this.lexicon.entries[index], ...changes });
+        if (!entry) return;
+
+        this.lexicon.entries[index] = entry;
+        this.saveLexicon();
+
+        const problem = this.ui.lexiconList.querySelector(`[data-lexicon-error="${index}"]`);
+        if (problem) {
+            problem.textContent = entry.pattern ? Lexicon.validate(entry) || '' : '';
+        }
+        if (changes.regex !== undefined) {
+            this.renderLexicon();
+        }
+    }
+
+    /**
+     * Delete a lexicon entry
+     * @param {number} index - Entry index
+     * @private
+     */
+    removeLexiconEntry(index) {
+        this.lexicon.entries.splice(index, 1);
+        this.saveLexicon();
+        this.renderLexicon();
+    }
+
+    /**
+     * Speak a lexicon entry's replacement with the voice it is scoped to
+     * @param {number} index - Entry index
+     * @private
+     */
+    previewLexiconEntry(index) {
+        const entry = this.lexicon.entries[index];
+        const text = (entry.regex ? entry.replacement.replace(/\$(\d{1,2}|&|<[^>]+>)/g, '') : entry.replacement).trim();
+        if (!text) {
+            this.showNotification('Enter a replacement to preview.', 'info');
+            return;
+        }
+
+        if (this.isProcessing) {
+            this.stop();
+        }
+
+        const scopedVoice = entry.voice
+            ? this.voices.find(voice => voice.name.toLowerCase() === entry.voice.toLowerCase())
+            : null;
+        const langVoice = !scopedVoice && entry.lang
+            ? this.findVoice({ lang: entry.lang })
+            : null;
+        const voice = scopedVoice || langVoice || this.getSelectedVoice();
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        }
+        utterance.rate = parseFloat(this.ui.rate.value);
+        utterance.pitch = parseFloat(this.ui.pitch.value);
+        utterance.volume = parseFloat(this.ui.volume.value);
+
+        this.synth.cancel();
+        this.synth.speak(utterance);
+    }
+
+    /**
+     * Download the lexicon as JSON
+     * @private
+     */
+    exportLexicon() {
+        const json = JSON.stringify(this.lexicon, null, 2);
+        this.downloadBlob(new Blob([json], { type: 'application/json' }), 'json', 'voxfree-lexicon');
+    }
+
+    /**
+     * Merge entries from a lexicon JSON file. Entries with the same pattern
+     * and scope replace existing ones; the rest are appended.
+     * @param {File} file - Lexicon file
+     * @private
+     */
+    async importLexicon(file) {
+        if (!file) return;
+
+        try {
+            const imported = Lexicon.parse(await file.text());
+            for (const entry of imported) {
+                const existing = this.lexicon.entries.findIndex(current => Lexicon.key(current) === Lexicon.key(entry));
+                if (existing === -1) {
+                    this.lexicon.entries.push(entry);
+                } else {
+                    this.lexicon.entries[existing] = entry;
+                }
+            }
+
+            this.saveLexicon();
+            this.renderLexicon();
+            this.showNotification(`Imported ${imported.length} lexicon entr${imported.length === 1 ? 'y' : 'ies'}`, 'success');
+        } catch (error) {
+            console.error('Lexicon import failed:', error);
+            this.showError(`Could not import lexicon: ${error.message}`);
+        } finally {
+            this.ui.lexiconImportFile.value = '';
+        }
+    }
+
+    /**
+     * Load subtitle settings from localStorage
+     * @private
+     */
+    loadSubtitleSettings() {
+        try {
+            const stored = localStorage.getItem(VoxFreeApp.CONFIG.SUBTITLE_STORAGE_KEY);
+            if (stored) {
+                const settings = JSON.parse(stored);
+                const width = parseInt(settings.maxLineWidth, 10);
+                this.subtitleSettings = {
+                    srt: settings.srt === true,
+                    vtt: settings.vtt === true,
+                    marks: settings.marks === true,
+                    cueMode: settings.cueMode === 'chunk' ? 'chunk' : 'sentence',
+                    maxLineWidth: width >= 0 ? width : this.subtitleSettings.maxLineWidth
+                };
+            }
+        } catch (error) {
+            console.warn('Failed to load subtitle settings:', error);
+        }
+    }
+
+    /**
+     * Save subtitle settings to localStorage
+     * @private
+     */
+    saveSubtitleSettings() {
+        try {
+            localStorage.setItem(VoxFreeApp.CONFIG.SUBTITLE_STORAGE_KEY, JSON.stringify(this.subtitleSettings));
+        } catch (error) {
+            console.warn('Failed to save subtitle settings:', error);
+        }
+    }
+
+    /**
+     * Reflect subtitle settings in the settings dialog
+     * @private
+     */
+    renderSubtitleSettings() {
+        if (!this.ui.subtitleSrt) return;
+
+        this.ui.subtitleSrt.checked = this.subtitleSettings.srt;
+        this.ui.subtitleVtt.checked = this.subtitleSettings.vtt;
+        this.ui.subtitleMarks.checked = this.subtitleSettings.marks;
+        this.ui.subtitleCueMode.value = this.subtitleSettings.cueMode;
+        this.ui.subtitleLineWidth.value = this.subtitleSettings.maxLineWidth;
+    }
+
+    /**
+     * Read subtitle settings from the settings dialog
+     * @private
+     */
+    updateSubtitleSettingsFromUI() {
+        const width = parseInt(this.ui.subtitleLineWidth.value, 10);
+        this.subtitleSettings = {
+            srt: this.ui.subtitleSrt.checked,
+            vtt: this.ui.subtitleVtt.checked,
+            marks: this.ui.subtitleMarks.checked,
+            cueMode: this.ui.subtitleCueMode.value === 'chunk' ? 'chunk' : 'sentence',
+            maxLineWidth: width >= 0 ? width : 0
+        };
+        this.saveSubtitleSettings();
+        this.renderSubtitleSettings();
+    }
+
+    /**
+     * Load export audio processing settings from localStorage
+     * @private
+     */
+    loadAudioProcessingSettings() {
+        try {
+            const stored = localStorage.getItem(VoxFreeApp.CONFIG.AUDIO_PROCESSING_STORAGE_KEY);
+            if (stored) {
+                this.audioProcessing = this.normalizeAudioProcessingSettings(JSON.parse(stored));
+            }
+        } catch (error) {
+            console.warn('Failed to load audio processing settings:', error);
+        }
+    }
+
+    /**
+     * Save export audio processing settings to localStorage
+     * @private
+     */
+    saveAudioProcessingSettings() {
+        try {
+            localStorage.setItem(VoxFreeApp.CONFIG.AUDIO_PROCESSING_STORAGE_KEY, JSON.stringify(this.audioProcessing));
+        } catch (error) {
+            console.warn('Failed to save audio processing settings:', error);
+        }
+    }
+
+    /**
+     * Validate audio processing settings, keeping current values for invalid fields
+     * @param {Object} settings - Stored or entered settings
+     * @returns {Object} Complete settings
+     * @private
+     */
+    normalizeAudioProcessingSettings(settings) {
+        const current = this.audioProcessing;
+        const pause = (value, fallback) => {
+            const ms = parseInt(value, 10);
+            return ms >= 0 ? Math.min(ms, VoxFreeApp.CONFIG.SSML_MAX_BREAK) : fallback;
+        };
+        const target = parseFloat(settings.targetLufs);
+
+        return {
+            normalize: settings.normalize === true,
+            targetLufs: target >= -40 && target <= -5 ? target : current.targetLufs,
+            trimSilence: settings.trimSilence === true,
+            edgeMs: pause(settings.edgeMs, current.edgeMs),
+            sentencePauseMs: pause(settings.sentencePauseMs, current.sentencePauseMs),
+            paragraphPauseMs: pause(settings.paragraphPauseMs, current.paragraphPauseMs),
+            sectionPauseMs: pause(settings.sectionPauseMs, current.sectionPauseMs),
+            matchRate: settings.matchRate === true
+        };
+    }
+
+    /**
+     * Reflect audio processing settings in the settings dialog
+     * @private
+     */
+    renderAudioProcessingSettings() {
+        if (!this.ui.audioNormalize) return;
+
+        const settings = this.audioProcessing;
+        this.ui.audioNormalize.checked = settings.normalize;
+        this.ui.audioTargetLufs.value = settings.targetLufs;
+        this.ui.audioTrimSilence.checked = settings.trimSilence;
+        this.ui.audioEdgeMs.value = settings.edgeMs;
+        this.ui.audioSentencePause.value = settings.sentencePauseMs;
+        this.ui.audioParagraphPause.value = settings.paragraphPauseMs;
+        this.ui.audioSectionPause.value = settings.sectionPauseMs;
+        this.ui.audioMatchRate.checked = settings.matchRate;
+        this.ui.audioTargetLufs.disabled = !settings.normalize;
+        this.ui.audioEdgeMs.disabled = !settings.trimSilence;
+    }
+
+    /**
+     * Read audio processing settings from the settings dialog
+     * @private
+     */
+    updateAudioProcessingSettingsFromUI() {
+        this.audioProcessing = this.normalizeAudioProcessingSettings({
+            normalize: this.ui.audioNormalize.checked,
+            targetLufs: this.ui.audioTargetLufs.value,
+            trimSilence: this.ui.audioTrimSilence.checked,
+            edgeMs: this.ui.audioEdgeMs.value,
+            sentencePauseMs: this.ui.audioSentencePause.value,
+            paragraphPauseMs: this.ui.audioParagraphPause.value,
+            sectionPauseMs: this.ui.audioSectionPause.value,
+            matchRate: this.ui.audioMatchRate.checked
+        });
+        this.saveAudioProcessingSettings();
+        this.renderAudioProcessingSettings();
+    }
+
+    /**
+     * Check whether export parts need decoding for normalization, trimming or time-stretch
+     * @param {({blob: Blob, rate?: number}|{silenceMs: number})[]} parts - Audio chunks and silences
+     * @returns {boolean} Whether the samples are processed
+     * @private
+     */
+    needsAudioProcessing(parts) {
+        const settings = this.audioProcessing;
+        return settings.normalize ||
+               settings.trimSilence ||
+               (settings.matchRate && parts.some(part => part.blob && Math.abs((part.rate ?? 1) - 1) >= 0.01));
+    }
+
+    /**
+     * Put the configured pauses between chunks that end a sentence, a
+     * paragraph or come before a section heading
+     * @param {string} text - Text the chunk offsets refer to
+     * @param {{text: string, lang: string, start: number}[]} chunks - Chunks in order
+     * @returns {({text: string, lang: string, start: number}|{silenceMs: number})[]} Chunks and pauses
+     * @private
+     */
+    insertExportPauses(text, chunks) {
+        const { sentencePauseMs, paragraphPauseMs, sectionPauseMs } = this.audioProcessing;
+        const plan = [];
+
+        chunks.forEach((chunk, index) => {
+            const previous = chunks[index - 1];
+            if (previous) {
+                const gap = text.slice(previous.start + previous.text.length, chunk.start);
+                let pause = 0;
+                if (/^#{1,6}[ \t]+\S/.test(chunk.text)) {
+                    pause = sectionPauseMs;
+                } else if (/\n[ \t]*\n/.test(gap)) {
+                    pause = paragraphPauseMs;
+                } else if (gap.includes('\n') || /[.!?\u2026]["'\u201D\u2019)\]]*$/.test(previous.text)) {
+                    pause = sentencePauseMs;
+                }
+                if (pause > 0) plan.push({ silenceMs: pause });
+            }
+            plan.push(chunk);
+        });
+
+        return plan;
+    }
+
+    /**
+     * Turn text into what the voice will actually say: the lexicon first,
+     * then language-aware normalization of numbers, dates and the like
+     * @param {string} text - Text as written
+     * @param {{lang?: string, voice?: string}} scope - Language code and voice name or id
+     * @returns {SpokenText} Spoken text with offsets into the original
+     * @private
+     */
+    prepareSpokenText(text, scope = {}) {
+        // Section headings are read without their "#" markers
+        const headings = new SpokenText(text).replace(/^#{1,6}[ \t]+(?=\S)/gm, () => '');
+        const exclude = this.currentDocument?.settings.lexiconExcluded;
+        const spoken = this.lexicon.apply(headings, { ...scope, exclude });
+        if (!this.normalizationSettings.enabled) return spoken;
+
+        return this.normalizer.normalize(spoken, scope.lang || this.getSelectedLanguage());
+    }
+
+    /**
+     * Load text normalization settings from localStorage
+     * @private
+     */
+    loadNormalizationSettings() {
+        try {
+            const stored = localStorage.getItem(VoxFreeApp.CONFIG.NORMALIZATION_STORAGE_KEY);
+            if (stored) {
+                const settings = JSON.parse(stored);
+                const categories = {};
+                for (const category of Object.keys(TextNormalizer.CATEGORIES)) {
+                    categories[category] = settings.categories?.[category] !== false;
+                }
+                this.normalizationSettings = { enabled: settings.enabled !== false, categories };
+            }
+        } catch (error) {
+            console.warn('Failed to load normalization settings:', error);
+        }
+        this.normalizer = new TextNormalizer(this.normalizationSettings.categories);
+    }
+
+    /**
+     * Save text normalization settings to localStorage
+     * @private
+     */
+    saveNormalizationSettings() {
+        try {
+            localStorage.setItem(VoxFreeApp.CONFIG.NORMALIZATION_STORAGE_KEY, JSON.stringify(this.normalizationSettings));
+        } catch (error) {
+            console.warn('Failed to save normalization settings:', error);
+        }
+    }
+
+    /**
+     * Reflect text normalization settings in the settings dialog, creating
+     * one checkbox per category on first use
+     * @private
+     */
+    renderNormalizationSettings() {
+        if (!this.ui.normalizationEnabled) return;
+
+        this.ui.normalizationEnabled.checked = this.normalizationSettings.enabled;
+
+        const container = this.ui.normalizationCategories;
+        if (!container.childElementCount) {
+            for (const [category, label] of Object.entries(TextNormalizer.CATEGORIES)) {
+                const wrapper = document.createElement('label');
+                wrapper.className = 'flex items-center gap-2 cursor-pointer text-sm text-slate-300';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.className = 'w-4 h-4 accent-indigo-500 cursor-pointer';
+                checkbox.dataset.category = category;
+                checkbox.addEventListener('change', () => this.updateNormalizationSettingsFromUI());
+
+                wrapper.append(checkbox, ` ${label}`);
+                container.appendChild(wrapper);
+            }
+        }
+
+        container.querySelectorAll('input[data-category]').forEach(checkbox => {
+            checkbox.checked = this.normalizationSettings.categories[checkbox.dataset.category] !== false;
+            checkbox.disabled = !this.normalizationSettings.enabled;
+        });
+    }
+
+    /**
+     * Read text normalization settings from the settings dialog
+     * @private
+     */
+    updateNormalizationSettingsFromUI() {
+        const categories = {};
+        this.ui.normalizationCategories.querySelectorAll('input[data-category]').forEach(checkbox => {
+            categories[checkbox.dataset.category] = checkbox.checked;
+        });
+
+        this.normalizationSettings = { enabled: this.ui.normalizationEnabled.checked, categories };
+        this.normalizer = new TextNormalizer(categories);
+        this.saveNormalizationSettings();
+        this.renderNormalizationSettings();
+    }
+
+    /**
+     * Load language detection settings from localStorage
+     * @private
+     */
+    loadLanguageSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(VoxFreeApp.CONFIG.LANGUAGE_STORAGE_KEY));
+            if (stored && ['off', 'suggest', 'auto'].includes(stored.mode)) {
+                this.languageSettings = { mode: stored.mode };
+            }
+        } catch (error) {
+            console.warn('Failed to load language settings:', error);
+        }
+    }
+
+    /**
+     * Save language detection settings to localStorage
+     * @private
+     */
+    saveLanguageSettings() {
+        try {
+            localStorage.setItem(VoxFreeApp.CONFIG.LANGUAGE_STORAGE_KEY, JSON.stringify(this.languageSettings));
+        } catch (error) {
+            console.warn('Failed to save language settings:', error);
+        }
+    }
+
+    /**
+     * Reflect language detection settings in the settings dialog
+     * @private
+     */
+    renderLanguageSettings() {
+        if (!this.ui.languageDetectionMode) return;
+
+        this.ui.languageDetectionMode.value = this.languageSettings.mode;
+    }
+
+    /**
+     * Read language detection settings from the settings dialog
+     * @private
+     */
+    updateLanguageSettingsFromUI() {
+        this.languageSettings = { mode: this.ui.languageDetectionMode.value };
+        this.saveLanguageSettings();
+        this.invalidateSpeechQueue();
+        this.checkLanguageSuggestion();
+    }
+
+    /**
+     * Split text into paragraphs whose detected language differs from the
+     * selected voice's, for speaking and exporting them in that language
+     * @param {string} text - Plain text
+     * @returns {{start: number, end: number, lang: (string|null)}[]} Segments covering the text, lang null
+     *     where the selected voice fits; empty when detection is not automatic or nothing differs
+     * @private
+     */
+    getLanguageSegments(text) {
+        if (this.languageSettings.mode !== 'auto' || !text || this.isSSML(text)) return [];
+
+        if (text !== this.languageSegmentsText) {
+            this.languageSegments = this.languageDetector.segment(text);
+            this.languageSegmentsText = text;
+        }
+
+        const selected = this.getSelectedLanguage().toLowerCase().split(/[-_]/)[0];
+        const segments = [];
+        for (const segment of this.languageSegments) {
+            const lang = segment.lang === selected ? null : segment.lang;
+            const last = segments[segments.length - 1];
+            if (last && last.lang === lang) {
+                last.end = segment.end;
+            } else {
+                segments.push({ ...segment, lang });
+            }
+        }
+
+        return segments.length === 1 && segments[0].lang === null ? [] : segments;
+    }
+
+    /**
+     * Find the language most of a text is written in, judging by its beginning
+     * @param {string} text - Plain text
+     * @returns {string|null} Primary language subtag, or null when no language has a majority
+     * @private
+     */
+    detectMainLanguage(text) {
+        const sample = text.slice(0, 20000);
+        const lengths = new Map();
+        for (const segment of this.languageDetector.segment(sample)) {
+            if (segment.lang) {
+                lengths.set(segment.lang, (lengths.get(segment.lang) || 0) + segment.end - segment.start);
+            }
+        }
+
+        const [lang, length] = [...lengths].sort((a, b) => b[1] - a[1])[0] || [null, 0];
+        return length * 2 >= sample.length ? lang : null;
+    }
+
+    /**
+     * Pick a voice for a language, preferring favorites and an exact region match
+     * @param {string} lang - Language code, e.g. "de" or "pt-BR"
+     * @returns {SpeechSynthesisVoice|null} Voice, or null when none speaks the language
+     * @private
+     */
+    findVoiceForLanguage(lang) {
+        const langOf = (code) => code.toLowerCase().replace('_', '-');
+        const wanted = langOf(lang);
+        const prefix = wanted.split('-')[0];
+
+        const matching = this.voices.filter(voice => langOf(voice.lang).split('-')[0] === prefix);
+        const exact = matching.filter(voice => langOf(voice.lang) === wanted);
+
+        return exact.find(voice => this.isFavoriteVoice(voice)) ||
+               matching.find(voice => this.isFavoriteVoice(voice)) ||
+               exact[0] ||
+               matching[0] ||
+               null;
+    }
+
+    /**
+     * Offer a matching voice when the text is in another language than the selected voice
+     * @private
+     */
+    checkLanguageSuggestion() {
+        if (!this.ui.languageBar) return;
+
+        const text = this.ui.textInput.value.trim();
+        const lang = this.languageSettings.mode !== 'off' && text && !this.isSSML(text)
+            ? this.detectMainLanguage(text)
+            : null;
+        const selected = this.getSelectedLanguage().toLowerCase().split(/[-_]/)[0];
+
+        if (!lang || lang === selected || lang === this.dismissedLanguage) {
+            this.ui.languageBar.classList.add('hidden');
+            return;
+        }
+
+        const name = this.getLanguageLabel(lang);
+        this.suggestedVoice = this.findVoiceForLanguage(lang);
+        this.suggestedLanguage = lang;
+
+        if (!this.suggestedVoice) {
+            this.ui.languageText.textContent = `This text looks ${name}, but no ${name} voice is installed.`;
+        } else if (this.languageSettings.mode === 'auto') {
+            this.ui.languageText.textContent = `This text looks ${name}; ${name} paragraphs are read with ${this.suggestedVoice.name}.`;
+        } else {
+            this.ui.languageText.textContent = `This text looks ${name}.`;
+        }
+
+        this.ui.languageSwitchBtn.classList.toggle('hidden', !this.suggestedVoice);
+        if (this.suggestedVoice) {
+            this.ui.languageSwitchBtn.textContent = `Use ${this.suggestedVoice.name}`;
+        }
+        this.ui.languageBar.classList.remove('hidden');
+    }
+
+    /**
+     * Import a document file into the editor
+     * @param {File} file - TXT, Markdown, HTML, SRT, WebVTT or EPUB file
+     * @returns {Promise<boolean>} Whether the document was imported
+     * @public
+     */
+    async importDocument(file) {
+        if (!file) return false;
+
+        if (!DocumentImporter.supports(file)) {
+            this.showError(`Cannot import ${file.name}: supported files are TXT, Markdown, HTML, SRT, WebVTT and EPUB.`);
+            return false;
+        }
+
+        if (this.isProcessing) {
+            this.stop();
+        }
+        this.updateStatus('Importing...', true);
+
+        try {
+            const { title, text } = await new DocumentImporter().import(file);
+            if (!text) {
+                throw new Error('No readable text found');
+            }
+
+            // Imports become a new library document named after the file
+            await this.flushDocumentSave();
+            this.currentDocument = null;
+            this.documentTitle = title;
+            this.loadEditorText(text);
+            this.saveDocument();
+            this.checkResumePosition();
+
+            const sections = this.parseSections(text).length;
+            this.updateStatus('Ready to speak', false);
+            this.showNotification(
+                sections ? `Imported "${title}" with ${sections} sections` : `Imported "${title}"`,
+                'success'
+            );
+            return true;
+        } catch (error) {
+            console.error('Document import failed:', error);
+            this.updateStatus('Ready to speak', false);
+            this.showError(`Could not import ${file.name}: ${error.message}`);
+            return false;
+        } finally {
+            if (this.ui.importFile) {
+                this.ui.importFile.value = '';
+            }
+        }
+    }
+
+    /**
+     * Highlight the editor while files are dragged over it and import dropped files
+     * @param {DragEvent} event - Drag event
+     * @private
+     */
+    handleEditorDrag(event) {
+        if (!event.dataTransfer || !Array.from(event.dataTransfer.types || []).includes('Files')) return;
+
+        event.preventDefault();
+        const target = this.ui.textInput.parentElement;
+
+        if (event.type === 'dragenter' || event.type === 'dragover') {
+            event.dataTransfer.dropEffect = 'copy';
+            target.classList.add('drag-over');
+            return;
+        }
+
+        // dragleave also fires when moving onto a child element
+        if (event.type === 'dragleave' && target.contains(event.relatedTarget)) return;
+        target.classList.remove('drag-over');
+
+        if (event.type === 'drop') {
+            this.importDocument(event.dataTransfer.files[0]);
+        }
+    }
+
+    /**
+     * Split text into sections at "# Heading" lines. Text before the first
+     * heading becomes its own section.
+     * @param {string} text - Trimmed editor text
+     * @returns {{title: string, level: number, start: number, end: number}[]} Sections, empty when there are no headings
+     * @private
+     */
+    parseSections(text) {
+        if (this.isSSML(text)) return [];
+
+        const sections = [];
+        for (const match of text.matchAll(/^(#{1,6})[ \t]+(\S.*)$/gm)) {
+            sections.push({ title: match[2].trim(), level: match[1].length, start: match.index });
+        }
+        if (sections.length === 0) return [];
+
+        if (text.slice(0, sections[0].start).trim()) {
+            sections.unshift({ title: 'Beginning', level: 1, start: 0 });
+        }
+        sections.forEach((section, index) => {
+            section.end = index + 1 < sections.length ? sections[index + 1].start : text.length;
+        });
+        return sections;
+    }
+
+    /**
+     * Fill the section picker from the editor text, keeping the current
+     * choice when that section still exists
+     * @param {boolean} reset - Whether to go back to the whole document
+     * @private
+     */
+    renderSectionSelect(reset = false) {
+        if (!this.ui.sectionSelect) return;
+
+        const sections = this.parseSections(this.ui.textInput.value.trim());
+        const select = this.ui.sectionSelect;
+        const previous = reset ? '' : select.value;
+        const previousTitle = select.selectedOptions[0]?.textContent;
+
+        select.innerHTML = '';
+        select.add(new Option('Whole document', ''));
+        sections.forEach((section, index) => {
+            const indent = '  '.repeat(Math.max(0, section.level - 1));
+            select.add(new Option(`${indent}${section.title}`, String(index)));
+        });
+
+        // Headings above the chosen one may have been added or removed; follow it by title
+        const sameTitle = Array.from(select.options).find(option => option.value && option.textContent === previousTitle);
+        select.value = previous && sameTitle ? sameTitle.value : '';
+
+        this.ui.sectionBar.classList.toggle('hidden', sections.length === 0);
+    }
+
+    /**
+     * Get the section chosen in the section picker
+     * @returns {{title: string, level: number, start: number, end: number}|null} Section, or null for the whole document
+     * @private
+     */
+    getActiveSection() {
+        const value = this.ui.sectionSelect?.value;
+        if (!value) return null;
+
+        return this.parseSections(this.ui.textInput.value.trim())[parseInt(value, 10)] || null;
+    }
+
+    /**
+     * Get the text to speak or export: the chosen section, or the whole editor
+     * @returns {string} Trimmed text
+     * @private
+     */
+    getActiveText() {
+        return this.getActiveRange().text;
+    }
+
+    /**
+     * Get the text to speak or export (the chosen section, or the whole
+     * editor) and where it starts in the editor text
+     * @returns {{text: string, offset: number}} Trimmed text and its offset in the trimmed editor text
+     * @private
+     */
+    getActiveRange() {
+        const text = this.ui.textInput.value.trim();
+        const section = this.getActiveSection();
+        if (!section) return { text, offset: 0 };
+
+        const raw = text.slice(section.start, section.end);
+        return { text: raw.trim(), offset: section.start + raw.length - raw.trimStart().length };
+    }
+
+    /**
+     * Identify the editor text by its content, so a position survives reloads and re-imports.
+     * The id is hashed once per version of the text.
+     * @returns {string} Document id
+     * @private
+     */
+    getDocumentId() {
+        if (this.documentId !== null) return this.documentId;
+
+        // 32-bit FNV-1a
+        const text = this.ui.textInput.value.trim();
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        this.documentId = `${text.length.toString(36)}-${(hash >>> 0).toString(36)}`;
+        return this.documentId;
+    }
+
+    /**
+     * Count the paragraph (non-empty line) an offset falls in
+     * @param {string} text - Text
+     * @param {number} offset - Character offset
+     * @returns {number} 1-based paragraph number
+     * @private
+     */
+    getParagraphNumber(text, offset) {
+        return (text.slice(0, offset + 1).match(/\n\s*\S/g)?.length ?? 0) + 1;
+    }
+
+    /**
+     * Read saved reading positions
+     * @returns {Object<string, {offset: number, paragraph: number, section: (string|null), title: string, updated: number}>}
+     *     Positions by document id
+     * @private
+     */
+    loadReadingPositions() {
+        try {
+            return JSON.parse(localStorage.getItem(VoxFreeApp.CONFIG.POSITIONS_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Failed to load reading positions:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Remember the sentence being read in a long document. Writes are
+     * batched, so only the latest sentence is saved every few seconds.
+     * @param {number} index - Queue index
+     * @private
+     */
+    saveReadingPosition(index) {
+        this.pendingPosition = { index, queue: this.speechQueue, documentId: this.getDocumentId() };
+        if (!this.positionSaveTimer) {
+            this.positionSaveTimer = setTimeout(() => this.flushReadingPosition(), VoxFreeApp.CONFIG.POSITION_SAVE_DELAY);
+        }
+    }
+
+    /**
+     * Write the pending reading position now
+     * @private
+     */
+    flushReadingPosition() {
+        clearTimeout(this.positionSaveTimer);
+        this.positionSaveTimer = null;
+
+        const pending = this.pendingPosition;
+        this.pendingPosition = null;
+        // Skip positions in a queue or text that has since been replaced
+        if (!pending || pending.queue !== this.speechQueue || pending.documentId !== this.getDocumentId()) return;
+
+        const text = this.ui.textInput.value.trim();
+        const item = this.speechQueue[pending.index];
+        if (!item || text.length < VoxFreeApp.CONFIG.POSITION_MIN_LENGTH) return;
+
+        const offset = this.getActiveRange().offset + item.start;
+        const position = {
+            offset,
+            paragraph: this.getParagraphNumber(text, offset),
+            section: this.getActiveSection()?.title ?? null
+        };
+
+        // A library document keeps its position with its settings
+        if (this.currentDocument) {
+            this.currentDocument.position = position;
+            this.scheduleDocumentSave(false);
+        }
+
+        try {
+            const positions = this.loadReadingPositions();
+            positions[pending.documentId] = { ...position, title: this.documentTitle, updated: Date.now() };
+
+            // Keep only the most recently read documents
+            const ids = Object.keys(positions).sort((a, b) => positions[b].updated - positions[a].updated);
+            ids.slice(VoxFreeApp.CONFIG.POSITIONS_MAX).forEach(id => delete positions[id]);
+
+            localStorage.setItem(VoxFreeApp.CONFIG.POSITIONS_STORAGE_KEY, JSON.stringify(positions));
+        } catch (error) {
+            console.warn('Failed to save reading position:', error);
+        }
+    }
+
+    /**
+     * Get the saved reading position of the editor text
+     * @param {string} text - Trimmed editor text
+     * @returns {{offset: number, paragraph: number, section: (string|null)}|null} Position, or null
+     * @private
+     */
+    getSavedPosition(text) {
+        if (text.length < VoxFreeApp.CONFIG.POSITION_MIN_LENGTH) return null;
+        return this.currentDocument?.position || this.loadReadingPositions()[this.getDocumentId()] || null;
+    }
+
+    /**
+     * Forget the reading position of the current document
+     * @private
+     */
+    clearReadingPosition() {
+        // A position still waiting to be written would bring it back
+        clearTimeout(this.positionSaveTimer);
+        this.positionSaveTimer = null;
+        this.pendingPosition = null;
+
+        const text = this.ui.textInput.value.trim();
+        if (!text) return;
+
+        if (this.currentDocument?.position) {
+            this.currentDocument.position = null;
+            this.scheduleDocumentSave(false);
+        }
+
+        try {
+            const positions = this.loadReadingPositions();
+            const id = this.getDocumentId();
+            if (!positions[id]) return;
+
+            delete positions[id];
+            localStorage.setItem(VoxFreeApp.CONFIG.POSITIONS_STORAGE_KEY, JSON.stringify(positions));
+        } catch (error) {
+            console.warn('Failed to clear reading position:', error);
+        }
+    }
+
+    /**
+     * Offer to resume the current document where it was left off
+     * @private
+     */
+    checkResumePosition() {
+        if (!this.ui.resumeBar) return;
+
+        const text = this.ui.textInput.value.trim();
+        const position = this.getSavedPosition(text);
+
+        if (!position || position.offset <= 0 || position.offset >= text.length || this.isProcessing) {
+            this.ui.resumeBar.classList.add('hidden');
+            return;
+        }
+
+        this.ui.resumeText.textContent = position.section
+            ? `Resume from paragraph ${position.paragraph} (${position.section})`
+            : `Resume from paragraph ${position.paragraph}`;
+        this.ui.resumeBar.classList.remove('hidden');
+    }
+
+    /**
+     * Start playback at the saved reading position
+     * @public
+     */
+    resumeReading() {
+        const text = this.ui.textInput.value.trim();
+        const position = this.getSavedPosition(text);
+        this.ui.resumeBar?.classList.add('hidden');
+        if (!position) return;
+
+        // Play the section that was being read, or the whole document if it no longer exists
+        if (this.ui.sectionSelect) {
+            const option = Array.from(this.ui.sectionSelect.options)
+                .find(opt => opt.value && opt.textContent.trim() === position.section);
+            this.ui.sectionSelect.value = option ? option.value : '';
+        }
+
+        const range = this.getActiveRange();
+        if (this.isProcessing) {
+            this.stop();
+        }
+        if (!this.syncSpeechQueue(range.text) || this.speechQueue.length === 0) return;
+
+        // The sentence containing the saved offset
+        const target = position.offset - range.offset;
+        let index = 0;
+        this.speechQueue.forEach((item, i) => {
+            if (item.breakMs === undefined && item.start <= target) index = i;
+        });
+
+        this.speak(index);
+    }
+
+    /**
+     * Keep the current document so it is still there when the page is reopened:
+     * in the library when IndexedDB is available, otherwise in localStorage
+     * @private
+     */
+    saveDocument() {
+        const text = this.ui.textInput.value;
+
+        if (this.library) {
+            // Typing into an empty editor with nothing open starts a new document
+            if (!this.currentDocument) {
+                if (!text.trim()) return;
+                this.currentDocument = this.createDocumentRecord(this.documentTitle);
+                localStorage.setItem(VoxFreeApp.CONFIG.LIBRARY_CURRENT_KEY, this.currentDocument.id);
+            }
+            if (this.currentDocument.autoTitle) {
+                this.currentDocument.title = this.deriveDocumentTitle(text);
+            }
+            this.documentTitle = this.currentDocument.title;
+            this.currentDocument.updated = Date.now();
+            this.scheduleDocumentSave(true);
+            return;
+        }
+
+        try {
+            if (text.trim()) {
+                localStorage.setItem(VoxFreeApp.CONFIG.DOCUMENT_STORAGE_KEY, JSON.stringify({ title: this.documentTitle, text }));
+            } else {
+                localStorage.removeItem(VoxFreeApp.CONFIG.DOCUMENT_STORAGE_KEY);
+            }
+        } catch (error) {
+            // Too large for localStorage: drop the stale copy rather than restore an older document
+            console.warn('Failed to save document:', error);
+            localStorage.removeItem(VoxFreeApp.CONFIG.DOCUMENT_STORAGE_KEY);
+        }
+    }
+
+    /**
+     * Restore the document that was open when the page was closed
+     * @private
+     */
+    restoreDocument() {
+        if (this.ui.textInput.value.trim()) return;
+
+        try {
+            const stored = JSON.parse(localStorage.getItem(VoxFreeApp.CONFIG.DOCUMENT_STORAGE_KEY));
+            if (!stored || typeof stored.text !== 'string') return;
+
+            this.ui.textInput.value = stored.text;
+            this.documentId = null;
+            this.documentTitle = typeof stored.title === 'string' ? stored.title : '';
+        } catch (error) {
+            console.warn('Failed to restore document:', error);
+        }
+    }
+
+    /**
+     * Open the document library and the document that was open last time.
+     * Without IndexedDB the editor keeps a single document in localStorage.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async initLibrary() {
+        if (typeof indexedDB === 'undefined') return;
+
+        try {
+            const library = new DocumentLibrary();
+            this.libraryDocuments = await library.list();
+            this.library = library;
+        } catch (error) {
+            console.warn('Document library unavailable:', error);
+            if (error instanceof DatabaseBlockedError) {
+                this.showNotification(error.message, 'error');
+            }
+            return;
+        }
+
+        // The single document kept before the library existed becomes its first entry
+        const hadLegacyDocument = localStorage.getItem(VoxFreeApp.CONFIG.DOCUMENT_STORAGE_KEY) !== null;
+        localStorage.removeItem(VoxFreeApp.CONFIG.DOCUMENT_STORAGE_KEY);
+
+        if (this.ui.textInput.value.trim()) {
+            // Restored or typed before the library was ready
+            this.saveDocument();
+            if (hadLegacyDocument) await this.flushDocumentSave();
+        } else {
+            const lastId = localStorage.getItem(VoxFreeApp.CONFIG.LIBRARY_CURRENT_KEY);
+            const last = this.libraryDocuments.find(doc => doc.id === lastId) || this.libraryDocuments[0];
+            if (last) await this.openDocument(last.id);
+        }
+
+        this.renderLibrary();
+    }
+
+    /**
+     * Show or hide the library sidebar
+     * @param {boolean} open - Whether the sidebar should be shown
+     * @public
+     */
+    toggleLibrary(open) {
+        if (!this.ui.librarySidebar) return;
+
+        this.ui.librarySidebar.classList.toggle('hidden', !open);
+        this.ui.libraryBtn?.setAttribute('aria-expanded', String(open));
+
+        if (open) {
+            if (!this.library) {
+                this.showNotification('The document library needs IndexedDB, which this browser does not allow here.', 'info');
+            }
+            this.renderLibrary();
+            this.ui.librarySearch?.focus();
+        }
+    }
+
+    /**
+     * Render the library list, filtered by the search box. Titles are
+     * matched directly; document texts are searched in IndexedDB.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async renderLibrary() {
+        if (!this.ui.libraryList) return;
+
+        const token = ++this.libraryRenderToken;
+        const query = this.libraryQuery.trim().toLowerCase();
+        let documents = this.libraryDocuments;
+
+        if (query && this.library) {
+            let textMatches = new Set();
+            try {
+                textMatches = await this.library.searchText(query);
+            } catch (error) {
+                console.warn('Library search failed:', error);
+            }
+            if (token !== this.libraryRenderToken) return;
+            documents = documents.filter(doc => doc.title.toLowerCase().includes(query) || textMatches.has(doc.id));
+        }
+
+        const fragment = document.createDocumentFragment();
+
+        if (documents.length === 0) {
+            const hint = document.createElement('li');
+            hint.className = 'text-xs text-slate-500 px-2 py-3';
+            hint.textContent = query ? 'No documents match your search.' : 'No documents yet. Type, paste or import something to start one.';
+            fragment.appendChild(hint);
+        }
+
+        for (const doc of documents) {
+            const item = document.createElement('li');
+            item.className = `library-item group flex items-center gap-1 rounded-xl px-2 py-2 hover:bg-white/5${doc === this.currentDocument ? ' is-active' : ''}`;
+            item.dataset.id = doc.id;
+
+            const open = document.createElement('button');
+            open.className = 'library-open flex-1 min-w-0 text-left';
+            open.addEventListener('click', () => this.openDocument(doc.id));
+
+            const title = document.createElement('span');
+            title.className = 'library-title block truncate text-sm text-slate-200';
+            title.textContent = doc.title;
+
+            const meta = document.createElement('span');
+            meta.className = 'block text-[11px] text-slate-500';
+            meta.textContent = `${doc.length.toLocaleString()} chars · ${new Date(doc.updated).toLocaleDateString()}`;
+
+            open.append(title, meta);
+            if (doc === this.currentDocument) open.setAttribute('aria-current', 'true');
+
+            item.append(
+                open,
+                this.createLibraryAction('fa-pen', `Rename ${doc.title}`, () => this.startRenameDocument(doc.id, item)),
+                this.createLibraryAction('fa-copy', `Duplicate ${doc.title}`, () => this.duplicateDocument(doc.id)),
+                this.createLibraryAction('fa-trash', `Delete ${doc.title}`, () => this.deleteDocument(doc.id))
+            );
+            fragment.appendChild(item);
+        }
+
+        this.ui.libraryList.replaceChildren(fragment);
+    }
+
+    /**
+     * Create an icon button for a library row
+     * @param {string} icon - Font Awesome icon class
+     * @param {string} label - Accessible label
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} Button
+     * @private
+     */
+    createLibraryAction(icon, label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'w-7 h-7 shrink-0 rounded-lg hover:bg-white/10 text-slate-400 opacity-60 group-hover:opacity-100 focus:opacity-100 transition';
+        button.setAttribute('aria-label', label);
+        button.title = label;
+        button.innerHTML = `<i class="fa-solid ${icon} text-xs" aria-hidden="true"></i>`;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Put the editor text in place, resetting everything derived from it
+     * @param {string} text - New editor text
+     * @private
+     */
+    loadEditorText(text) {
+        this.ui.textInput.value = text;
+        this.documentId = null;
+        this.updateCharCount();
+        this.renderSpeakerPanel();
+        this.renderSectionSelect(true);
+        this.invalidateSpeechQueue();
+        this.dismissedLanguage = null;
+        this.checkLanguageSuggestion();
+    }
+
+    /**
+     * Describe a new library document using the current voice settings
+     * @param {string} title - Title, or empty to name it after its first line
+     * @returns {Object} Document without its text
+     * @private
+     */
+    createDocumentRecord(title) {
+        const now = Date.now();
+        return DocumentLibrary.normalize({
+            id: DocumentLibrary.createId(),
+            title: title || 'Untitled',
+            autoTitle: !title,
+            created: now,
+            updated: now,
+            settings: this.captureDocumentSettings()
+        });
+    }
+
+    /**
+     * Name a document after its first line
+     * @param {string} text - Document text
+     * @returns {string} Title
+     * @private
+     */
+    deriveDocumentTitle(text) {
+        const line = (text.match(/\S.*/)?.[0] || '').replace(/^#{1,6}\s+/, '').trim();
+        if (!line) return 'Untitled';
+        return line.length > 60 ? `${line.slice(0, 59).trimEnd()}…` : line;
+    }
+
+    /**
+     * Read the voice settings that are kept per document
+     * @returns {{voice: (Object|null), rate: number, pitch: number, volume: number, lexiconExcluded: string[]}} Settings
+     * @private
+     */
+    captureDocumentSettings() {
+        const voice = this.getSelectedVoice();
+        return {
+            voice: voice ? this.describeVoice(voice) : null,
+            rate: parseFloat(this.ui.rate.value),
+            pitch: parseFloat(this.ui.pitch.value),
+            volume: parseFloat(this.ui.volume.value),
+            lexiconExcluded: this.currentDocument?.settings.lexiconExcluded || []
+        };
+    }
+
+    /**
+     * Apply a document's voice, rate, pitch and volume to the controls
+     * @param {Object} settings - Document settings
+     * @private
+     */
+    applyDocumentSettings(settings) {
+        if (settings.rate !== null) this.ui.rate.value = settings.rate;
+        if (settings.pitch !== null) this.ui.pitch.value = settings.pitch;
+        if (settings.volume !== null) this.ui.volume.value = settings.volume;
+        this.updateSliderLabels();
+        if (settings.voice) {
+            this.selectVoice(settings.voice);
+        }
+        this.syncPresetSelect();
+    }
+
+    /**
+     * Show the slider values next to the sliders
+     * @private
+     */
+    updateSliderLabels() {
+        this.ui.rateValue.textContent = `${parseFloat(this.ui.rate.value).toFixed(1)}x`;
+        this.ui.pitchValue.textContent = parseFloat(this.ui.pitch.value).toFixed(1);
+        this.ui.volumeValue.textContent = `${Math.round(parseFloat(this.ui.volume.value) * 100)}%`;
+    }
+
+    /**
+     * Remember the voice controls for the current document
+     * @private
+     */
+    updateDocumentSettings() {
+        if (!this.currentDocument) return;
+
+        this.currentDocument.settings = this.captureDocumentSettings();
+        this.scheduleDocumentSave(false);
+    }
+
+    /**
+     * Save the current document after a short delay, batching rapid changes
+     * @param {boolean} withText - Whether the editor text changed too
+     * @private
+     */
+    scheduleDocumentSave(withText) {
+        this.pendingDocumentText = this.pendingDocumentText || withText;
+        clearTimeout(this.librarySaveTimer);
+        this.librarySaveTimer = setTimeout(() => this.flushDocumentSave(), VoxFreeApp.CONFIG.LIBRARY_SAVE_DELAY);
+    }
+
+    /**
+     * Write pending changes to the current document now
+     * @returns {Promise<void>}
+     * @private
+     */
+    async flushDocumentSave() {
+        clearTimeout(this.librarySaveTimer);
+        this.librarySaveTimer = null;
+
+        const doc = this.currentDocument;
+        if (!doc || !this.library) return;
+
+        // Read the text before waiting, in case another document is opened meanwhile
+        const text = this.pendingDocumentText ? this.ui.textInput.value : undefined;
+        this.pendingDocumentText = false;
+
+        try {
+            await this.library.save(doc, text);
+            if (text !== undefined) doc.length = text.length;
+            this.upsertLibraryDocument(doc);
+        } catch (error) {
+            console.warn('Failed to save document:', error);
+        }
+    }
+
+    /**
+     * Add or move a document in the cached library list and re-render it
+     * @param {Object} doc - Document
+     * @private
+     */
+    upsertLibraryDocument(doc) {
+        this.libraryDocuments = [doc, ...this.libraryDocuments.filter(other => other.id !== doc.id)]
+            .sort((a, b) => b.updated - a.updated);
+        this.renderLibrary();
+    }
+
+    /**
+     * Open a library document in the editor, with its voice settings
+     * @param {string} id - Document id
+     * @returns {Promise<void>}
+     * @public
+     */
+    async openDocument(id) {
+        const doc = this.libraryDocuments.find(other => other.id === id);
+        if (!doc || !this.library) return;
+
+        if (this.isProcessing) {
+            this.stop();
+        }
+
+        // Typing while the text loads would be overwritten, so hold the editor until then
+        this.ui.textInput.readOnly = true;
+        try {
+            // Keystrokes still waiting on the input debounce belong to the old document
+            if (this.debounceTimer) {
+                clearTimeout(this.debounceTimer);
+                this.debounceTimer = null;
+                this.saveDocument();
+            }
+            await this.flushDocumentSave();
+            const text = await this.library.getText(id);
+            this.currentDocument = doc;
+            this.documentTitle = doc.title;
+            localStorage.setItem(VoxFreeApp.CONFIG.LIBRARY_CURRENT_KEY, id);
+
+            this.loadEditorText(text);
+            this.applyDocumentSettings(doc.settings);
+            this.checkResumePosition();
+            this.renderLibrary();
+        } catch (error) {
+            console.error('Failed to open document:', error);
+            this.showError('Could not open the document.');
+        } finally {
+            this.ui.textInput.readOnly = false;
+        }
+    }
+
+    /**
+     * Start a new, empty document
+     * @returns {Promise<void>}
+     * @public
+     */
+    async createDocument() {
+        if (!this.library) return;
+
+        if (this.isProcessing) {
+            this.stop();
+        }
+        await this.flushDocumentSave();
+
+        this.currentDocument = this.createDocumentRecord('');
+        this.documentTitle = '';
+        localStorage.setItem(VoxFreeApp.CONFIG.LIBRARY_CURRENT_KEY, this.currentDocument.id);
+        this.loadEditorText('');
+        this.checkResumePosition();
+
+        this.scheduleDocumentSave(true);
+        await this.flushDocumentSave();
+        this.ui.textInput.focus();
+    }
+
+    /**
+     * Replace a library row's title with an input for renaming
+     * @param {string} id - Document id
+     * @param {HTMLElement} item - Library row
+     * @private
+     */
+    startRenameDocument(id, item) {
+        const doc = this.libraryDocuments.find(other => other.id === id);
+        const title = item.querySelector('.library-title');
+        if (!doc || !title) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = doc.title;
+        input.className = 'glass-input w-full rounded-lg px-2 py-1 text-sm text-slate-200';
+        input.setAttribute('aria-label', 'Document title');
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            if (save) {
+                this.renameDocument(id, input.value);
+            } else {
+                this.renderLibrary();
+            }
+        };
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+            e.stopPropagation();
+        });
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('click', (e) => e.stopPropagation());
+
+        title.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * Rename a document
+     * @param {string} id - Document id
+     * @param {string} title - New title
+     * @returns {Promise<void>}
+     * @public
+     */
+    async renameDocument(id, title) {
+        const doc = this.libraryDocuments.find(other => other.id === id);
+        const trimmed = title.trim();
+        if (!doc || !trimmed || trimmed === doc.title) {
+            this.renderLibrary();
+            return;
+        }
+
+        doc.title = trimmed;
+        doc.autoTitle = false;
+        doc.updated = Date.now();
+        if (doc === this.currentDocument) {
+            this.documentTitle = trimmed;
+        }
+
+        try {
+            await this.library.save(doc);
+            this.upsertLibraryDocument(doc);
+        } catch (error) {
+            console.error('Failed to rename document:', error);
+            this.showError('Could not rename the document.');
+        }
+    }
+
+    /**
+     * Copy a document, including its settings but not its reading position
+     * @param {string} id - Document id
+     * @returns {Promise<void>}
+     * @public
+     */
+    async duplicateDocument(id) {
+        const doc = this.libraryDocuments.find(other => other.id === id);
+        if (!doc) return;
+
+        try {
+            if (doc === this.currentDocument) {
+                await this.flushDocumentSave();
+            }
+            const text = await this.library.getText(id);
+            const now = Date.now();
+            const copy = DocumentLibrary.normalize({
+                ...doc,
+                id: DocumentLibrary.createId(),
+                title: `${doc.title} (copy)`,
+                autoTitle: false,
+                created: now,
+                updated: now,
+                settings: structuredClone(doc.settings),
+                position: null
+            });
+
+            await this.library.save(copy, text);
+            this.upsertLibraryDocument(copy);
+            this.showNotification(`Duplicated "${doc.title}"`, 'success');
+        } catch (error) {
+            console.error('Failed to duplicate document:', error);
+            this.showError('Could not duplicate the document.');
+        }
+    }
+
+    /**
+     * Delete a document after confirmation
+     * @param {string} id - Document id
+     * @returns {Promise<void>}
+     * @public
+     */
+    async deleteDocument(id) {
+        const doc = this.libraryDocuments.find(other => other.id === id);
+        if (!doc || !confirm(`Delete "${doc.title}"? This cannot be undone.`)) return;
+
+        try {
+            if (doc === this.currentDocument) {
+                clearTimeout(this.librarySaveTimer);
+                this.pendingDocumentText = false;
+            }
+            await this.library.delete(id);
+            this.libraryDocuments = this.libraryDocuments.filter(other => other.id !== id);
+
+            // Move on to the next most recent document, or an empty editor
+            if (doc === this.currentDocument) {
+                this.currentDocument = null;
+                this.documentTitle = '';
+                if (this.isProcessing) {
+                    this.stop();
+                }
+                if (this.libraryDocuments.length) {
+                    await this.openDocument(this.libraryDocuments[0].id);
+                } else {
+                    localStorage.removeItem(VoxFreeApp.CONFIG.LIBRARY_CURRENT_KEY);
+                    this.loadEditorText('');
+                    this.checkResumePosition();
+                }
+            }
+            this.renderLibrary();
+        } catch (error) {
+            console.error('Failed to delete document:', error);
+            this.showError('Could not delete the document.');
+        }
+    }
+
+    /**
+     * Download every document with its settings as one JSON file
+     * @returns {Promise<void>}
+     * @public
+     */
+    async exportLibrary() {
+        if (!this.library) return;
+
+        try {
+            await this.flushDocumentSave();
+            const backup = await this.library.exportAll();
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+            this.downloadBlob(blob, 'json', `voxfree-library-${new Date().toISOString().slice(0, 10)}`);
+        } catch (error) {
+            console.error('Library backup failed:', error);
+            this.showError('Could not back up the library.');
+        }
+    }
+
+    /**
+     * Restore documents from a JSON backup
+     * @param {File} file - Backup file
+     * @returns {Promise<void>}
+     * @public
+     */
+    async importLibrary(file) {
+        if (!file || !this.library) return;
+
+        try {
+            await this.flushDocumentSave();
+            const count = await this.library.importAll(await file.text());
+            this.libraryDocuments = await this.library.list();
+
+            // Show the restored version of the open document
+            const currentId = this.currentDocument?.id;
+            this.currentDocument = this.libraryDocuments.find(doc => doc.id === currentId) || null;
+            if (this.currentDocument) {
+                await this.openDocument(currentId);
+            } else if (!this.ui.textInput.value.trim() && this.libraryDocuments.length) {
+                await this.openDocument(this.libraryDocuments[0].id);
+            }
+
+            this.renderLibrary();
+            this.showNotification(`Restored ${count} document${count === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            console.error('Library restore failed:', error);
+            this.showError(`Could not restore the library: ${error.message}`);
+        } finally {
+            this.ui.libraryImportFile.value = '';
+        }
+    }
+
+    /**
+     * Include or leave out a lexicon entry for the current document
+     * @param {number} index - Entry index
+     * @param {boolean} enabled - Whether the entry applies to the document
+     * @private
+     */
+    setLexiconEntryForDocument(index, enabled) {
+        const entry = this.lexicon.entries[index];
+        if (!entry || !this.currentDocument) return;
+
+        const key = Lexicon.key(entry);
+        const excluded = this.currentDocument.settings.lexiconExcluded.filter(other => other !== key);
+        if (!enabled) excluded.push(key);
+
+        this.currentDocument.settings.lexiconExcluded = excluded;
+        this.invalidateSpeechQueue();
+        this.scheduleDocumentSave(false);
+    }
+
+    /**
+     * Switch playback and export to another section
+     * @private
+     */
+    handleSectionChange() {
+        if (this.isProcessing) {
+            this.stop();
+        }
+        this.invalidateSpeechQueue();
+
+        const section = this.getActiveSection();
+        this.updateStatus(section ? `Section: ${section.title}` : 'Ready to speak', false);
+    }
+
+    /**
+     * Show exactly what will be spoken for the current text, sentence by sentence
+     * @public
+     */
+    showNormalizedText() {
+        if (!this.ui.normalizedDialog) return;
+
+        const text = this.getActiveText();
+        if (!text) {
+            this.showError('Please enter some text first');
+            return;
+        }
+
+        let items;
+        try {
+            items = this.buildSpeechQueue(text).items;
+        } catch (error) {
+            if (error instanceof SSMLError) {
+                this.showError(`Invalid SSML: ${error.message}`);
+                return;
+            }
+            throw error;
+        }
+
+        const lines = items.map(item => {
+            if (item.breakMs !== undefined) return `[pause ${item.breakMs} ms]`;
+
+            const voice = this.resolveItemVoice(item);
+            const spoken = this.prepareSpokenText(item.text, {
+                lang: item.lang || voice?.lang,
+                voice: voice?.name
+            });
+            return item.speaker ? `${item.speaker}: ${spoken.text}` : spoken.text;
+        });
+
+        const lang = this.getSelectedLanguage();
+        this.ui.normalizedLanguage.textContent = !this.normalizationSettings.enabled
+            ? 'Normalization is off; only the pronunciation lexicon is applied.'
+            : TextNormalizer.supports(lang)
+                ? `Normalized for ${lang}.`
+                : `No normalization rules for ${lang} yet; only the pronunciation lexicon is applied.`;
+        this.ui.normalizedOutput.textContent = lines.join('\n');
+        this.ui.normalizedDialog.showModal();
+    }
+
+    /**
+     * Remove export formats the browser cannot produce
+     * @private
+     */
+    initializeFormatOptions() {
+        if (!this.ui.formatSelect) return;
+
+        if (!AudioCodec.getOpusMimeType()) {
+            this.ui.formatSelect.querySelector('option[value="ogg"]')?.remove();
+        }
+    }
+
+    /**
+     * Reflect the chosen export format on the download button
+     * @private
+     */
+    updateDownloadLabel() {
+        const format = VoxFreeApp.CONFIG.EXPORT_FORMATS[this.ui.formatSelect?.value] || VoxFreeApp.CONFIG.EXPORT_FORMATS.mp3;
+        if (this.ui.splitChapters?.checked) {
+            this.ui.downloadBtn.setAttribute('aria-label', `Create one ${format.label} file per chapter in a ZIP and preview them`);
+            this.ui.downloadBtn.title = `Create ${format.label} chapters (ZIP)`;
+        } else {
+            this.ui.downloadBtn.setAttribute('aria-label', `Create ${format.label} audio and preview it`);
+            this.ui.downloadBtn.title = `Create ${format.label}`;
+        }
+
+        // A self-hosted server may be on this machine; Google needs the internet
+        if (navigator.onLine === false && this.exportSettings.backend === 'google') {
+            this.ui.downloadBtn.title += ' - offline, only cached audio can be exported';
+        }
+    }
+
+    /**
+     * Split a dialogue script into speaker lines. Lines without a
+     * "NAME:" label continue the previous speaker's line.
+     * @param {string} text - Script text
+     * @returns {{speaker: string|null, label: string, text: string}[]} Script lines
+     * @private
+     */
+    parseScript(text) {
+        const lines = [];
+
+        for (const rawLine of text.split('\n')) {
+            if (!rawLine.trim()) continue;
+
+            const match = VoxFreeApp.CONFIG.SCRIPT_LINE_PATTERN.exec(rawLine);
+            if (match) {
+                lines.push({ speaker: match[1].toUpperCase(), label: match[1], text: match[2].trim() });
+            } else if (lines.length > 0) {
+                lines[lines.length - 1].text += ` ${rawLine.trim()}`;
+            } else {
+                lines.push({ speaker: null, label: '', text: rawLine.trim() });
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * Turn script mode on or off
+     * @param {boolean} enabled - Whether script mode is active
+     * @public
+     */
+    setScriptMode(enabled) {
+        this.scriptMode = enabled;
+        if (this.ui.scriptModeToggle) {
+            this.ui.scriptModeToggle.checked = enabled;
+        }
+        this.savePreferences();
+        this.invalidateSpeechQueue();
+        this.renderSpeakerPanel();
+    }
+
+    /**
+     * Force the speech queue to be rebuilt on next use
+     * @private
+     */
+    invalidateSpeechQueue() {
+        this.queueText = null;
+
+        if (this.readingViewActive && !this.isProcessing) {
+            this.syncSpeechQueue(this.getActiveText());
+        }
+    }
+
+    /**
+     * Load saved voice presets
+     * @private
+     */
+    loadPresets() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(VoxFreeApp.CONFIG.PRESETS_STORAGE_KEY)) || [];
+            this.presets = stored.filter(preset => preset && typeof preset.name === 'string' && preset.name.trim())
+                .map(preset => ({
+                    name: preset.name.trim(),
+                    voice: preset.voice && typeof preset.voice.name === 'string' ? preset.voice : null,
+                    rate: Number(preset.rate) || 1,
+                    pitch: Number(preset.pitch) || 1,
+                    volume: Number.isFinite(Number(preset.volume)) ? Number(preset.volume) : 1
+                }));
+        } catch (error) {
+            console.warn('Failed to load presets:', error);
+            this.presets = [];
+        }
+    }
+
+    /**
+     * Save voice presets
+     * @private
+     */
+    savePresets() {
+        try {
+            localStorage.setItem(VoxFreeApp.CONFIG.PRESETS_STORAGE_KEY, JSON.stringify(this.presets));
+        } catch (error) {
+            console.warn('Failed to save presets:', error);
+        }
+    }
+
+    /**
+     * Fill the preset picker. The first nine presets get Alt+1 to Alt+9.
+     * @private
+     */
+    renderPresets() {
+        if (!this.ui.presetSelect) return;
+
+        const select = this.ui.presetSelect;
+        select.innerHTML = '';
+        select.add(new Option('Custom settings', ''));
+        this.presets.forEach((preset, index) => {
+            const shortcut = index < 9 ? ` (Alt+${index + 1})` : '';
+            select.add(new Option(`${preset.name}${shortcut}`, String(index)));
+        });
+
+        this.syncPresetSelect();
+    }
+
+    /**
+     * Show the preset matching the current voice and sliders, if any
+     * @private
+     */
+    syncPresetSelect() {
+        if (!this.ui.presetSelect) return;
+
+        const voice = this.getSelectedVoice();
+        const same = (a, b) => Math.abs(Number(a) - Number(b)) < 1e-6;
+        const index = this.presets.findIndex(preset =>
+            this.findVoice(preset.voice) === voice &&
+            same(preset.rate, this.ui.rate.value) &&
+            same(preset.pitch, this.ui.pitch.value) &&
+            same(preset.volume, this.ui.volume.value));
+
+        this.ui.presetSelect.value = index === -1 ? '' : String(index);
+        if (this.ui.presetDelete) {
+            this.ui.presetDelete.disabled = index === -1;
+        }
+    }
+
+    /**
+     * Switch to a preset's voice, rate, pitch and volume
+     * @param {number} index - Preset index
+     * @returns {boolean} Whether the preset exists
+     * @public
+     */
+    applyPreset(index) {
+        const preset = this.presets[index];
+        if (!preset) return false;
+
+        this.ui.rate.value = preset.rate;
+        this.ui.pitch.value = preset.pitch;
+        this.ui.volume.value = preset.volume;
+        this.updateSliderLabels();
+
+        if (preset.voice) {
+            this.selectVoice(preset.voice);
+            const voice = this.getSelectedVoice();
+            if (voice && voice.name !== preset.voice.name) {
+                this.showNotification(`"${preset.voice.name}" is not available here, using ${voice.name}`, 'info');
+            }
+        }
+
+        this.savePreferences();
+        this.updateDocumentSettings();
+        this.syncPresetSelect();
+        return true;
+    }
+
+    /**
+     * Save the current voice and sliders as a preset, replacing one with the same name
+     * @public
+     */
+    savePreset() {
+        const current = this.presets[parseInt(this.ui.presetSelect?.value, 10)];
+        const voice = this.getSelectedVoice();
+        const name = prompt('Preset name (an existing name is replaced):', current?.name || voice?.name || '')?.trim();
+        if (!name) return;
+
+        const preset = {
+            name,
+            voice: voice ? this.describeVoice(voice) : null,
+            rate: parseFloat(this.ui.rate.value),
+            pitch: parseFloat(this.ui.pitch.value),
+            volume: parseFloat(this.ui.volume.value)
+        };
+
+        let index = this.presets.findIndex(other => other.name.toLowerCase() === name.toLowerCase());
+        if (index === -1) {
+            index = this.presets.push(preset) - 1;
+        } else {
+            this.presets[index] = preset;
+        }
+
+        this.savePresets();
+        this.renderPresets();
+        this.showNotification(index < 9 ? `Saved preset "${name}" (Alt+${index + 1})` : `Saved preset "${name}"`, 'success');
+    }
+
+    /**
+     * Delete the preset shown in the preset picker after confirmation
+     * @public
+     */
+    deletePreset() {
+        const index = parseInt(this.ui.presetSelect?.value, 10);
+        const preset = this.presets[index];
+        if (!preset || !confirm(`Delete preset "${preset.name}"?`)) return;
+
+        this.presets.splice(index, 1);
+        this.savePresets();
+        this.renderPresets();
+    }
+
+    /**
+     * Load saved speaker voice assignments
+     * @private
+     */
+    loadSpeakerMap() {
+        try {
+            const stored = localStorage.getItem(VoxFreeApp.CONFIG.SPEAKERS_STORAGE_KEY);
+            this.speakerMap = stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.warn('Failed to load speaker settings:', error);
+            this.speakerMap = {};
+        }
+    }
+
+    /**
+     * Save speaker voice assignments
+     * @private
+     */
+    saveSpeakerMap() {
+        try {
+            localStorage.setItem(VoxFreeApp.CONFIG.SPEAKERS_STORAGE_KEY, JSON.stringify(this.speakerMap));
+        } catch (error) {
+            console.warn('Failed to save speaker settings:', error);
+        }
+    }
+
+    /**
+     * Give a newly seen speaker a voice of its own, preferring the selected language
+     * @param {string} speaker - Speaker key
+     * @returns {Object} Speaker settings
+     * @private
+     */
+    ensureSpeaker(speaker) {
+        if (!this.speakerMap[speaker]) {
+            const selected = this.getSelectedVoice();
+            const prefix = (selected?.lang || 'en').split(/[-_]/)[0];
+            const candidates = this.voices.filter(voice => voice.lang.split(/[-_]/)[0] === prefix);
+            const pool = candidates.length > 0 ? candidates : this.voices;
+            const voice = pool[Object.keys(this.speakerMap).length % Math.max(pool.length, 1)];
+
+            this.speakerMap[speaker] = {
+                voice: voice ? this.describeVoice(voice) : null,
+                rate: parseFloat(this.ui.rate.value),
+                pitch: parseFloat(this.ui.pitch.value)
+            };
+        }
+        return this.speakerMap[speaker];
+    }
+
+    /**
+     * Match the speaker map to the speakers in the script: add new speakers
+     * and drop automatic assignments of speakers no longer in it. Settings
+     * changed by hand are kept. Saves only when something changed.
+     * @param {string[]} speakers - Speakers in the current script
+     * @private
+     */
+    syncSpeakerMap(speakers) {
+        let changed = false;
+
+        Object.keys(this.speakerMap).forEach(speaker => {
+            if (!speakers.includes(speaker) && !this.speakerMap[speaker].custom) {
+                delete this.speakerMap[speaker];
+                changed = true;
+            }
+        });
+        speakers.forEach(speaker => {
+            if (!this.speakerMap[speaker]) {
+                this.ensureSpeaker(speaker);
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.saveSpeakerMap();
+        }
+    }
+
+    /**
+     * Render the speaker-to-voice mapping panel for speakers in the current script
+     * @private
+     */
+    renderSpeakerPanel() {
+        if (!this.ui.speakerPanel || !this.ui.speakerList) return;
+
+        this.ui.speakerPanel.classList.toggle('hidden', !this.scriptMode);
+        if (!this.scriptMode || this.voices.length === 0) return;
+
+        const speakers = [...new Set(this.parseScript(this.ui.textInput.value)
+            .map(line => line.speaker)
+            .filter(Boolean))];
+        this.syncSpeakerMap(speakers);
+
+        const fragment = document.createDocumentFragment();
+
+        if (speakers.length === 0) {
+            const hint = document.createElement('p');
+            hint.className = 'text-xs text-slate-500';
+            hint.textContent = 'Write lines like "ALICE: Hello" to add speakers.';
+            fragment.appendChild(hint);
+        }
+
+        speakers.forEach(speaker => {
+            const settings = this.ensureSpeaker(speaker);
+            const current = this.findVoice(settings.voice);
+
+            const row = document.createElement('div');
+            row.className = 'space-y-1';
+
+            const name = document.createElement('span');
+            name.className = 'text-xs font-semibold text-indigo-300';
+            name.textContent = speaker;
+
+            const select = document.createElement('select');
+            select.className = 'glass-input w-full rounded-lg py-1 px-2 text-xs text-slate-200 cursor-pointer';
+            select.setAttribute('aria-label', `Voice for ${speaker}`);
+            this.voices.forEach(voice => {
+                const option = document.createElement('option');
+                option.value = voice.voiceURI;
+                option.textContent = `${voice.name} (${voice.lang})`;
+                option.selected = voice === current;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => {
+                const voice = this.voices.find(v => v.voiceURI === select.value);
+                if (voice) this.updateSpeaker(speaker, { voice: this.describeVoice(voice) });
+            });
+
+            const controls = document.createElement('div');
+            controls.className = 'flex gap-2';
+            controls.appendChild(this.createSpeakerNumberInput(speaker, 'rate', 'Speed', settings.rate));
+            controls.appendChild(this.createSpeakerNumberInput(speaker, 'pitch', 'Pitch', settings.pitch));
+
+            row.append(name, select, controls);
+            fragment.appendChild(row);
+        });
+
+        this.ui.speakerList.innerHTML = '';
+        this.ui.speakerList.appendChild(fragment);
+    }
+
+    /**
+     * Create a labelled number input for a speaker's rate or pitch
+     * @param {string} speaker - Speaker key
+     * @param {string} field - 'rate' or 'pitch'
+     * @param {string} label - Visible label
+     * @param {number} value - Current value
+     * @returns {HTMLLabelElement} Labelled input
+     * @private
+     */
+    createSpeakerNumberInput(speaker, field, label, value) {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'flex-1 flex items-center gap-1 text-xs text-slate-400';
+        wrapper.textContent = label;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0.5';
+        input.max = '2';
+        input.step = '0.1';
+        input.value = value;
+        input.className = 'glass-input w-full rounded-lg py-1 px-2 text-xs text-slate-200';
+        input.setAttribute('aria-label', `${label} for ${speaker}`);
+        input.addEventListener('change', () => {
+            const parsed = Math.max(0.5, Math.min(2, parseFloat(input.value) || 1));
+            input.value = parsed;
+            this.updateSpeaker(speaker, { [field]: parsed });
+        });
+
+        wrapper.appendChild(input);
+        return wrapper;
+    }
+
+    /**
+     * Update and persist one speaker's settings
+     * @param {string} speaker - Speaker key
+     * @param {Object} changes - Settings to merge
+     * @private
+     */
+    updateSpeaker(speaker, changes) {
+        this.speakerMap[speaker] = { ...this.ensureSpeaker(speaker), ...changes, custom: true };
+        this.saveSpeakerMap();
+    }
+
+    /**
+     * Check whether text is SSML: it has a speak root, or all its tags are
+     * supported and at least one is SSML-only. Text that merely mentions
+     * tags shared with HTML, such as <p> or <sub>, is read literally.
+     * @param {string} text - Text to check
+     * @returns {boolean} Whether the text should be parsed as SSML
+     * @private
+     */
+    isSSML(text) {
+        if (/^\s*<speak[\s>]/i.test(text)) return true;
+
+        const tags = Array.from(text.matchAll(/<\/?([a-z][\w:-]*)(\s[^>]*)?\/?>/gi), match => match[1].toLowerCase());
+        return tags.every(tag => /^(speak|break|prosody|emphasis|say-as|voice|lang|sub|mark|p|s)$/.test(tag))
+            && tags.some(tag => /^(break|prosody|emphasis|say-as|voice|lang|mark)$/.test(tag));
+    }
+
+    /**
+     * Parse the supported SSML subset into text and break segments.
+     * Supported: speak, p, s, break, prosody, emphasis, say-as, sub, voice, lang, mark.
+     * @param {string} markup - SSML markup, with or without a root speak element
+     * @returns {Object[]} Segments of type 'text' (with prosody, voiceName, lang) or 'break' (with duration)
+     * @throws {SSMLError} When the markup is malformed or uses unsupported elements
+     * @private
+     */
+    parseSSML(markup) {
+        const source = /^\s*<speak[\s>]/i.test(markup) ? markup : `<speak>${markup}</speak>`;
+        const doc = new DOMParser().parseFromString(source, 'application/xml');
+
+        const parserError = doc.getElementsByTagName('parsererror')[0];
+        if (parserError) {
+            const detail = parserError.textContent.trim().split('\n')[0].replace(/[.\s]+$/, '');
+            throw new SSMLError(`Invalid SSML markup: ${detail || 'the document is not well-formed'}. Check that every tag is closed and "&" is written as "&amp;".`);
+        }
+
+        const root = doc.documentElement;
+        if (root.localName.toLowerCase() !== 'speak') {
+            throw new SSMLError('Invalid SSML markup: the root element must be <speak>.');
+        }
+
+        const segments = [];
+
+        const pushText = (text, style) => {
+            const normalized = text.replace(/[ \t\r]+/g, ' ');
+            if (!normalized) return;
+
+            const last = segments[segments.length - 1];
+            if (last && last.type === 'text' && last.prosody === style.prosody &&
+                last.voiceName === style.voiceName && last.lang === style.lang) {
+                last.text += normalized;
+            } else {
+                segments.push({ type: 'text', text: normalized, ...style });
+            }
+        };
+
+        const walk = (node, style) => {
+            for (const child of node.childNodes) {
+                if (child.nodeType === Node.TEXT_NODE || child.nodeType === Node.CDATA_SECTION_NODE) {
+                    pushText(child.nodeValue, style);
+                    continue;
+                }
+                if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+                const name = child.localName.toLowerCase();
+                const lang = child.getAttribute('xml:lang') || child.getAttribute('lang') || style.lang;
+
+                switch (name) {
+                    case 'p':
+                    case 's':
+                        walk(child, { ...style, lang });
+                        pushText('\n', style);
+                        break;
+                    case 'break':
+                        segments.push({ type: 'break', duration: this.parseSSMLBreak(child) });
+                        break;
+                    case 'prosody':
+                        walk(child, {
+                            ...style,
+                            prosody: {
+                                rate: style.prosody.rate * this.parseSSMLRate(child.getAttribute('rate')),
+                                pitch: style.prosody.pitch * this.parseSSMLPitch(child.getAttribute('pitch')),
+                                volume: style.prosody.volume * this.parseSSMLVolume(child.getAttribute('volume'))
+                            }
+                        });
+                        break;
+                    case 'emphasis':
+                        walk(child, { ...style, prosody: this.applySSMLEmphasis(style.prosody, child.getAttribute('level')) });
+                        break;
+                    case 'say-as':
+                        pushText(this.interpretSSMLSayAs(child.textContent, child.getAttribute('interpret-as')), style);
+                        break;
+                    case 'sub':
+                        pushText(child.getAttribute('alias') ?? child.textContent, style);
+                        break;
+                    case 'voice':
+                        walk(child, { ...style, voiceName: child.getAttribute('name') || style.voiceName, lang });
+                        break;
+                    case 'lang':
+                        walk(child, { ...style, lang });
+                        break;
+                    case 'mark':
+                        break;
+                    default:
+                        throw new SSMLError(`Unsupported SSML element <${name}>. Supported elements: speak, p, s, break, prosody, emphasis, say-as, sub, voice, lang.`);
+                }
+            }
+        };
+
+        walk(root, {
+            prosody: { rate: 1, pitch: 1, volume: 1 },
+            voiceName: null,
+            lang: root.getAttribute('xml:lang') || root.getAttribute('lang') || null
+        });
+
+        // Drop whitespace-only text between tags
+        return segments
+            .filter(segment => segment.type === 'break' || segment.text.trim())
+            .map(segment => segment.type === 'text' ? { ...segment, text: segment.text.trim() } : segment);
+    }
+
+    /**
+     * Get the duration of an SSML break element
+     * @param {Element} element - break element
+     * @returns {number} Duration in milliseconds
+     * @throws {SSMLError} When the time or strength is invalid
+     * @private
+     */
+    parseSSMLBreak(element) {
+        const time = element.getAttribute('time');
+        const strength = element.getAttribute('strength');
+        const strengths = VoxFreeApp.CONFIG.SSML_BREAK_STRENGTHS;
+
+        if (time) {
+            const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s)\s*$/i.exec(time);
+            if (!match) {
+                throw new SSMLError(`Invalid SSML break time "${time}". Use values like "500ms" or "2s".`);
+            }
+            const ms = parseFloat(match[1]) * (match[2].toLowerCase() === 's' ? 1000 : 1);
+            return Math.min(ms, VoxFreeApp.CONFIG.SSML_MAX_BREAK);
+        }
+
+        if (strength) {
+            if (!(strength in strengths)) {
+                throw new SSMLError(`Invalid SSML break strength "${strength}".`);
+            }
+            return strengths[strength];
+        }
+
+        return strengths.medium;
+    }
+
+    /**
+     * Convert an SSML prosody rate to a rate multiplier
+     * @param {string|null} value - Rate attribute
+     * @returns {number} Multiplier
+     * @throws {SSMLError} When the value is invalid
+     * @private
+     */
+    parseSSMLRate(value) {
+        const keywords = { 'x-slow': 0.5, 'slow': 0.75, 'medium': 1, 'default': 1, 'fast': 1.25, 'x-fast': 1.5 };
+        return this.parseSSMLProsodyValue(value, 'rate', keywords);
+    }
+
+    /**
+     * Convert an SSML prosody pitch to a pitch multiplier
+     * @param {string|null} value - Pitch attribute
+     * @returns {number} Multiplier
+     * @throws {SSMLError} When the value is invalid
+     * @private
+     */
+    parseSSMLPitch(value) {
+        const keywords = { 'x-low': 0.5, 'low': 0.75, 'medium': 1, 'default': 1, 'high': 1.25, 'x-high': 1.5 };
+
+        // Semitones, e.g. "+2st"
+        const semitones = /^\s*([+-]?\d+(?:\.\d+)?)st\s*$/i.exec(value || '');
+        if (semitones) {
+            return Math.pow(2, parseFloat(semitones[1]) / 12);
+        }
+
+        return this.parseSSMLProsodyValue(value, 'pitch', keywords);
+    }
+
+    /**
+     * Convert an SSML prosody volume to a volume multiplier
+     * @param {string|null} value - Volume attribute
+     * @returns {number} Multiplier
+     * @throws {SSMLError} When the value is invalid
+     * @private
+     */
+    parseSSMLVolume(value) {
+        const keywords = { 'silent': 0, 'x-soft': 0.25, 'soft': 0.5, 'medium': 0.75, 'default': 1, 'loud': 1, 'x-loud': 1 };
+
+        // Decibels, e.g. "-6dB"
+        const decibels = /^\s*([+-]?\d+(?:\.\d+)?)dB\s*$/i.exec(value || '');
+        if (decibels) {
+            return Math.pow(10, parseFloat(decibels[1]) / 20);
+        }
+
+        return this.parseSSMLProsodyValue(value, 'volume', keywords);
+    }
+
+    /**
+     * Parse keyword, percentage, relative percentage or plain number prosody values
+     * @param {string|null} value - Attribute value
+     * @param {string} attribute - Attribute name for error messages
+     * @param {Object<string, number>} keywords - Keyword multipliers
+     * @returns {number} Multiplier
+     * @throws {SSMLError} When the value is invalid
+     * @private
+     */
+    parseSSMLProsodyValue(value, attribute, keywords) {
+        if (value === null || value === '') return 1;
+
+        const trimmed = value.trim().toLowerCase();
+        if (trimmed in keywords) return keywords[trimmed];
+
+        // "+10%" and "-20%" are relative changes, "150%" is absolute
+        const percent = /^([+-])?(\d+(?:\.\d+)?)%$/.exec(trimmed);
+        if (percent) {
+            const amount = parseFloat(percent[2]) / 100;
+            if (percent[1] === '+') return 1 + amount;
+            if (percent[1] === '-') return Math.max(0, 1 - amount);
+            return amount;
+        }
+
+        if (/^\d+(?:\.\d+)?$/.test(trimmed)) return parseFloat(trimmed);
+
+        throw new SSMLError(`Invalid SSML prosody ${attribute} "${value}".`);
+    }
+
+    /**
+     * Apply an SSML emphasis level to prosody multipliers
+     * @param {Object} prosody - Current prosody multipliers
+     * @param {string|null} level - Emphasis level
+     * @returns {Object} New prosody multipliers
+     * @throws {SSMLError} When the level is invalid
+     * @private
+     */
+    applySSMLEmphasis(prosody, level) {
+        const levels = {
+            'strong': { rate: 0.85, pitch: 1.15 },
+            'moderate': { rate: 0.92, pitch: 1.08 },
+            'reduced': { rate: 1.08, pitch: 0.95 },
+            'none': { rate: 1, pitch: 1 }
+        };
+        const change = levels[level || 'moderate'];
+        if (!change) {
+            throw new SSMLError(`Invalid SSML emphasis level "${level}".`);
+        }
+
+        return {
+            rate: prosody.rate * change.rate,
+            pitch: prosody.pitch * change.pitch,
+            volume: prosody.volume
+        };
+    }
+
+    /**
+     * Rewrite say-as content so speech engines read it as intended
+     * @param {string} text - Element text
+     * @param {string|null} interpretAs - interpret-as attribute
+     * @returns {string} Text to speak
+     * @private
+     */
+    interpretSSMLSayAs(text, interpretAs) {
+        switch ((interpretAs || '').toLowerCase()) {
+            case 'characters':
+            case 'spell-out':
+                return Array.from(text.replace(/\s+/g, '')).join(' ');
+            case 'digits':
+                return text.replace(/\d/g, digit => ` ${digit} `).replace(/\s+/g, ' ').trim();
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * Intelligently chunk text by sentences and word boundaries
+     * @param {string} text - Text to chunk
+     * @param {number} maxSize - Maximum chunk size
+     * @returns {string[]} Array of text chunks
+     * @private
+     */
+    chunkText(text, maxSize) {
+        return this.chunkTextWithOffsets(text, maxSize).map(chunk => chunk.text);
+    }
+
+    /**
+     * Chunk text by sentences and word boundaries, keeping source offsets
+     * @param {string} text - Text to chunk
+     * @param {number} maxSize - Maximum chunk size
+     * @param {number} offset - Offset of text within its source
+     * @returns {{text: string, start: number, end: number}[]} Chunks with offsets
+     * @private
+     */
+    chunkTextWithOffsets(text, maxSize, offset = 0) {
+        const chunks = [];
+        let remaining = text;
+        let position = offset;
+
+        while (true) {
+            // Skip leading whitespace while keeping track of the offset
+            const trimmed = remaining.trimStart();
+            position += remaining.length - trimmed.length;
+            remaining = trimmed;
+
+            if (remaining.length === 0) {
+                break;
+            }
+
+            if (remaining.trimEnd().length <= maxSize) {
+                const last = remaining.trimEnd();
+                chunks.push({ text: last, start: position, end: position + last.length });
+                break;
+            }
+
+            // Try to find sentence boundary
+            let cutIndex = -1;
+            const sentenceEnders = ['. ', '! ', '? ', '.\n', '!\n', '?\n'];
+            
+            for (const ender of sentenceEnders) {
+                const idx = remaining.lastIndexOf(ender, maxSize);
+                if (idx > cutIndex) {
+                    cutIndex = idx + ender.length;
+                }
+            }
+
+            // If no sentence boundary, try word boundary
+            if (cutIndex === -1) {
+                cutIndex = remaining.lastIndexOf(' ', maxSize);
+            }
+
+            // If still no boundary, force cut at maxSize
+            if (cutIndex === -1 || cutIndex === 0) {
+                cutIndex = maxSize;
+            }
+
+            const piece = remaining.substring(0, cutIndex).trimEnd();
+            if (piece) {
+                chunks.push({ text: piece, start: position, end: position + piece.length });
+            }
+            position += cutIndex;
+            remaining = remaining.substring(cutIndex);
         }
+
+        return chunks;
     }
 
     /**
-     * Load user preferences from localStorage
+     * Split text into sentences, breaking overlong sentences at word boundaries
+     * @param {string} text - Text to split
+     * @returns {{text: string, start: number, end: number}[]} Sentences with source offsets
      * @private
      */
-    loadPreferences() {
-        try {
-            const stored = localStorage.getItem(VoxFreeApp.CONFIG.STORAGE_KEY);
-            if (stored) {
-                const prefs = JSON.parse(stored);
-                if (prefs.rate) this.ui.rate.value = prefs.rate;
-                if (prefs.pitch) this.ui.pitch.value = prefs.pitch;
-                if (prefs.volume) this.ui.volume.value = prefs.volume;
-                if (prefs.theme) {
-                    document.documentElement.classList.toggle('dark', prefs.theme === 'dark');
-                }
+    splitSentences(text) {
+        const sentences = [];
+        const boundary = /[.!?\u2026]+["'\u201D\u2019)\]]*(?=\s|$)|\n+/g;
+        let lastIndex = 0;
+        let match;
+
+        const pushSegment = (start, end) => {
+            const segment = text.substring(start, end);
+            if (segment.trim()) {
+                sentences.push(...this.chunkTextWithOffsets(segment, VoxFreeApp.CONFIG.CHUNK_SIZE, start));
             }
-        } catch (error) {
-            console.warn('Failed to load preferences:', error);
+        };
+
+        while ((match = boundary.exec(text)) !== null) {
+            const end = match.index + match[0].length;
+            pushSegment(lastIndex, end);
+            lastIndex = end;
         }
+        pushSegment(lastIndex, text.length);
+
+        return sentences;
     }
 
     /**
-     * Save user preferences to localStorage
+     * Generate a file name (without extension) for an export from the file
+     * name template. Text fields are lower-cased with dashes between words.
+     * @param {{title?: string, artist?: string, album?: string}} [metadata] - Export details
+     * @param {Date} [date] - Export time
+     * @param {string} [template] - File name template, the saved one by default
+     * @returns {string} Base file name
      * @private
      */
-    savePreferences() {
-        try {
-            const prefs = {
-                rate: this.ui.rate.value,
-                pitch: this.ui.pitch.value,
-                volume: this.ui.volume.value,
-                theme: document.documentElement.classList.contains('dark') ? 'dark' : 'light'
-            };
-            localStorage.setItem(VoxFreeApp.CONFIG.STORAGE_KEY, JSON.stringify(prefs));
-        } catch (error) {
-            console.warn('Failed to save preferences:', error);
-        }
+    getExportBaseName(metadata = {}, date = new Date(), template = this.exportMetadata.fileNameTemplate) {
+        const slug = (name) => this.slugify(name);
+        const timestamp = date.toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        const values = {
+            title: slug(metadata.title),
+            artist: slug(metadata.artist),
+            album: slug(metadata.album),
+            document: slug(this.documentTitle),
+            section: slug(this.getActiveSection()?.title),
+            date: timestamp.slice(0, 10),
+            time: timestamp.slice(11),
+            timestamp
+        };
+
+        const name = template
+            .replace(/\{(\w+)\}/g, (token, key) => (key in values ? values[key] : token))
+            .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '-')
+            .replace(/-{2,}/g, '-')
+            .replace(/^[-.\s]+|[-.\s]+$/g, '');
+        return name || 'voxfree';
     }
 
     /**
-     * Initialize theme based on user preference or system setting
+     * Turn a name into a lower-case, dash-separated file name part
+     * @param {string} [name] - Name
+     * @returns {string} Slug of up to 40 characters, empty for no name
      * @private
      */
-    initializeTheme() {
-        const isDark = document.documentElement.classList.contains('dark');
-        this.ui.themeToggle.innerHTML = isDark 
-            ? '<i class="fa-solid fa-moon"></i>' 
-            : '<i class="fa-solid fa-sun"></i>';
+    slugify(name) {
+        return (name || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 40);
     }
 
     /**
-     * Detect user's operating system platform
+     * Load the saved export details from localStorage
      * @private
      */
-    detectPlatform() {
+    loadExportMetadata() {
         try {
-            const platform = navigator.platform.toLowerCase();
-            const userAgent = navigator.userAgent.toLowerCase();
-            
-            let osName = "Unknown OS";
-            
-            if (userAgent.includes('android')) {
-                osName = "Android";
-            } else if (userAgent.includes('iphone') || userAgent.includes('ipad')) {
-                osName = "iOS";
-            } else if (platform.includes('win')) {
-                osName = "Windows";
-            } else if (platform.includes('mac')) {
-                osName = "macOS";
-            } else if (platform.includes('linux')) {
-                osName = "Linux";
-            }
-
-            if (this.ui.osTag) {
-                this.ui.osTag.textContent = osName;
+            const stored = localStorage.getItem(VoxFreeApp.CONFIG.EXPORT_METADATA_STORAGE_KEY);
+            if (stored) {
+                const settings = JSON.parse(stored);
+                this.exportMetadata = {
+                    artist: typeof settings.artist === 'string' ? settings.artist : '',
+                    album: typeof settings.album === 'string' ? settings.album : '',
+                    fileNameTemplate: typeof settings.fileNameTemplate === 'string' && settings.fileNameTemplate.trim()
+                        ? settings.fileNameTemplate
+                        : VoxFreeApp.CONFIG.EXPORT_FILE_NAME_TEMPLATE,
+                    chapters: settings.chapters !== false
+                };
             }
         } catch (error) {
-            console.warn('Platform detection failed:', error);
+            console.warn('Failed to load export details:', error);
         }
     }
 
     /**
-     * Populate voice selection dropdown with available voices
+     * Save the export details that carry over between exports. The title is
+     * per export and the cover image is only kept for the session.
      * @private
      */
-    populateVoices() {
+    saveExportMetadata() {
         try {
-            this.voices = this.synth.getVoices();
-
-            // Filter voices based on search term
-            const searchTerm = this.ui.voiceSearch?.value.toLowerCase().trim() || '';
-
-            // Use DocumentFragment for better performance
-            const fragment = document.createDocumentFragment();
-
-            const filteredVoices = this.voices.filter(voice => {
-                if (!searchTerm) return true;
-                return voice.name.toLowerCase().includes(searchTerm) || 
-                       voice.lang.toLowerCase().includes(searchTerm);
-            });
-
-            filteredVoices.forEach((voice, index) => {
-                const option = document.createElement('option');
-                const displayName = this.sanitizeText(`${voice.name} (${voice.lang})`);
-                option.textContent = voice.default ? `${displayName} -- DEFAULT` : displayName;
-                option.value = this.voices.indexOf(voice); // Store original index
-                
-                if (voice.default) {
-                    option.selected = true;
-                }
-
-                option.setAttribute('data-lang', voice.lang);
-                option.setAttribute('data-name', voice.name);
-                fragment.appendChild(option);
-            });
-
-            // Clear and update dropdown
-            this.ui.voiceSelect.innerHTML = '';
-            
-            if (filteredVoices.length === 0) {
-                const option = document.createElement('option');
-                option.textContent = this.voices.length === 0 
-                    ? "Loading voices..." 
-                    : "No voices match your search";
-                fragment.appendChild(option);
-            }
-
-            this.ui.voiceSelect.appendChild(fragment);
+            localStorage.setItem(VoxFreeApp.CONFIG.EXPORT_METADATA_STORAGE_KEY, JSON.stringify(this.exportMetadata));
         } catch (error) {
-            console.error('Error populating voices:', error);
-            this.showError('Failed to load voices. Please refresh the page.');
+            console.warn('Failed to save export details:', error);
         }
     }
 
     /**
-     * Attach event listeners to UI elements
+     * Fill the export details form for the audio in the preview
+     * @param {Object} output - Exported audio
      * @private
      */
-    addEventListeners() {
-        // Text Area with debouncing for performance
-        this.ui.textInput.addEventListener('input', () => {
-            clearTimeout(this.debounceTimer);
-            this.debounceTimer = setTimeout(() => {
-                this.updateCharCount();
-                this.validateInput();
-            }, VoxFreeApp.CONFIG.DEBOUNCE_DELAY);
-        });
-
-        // Sliders with preference saving
-        this.ui.rate.addEventListener('input', (e) => {
-            this.ui.rateValue.textContent = `${parseFloat(e.target.value).toFixed(1)}x`;
-            this.savePreferences();
-        });
-
-        this.ui.pitch.addEventListener('input', (e) => {
-            this.ui.pitchValue.textContent = parseFloat(e.target.value).toFixed(1);
-            this.savePreferences();
-        });
-
-        this.ui.volume.addEventListener('input', (e) => {
-            this.ui.volumeValue.textContent = `${Math.round(parseFloat(e.target.value) * 100)}%`;
-            this.savePreferences();
-        });
+    renderExportMetadata(output) {
+        if (!this.ui.exportTitle) return;
 
-        // Voice Search with debouncing
-        this.ui.voiceSearch.addEventListener('input', () => {
-            clearTimeout(this.debounceTimer);
-            this.debounceTimer = setTimeout(() => this.populateVoices(), VoxFreeApp.CONFIG.DEBOUNCE_DELAY);
-        });
-
-        // Control buttons
-        this.ui.speakBtn.addEventListener('click', () => this.handleSpeak());
-        this.ui.stopBtn.addEventListener('click', () => this.stop());
-        this.ui.downloadBtn.addEventListener('click', () => this.handleExport('mp3'));
+        const section = this.getActiveSection()?.title;
+        const title = this.documentTitle || this.deriveDocumentTitle(output.text);
+        this.ui.exportTitle.value = section && section !== title ? `${title} - ${section}` : title;
+        this.ui.exportArtist.value = this.exportMetadata.artist;
+        this.ui.exportAlbum.value = this.exportMetadata.album;
+        this.ui.exportFileName.value = this.exportMetadata.fileNameTemplate;
+        this.ui.exportChapters.checked = this.exportMetadata.chapters;
 
-        // Theme toggle
-        this.ui.themeToggle.addEventListener('click', () => this.toggleTheme());
+        // Only MP3 and WAV carry ID3 tags
+        const taggable = output.ext === 'mp3' || output.ext === 'wav';
+        this.ui.exportTagFields.disabled = !taggable;
+        this.ui.exportTagNote.textContent = taggable
+            ? 'Written to the file as ID3v2.4 tags.'
+            : `${output.ext.toUpperCase()} files are saved without tags.`;
 
-        // Keyboard shortcuts
-        document.addEventListener('keydown', (e) => this.handleKeyboardShortcuts(e));
+        const count = output.chapters.length;
+        if (output.tracks) {
+            this.ui.exportChaptersCount.textContent = 'Each chapter is its own file';
+        } else {
+            this.ui.exportChaptersCount.textContent = count > 0
+                ? `${count} chapter${count === 1 ? '' : 's'} from headings and section breaks`
+                : 'No headings or section breaks found';
+        }
+        this.ui.exportChapters.disabled = count === 0;
 
-        // Prevent memory leaks - stop speech on page visibility change
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden && this.synth.speaking) {
-                this.stop();
-            }
-        });
+        this.renderExportCover();
+        this.renderExportFileName();
     }
 
     /**
-     * Handle keyboard shortcuts for accessibility
-     * @param {KeyboardEvent} e - Keyboard event
+     * Read the export details form, saving the fields that carry over
      * @private
      */
-    handleKeyboardShortcuts(e) {
-        // Ctrl/Cmd + Enter to speak
-        if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
-            e.preventDefault();
-            this.handleSpeak();
-        }
-        // Escape to stop
-        if (e.key === 'Escape' && this.synth.speaking) {
-            e.preventDefault();
-            this.stop();
-        }
+    updateExportMetadataFromUI() {
+        this.exportMetadata = {
+            artist: this.ui.exportArtist.value.trim(),
+            album: this.ui.exportAlbum.value.trim(),
+            fileNameTemplate: this.ui.exportFileName.value.trim() || VoxFreeApp.CONFIG.EXPORT_FILE_NAME_TEMPLATE,
+            chapters: this.ui.exportChapters.checked
+        };
+        this.saveExportMetadata();
+        this.renderExportFileName();
     }
 
     /**
-     * Toggle application theme
+     * Show the file name the template produces for the previewed audio
      * @private
      */
-    toggleTheme() {
-        document.documentElement.classList.toggle('dark');
-        const isDark = document.documentElement.classList.contains('dark');
-        this.ui.themeToggle.innerHTML = isDark 
-            ? '<i class="fa-solid fa-moon"></i>' 
-            : '<i class="fa-solid fa-sun"></i>';
-        this.savePreferences();
+    renderExportFileName() {
+        const output = this.pendingExport;
+        if (!output || !this.ui.exportFileNamePreview) return;
+
+        const baseName = this.getExportBaseName(this.getExportMetadata(), output.date, this.ui.exportFileName.value.trim() || undefined);
+        this.ui.exportFileNamePreview.textContent = `${baseName}.${output.tracks ? 'zip' : output.ext}`;
     }
 
     /**
-     * Update character count display
+     * Use an image file as the cover of exported audio
+     * @param {File} file - JPEG or PNG image
      * @private
      */
-    updateCharCount() {
-        const length = this.ui.textInput.value.length;
-        const maxLength = VoxFreeApp.CONFIG.MAX_TEXT_LENGTH;
-        this.ui.charCount.textContent = `${length} / ${maxLength} chars`;
-        
-        // Visual feedback for character limit
-        if (length > maxLength) {
-            this.ui.charCount.classList.add('text-red-500');
-        } else {
-            this.ui.charCount.classList.remove('text-red-500');
+    async setExportCover(file) {
+        if (!file) return;
+
+        try {
+            if (!['image/jpeg', 'image/png'].includes(file.type)) {
+                throw new Error('use a JPEG or PNG image');
+            }
+            if (file.size > VoxFreeApp.CONFIG.EXPORT_COVER_MAX_MB * 1024 * 1024) {
+                throw new Error(`the image is larger than ${VoxFreeApp.CONFIG.EXPORT_COVER_MAX_MB} MB`);
+            }
+
+            this.removeExportCover();
+            this.exportCover = {
+                mime: file.type,
+                bytes: new Uint8Array(await file.arrayBuffer()),
+                url: URL.createObjectURL(file)
+            };
+        } catch (error) {
+            console.warn('Cover image rejected:', error);
+            this.showError(`Cannot use ${file.name} as cover: ${error.message}.`);
+        } finally {
+            this.ui.exportCoverFile.value = '';
         }
+        this.renderExportCover();
     }
 
     /**
-     * Validate text input
-     * @returns {boolean} Validation status
+     * Stop adding a cover image to exports
      * @private
      */
-    validateInput() {
-        const text = this.ui.textInput.value.trim();
-        const length = text.length;
+    removeExportCover() {
+        if (this.exportCover) URL.revokeObjectURL(this.exportCover.url);
+        this.exportCover = null;
+        this.renderExportCover();
+    }
 
-        if (length === 0) {
-            return false;
-        }
+    /**
+     * Show the cover image thumbnail
+     * @private
+     */
+    renderExportCover() {
+        if (!this.ui.exportCoverImage) return;
 
-        if (length > VoxFreeApp.CONFIG.MAX_TEXT_LENGTH) {
-            this.showError(`Text exceeds maximum length of ${VoxFreeApp.CONFIG.MAX_TEXT_LENGTH} characters.`);
-            return false;
+        const cover = this.exportCover;
+        this.ui.exportCoverImage.hidden = !cover;
+        this.ui.exportCoverEmpty.hidden = !!cover;
+        this.ui.exportCoverRemove.disabled = !cover;
+        if (cover) {
+            this.ui.exportCoverImage.src = cover.url;
+        } else {
+            this.ui.exportCoverImage.removeAttribute('src');
         }
-
-        return true;
     }
 
     /**
-     * Sanitize text to prevent XSS attacks
-     * @param {string} text - Text to sanitize
-     * @returns {string} Sanitized text
+     * Collect the details to tag an export with, from the export details form
+     * when it is shown
+     * @returns {{title: string, artist: string, album: string, cover: ({mime: string, bytes: Uint8Array}|null), chapters: boolean}} Details
      * @private
      */
-    sanitizeText(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    getExportMetadata() {
+        const output = this.pendingExport;
+        const fallbackTitle = this.documentTitle || (output ? this.deriveDocumentTitle(output.text) : '');
+
+        if (!this.ui.exportTitle || !this.ui.previewDialog?.open) {
+            return { ...this.exportMetadata, title: fallbackTitle, cover: this.exportCover };
+        }
+        return {
+            title: this.ui.exportTitle.value.trim(),
+            artist: this.ui.exportArtist.value.trim(),
+            album: this.ui.exportAlbum.value.trim(),
+            cover: this.exportCover,
+            chapters: this.ui.exportChapters.checked
+        };
     }
 
     /**
-     * Handle speak button click with validation
+     * Find chapters in exported text: "# Heading" lines, or else the parts
+     * between section break lines (---, ***, * * *)
+     * @param {string} text - Exported text
+     * @returns {{title: string, start: number, end: number}[]} Chapter titles and text ranges
      * @private
      */
-    handleSpeak() {
-        if (this.isProcessing) {
-            console.warn('Already processing a request');
-            return;
+    findChapterMarkers(text) {
+        const sections = this.parseSections(text);
+        if (sections.length > 0) {
+            return sections.map(({ title, start, end }) => ({ title, start, end }));
         }
 
-        if (!this.validateInput()) {
-            this.showError('Please enter valid text to speak.');
-            return;
-        }
+        const markers = [];
+        const breaks = [...text.matchAll(/^[ \t]*([-*_])(?:[ \t]*\1){2,}[ \t]*$/gm)];
+        if (breaks.length === 0) return markers;
 
-        this.speak();
+        // The break lines themselves belong to no chapter
+        let start = 0;
+        for (const end of [...breaks.map(match => match.index), text.length]) {
+            if (text.slice(start, end).trim()) {
+                markers.push({ title: `Part ${markers.length + 1}`, start, end });
+            }
+            const match = breaks.find(item => item.index === end);
+            if (match) start = end + match[0].length;
+        }
+        return markers;
     }
 
     /**
-     * Convert text to speech using Web Speech API
-     * @param {boolean} isExporting - Whether this is for export
-     * @returns {SpeechSynthesisUtterance|null} The utterance object
+     * Time chapters from the sentence where each marker's text begins.
+     * SSML and scripts have no chapters, as their parts don't map to the text.
+     * @param {string} text - Exported text
+     * @param {({text: string, start?: number}|{silenceMs: number})[]} parts - Exported parts
+     * @param {number[]|null} durations - Part durations in ms
+     * @returns {{title: string, start: number, end: number}[]} Chapters in ms
      * @private
      */
-    speak(isExporting = false) {
-        try {
-            // Cancel any ongoing speech
-            if (this.synth.speaking && !isExporting) {
-                this.synth.cancel();
-            }
-
-            const text = this.ui.textInput.value.trim();
-            if (!text) {
-                return null;
-            }
-
-            // Create utterance with sanitized text
-            const utterance = new SpeechSynthesisUtterance(text);
-            this.currentUtterance = utterance;
+    buildExportChapters(text, parts, durations) {
+        if (!durations || parts.some(part => part.text && part.start === undefined)) return [];
 
-            // Get selected voice safely
-            const selectedIndex = parseInt(this.ui.voiceSelect.value, 10);
-            if (this.voices[selectedIndex]) {
-                utterance.voice = this.voices[selectedIndex];
-            }
-
-            // Apply voice parameters with validation
-            utterance.rate = Math.max(0.5, Math.min(2, parseFloat(this.ui.rate.value)));
-            utterance.pitch = Math.max(0.5, Math.min(2, parseFloat(this.ui.pitch.value)));
-            utterance.volume = Math.max(0, Math.min(1, parseFloat(this.ui.volume.value)));
+        const markers = this.findChapterMarkers(text);
+        if (markers.length === 0) return [];
 
-            // Event handlers
-            utterance.onstart = () => {
-                if (!isExporting) {
-                    this.isProcessing = true;
-                    this.updateStatus('Speaking...', true);
-                    this.toggleVisualizer(true);
-                }
-            };
+        const { sentences } = this.buildTimedTranscript(text, parts, durations);
+        const total = durations.reduce((sum, duration) => sum + duration, 0);
+        const chapters = [];
 
-            utterance.onend = () => {
-                if (!isExporting) {
-                    this.isProcessing = false;
-                    this.updateStatus('Ready', false);
-                    this.toggleVisualizer(false);
-                    this.currentUtterance = null;
-                }
-            };
+        for (const marker of markers) {
+            const sentence = sentences.find(item => item.end > marker.start);
+            if (!sentence) break;
 
-            utterance.onerror = (event) => {
-                console.error('Speech synthesis error:', event);
-                this.isProcessing = false;
-                this.updateStatus('Error occurred', false);
-                this.toggleVisualizer(false);
-                this.currentUtterance = null;
-                
-                if (!isExporting) {
-                    this.showError(`Speech error: ${event.error || 'Unknown error'}`);
-                }
-            };
+            const start = marker.start === 0 ? 0 : Math.round(sentence.time);
+            // Markers in the same sentence share one chapter
+            if (chapters.length > 0 && start <= chapters[chapters.length - 1].start) continue;
+            chapters.push({ title: marker.title, start });
+        }
 
-            utterance.onpause = () => {
-                if (!isExporting) {
-                    this.updateStatus('Paused', false);
-                }
-            };
+        return chapters.map((chapter, index) => ({
+            ...chapter,
+            end: index + 1 < chapters.length ? chapters[index + 1].start : Math.round(total)
+        }));
+    }
 
-            utterance.onresume = () => {
-                if (!isExporting) {
-                    this.updateStatus('Speaking...', true);
-                }
-            };
+    /**
+     * Add ID3 tags to exported audio. MP3 gets the tag in front; WAV gets it
+     * as an "id3 " chunk. Other formats are returned unchanged.
+     * @param {Blob} blob - Exported audio
+     * @param {string} ext - File extension
+     * @param {Object} metadata - Details from getExportMetadata(), with an optional track number
+     * @param {{title: string, start: number, end: number}[]} chapters - Chapters in ms
+     * @returns {Promise<Blob>} Tagged audio
+     * @private
+     */
+    async tagExportAudio(blob, ext, metadata, chapters) {
+        if (ext !== 'mp3' && ext !== 'wav') return blob;
 
-            this.synth.speak(utterance);
-            return utterance;
+        const tag = Id3Writer.build({
+            title: metadata.title,
+            artist: metadata.artist,
+            album: metadata.album,
+            track: metadata.track,
+            cover: metadata.cover,
+            chapters: metadata.chapters ? chapters : []
+        });
 
-        } catch (error) {
-            console.error('Error in speak method:', error);
-            this.isProcessing = false;
-            this.showError('Failed to start speech synthesis.');
-            return null;
+        if (ext === 'mp3') {
+            return new Blob([tag, blob], { type: blob.type });
         }
+        return new Blob([Id3Writer.addToWav(new Uint8Array(await blob.arrayBuffer()), tag)], { type: blob.type });
     }
 
     /**
-     * Stop speech synthesis
-     * @public
+     * Show exported audio in the preview player. The audio and its
+     * subtitles are only saved from there.
+     * @param {{blob: Blob, ext: string, text: string, parts: Object[], durations: (number[]|null), tracks?: Object[]}} output - Exported
+     *     audio and what its subtitles are made from; chapter exports preview one track at a time
+     * @private
      */
-    stop() {
-        try {
-            this.synth.cancel();
-            this.isProcessing = false;
-            this.currentUtterance = null;
-            this.toggleVisualizer(false);
-            this.updateStatus('Stopped', false);
-        } catch (error) {
-            console.error('Error stopping speech:', error);
+    async openPreview(output) {
+        output.date = new Date();
+        // Chapter files don't need chapter markers
+        output.chapters = output.tracks ? [] : this.buildExportChapters(output.text, output.parts, output.durations);
+
+        // Without dialog support the file is saved straight away, as before
+        if (!this.ui.previewDialog || typeof this.ui.previewDialog.showModal !== 'function') {
+            this.pendingExport = output;
+            await this.downloadPreview();
+            return;
         }
+
+        this.pendingExport = output;
+        this.previewPlayer.setLooping(false);
+        this.ui.previewLoop.checked = false;
+        this.ui.previewDownloadLabel.textContent = output.tracks
+            ? `Download ZIP (${output.tracks.length} ${output.ext.toUpperCase()} files)`
+            : `Download ${output.ext.toUpperCase()}`;
+        this.renderPreviewTracks(output);
+        this.ui.previewDialog.showModal();
+        this.renderExportMetadata(output);
+        this.updateStatus('Preview ready', false);
+
+        await this.loadPreviewAudio(output, output.blob);
     }
 
     /**
-     * Update status display
-     * @param {string} text - Status text
-     * @param {boolean} isActive - Whether actively processing
+     * List a chapter export's files in the preview's track picker
+     * @param {Object} output - Exported audio
      * @private
      */
-    updateStatus(text, isActive) {
-        if (this.ui.statusText) {
-            this.ui.statusText.textContent = text;
-            this.ui.statusText.className = isActive 
-                ? 'text-primary font-semibold animate-pulse' 
-                : 'text-slate-400 font-medium';
-        }
+    renderPreviewTracks(output) {
+        const select = this.ui.previewTrack;
+        if (!select) return;
 
-        if (this.ui.speakBtn) {
-            this.ui.speakBtn.innerHTML = isActive
-                ? '<i class="fa-solid fa-spinner fa-spin"></i> Speaking'
-                : '<i class="fa-solid fa-play"></i> Speak';
-            this.ui.speakBtn.disabled = isActive;
-        }
+        select.innerHTML = '';
+        (output.tracks || []).forEach((track, index) => {
+            select.add(new Option(`${index + 1}. ${track.title}`, String(index)));
+        });
+        select.classList.toggle('hidden', !output.tracks);
     }
 
     /**
-     * Toggle visualizer animation
-     * @param {boolean} active - Whether to activate visualizer
+     * Preview another file of a chapter export
+     * @param {number} index - Track index
      * @private
      */
-    toggleVisualizer(active) {
-        if (!this.ui.visualizer) return;
+    async selectPreviewTrack(index) {
+        const output = this.pendingExport;
+        const track = output?.tracks?.[index];
+        if (!track) return;
 
-        if (active) {
-            this.ui.visualizer.classList.remove('opacity-50');
-            this.ui.visualizer.classList.add('opacity-100');
-        } else {
-            this.ui.visualizer.classList.add('opacity-50');
-            this.ui.visualizer.classList.remove('opacity-100');
-        }
+        await this.loadPreviewAudio(output, track.blob);
     }
 
     /**
-     * Display error message to user with better UX
-     * @param {string} message - Error message
+     * Decode audio into the preview player and draw its waveform
+     * @param {Object} output - Exported audio being previewed
+     * @param {Blob} blob - Audio to play
      * @private
      */
-    showError(message) {
-        console.error(message);
-        this.updateStatus('Error', false);
-        
-        // Create a better notification instead of alert
-        if (typeof message === 'string' && message.trim()) {
-            // Try to use a toast notification if available, otherwise use alert
-            this.showNotification(message, 'error');
+    async loadPreviewAudio(output, blob) {
+        this.previewPeaks = null;
+        this.previewDrag = null;
+        this.ui.previewInfo.textContent = 'Decoding audio...';
+
+        try {
+            const buffer = await this.previewPlayer.load(blob);
+            if (this.pendingExport !== output) return;
+
+            // Long files are streamed rather than decoded, so they have no waveform
+            this.previewPeaks = buffer ? PreviewPlayer.computePeaks(buffer, this.getCanvasSize(this.ui.previewWaveform).width) : null;
+            this.ui.previewInfo.textContent = `${output.ext.toUpperCase()} · ${this.formatDuration(this.previewPlayer.duration * 1000)}`;
+        } catch (error) {
+            console.warn('Preview decoding failed:', error);
+            this.ui.previewInfo.textContent = 'This browser cannot play the exported audio, but it can still be downloaded.';
         }
+        this.renderPreview();
     }
 
     /**
-     * Show notification to user
-     * @param {string} message - Notification message
-     * @param {string} type - Notification type (info, error, success)
+     * Tag and save the previewed audio, and save its subtitles under the same name
      * @private
      */
-    showNotification(message, type = 'info') {
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `fixed top-4 right-4 max-w-md p-4 rounded-lg shadow-lg z-50 animate-fade-in ${
-            type === 'error' ? 'bg-red-500/90' : 
-            type === 'success' ? 'bg-green-500/90' : 
-            'bg-blue-500/90'
-        } text-white backdrop-blur-sm`;
-        
-        notification.innerHTML = `
-            <div class="flex items-start gap-3">
-                <i class="fa-solid ${
-                    type === 'error' ? 'fa-circle-exclamation' : 
-                    type === 'success' ? 'fa-circle-check' : 
-                    'fa-circle-info'
-                } text-xl"></i>
-                <div class="flex-1">
-                    <p class="text-sm font-medium">${this.sanitizeText(message)}</p>
-                </div>
-                <button onclick="this.parentElement.parentElement.remove()" 
-                        class="text-white/80 hover:text-white transition-colors">
-                    <i class="fa-solid fa-times"></i>
-                </button>
-            </div>
-        `;
-        
-        document.body.appendChild(notification);
-        
-        // Auto-remove after 8 seconds
-        setTimeout(() => {
-            if (notification.parentElement) {
-                notification.style.opacity = '0';
-                notification.style.transform = 'translateX(100%)';
-                notification.style.transition = 'all 0.3s ease';
-                setTimeout(() => notification.remove(), 300);
+    async downloadPreview() {
+        const output = this.pendingExport;
+        const button = this.ui.previewDownloadBtn;
+        if (!output || button?.disabled) return;
+
+        const metadata = this.getExportMetadata();
+        const baseName = this.getExportBaseName(metadata, output.date);
+        if (button) button.disabled = true;
+
+        // The export stays pending until it is saved, so a failed save can be retried
+        try {
+            if (output.tracks) {
+                await this.downloadChapterZip(output, metadata, baseName);
+            } else {
+                let blob = output.blob;
+                try {
+                    blob = await this.tagExportAudio(output.blob, output.ext, metadata, output.chapters);
+                } catch (error) {
+                    console.warn('Tagging failed, saving untagged audio:', error);
+                }
+
+                this.downloadBlob(blob, output.ext, baseName);
+                await this.exportSubtitles(output.text, output.parts, output.durations, baseName);
             }
-        }, 8000);
+        } catch (error) {
+            console.error('Saving the export failed:', error);
+            this.updateStatus('Error', false);
+            this.showError(`Could not save the export: ${error.message}`);
+            return;
+        } finally {
+            if (button) button.disabled = false;
+        }
+
+        this.pendingExport = null;
+        this.updateStatus('Download Complete', false);
+        if (this.ui.previewDialog?.open) this.ui.previewDialog.close();
     }
 
     /**
-     * Handle audio export with validation and error handling
-     * @param {string} format - Export format (mp3)
-     * @public
+     * Save a chapter export as one ZIP with a tagged file per chapter, the
+     * chapters' subtitle files and an M3U8 playlist in chapter order
+     * @param {{ext: string, tracks: Object[]}} output - Chapter export
+     * @param {Object} metadata - Details from getExportMetadata()
+     * @param {string} baseName - Name of the ZIP and the playlist
+     * @private
      */
-    async handleExport(format) {
-        if (!this.validateInput()) {
-            this.showError('Please enter valid text to download.');
-            return;
-        }
-
-        const text = this.ui.textInput.value.trim();
+    async downloadChapterZip(output, metadata, baseName) {
+        this.updateStatus('Creating ZIP...', true);
 
-        // Handle long text with chunking
-        if (text.length > VoxFreeApp.CONFIG.CHUNK_SIZE) {
-            return this.handleLongExport(text, format);
-        }
+        const zip = new ZipWriter();
+        const count = output.tracks.length;
+        const digits = Math.max(2, String(count).length);
+        const playlist = ['#EXTM3U'];
 
-        this.updateStatus('Preparing download...', true);
+        for (const [index, track] of output.tracks.entries()) {
+            const name = `${String(index + 1).padStart(digits, '0')}-${this.slugify(track.title) || 'chapter'}`;
+            const trackMetadata = {
+                ...metadata,
+                title: track.title,
+                // The book's title names the album unless an album is given
+                album: metadata.album || metadata.title,
+                track: `${index + 1}/${count}`
+            };
 
-        try {
-            const lang = this.getSelectedLanguage();
-            const shortLang = lang.split('-')[0];
+            let blob = track.blob;
+            try {
+                blob = await this.tagExportAudio(track.blob, output.ext, trackMetadata, []);
+            } catch (error) {
+                console.warn(`Tagging chapter ${index + 1} failed, saving it untagged:`, error);
+            }
+            zip.add(`${name}.${output.ext}`, new Uint8Array(await blob.arrayBuffer()));
 
-            const audioBlob = await this.fetchAudioWithRetry(text, shortLang);
-            
-            if (audioBlob) {
-                this.downloadBlob(audioBlob, format);
-                this.updateStatus('Download Complete', false);
-            } else {
-                throw new Error('Failed to generate audio');
+            try {
+                for (const file of this.buildSubtitleFiles(track.text, track.parts, track.durations)) {
+                    zip.add(`${name}.${file.ext}`, file.data);
+                }
+            } catch (error) {
+                console.warn(`Subtitles for chapter ${index + 1} failed:`, error);
             }
 
-        } catch (error) {
-            console.error("Export failed:", error);
-            this.updateStatus('Error', false);
-            this.showError('Download failed. Please try again or use shorter text.');
+            const seconds = Math.round(track.durations.reduce((total, duration) => total + duration, 0) / 1000);
+            playlist.push(`#EXTINF:${seconds},${metadata.artist ? `${metadata.artist} - ` : ''}${track.title}`, `${name}.${output.ext}`);
         }
+
+        zip.add(`${baseName}.m3u8`, `${playlist.join('\n')}\n`);
+        this.downloadBlob(zip.toBlob(), 'zip', baseName);
     }
 
     /**
-     * Get selected voice language
-     * @returns {string} Language code
+     * Stop preview playback, discard the audio and release the audio context when the preview closes
      * @private
      */
-    getSelectedLanguage() {
-        const selectedOption = this.ui.voiceSelect.options[this.ui.voiceSelect.selectedIndex];
-        return selectedOption?.getAttribute('data-lang') || 'en-US';
+    closePreview() {
+        cancelAnimationFrame(this.previewFrame);
+        this.previewFrame = null;
+        this.previewPlayer.close();
+        this.previewPeaks = null;
+        this.previewDrag = null;
+
+        // Closed without downloading
+        if (this.pendingExport) {
+            this.pendingExport = null;
+            this.updateStatus('Ready', false);
+        }
     }
 
     /**
-     * Fetch audio with retry mechanism
-     * @param {string} text - Text to convert
-     * @param {string} lang - Language code
-     * @param {number} attempt - Current attempt number
-     * @returns {Promise<Blob|null>} Audio blob
+     * Play or pause the preview
      * @private
      */
+    togglePreviewPlayback() {
+        if (this.previewPlayer.playing) {
+            this.previewPlayer.pause();
+        } else {
+            this.previewPlayer.play();
+        }
+        this.renderPreview();
+    }
+
     /**
-     * Fetch audio with retry mechanism and multiple proxy fallbacks
-     * @param {string} text - Text to convert
-     * @param {string} lang - Language code
-     * @param {number} attempt - Current attempt number
-     * @param {number} proxyIndex - Current proxy index
-     * @returns {Promise<Blob|null>} Audio blob
+     * Loop the selected region, or the whole audio when nothing is selected
+     * @param {boolean} looping - Whether to loop
      * @private
      */
-    async fetchAudioWithRetry(text, lang, attempt = 1, proxyIndex = 0) {
-        try {
-            const googleUrl = `${VoxFreeApp.CONFIG.TTS_BASE_URL}?ie=UTF-8&tl=${encodeURIComponent(lang)}&client=tw-ob&q=${encodeURIComponent(text)}`;
-            
-            // Try current proxy
-            const currentProxy = VoxFreeApp.CONFIG.PROXY_URLS[proxyIndex];
-            const proxyUrl = `${currentProxy}${encodeURIComponent(googleUrl)}`;
-
-            console.log(`Attempting download with proxy ${proxyIndex + 1}/${VoxFreeApp.CONFIG.PROXY_URLS.length}`);
+    setPreviewLooping(looping) {
+        this.previewPlayer.setLooping(looping);
+        this.ui.previewLoop.checked = looping;
+        this.renderPreview();
+    }
 
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
+    /**
+     * Remove the loop region so looping repeats the whole audio
+     * @private
+     */
+    clearPreviewRegion() {
+        this.previewPlayer.setRegion(null);
+        this.renderPreview();
+    }
 
-            const response = await fetch(proxyUrl, {
-                method: 'GET',
-                headers: {
-                    'Accept': 'audio/mpeg, audio/*, */*'
-                },
-                signal: controller.signal
-            });
+    /**
+     * Seek by clicking the waveform, or drag across it to select a loop region
+     * @param {PointerEvent} e - pointerdown, pointermove or pointerup event
+     * @private
+     */
+    handlePreviewPointer(e) {
+        if (!this.previewPlayer.loaded) return;
+        const time = this.getPreviewTimeAt(e.clientX);
 
-            clearTimeout(timeoutId);
+        if (e.type === 'pointerdown') {
+            this.ui.previewWaveform.setPointerCapture?.(e.pointerId);
+            this.previewDrag = { x: e.clientX, start: time, region: null };
+            return;
+        }
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+        const drag = this.previewDrag;
+        if (!drag) return;
 
-            const blob = await response.blob();
-            
-            // Verify blob is valid audio
-            if (blob.size === 0) {
-                throw new Error('Empty audio file received');
+        if (e.type === 'pointermove') {
+            // Small movements still count as a click
+            if (drag.region || Math.abs(e.clientX - drag.x) >= 4) {
+                drag.region = { start: Math.min(drag.start, time), end: Math.max(drag.start, time) };
+                this.renderPreview();
             }
+            return;
+        }
 
-            console.log(`Download successful with proxy ${proxyIndex + 1}`);
-            return blob;
-
-        } catch (error) {
-            const errorMsg = error.name === 'AbortError' ? 'Request timeout' : error.message;
-            console.warn(`Fetch attempt ${attempt} with proxy ${proxyIndex + 1} failed: ${errorMsg}`);
-
-            // Try next proxy
-            const nextProxyIndex = proxyIndex + 1;
-            if (nextProxyIndex < VoxFreeApp.CONFIG.PROXY_URLS.length) {
-                return this.fetchAudioWithRetry(text, lang, attempt, nextProxyIndex);
-            }
+        this.previewDrag = null;
+        if (drag.region) {
+            this.previewPlayer.setRegion(drag.region);
+            this.setPreviewLooping(true);
+            this.previewPlayer.seek(drag.region.start);
+        } else {
+            this.previewPlayer.seek(time);
+        }
+        this.renderPreview();
+    }
 
-            // Retry with first proxy
-            if (attempt < VoxFreeApp.CONFIG.RETRY_ATTEMPTS) {
-                console.log(`Retrying all proxies (attempt ${attempt + 1}/${VoxFreeApp.CONFIG.RETRY_ATTEMPTS})`);
-                await this.delay(VoxFreeApp.CONFIG.RETRY_DELAY);
-                return this.fetchAudioWithRetry(text, lang, attempt + 1, 0);
-            }
+    /**
+     * Keyboard control of the waveform: arrows seek, Home/End jump, Space plays
+     * @param {KeyboardEvent} e - Keyboard event
+     * @private
+     */
+    handlePreviewKeydown(e) {
+        const player = this.previewPlayer;
+        const step = VoxFreeApp.CONFIG.PREVIEW_SEEK_STEP;
+        const targets = {
+            ArrowLeft: player.currentTime - step,
+            ArrowRight: player.currentTime + step,
+            Home: 0,
+            End: player.duration
+        };
 
-            // All attempts failed - use direct fallback
-            console.warn('All proxy attempts failed, using direct fallback');
-            const googleUrl = `${VoxFreeApp.CONFIG.TTS_BASE_URL}?ie=UTF-8&tl=${encodeURIComponent(lang)}&client=tw-ob&q=${encodeURIComponent(text)}`;
-            window.open(googleUrl, '_blank', 'noopener,noreferrer');
-            
-            this.showError('Unable to download automatically due to network restrictions. The audio has been opened in a new tab where you can play and save it manually.');
-            return null;
+        if (e.key in targets) {
+            e.preventDefault();
+            player.seek(targets[e.key]);
+            this.renderPreview();
+        } else if (e.key === ' ') {
+            e.preventDefault();
+            this.togglePreviewPlayback();
         }
     }
 
     /**
-     * Delay helper for retry mechanism
-     * @param {number} ms - Milliseconds to delay
-     * @returns {Promise<void>}
+     * Convert a pointer position on the waveform to a playback time
+     * @param {number} clientX - Pointer x coordinate
+     * @returns {number} Seconds
      * @private
      */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    getPreviewTimeAt(clientX) {
+        const rect = this.ui.previewWaveform.getBoundingClientRect();
+        const fraction = rect.width > 0 ? (clientX - rect.left) / rect.width : 0;
+        return Math.max(0, Math.min(1, fraction)) * this.previewPlayer.duration;
     }
 
     /**
-     * Handle export for long text with intelligent chunking
-     * @param {string} text - Text to export
-     * @param {string} format - Export format
+     * Match a canvas's pixel size to its displayed size
+     * @param {HTMLCanvasElement} canvas - Canvas
+     * @returns {{width: number, height: number}} Size in device pixels
      * @private
      */
-    async handleLongExport(text, format) {
-        this.updateStatus('Processing long text...', true);
+    getCanvasSize(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        // Keep the attribute size while the canvas is not laid out
+        const width = Math.round(canvas.clientWidth * ratio) || canvas.width;
+        const height = Math.round(canvas.clientHeight * ratio) || canvas.height;
+        if (canvas.width !== width) canvas.width = width;
+        if (canvas.height !== height) canvas.height = height;
+        return { width, height };
+    }
 
-        try {
-            const chunks = this.chunkText(text, VoxFreeApp.CONFIG.CHUNK_SIZE);
-            const lang = this.getSelectedLanguage();
-            const shortLang = lang.split('-')[0];
+    /**
+     * Redraw the preview player, every frame while it plays
+     * @private
+     */
+    renderPreview() {
+        cancelAnimationFrame(this.previewFrame);
+        this.previewFrame = null;
+        if (!this.ui.previewDialog?.open) return;
 
-            const blobs = [];
-            const totalChunks = chunks.length;
+        const player = this.previewPlayer;
+        const time = player.currentTime;
+        const playing = player.playing;
 
-            for (let i = 0; i < totalChunks; i++) {
-                const chunk = chunks[i];
-                if (!chunk.trim()) continue;
+        this.ui.previewPlayBtn.disabled = !player.loaded;
+        this.ui.previewPlayBtn.setAttribute('aria-label', playing ? 'Pause preview' : 'Play preview');
+        this.ui.previewPlayBtn.innerHTML = `<i class="fa-solid ${playing ? 'fa-pause' : 'fa-play'}" aria-hidden="true"></i>`;
+        this.ui.previewTime.textContent = `${this.formatDuration(time * 1000)} / ${this.formatDuration(player.duration * 1000)}`;
+        this.ui.previewClearRegion.disabled = !player.region;
+        this.ui.previewWaveform.setAttribute('aria-valuemax', String(Math.round(player.duration)));
+        this.ui.previewWaveform.setAttribute('aria-valuenow', String(Math.round(time)));
+        this.ui.previewWaveform.setAttribute('aria-valuetext', this.formatDuration(time * 1000));
 
-                this.updateStatus(`Processing chunk ${i + 1}/${totalChunks}...`, true);
+        this.drawPreviewWaveform(time);
+        this.drawPreviewSpectrum(playing);
 
-                const blob = await this.fetchAudioWithRetry(chunk, shortLang);
-                if (blob) {
-                    blobs.push(blob);
-                } else {
-                    throw new Error(`Failed to process chunk ${i + 1}`);
-                }
+        if (playing) {
+            this.previewFrame = requestAnimationFrame(() => this.renderPreview());
+        }
+    }
 
-                // Small delay between chunks to avoid rate limiting
-                if (i < totalChunks - 1) {
-                    await this.delay(500);
-                }
-            }
+    /**
+     * Draw the waveform overview with the loop region and playhead
+     * @param {number} time - Playback position in seconds
+     * @private
+     */
+    drawPreviewWaveform(time) {
+        const canvas = this.ui.previewWaveform;
+        const context = canvas.getContext('2d');
+        if (!context) return;
 
-            // Concatenate all audio blobs
-            const finalBlob = new Blob(blobs, { type: 'audio/mpeg' });
-            this.downloadBlob(finalBlob, format);
-            this.updateStatus('Download Complete', false);
+        const { width, height } = this.getCanvasSize(canvas);
+        const colors = VoxFreeApp.CONFIG.PREVIEW_COLORS;
+        const duration = this.previewPlayer.duration;
+        const toX = (seconds) => duration > 0 ? seconds / duration * width : 0;
+        context.clearRect(0, 0, width, height);
 
-        } catch (error) {
-            console.error("Long export failed:", error);
-            this.updateStatus('Error', false);
-            this.showError('Failed to process long text. Try shorter text or check your connection.');
+        const region = this.previewDrag?.region || this.previewPlayer.region;
+        if (region) {
+            context.fillStyle = colors.region;
+            context.fillRect(toX(region.start), 0, toX(region.end) - toX(region.start), height);
+        }
+
+        // Peaks were measured for the width when the preview opened
+        const peaks = this.previewPeaks || [];
+        const columnWidth = width / Math.max(1, peaks.length);
+        const playedX = toX(time);
+        const middle = height / 2;
+        peaks.forEach((peak, index) => {
+            const x = index * columnWidth;
+            const top = middle - peak.max * middle;
+            context.fillStyle = x < playedX ? colors.played : colors.wave;
+            context.fillRect(x, top, Math.max(1, columnWidth), Math.max(1, middle - peak.min * middle - top));
+        });
+
+        if (duration > 0) {
+            context.fillStyle = colors.playhead;
+            context.fillRect(Math.min(playedX, width - 1), 0, 1, height);
         }
     }
 
     /**
-     * Intelligently chunk text by sentences and word boundaries
-     * @param {string} text - Text to chunk
-     * @param {number} maxSize - Maximum chunk size
-     * @returns {string[]} Array of text chunks
+     * Draw live frequency bars from the preview's AnalyserNode
+     * @param {boolean} playing - Whether audio is playing
      * @private
      */
-    chunkText(text, maxSize) {
-        const chunks = [];
-        let remaining = text.trim();
-
-        while (remaining.length > 0) {
-            if (remaining.length <= maxSize) {
-                chunks.push(remaining);
-                break;
-            }
-
-            // Try to find sentence boundary
-            let cutIndex = -1;
-            const sentenceEnders = ['. ', '! ', '? ', '.\n', '!\n', '?\n'];
-            
-            for (const ender of sentenceEnders) {
-                const idx = remaining.lastIndexOf(ender, maxSize);
-                if (idx > cutIndex) {
-                    cutIndex = idx + ender.length;
-                }
-            }
+    drawPreviewSpectrum(playing) {
+        const canvas = this.ui.previewSpectrum;
+        const context = canvas?.getContext('2d');
+        if (!context) return;
 
-            // If no sentence boundary, try word boundary
-            if (cutIndex === -1) {
-                cutIndex = remaining.lastIndexOf(' ', maxSize);
-            }
+        const { width, height } = this.getCanvasSize(canvas);
+        context.clearRect(0, 0, width, height);
+        if (!playing) return;
 
-            // If still no boundary, force cut at maxSize
-            if (cutIndex === -1 || cutIndex === 0) {
-                cutIndex = maxSize;
-            }
+        const player = this.previewPlayer;
+        this.previewSpectrumData ||= new Uint8Array(PreviewPlayer.FFT_SIZE / 2);
+        const data = player.getFrequencyData(this.previewSpectrumData);
 
-            chunks.push(remaining.substring(0, cutIndex).trim());
-            remaining = remaining.substring(cutIndex).trim();
+        // Speech sits in the lower bins, so the top quarter is left out
+        const bars = Math.floor(data.length * 0.75);
+        const barWidth = width / bars;
+        context.fillStyle = VoxFreeApp.CONFIG.PREVIEW_COLORS.spectrum;
+        for (let i = 0; i < bars; i++) {
+            const barHeight = data[i] / 255 * height;
+            context.fillRect(i * barWidth, height - barHeight, Math.max(1, barWidth - 1), barHeight);
         }
-
-        return chunks;
     }
 
     /**
      * Download blob as file
      * @param {Blob} blob - Blob to download
      * @param {string} ext - File extension
+     * @param {string} [baseName] - File name without extension, timestamped by default
      * @private
      */
-    downloadBlob(blob, ext) {
+    downloadBlob(blob, ext, baseName = this.getExportBaseName()) {
         try {
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.style.display = 'none';
             a.href = url;
             
-            // Generate filename with timestamp
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-            a.download = `voxfree-${timestamp}.${ext}`;
-            
+            a.download = `${baseName}.${ext}`;
+
             document.body.appendChild(a);
             a.click();
 
@@ -904,10 +11441,21 @@ class VoxFreeApp {
             // Save preferences
             this.savePreferences();
 
-            // Clear timers
+            // Clear timers, keeping typing still waiting on the input debounce
             if (this.debounceTimer) {
                 clearTimeout(this.debounceTimer);
+                this.debounceTimer = null;
+                this.saveDocument();
+            }
+            clearTimeout(this.voiceSearchTimer);
+
+            // Write unsaved library changes (the transaction still commits while unloading)
+            this.flushReadingPosition();
+            if (this.librarySaveTimer) {
+                this.flushDocumentSave();
             }
+
+            this.previewPlayer.close();
         } catch (error) {
             console.warn('Cleanup error:', error);
         }
@@ -0,0 +1,149 @@
+/**
+ * VoxFree service worker
+ * Precaches the app and its vendored styles, icons and font so VoxFree opens
+ * without a connection. A new version is installed in the background and
+ * waits until the page asks it to take over.
+ * @version 1.0.0
+ */
+'use strict';
+
+// Replaced with the commit by the Pages workflow; "dev" checkouts prefer the network
+const VERSION = 'dev';
+const CACHE_PREFIX = 'voxfree-app-';
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+
+/**
+ * Files the app cannot start without
+ * @readonly
+ */
+const APP_SHELL = [
+    './',
+    'index.html',
+    'app.js',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/apple-touch-icon.png'
+];
+
+/**
+ * Vendored assets from tools/vendor-assets.js. A checkout without them
+ * falls back to the CDNs, whose responses are cached instead.
+ * @readonly
+ */
+const VENDOR_ASSETS = [
+    'vendor/tailwindcss.js',
+    'vendor/font-awesome/css/all.min.css',
+    'vendor/font-awesome/webfonts/fa-solid-900.woff2',
+    'vendor/font-awesome/webfonts/fa-regular-400.woff2',
+    'vendor/font-awesome/webfonts/fa-brands-400.woff2',
+    'vendor/outfit/outfit-latin-wght-normal.woff2'
+];
+
+/**
+ * CDNs the page falls back to when the vendored assets are missing
+ * @readonly
+ */
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'cdnjs.cloudflare.com', 'cdn.jsdelivr.net'];
+
+/**
+ * Request that skips the HTTP cache, so a new version never precaches
+ * files the browser still holds from the previous deploy
+ * @param {string} url - App-relative URL
+ * @returns {Request} Request for the network copy
+ */
+function freshRequest(url) {
+    return new Request(url, { cache: 'reload' });
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL.map(freshRequest));
+        await Promise.all(VENDOR_ASSETS.map(url => cache.add(freshRequest(url)).catch(() => {
+            console.warn(`Not precached (run tools/vendor-assets.js): ${url}`);
+        })));
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Answer from the network and keep a copy, or from the cache when offline
+ * @param {Request} request - Request
+ * @param {Request|string} [key] - Cache entry to use
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request, key = request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(key, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Answer from the cache, fetching and keeping what is missing
+ * @param {Request} request - Request
+ * @param {Request|string} [key] - Cache entry to use
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request, key = request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(key);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // CDN scripts without CORS come back opaque (status 0) but still work
+    if (response.ok || response.type === 'opaque') await cache.put(key, response.clone());
+    return response;
+}
+
+/**
+ * Paths of the app's own files: the app shell and everything under vendor/
+ * @param {URL} url - Same-origin URL
+ * @returns {boolean} Whether the file belongs to the app
+ */
+function isAppFile(url) {
+    const path = url.pathname;
+    const appPath = (file) => new URL(file, self.location).pathname;
+    return APP_SHELL.some(file => appPath(file) === path) || path.startsWith(appPath('vendor/'));
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate' && url.origin === self.location.origin) {
+        // Every page of the app is index.html
+        event.respondWith(VERSION === 'dev' ? networkFirst(request, 'index.html') : cacheFirst(request, 'index.html'));
+    } else if (url.origin === self.location.origin && isAppFile(url)) {
+        event.respondWith(VERSION === 'dev' ? networkFirst(request) : cacheFirst(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+    // Proxies, Google, TTS servers (including one proxied on this origin) always go to the network
+});
@@ -0,0 +1,107 @@
+/**
+ * VoxFree stub TTS server
+ * Minimal OpenTTS-compatible server for testing the self-hosted export backend.
+ * Answers GET /api/tts?text=&voice= with a WAV tone whose length follows the text.
+ *
+ * Usage: node tools/stub-tts-server.js [port]
+ * @version 1.0.0
+ */
+'use strict';
+
+const http = require('http');
+
+const PORT = parseInt(process.argv[2] || process.env.PORT || '5500', 10);
+const SAMPLE_RATE = 22050;
+const MS_PER_CHARACTER = 60;
+
+/**
+ * Voices reported by /api/voices, keyed by voice id like OpenTTS
+ * @readonly
+ */
+const VOICES = {
+    'stub:en': { id: 'en', name: 'Stub English', language: 'en', gender: 'F', tts_name: 'stub', frequency: 220 },
+    'stub:de': { id: 'de', name: 'Stub German', language: 'de', gender: 'M', tts_name: 'stub', frequency: 165 },
+    'stub:es': { id: 'es', name: 'Stub Spanish', language: 'es', gender: 'F', tts_name: 'stub', frequency: 262 }
+};
+
+/**
+ * Encode a mono 16-bit PCM sine tone as a WAV file
+ * @param {number} durationMs - Tone length in milliseconds
+ * @param {number} frequency - Tone frequency in Hz
+ * @returns {Buffer} WAV file
+ */
+function createToneWav(durationMs, frequency) {
+    const sampleCount = Math.round(SAMPLE_RATE * durationMs / 1000);
+    const buffer = Buffer.alloc(44 + sampleCount * 2);
+
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(36 + sampleCount * 2, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(1, 22);
+    buffer.writeUInt32LE(SAMPLE_RATE, 24);
+    buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(sampleCount * 2, 40);
+
+    for (let i = 0; i < sampleCount; i++) {
+        // Short fade in/out avoids clicks between concatenated chunks
+        const fade = Math.min(1, i / 200, (sampleCount - i) / 200);
+        const sample = Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * 0.3 * fade;
+        buffer.writeInt16LE(Math.round(sample * 32767), 44 + i * 2);
+    }
+
+    return buffer;
+}
+
+/**
+ * Send a response with permissive CORS headers
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {string} type - Content type
+ * @param {string|Buffer} body - Response body
+ */
+function send(res, status, type, body) {
+    res.writeHead(status, {
+        'Content-Type': type,
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(body);
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (req.method !== 'GET') {
+        send(res, 405, 'text/plain', 'Method not allowed');
+        return;
+    }
+
+    if (url.pathname === '/api/voices') {
+        send(res, 200, 'application/json', JSON.stringify(VOICES));
+        return;
+    }
+
+    if (url.pathname === '/api/tts') {
+        const text = url.searchParams.get('text') || '';
+        if (!text.trim()) {
+            send(res, 400, 'text/plain', 'Missing text');
+            return;
+        }
+
+        const voice = VOICES[url.searchParams.get('voice')] || VOICES['stub:en'];
+        console.log(`[tts] ${voice.name}: ${text.slice(0, 60)}`);
+        send(res, 200, 'audio/wav', createToneWav(text.length * MS_PER_CHARACTER, voice.frequency));
+        return;
+    }
+
+    send(res, 404, 'text/plain', 'Not found');
+});
+
+server.listen(PORT, () => {
+    console.log(`Stub TTS server listening on http://localhost:${PORT}`);
+});
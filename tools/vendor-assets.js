@@ -0,0 +1,80 @@
+/**
+ * VoxFree asset vendoring
+ * Downloads the pinned Tailwind, Font Awesome and Outfit files into vendor/,
+ * so the app and its service worker need no CDN. The Pages workflow runs it
+ * before deploying; run it once locally to use VoxFree offline.
+ *
+ * Usage: node tools/vendor-assets.js
+ * @version 1.0.0
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const VENDOR_DIR = path.join(__dirname, '..', 'vendor');
+const FONT_AWESOME = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0';
+const FONT_AWESOME_FONTS = ['fa-brands-400', 'fa-regular-400', 'fa-solid-900', 'fa-v4compatibility'];
+
+/**
+ * Files to download; the versions match the CDN fallbacks in index.html and styles.css
+ * @readonly
+ */
+const ASSETS = [
+    { url: 'https://cdn.tailwindcss.com/3.4.5', file: 'tailwindcss.js' },
+    {
+        url: `${FONT_AWESOME}/css/all.min.css`,
+        file: 'font-awesome/css/all.min.css',
+        integrity: 'sha512-iecdLmaskl7CVkqkXNQ/ZH/XLlvWZOJyj7Yy7tcenmpD1ypASozpmT/E0iPtmFIB46ZmdtAc9eNBvH0H/ZpiBw=='
+    },
+    ...FONT_AWESOME_FONTS.flatMap(name => ['woff2', 'ttf'].map(ext => ({
+        url: `${FONT_AWESOME}/webfonts/${name}.${ext}`,
+        file: `font-awesome/webfonts/${name}.${ext}`
+    }))),
+    {
+        url: 'https://cdn.jsdelivr.net/npm/@fontsource-variable/outfit@5/files/outfit-latin-wght-normal.woff2',
+        file: 'outfit/outfit-latin-wght-normal.woff2'
+    }
+];
+
+/**
+ * Download one asset, checking its subresource integrity hash when known
+ * @param {{url: string, file: string, integrity?: string}} asset - Asset to download
+ * @returns {Promise<number>} Bytes written
+ * @throws {Error} On HTTP errors, empty files or a hash mismatch
+ */
+async function download(asset) {
+    const response = await fetch(asset.url);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} for ${asset.url}`);
+    }
+
+    const data = Buffer.from(await response.arrayBuffer());
+    if (data.length === 0) {
+        throw new Error(`Empty file from ${asset.url}`);
+    }
+
+    if (asset.integrity) {
+        const [algorithm, expected] = asset.integrity.split('-');
+        const actual = crypto.createHash(algorithm).update(data).digest('base64');
+        if (actual !== expected) {
+            throw new Error(`Integrity mismatch for ${asset.url}`);
+        }
+    }
+
+    const target = path.join(VENDOR_DIR, asset.file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, data);
+    return data.length;
+}
+
+(async () => {
+    for (const asset of ASSETS) {
+        const bytes = await download(asset);
+        console.log(`vendor/${asset.file} (${(bytes / 1024).toFixed(1)} KB)`);
+    }
+})().catch((error) => {
+    console.error(`Vendoring failed: ${error.message}`);
+    process.exit(1);
+});